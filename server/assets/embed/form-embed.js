@@ -0,0 +1,768 @@
+/**
+ * Anchor Forms embed script
+ *
+ * Served by GET /embed/:formId, which appends a call to anchorFormEmbed() with
+ * { formId, token, apiBase }. Renders the published schema_json into plain DOM
+ * (no framework) and posts submissions to /embed/:formId/submit.
+ *
+ * When save & resume is enabled, visitors can save progress (a resume link is emailed)
+ * and pick up later via ?anchor_resume=TOKEN or their email, after entering an emailed code.
+ *
+ * Fields with visibleWhen { field, operator, value } are shown only while the rule matches
+ * (the server applies the same rules). With { preview: payload } the form renders from the
+ * given payload and nothing is posted; the form builder uses this via GET /embed/preview.
+ *
+ * Usage on a client site:
+ *   <div data-anchor-form="FORM_ID"></div>
+ *   <script src="https://APP_HOST/embed/FORM_ID?token=EMBED_TOKEN" async></script>
+ */
+// eslint-disable-next-line no-unused-vars
+function anchorFormEmbed(config) {
+  var formId = config.formId;
+  var token = config.token;
+  var preview = config.preview || null;
+  var apiBase = String(config.apiBase || '').replace(/\/$/, '');
+  var currentScript = document.currentScript;
+  var ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid', 'msclkid'];
+  var LANDING_KEY = 'anchor_form_landing_page';
+  var RESUME_PARAM = 'anchor_resume';
+  var resumeToken = null;
+
+  var BASE_CSS =
+    '.anchor-form{font-family:inherit;max-width:640px}' +
+    '.anchor-form *{box-sizing:border-box}' +
+    '.anchor-form fieldset{border:0;margin:0 0 16px;padding:0}' +
+    '.anchor-form legend{font-weight:600;font-size:1.1em;margin-bottom:8px}' +
+    '.anchor-form .af-field{margin-bottom:14px}' +
+    '.anchor-form label.af-label{display:block;font-weight:500;margin-bottom:4px}' +
+    '.anchor-form .af-required{color:#c62828;margin-left:2px}' +
+    '.anchor-form input[type=text],.anchor-form input[type=email],.anchor-form input[type=tel],' +
+    '.anchor-form input[type=number],.anchor-form input[type=date],.anchor-form select,.anchor-form textarea' +
+    '{width:100%;padding:10px 12px;border:1px solid #c4c4c4;border-radius:6px;font:inherit}' +
+    '.anchor-form textarea{min-height:96px}' +
+    '.anchor-form .af-choice{display:flex;align-items:center;gap:8px;margin:4px 0}' +
+    '.anchor-form .af-help{font-size:.85em;color:#666;margin-top:4px}' +
+    '.anchor-form .af-error{font-size:.85em;color:#c62828;margin-top:4px}' +
+    '.anchor-form .af-alert{padding:10px 12px;border-radius:6px;margin-bottom:12px;background:#fdecea;color:#611a15}' +
+    '.anchor-form .af-success{padding:16px;border-radius:6px;background:#edf7ed;color:#1e4620}' +
+    '.anchor-form .af-notice{padding:10px 12px;border-radius:6px;margin-bottom:12px;background:#e8f4fd;color:#0d3c61}' +
+    '.anchor-form button{padding:10px 20px;border:1px solid #1e88e5;border-radius:6px;background:#fff;color:#1e88e5;font:inherit;cursor:pointer}' +
+    '.anchor-form button[type=submit],.anchor-form button.af-primary{border:0;background:#1e88e5;color:#fff}' +
+    '.anchor-form button.af-link{border:0;padding:0;background:none;text-decoration:underline}' +
+    '.anchor-form .af-actions{display:flex;flex-wrap:wrap;align-items:center;gap:12px;margin-top:8px}' +
+    '.anchor-form .af-choices{display:flex;flex-wrap:wrap;gap:16px}' +
+    '.anchor-form .af-choices>div{flex:1 1 200px}' +
+    '.anchor-form .af-choices button{width:100%}' +
+    '.anchor-form button[disabled]{opacity:.6;cursor:default}' +
+    '.anchor-form [hidden]{display:none!important}' +
+    '.anchor-form .af-signature canvas{display:block;width:100%;height:140px;border:1px dashed #c4c4c4;border-radius:6px;background:#fff;touch-action:none}';
+
+  function el(tag, attrs, children) {
+    var node = document.createElement(tag);
+    if (attrs) {
+      Object.keys(attrs).forEach(function (key) {
+        var value = attrs[key];
+        if (value === undefined || value === null || value === false) return;
+        if (key === 'className') node.className = value;
+        else if (key === 'text') node.textContent = value;
+        else node.setAttribute(key, value === true ? '' : value);
+      });
+    }
+    (children || []).forEach(function (child) {
+      if (child) node.appendChild(child);
+    });
+    return node;
+  }
+
+  function resolveContainer() {
+    var existing = document.querySelector('[data-anchor-form="' + formId + '"]');
+    if (existing) return existing;
+    var div = el('div', { 'data-anchor-form': formId });
+    if (currentScript && currentScript.parentNode) {
+      currentScript.parentNode.insertBefore(div, currentScript.nextSibling);
+    } else {
+      document.body.appendChild(div);
+    }
+    return div;
+  }
+
+  function collectMetadata() {
+    var metadata = {
+      page_url: window.location.href,
+      referrer: document.referrer || null
+    };
+    try {
+      if (!window.sessionStorage.getItem(LANDING_KEY)) window.sessionStorage.setItem(LANDING_KEY, window.location.href);
+      metadata.landing_page = window.sessionStorage.getItem(LANDING_KEY);
+    } catch (e) {
+      metadata.landing_page = window.location.href;
+    }
+    var params = new URLSearchParams(window.location.search);
+    ATTRIBUTION_PARAMS.forEach(function (key) {
+      var value = params.get(key);
+      if (value) metadata[key] = value;
+    });
+    return metadata;
+  }
+
+  function getResumeParam() {
+    try {
+      return new URLSearchParams(window.location.search).get(RESUME_PARAM);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The token is rotated once verified, so drop the old one from the address bar
+  function clearResumeParam() {
+    try {
+      var url = new URL(window.location.href);
+      if (!url.searchParams.has(RESUME_PARAM)) return;
+      url.searchParams.delete(RESUME_PARAM);
+      window.history.replaceState(window.history.state, '', url.toString());
+    } catch (e) {
+      // Older browsers keep the param; it no longer resolves to a draft
+    }
+  }
+
+  function postJson(path, body) {
+    if (preview) {
+      return Promise.resolve({ ok: true, status: 200, body: { message: 'Preview only. Nothing was submitted or saved.' } });
+    }
+    return fetch(apiBase + '/embed/' + encodeURIComponent(formId) + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({ token: token }, body))
+    }).then(function (res) {
+      return res
+        .json()
+        .catch(function () {
+          return {};
+        })
+        .then(function (json) {
+          return { ok: res.ok, status: res.status, body: json };
+        });
+    });
+  }
+
+  function optionList(field) {
+    return (Array.isArray(field.options) ? field.options : []).map(function (opt) {
+      if (opt && typeof opt === 'object')
+        return { value: String(opt.value != null ? opt.value : opt.label), label: opt.label || opt.value };
+      return { value: String(opt), label: String(opt) };
+    });
+  }
+
+  function renderSignature(id, field) {
+    var canvas = el('canvas', { id: id, width: 600, height: 140, 'aria-label': field.label || 'Signature' });
+    var hidden = el('input', { type: 'hidden', name: field.name });
+    var clearBtn = el('button', { type: 'button', className: 'af-link', text: 'Clear signature' });
+    var ctx = canvas.getContext('2d');
+    var drawing = false;
+
+    function point(event) {
+      var rect = canvas.getBoundingClientRect();
+      return {
+        x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+        y: ((event.clientY - rect.top) * canvas.height) / rect.height
+      };
+    }
+    function changed() {
+      hidden.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    function finish() {
+      if (!drawing) return;
+      drawing = false;
+      hidden.value = canvas.toDataURL('image/png');
+      changed();
+    }
+
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = '#111';
+    canvas.addEventListener('pointerdown', function (event) {
+      var p = point(event);
+      drawing = true;
+      canvas.setPointerCapture(event.pointerId);
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+    });
+    canvas.addEventListener('pointermove', function (event) {
+      if (!drawing) return;
+      var p = point(event);
+      ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+    });
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', finish);
+    clearBtn.addEventListener('click', function () {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      hidden.value = '';
+      changed();
+    });
+    // Used by fillValues to restore a saved signature
+    hidden.afRestore = function (dataUrl) {
+      var img = new Image();
+      img.onload = function () {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0);
+      };
+      img.src = dataUrl;
+      hidden.value = dataUrl;
+    };
+
+    return el('div', { className: 'af-signature' }, [canvas, hidden, el('div', { className: 'af-actions' }, [clearBtn])]);
+  }
+
+  function renderFile(id, field, wrapper) {
+    var maxMb = Number(field.maxSizeMb) || 2;
+    var input = el('input', { type: 'file', id: id, name: field.name, accept: field.accept });
+    input.afValue = null;
+    input.addEventListener('change', function () {
+      var file = input.files && input.files[0];
+      var errorNode = wrapper.querySelector('.af-error');
+      input.afValue = null;
+      if (errorNode) errorNode.textContent = '';
+      if (!file) return;
+      if (file.size > maxMb * 1024 * 1024) {
+        input.value = '';
+        if (errorNode) errorNode.textContent = 'Files must be smaller than ' + maxMb + ' MB';
+        return;
+      }
+      var reader = new FileReader();
+      reader.onload = function () {
+        input.afValue = { name: file.name, type: file.type, size: file.size, data: reader.result };
+      };
+      reader.readAsDataURL(file);
+    });
+    return input;
+  }
+
+  function renderInput(field) {
+    var id = 'af_' + formId.slice(0, 8) + '_' + field.name;
+    var type = field.inputType || 'text';
+    var labelText = field.label || field.name;
+    var wrapper = el('div', { className: 'af-field', 'data-field': field.name });
+    var control;
+
+    if (type === 'checkbox') {
+      control = el('input', { type: 'checkbox', id: id, name: field.name, value: 'true', required: !!field.required });
+      wrapper.appendChild(
+        el('label', { className: 'af-choice', for: id }, [
+          control,
+          el('span', { text: labelText }),
+          field.required ? el('span', { className: 'af-required', text: '*' }) : null
+        ])
+      );
+    } else {
+      wrapper.appendChild(
+        el('label', { className: 'af-label', for: id, text: labelText }, [
+          field.required ? el('span', { className: 'af-required', text: '*' }) : null
+        ])
+      );
+      if (type === 'textarea') {
+        control = el('textarea', { id: id, name: field.name, required: !!field.required, placeholder: field.placeholder });
+      } else if (type === 'select') {
+        control = el(
+          'select',
+          { id: id, name: field.name, required: !!field.required },
+          [el('option', { value: '', text: field.placeholder || 'Select…' })].concat(
+            optionList(field).map(function (opt) {
+              return el('option', { value: opt.value, text: opt.label });
+            })
+          )
+        );
+      } else if (type === 'radio') {
+        control = el(
+          'div',
+          { role: 'radiogroup', id: id },
+          optionList(field).map(function (opt, idx) {
+            var radioId = id + '_' + idx;
+            return el('label', { className: 'af-choice', for: radioId }, [
+              el('input', { type: 'radio', id: radioId, name: field.name, value: opt.value, required: !!field.required }),
+              el('span', { text: opt.label })
+            ]);
+          })
+        );
+      } else if (type === 'checkbox_group') {
+        control = el(
+          'div',
+          { role: 'group', id: id },
+          optionList(field).map(function (opt, idx) {
+            var boxId = id + '_' + idx;
+            return el('label', { className: 'af-choice', for: boxId }, [
+              el('input', { type: 'checkbox', id: boxId, name: field.name, value: opt.value }),
+              el('span', { text: opt.label })
+            ]);
+          })
+        );
+      } else if (type === 'signature') {
+        control = renderSignature(id, field);
+      } else if (type === 'file') {
+        control = renderFile(id, field, wrapper);
+      } else {
+        control = el('input', { type: type, id: id, name: field.name, required: !!field.required, placeholder: field.placeholder });
+      }
+      wrapper.appendChild(control);
+    }
+
+    if (field.helpText) wrapper.appendChild(el('div', { className: 'af-help', text: field.helpText }));
+    wrapper.appendChild(el('div', { className: 'af-error', 'aria-live': 'polite' }));
+    return wrapper;
+  }
+
+  function renderItem(field) {
+    if (field.type === 'heading') return el('h3', { text: field.label || '' });
+    if (field.type === 'paragraph') return el('p', { text: field.label || '' });
+    if (!field.name) return null;
+    return renderInput(field);
+  }
+
+  function renderFields(schema, formEl) {
+    var fields = Array.isArray(schema.fields) ? schema.fields : [];
+    var sections = Array.isArray(schema.sections) ? schema.sections : [];
+    var sectionIds = sections.map(function (s) {
+      return s.id;
+    });
+    fields
+      .filter(function (f) {
+        return !f.section_id || sectionIds.indexOf(f.section_id) === -1;
+      })
+      .forEach(function (f) {
+        var node = renderItem(f);
+        if (node) formEl.appendChild(node);
+      });
+    sections.forEach(function (section) {
+      var fieldset = el('fieldset', null, [section.title ? el('legend', { text: section.title }) : null]);
+      fields
+        .filter(function (f) {
+          return f.section_id === section.id;
+        })
+        .forEach(function (f) {
+          var node = renderItem(f);
+          if (node) fieldset.appendChild(node);
+        });
+      formEl.appendChild(fieldset);
+    });
+  }
+
+  // Hidden fields are skipped unless includeHidden (visibility rules read every value)
+  function readValues(formEl, schema, includeHidden) {
+    var values = {};
+    (schema.fields || []).forEach(function (field) {
+      if (!field.name || (field.type && field.type !== 'field')) return;
+      var wrapper = formEl.querySelector('[data-field="' + field.name + '"]');
+      if (wrapper && wrapper.hidden && !includeHidden) return;
+      var inputs = formEl.querySelectorAll('[name="' + field.name + '"]');
+      if (!inputs.length) return;
+      var type = field.inputType || 'text';
+      if (type === 'checkbox') {
+        values[field.name] = inputs[0].checked;
+      } else if (type === 'checkbox_group') {
+        values[field.name] = [];
+        for (var j = 0; j < inputs.length; j++) {
+          if (inputs[j].checked) values[field.name].push(inputs[j].value);
+        }
+      } else if (type === 'file') {
+        values[field.name] = inputs[0].afValue || null;
+      } else if (type === 'radio') {
+        for (var i = 0; i < inputs.length; i++) {
+          if (inputs[i].checked) values[field.name] = inputs[i].value;
+        }
+      } else {
+        values[field.name] = inputs[0].value;
+      }
+    });
+    return values;
+  }
+
+  function fillValues(formEl, schema, values) {
+    (schema.fields || []).forEach(function (field) {
+      if (!field.name || !values || values[field.name] === undefined) return;
+      var inputs = formEl.querySelectorAll('[name="' + field.name + '"]');
+      var value = values[field.name];
+      for (var i = 0; i < inputs.length; i++) {
+        var input = inputs[i];
+        if (field.inputType === 'checkbox_group') input.checked = Array.isArray(value) && value.indexOf(input.value) !== -1;
+        else if (input.type === 'checkbox') input.checked = value === true || value === 'true';
+        else if (input.type === 'radio') input.checked = input.value === String(value);
+        else if (input.afRestore) input.afRestore(value);
+        else if (input.type === 'file') restoreFile(input, value);
+        else input.value = value;
+      }
+    });
+  }
+
+  // Browsers can't prefill file inputs, so keep the saved upload unless a new file is picked
+  function restoreFile(input, value) {
+    if (!value || !value.name) return;
+    input.afValue = value;
+    input.parentNode.insertBefore(el('div', { className: 'af-help', text: 'Attached: ' + value.name }), input.nextSibling);
+  }
+
+  function ruleMatches(rule, value) {
+    var expected = String(rule.value == null ? '' : rule.value).trim();
+    var list = Array.isArray(value) ? value.map(String) : null;
+    var text = value === true ? 'true' : value === false ? 'false' : String(value == null ? '' : value);
+    var empty = value == null || value === false || (list ? !list.length : typeof value === 'string' && !value.trim());
+    switch (rule.operator) {
+      case 'is_filled':
+        return !empty;
+      case 'is_empty':
+        return empty;
+      case 'contains':
+        return list ? list.indexOf(expected) !== -1 : text.toLowerCase().indexOf(expected.toLowerCase()) !== -1;
+      case 'not_equals':
+        return list ? list.indexOf(expected) === -1 : text !== expected;
+      default:
+        return list ? list.indexOf(expected) !== -1 : text === expected;
+    }
+  }
+
+  /**
+   * Show/hide fields with visibleWhen rules. A field is hidden when its controlling field is hidden.
+   */
+  function applyVisibility(formEl, schema) {
+    var fields = (schema.fields || []).filter(function (f) {
+      return f.name && (!f.type || f.type === 'field');
+    });
+    var byName = {};
+    fields.forEach(function (f) {
+      byName[f.name] = f;
+    });
+    var values = readValues(formEl, schema, true);
+    var memo = {};
+
+    function isVisible(field, depth) {
+      if (memo[field.name] !== undefined) return memo[field.name];
+      var rule = field.visibleWhen;
+      var result = true;
+      if (rule && rule.field) {
+        var parent = byName[rule.field];
+        result = !!parent && parent !== field && depth < 20 && isVisible(parent, depth + 1) && ruleMatches(rule, values[rule.field]);
+      }
+      memo[field.name] = result;
+      return result;
+    }
+
+    fields.forEach(function (field) {
+      var wrapper = formEl.querySelector('[data-field="' + field.name + '"]');
+      if (wrapper) wrapper.hidden = !isVisible(field, 0);
+    });
+  }
+
+  function firstEmailValue(values, schema) {
+    var fields = schema.fields || [];
+    for (var i = 0; i < fields.length; i++) {
+      if (fields[i].inputType === 'email' && values[fields[i].name]) return values[fields[i].name];
+    }
+    return '';
+  }
+
+  function showErrors(formEl, errors) {
+    var nodes = formEl.querySelectorAll('.af-field');
+    for (var i = 0; i < nodes.length; i++) {
+      var name = nodes[i].getAttribute('data-field');
+      var errorNode = nodes[i].querySelector('.af-error');
+      if (errorNode) errorNode.textContent = (errors && errors[name]) || '';
+    }
+  }
+
+  function renderSuccess(container, message) {
+    container.innerHTML = '';
+    container.appendChild(el('div', { className: 'anchor-form af-success', role: 'status', text: message }));
+  }
+
+  function renderForm(container, payload, restored) {
+    var schema = payload.schema || {};
+    var settings = (payload.form && payload.form.settings) || {};
+
+    container.innerHTML = '';
+    container.appendChild(el('style', { text: BASE_CSS + (payload.css || '') }));
+
+    var alertEl = el('div', { className: 'af-alert', role: 'alert', hidden: true });
+    var noticeEl = el('div', { className: 'af-notice', role: 'status', hidden: true });
+    var submitBtn = el('button', { type: 'submit', text: 'Submit' });
+    var formEl = el('form', { className: 'anchor-form', novalidate: true, 'data-form-id': formId });
+    formEl.appendChild(alertEl);
+    formEl.appendChild(noticeEl);
+    renderFields(schema, formEl);
+
+    function showAlert(message) {
+      alertEl.textContent = message;
+      alertEl.hidden = false;
+    }
+
+    function showNotice(message, link) {
+      noticeEl.innerHTML = '';
+      noticeEl.appendChild(document.createTextNode(message));
+      if (link) {
+        noticeEl.appendChild(document.createTextNode(' '));
+        noticeEl.appendChild(el('a', { href: link, text: 'Your resume link' }));
+      }
+      noticeEl.hidden = false;
+    }
+
+    var refreshVisibility = function () {
+      applyVisibility(formEl, schema);
+    };
+    formEl.addEventListener('input', refreshVisibility);
+    formEl.addEventListener('change', refreshVisibility);
+
+    if (restored) {
+      fillValues(formEl, schema, restored.fields);
+      showNotice(
+        restored.version_changed
+          ? 'Welcome back! This form has been updated since you saved it, so please review your answers.'
+          : 'Welcome back! Your saved answers have been restored.'
+      );
+    }
+    refreshVisibility();
+
+    var actions = el('div', { className: 'af-actions' }, [submitBtn]);
+    if (settings.save_and_resume_enabled) {
+      var saveBtn = el('button', { type: 'button', text: 'Save and finish later' });
+      var emailInput = el('input', { type: 'email', name: 'af_save_email', placeholder: 'you@example.com', 'aria-label': 'Email' });
+      var confirmBtn = el('button', { type: 'button', className: 'af-primary', text: 'Email me a link' });
+      var savePanel = el('div', { className: 'af-field', hidden: true }, [
+        el('label', { className: 'af-label', text: 'Where should we send your resume link?' }),
+        emailInput,
+        el('div', { className: 'af-actions' }, [confirmBtn])
+      ]);
+
+      var save = function (email) {
+        alertEl.hidden = true;
+        saveBtn.disabled = true;
+        confirmBtn.disabled = true;
+        postJson('/drafts', {
+          fields: readValues(formEl, schema),
+          email: email,
+          resume_token: resumeToken,
+          metadata: collectMetadata()
+        })
+          .then(function (result) {
+            saveBtn.disabled = false;
+            confirmBtn.disabled = false;
+            if (!result.ok) {
+              if (result.status === 410) resumeToken = null;
+              showAlert(result.body.message || 'Unable to save your progress. Please try again.');
+              return;
+            }
+            resumeToken = result.body.resume_token || resumeToken;
+            savePanel.hidden = true;
+            showNotice(result.body.message || 'Your progress has been saved.', result.body.resume_url);
+          })
+          .catch(function () {
+            saveBtn.disabled = false;
+            confirmBtn.disabled = false;
+            showAlert('Unable to save your progress. Please check your connection and try again.');
+          });
+      };
+
+      saveBtn.addEventListener('click', function () {
+        if (resumeToken) return save(null);
+        if (!emailInput.value) emailInput.value = firstEmailValue(readValues(formEl, schema), schema);
+        savePanel.hidden = false;
+        emailInput.focus();
+      });
+      confirmBtn.addEventListener('click', function () {
+        save(emailInput.value);
+      });
+
+      actions.appendChild(saveBtn);
+      formEl.appendChild(actions);
+      formEl.appendChild(savePanel);
+    } else {
+      formEl.appendChild(actions);
+    }
+
+    formEl.addEventListener('submit', function (event) {
+      event.preventDefault();
+      alertEl.hidden = true;
+      showErrors(formEl, {});
+      submitBtn.disabled = true;
+
+      postJson('/submit', { fields: readValues(formEl, schema), metadata: collectMetadata(), resume_token: resumeToken })
+        .then(function (result) {
+          submitBtn.disabled = false;
+          if (!result.ok) {
+            if (result.body.errors) showErrors(formEl, result.body.errors);
+            showAlert(result.body.message || 'Unable to submit the form. Please try again.');
+            return;
+          }
+          resumeToken = null;
+          renderSuccess(container, result.body.message || settings.custom_thank_you_message || 'Thank you for your submission!');
+        })
+        .catch(function () {
+          submitBtn.disabled = false;
+          showAlert('Unable to submit the form. Please check your connection and try again.');
+        });
+    });
+
+    container.appendChild(formEl);
+  }
+
+  /**
+   * Resume flow: identify the draft (link token or email), send a code, verify it.
+   */
+  function renderResume(container, payload, linkToken) {
+    container.innerHTML = '';
+    container.appendChild(el('style', { text: BASE_CSS + (payload.css || '') }));
+
+    var lookup = linkToken ? { resume_token: linkToken } : null;
+    var panel = el('div', { className: 'anchor-form' });
+    var alertEl = el('div', { className: 'af-alert', role: 'alert', hidden: true });
+    var noticeEl = el('div', { className: 'af-notice', role: 'status', hidden: true });
+    var body = el('div');
+    var startOver = el('button', { type: 'button', className: 'af-link', text: 'Start a new form instead' });
+    panel.appendChild(alertEl);
+    panel.appendChild(noticeEl);
+    panel.appendChild(body);
+    panel.appendChild(el('div', { className: 'af-actions' }, [startOver]));
+
+    startOver.addEventListener('click', function () {
+      clearResumeParam();
+      renderForm(container, payload);
+    });
+
+    function showAlert(message) {
+      alertEl.textContent = message;
+      alertEl.hidden = false;
+    }
+
+    function sendCode(button) {
+      alertEl.hidden = true;
+      button.disabled = true;
+      return postJson('/drafts/code', lookup)
+        .then(function (result) {
+          button.disabled = false;
+          if (!result.ok) {
+            showAlert(result.body.message || 'Unable to send a verification code.');
+            return false;
+          }
+          noticeEl.textContent = result.body.message;
+          noticeEl.hidden = false;
+          return true;
+        })
+        .catch(function () {
+          button.disabled = false;
+          showAlert('Unable to send a verification code. Please check your connection and try again.');
+          return false;
+        });
+    }
+
+    function showCodeStep() {
+      var codeInput = el('input', { type: 'text', name: 'af_code', inputmode: 'numeric', autocomplete: 'one-time-code', maxlength: '6' });
+      var verifyBtn = el('button', { type: 'button', className: 'af-primary', text: 'Continue' });
+      var resendBtn = el('button', { type: 'button', className: 'af-link', text: 'Send a new code' });
+      body.innerHTML = '';
+      body.appendChild(
+        el('div', { className: 'af-field' }, [
+          el('label', { className: 'af-label', text: 'Enter the 6-digit code we emailed you' }),
+          codeInput,
+          el('div', { className: 'af-actions' }, [verifyBtn, resendBtn])
+        ])
+      );
+      resendBtn.addEventListener('click', function () {
+        sendCode(resendBtn);
+      });
+      verifyBtn.addEventListener('click', function () {
+        alertEl.hidden = true;
+        verifyBtn.disabled = true;
+        postJson('/drafts/verify', Object.assign({ code: codeInput.value }, lookup))
+          .then(function (result) {
+            verifyBtn.disabled = false;
+            if (!result.ok) {
+              showAlert(result.body.message || 'Invalid or expired code');
+              return;
+            }
+            resumeToken = result.body.resume_token;
+            clearResumeParam();
+            renderForm(container, payload, result.body);
+          })
+          .catch(function () {
+            verifyBtn.disabled = false;
+            showAlert('Unable to verify the code. Please check your connection and try again.');
+          });
+      });
+      codeInput.focus();
+    }
+
+    if (lookup) {
+      var sendBtn = el('button', { type: 'button', className: 'af-primary', text: 'Email me a code' });
+      body.appendChild(el('p', { text: 'To protect your information, we will email a one-time code to the address you saved with.' }));
+      body.appendChild(el('div', { className: 'af-actions' }, [sendBtn]));
+      sendBtn.addEventListener('click', function () {
+        sendCode(sendBtn).then(function (sent) {
+          if (sent) showCodeStep();
+        });
+      });
+    } else {
+      var emailInput = el('input', { type: 'email', name: 'af_resume_email', placeholder: 'you@example.com' });
+      var emailBtn = el('button', { type: 'button', className: 'af-primary', text: 'Email me a code' });
+      body.appendChild(
+        el('div', { className: 'af-field' }, [
+          el('label', { className: 'af-label', text: 'Email you saved your progress with' }),
+          emailInput,
+          el('div', { className: 'af-actions' }, [emailBtn])
+        ])
+      );
+      emailBtn.addEventListener('click', function () {
+        lookup = { email: emailInput.value };
+        sendCode(emailBtn).then(function (sent) {
+          if (sent) showCodeStep();
+        });
+      });
+    }
+
+    container.appendChild(panel);
+  }
+
+  /**
+   * Entry point: resume links go straight to verification; otherwise forms with save & resume
+   * offer "new" vs "resume" before showing the form.
+   */
+  function render(container, payload) {
+    var settings = (payload.form && payload.form.settings) || {};
+    if (!settings.save_and_resume_enabled) return renderForm(container, payload);
+
+    var linkToken = getResumeParam();
+    if (linkToken) return renderResume(container, payload, linkToken);
+
+    container.innerHTML = '';
+    container.appendChild(el('style', { text: BASE_CSS + (payload.css || '') }));
+    var newBtn = el('button', { type: 'button', className: 'af-primary', text: settings.new_patient_button_label || 'New Patient' });
+    var resumeBtn = el('button', { type: 'button', text: settings.resume_button_label || 'Resume' });
+    container.appendChild(
+      el('div', { className: 'anchor-form' }, [
+        el('div', { className: 'af-choices' }, [
+          el('div', null, [newBtn, el('div', { className: 'af-help', text: settings.new_patient_button_helper || '' })]),
+          el('div', null, [resumeBtn, el('div', { className: 'af-help', text: settings.resume_button_helper || '' })])
+        ])
+      ])
+    );
+    newBtn.addEventListener('click', function () {
+      renderForm(container, payload);
+    });
+    resumeBtn.addEventListener('click', function () {
+      renderResume(container, payload, null);
+    });
+  }
+
+  var container = resolveContainer();
+  if (preview) {
+    render(container, preview);
+    return;
+  }
+  fetch(apiBase + '/embed/' + encodeURIComponent(formId) + '/json?token=' + encodeURIComponent(token))
+    .then(function (res) {
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return res.json();
+    })
+    .then(function (payload) {
+      render(container, payload);
+    })
+    .catch(function (err) {
+      console.error('[anchor-forms] Unable to load form ' + formId, err);
+    });
+}
@@ -15,10 +15,19 @@ import hubRouter from './routes/hub.js';
 import onboardingRouter from './routes/onboarding.js';
 import tasksRouter from './routes/tasks.js';
 import reviewsRouter from './routes/reviews.js';
+import formsRouter from './routes/forms.js';
 import webhooksRouter from './routes/webhooks.js';
+import embedRouter from './routes/embed.js';
 import { sendOnboardingExpiryReminders } from './services/onboardingReminders.js';
 import { purgeArchivedTasks } from './services/taskCleanup.js';
+import { purgeExpiredFormDrafts } from './services/formDrafts.js';
+import { runFormSubmissionJobs } from './services/formJobs.js';
 import { runDueDateAutomations } from './services/taskAutomations.js';
+import { runScheduledCtmSync } from './services/ctmSync.js';
+import { runLeadSlaSweep } from './services/leadSla.js';
+import { runOfflineConversionExports } from './services/offlineConversions.js';
+import { runJourneyStepScheduler } from './services/journeyAutomation.js';
+import { runRetentionPolicies } from './services/dataRetention.js';
 
 const app = express();
 const PORT = process.env.API_SERVER_PORT || process.env.PORT || 4000;
@@ -95,9 +104,20 @@ const corsOptions = {
   credentials: true
 };
 
+// Public form embeds run on client websites, so they verify embed tokens/domain allowlists
+// themselves and must be mounted ahead of the app-wide CORS policy and helmet headers.
+app.use('/embed', embedRouter);
+
 // Apply core middleware before any routers so bodies/cookies are available
 app.use(cors(corsOptions)); // CORS first
-app.use(express.json()); // body parser before routes
+app.use(
+  express.json({
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+    }
+  })
+); // body parser before routes
 app.use(cookieParser()); // cookies before routes
 app.use(
   helmet({
@@ -114,7 +134,10 @@ app.use('/api/hub', hubRouter);
 app.use('/api/onboarding', onboardingRouter);
 app.use('/api/tasks', tasksRouter);
 app.use('/api/reviews', reviewsRouter);
+app.use('/api/forms', formsRouter);
 app.use('/api/webhooks', webhooksRouter); // Public webhook endpoints (Mailgun, etc.)
+// Private files (e.g. submission PDFs) live under uploads but are only served through authenticated routes
+app.use('/uploads/private', (req, res) => res.sendStatus(404));
 app.use('/uploads', express.static(UPLOAD_DIR));
 app.use('/email-assets', express.static(EMAIL_ASSETS_DIR));
 
@@ -224,35 +247,37 @@ async function maybeRunOnboardingTokenMigration() {
   }
 }
 
-// Automatic service redaction after 90 days
-async function redactOldServices() {
+// Run forms platform migration (idempotent, uses IF NOT EXISTS)
+async function maybeRunFormsMigration() {
   try {
-    const { rows } = await query(`
-      UPDATE client_services 
-      SET redacted_at = NOW()
-      WHERE redacted_at IS NULL 
-        AND agreed_date < NOW() - INTERVAL '90 days'
-      RETURNING id
-    `);
-    if (rows.length > 0) {
-      console.log(`[cron:redact-services] Redacted ${rows.length} service(s) older than 90 days`);
-    }
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = path.dirname(__filename);
+    const sqlPath = path.join(__dirname, 'sql', 'migrate_forms_platform.sql');
+    const sql = await readFile(sqlPath, 'utf8');
+    await query(sql);
+    // eslint-disable-next-line no-console
+    console.log('[migrations] ran migrate_forms_platform.sql');
   } catch (err) {
-    console.error('[cron:redact-services] Error:', err.message);
+    if (err.code === 'ENOENT') return; // file not present; skip
+    throw err;
   }
 }
 
-// Schedule daily at 2:00 AM
-cron.schedule(
-  '0 2 * * *',
-  () => {
-    console.log('[cron:redact-services] Running scheduled service redaction');
-    redactOldServices();
-  },
-  {
-    timezone: 'America/New_York' // Adjust to your timezone
+// Run leads platform migration (idempotent, uses IF NOT EXISTS)
+async function maybeRunLeadsMigration() {
+  try {
+    const __filename = fileURLToPath(import.meta.url);
+    const __dirname = path.dirname(__filename);
+    const sqlPath = path.join(__dirname, 'sql', 'migrate_leads_platform.sql');
+    const sql = await readFile(sqlPath, 'utf8');
+    await query(sql);
+    // eslint-disable-next-line no-console
+    console.log('[migrations] ran migrate_leads_platform.sql');
+  } catch (err) {
+    if (err.code === 'ENOENT') return; // file not present; skip
+    throw err;
   }
-);
+}
 
 cron.schedule(
   '*/30 * * * *',
@@ -287,6 +312,44 @@ cron.schedule(
   }
 );
 
+// Process queued form submission jobs (email, CTM, PDF) every 30 seconds
+cron.schedule(
+  '*/30 * * * * *',
+  async () => {
+    try {
+      const result = await runFormSubmissionJobs();
+      if (result?.processed) {
+        console.log(
+          `[cron:form-submission-jobs] processed ${result.processed} job(s): ${result.completed} completed, ${result.failed} retrying, ${result.deadLettered} dead-lettered`
+        );
+      }
+    } catch (err) {
+      console.error('[cron:form-submission-jobs] failed', err?.message || err);
+    }
+  },
+  {
+    timezone: 'America/New_York'
+  }
+);
+
+// Purge expired form drafts (save & resume) every hour
+cron.schedule(
+  '15 * * * *',
+  async () => {
+    try {
+      const result = await purgeExpiredFormDrafts();
+      if (result?.deleted) {
+        console.log(`[cron:purge-form-drafts] deleted ${result.deleted} expired form draft(s)`);
+      }
+    } catch (err) {
+      console.error('[cron:purge-form-drafts] failed', err?.message || err);
+    }
+  },
+  {
+    timezone: 'America/New_York'
+  }
+);
+
 // Evaluate due-date automations every hour
 cron.schedule(
   '0 * * * *',
@@ -305,10 +368,114 @@ cron.schedule(
   }
 );
 
+// Background CTM sync for every configured client (every 10 minutes by default)
+if (String(process.env.CTM_SCHEDULED_SYNC_ENABLED || 'true').toLowerCase() !== 'false') {
+  cron.schedule(
+    process.env.CTM_SYNC_CRON || '*/10 * * * *',
+    async () => {
+      try {
+        const result = await runScheduledCtmSync();
+        if (result?.accounts) {
+          console.log(`[cron:ctm-sync] synced ${result.accounts} account(s): ${result.succeeded} ok, ${result.failed} failed`);
+        }
+      } catch (err) {
+        console.error('[cron:ctm-sync] failed', err?.message || err);
+      }
+    },
+    {
+      timezone: 'America/New_York'
+    }
+  );
+}
+
+// Lead SLA: open callback tasks, close finished ones, escalate overdue ones (every 5 minutes by default)
+cron.schedule(
+  process.env.LEAD_SLA_CRON || '*/5 * * * *',
+  async () => {
+    try {
+      const result = await runLeadSlaSweep();
+      if (result?.created || result?.completed || result?.escalated) {
+        console.log(
+          `[cron:lead-sla] ${result.accounts} account(s): ${result.created} task(s) opened, ${result.completed} completed, ${result.escalated} escalation(s)`
+        );
+      }
+    } catch (err) {
+      console.error('[cron:lead-sla] failed', err?.message || err);
+    }
+  },
+  {
+    timezone: 'America/New_York'
+  }
+);
+
+// Offline conversions: Google Ads CSV and Meta payload files for clients with exports enabled (daily at 4:30am by default)
+cron.schedule(
+  process.env.OFFLINE_CONVERSIONS_CRON || '30 4 * * *',
+  async () => {
+    try {
+      const result = await runOfflineConversionExports();
+      if (result?.exports || result?.failed) {
+        console.log(
+          `[cron:offline-conversions] ${result.exports} file(s) with ${result.conversions} conversion(s) across ${result.accounts} account(s), ${result.failed} failed`
+        );
+      }
+    } catch (err) {
+      console.error('[cron:offline-conversions] failed', err?.message || err);
+    }
+  },
+  {
+    timezone: 'America/New_York'
+  }
+);
+
+// Journey automation: send due journey steps by email / SMS (every 15 minutes by default)
+cron.schedule(
+  process.env.JOURNEY_STEPS_CRON || '*/15 * * * *',
+  async () => {
+    try {
+      const result = await runJourneyStepScheduler();
+      if (result?.sent || result?.failed || result?.skipped) {
+        console.log(
+          `[cron:journey-steps] ${result.sent} sent, ${result.retry} to retry, ${result.failed} failed, ${result.skipped} skipped`
+        );
+      }
+    } catch (err) {
+      console.error('[cron:journey-steps] failed', err?.message || err);
+    }
+  },
+  {
+    timezone: 'America/New_York'
+  }
+);
+
+// Data retention: apply every client's enabled retention policies (daily at 2am by default;
+// RETENTION_DRY_RUN=true only counts and audits what would change)
+cron.schedule(
+  process.env.RETENTION_CRON || '0 2 * * *',
+  async () => {
+    try {
+      const dryRun = process.env.RETENTION_DRY_RUN === 'true';
+      const result = await runRetentionPolicies({ dryRun });
+      if (result?.affected) {
+        console.log(
+          `[cron:retention] ${dryRun ? 'dry run: ' : ''}${result.affected} row(s) across ${result.owners} account(s), run ${result.run_id}`
+        );
+      }
+    } catch (err) {
+      console.error('[cron:retention] failed', err?.message || err);
+    }
+  },
+  {
+    timezone: 'America/New_York'
+  }
+);
+
 maybeRunMigrations()
   .then(maybeRunReviewsMigration)
   .then(maybeRunSecurityMigration)
   .then(maybeRunOnboardingTokenMigration)
+  .then(maybeRunFormsMigration)
+  .then(maybeRunLeadsMigration)
   .catch((err) => {
     console.error('[migrations] failed', err);
     process.exit(1);
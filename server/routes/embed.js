@@ -0,0 +1,460 @@
+/**
+ * Public Form Embed Routes
+ *
+ * Unauthenticated endpoints used by forms embedded on client websites:
+ * - GET  /embed/:formId          JS embed script
+ * - GET  /embed/:formId/json     Published schema for rendering
+ * - POST /embed/:formId/submit   Submission intake
+ * - POST /embed/:formId/drafts[/code|/verify]   Save & resume (settings_json.save_and_resume_enabled)
+ * - GET  /embed/preview[.js]      Builder preview page (renders a posted schema, submits nothing)
+ *
+ * Every request must carry the form's embed_token, and the Origin/Referer host must
+ * match settings_json.domain_allowlist (an empty allowlist accepts any domain).
+ * Mounted before the app-wide CORS middleware, which only allows the app's own origins.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import path from 'path';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+import { createRateLimiter, getClientIp } from '../middleware/rateLimit.js';
+import { recordAttempt } from '../services/security/rateLimit.js';
+import {
+  getPublishedForm,
+  toPublicFormPayload,
+  validateSubmissionFields,
+  buildAttribution,
+  recordSubmission
+} from '../services/formSubmissions.js';
+import { isFormEncryptionConfigured } from '../services/formEncryption.js';
+import { enqueueSubmissionJobs } from '../services/formJobs.js';
+import { saveFormDraft, requestDraftCode, verifyDraftCode, completeFormDraft } from '../services/formDrafts.js';
+import { isUuid } from '../utils/uuid.js';
+
+const router = express.Router();
+
+// Submissions and drafts can carry signatures and uploaded files (base64)
+router.use(express.json({ limit: '12mb' }));
+
+/**
+ * Reflect the caller's Origin so embed pages can read responses (including errors).
+ * CORS is not the security boundary here: token and allowlist checks run on every request.
+ */
+router.use((req, res, next) => {
+  const origin = req.get('origin');
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  next();
+});
+
+router.options('/:formId/*', (req, res) => {
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Max-Age', '600');
+  res.sendStatus(204);
+});
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const EMBED_SCRIPT_PATH = path.join(__dirname, '..', 'assets', 'embed', 'form-embed.js');
+
+let embedScriptSource = null;
+
+async function loadEmbedScript() {
+  if (embedScriptSource && process.env.NODE_ENV === 'production') return embedScriptSource;
+  embedScriptSource = await readFile(EMBED_SCRIPT_PATH, 'utf8');
+  return embedScriptSource;
+}
+
+// ============================================================================
+// Verification helpers
+// ============================================================================
+
+function hostFromUrl(value) {
+  if (!value) return null;
+  try {
+    return new URL(value).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize an allowlist entry ("https://www.example.com/contact" -> "www.example.com").
+ */
+function normalizeAllowlistEntry(entry) {
+  const raw = String(entry || '')
+    .trim()
+    .toLowerCase();
+  if (!raw) return '';
+  const withoutScheme = raw.replace(/^[a-z]+:\/\//, '');
+  return withoutScheme.split('/')[0].split(':')[0];
+}
+
+/**
+ * The app's own hosts can always load embeds (builder preview).
+ */
+function getAppHosts() {
+  return [process.env.APP_BASE_URL, process.env.CLIENT_APP_URL].map(hostFromUrl).filter(Boolean);
+}
+
+/**
+ * Exact host match, or any subdomain of an entry. "*.example.com" matches subdomains only.
+ */
+function isHostAllowed(host, allowlist = []) {
+  if (!host) return false;
+  return allowlist.map(normalizeAllowlistEntry).some((entry) => {
+    if (!entry) return false;
+    if (entry.startsWith('*.')) return host.endsWith(entry.slice(1));
+    return host === entry || host.endsWith(`.${entry}`);
+  });
+}
+
+/**
+ * Host of the page embedding the form (Origin first, then Referer).
+ */
+function getEmbedHost(req) {
+  return hostFromUrl(req.get('origin')) || hostFromUrl(req.get('referer'));
+}
+
+function tokensMatch(provided, expected) {
+  if (!provided || !expected) return false;
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Load the published form and verify token + domain.
+ * @returns {Promise<{ form?: Object, embedDomain?: string|null, status?: number, message?: string }>}
+ */
+async function verifyEmbedRequest(req, token) {
+  const { formId } = req.params;
+  if (!isUuid(formId)) return { status: 404, message: 'Form not found' };
+
+  const form = await getPublishedForm(formId);
+  if (!form) return { status: 404, message: 'Form not found' };
+  if (!tokensMatch(token, form.embed_token)) return { status: 403, message: 'Invalid embed token' };
+
+  const embedDomain = getEmbedHost(req);
+  const allowlist = Array.isArray(form.settings_json?.domain_allowlist) ? form.settings_json.domain_allowlist : [];
+  if (allowlist.length && !isHostAllowed(embedDomain, [...allowlist, ...getAppHosts()])) {
+    console.warn('[embed:verify] Domain not allowed', { formId, embedDomain });
+    return { status: 403, message: 'This form is not allowed on this domain' };
+  }
+
+  return { form, embedDomain };
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+const PREVIEW_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Form preview</title>
+<style>body{margin:0;padding:24px;font-family:Roboto,Arial,sans-serif;color:#111827;background:#fff}</style>
+</head>
+<body>
+<div data-anchor-form="preview"></div>
+<script src="preview.js"></script>
+</body>
+</html>`;
+
+// Receives { type: 'anchor-form-preview', payload } from the builder (same origin only)
+const PREVIEW_BOOTSTRAP = `
+window.addEventListener('message', function (event) {
+  if (event.origin !== window.location.origin || !event.data || event.data.type !== 'anchor-form-preview') return;
+  anchorFormEmbed({ formId: 'preview', preview: event.data.payload });
+});
+window.parent.postMessage({ type: 'anchor-form-preview-ready' }, window.location.origin);
+`;
+
+/**
+ * GET /embed/preview
+ * Builder preview frame. Renders whatever schema the app posts to it with the embed renderer.
+ */
+router.get('/preview', (req, res) => {
+  res.setHeader(
+    'Content-Security-Policy',
+    "default-src 'none'; script-src 'self'; style-src 'unsafe-inline'; img-src 'self' data: blob:; frame-ancestors 'self'"
+  );
+  res.setHeader('Cache-Control', 'no-store');
+  res.type('html').send(PREVIEW_PAGE);
+});
+
+router.get('/preview.js', async (req, res) => {
+  try {
+    const source = await loadEmbedScript();
+    res.type('application/javascript');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(`${source}\n${PREVIEW_BOOTSTRAP}`);
+  } catch (err) {
+    console.error('[embed:preview]', err);
+    res.status(500).send('console.error("[anchor-forms] Unable to load preview");');
+  }
+});
+
+/**
+ * GET /embed/:formId?token=...
+ * Serve the embed script configured for this form
+ */
+router.get('/:formId', async (req, res) => {
+  res.type('application/javascript');
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  try {
+    const result = await verifyEmbedRequest(req, req.query.token);
+    if (!result.form) {
+      return res.status(result.status).send(`console.error(${JSON.stringify(`[anchor-forms] ${result.message}`)});`);
+    }
+
+    const apiBase = process.env.APP_BASE_URL || `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+    const config = { formId: result.form.id, token: String(req.query.token), apiBase };
+    const source = await loadEmbedScript();
+
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.send(`(function () {\n${source}\nanchorFormEmbed(${JSON.stringify(config)});\n})();\n`);
+  } catch (err) {
+    console.error('[embed:script]', err);
+    res.status(500).send('console.error("[anchor-forms] Unable to load form");');
+  }
+});
+
+/**
+ * GET /embed/:formId/json?token=...
+ * Published schema, scoped CSS and public settings
+ */
+router.get('/:formId/json', async (req, res) => {
+  try {
+    const result = await verifyEmbedRequest(req, req.query.token);
+    if (!result.form) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(toPublicFormPayload(result.form));
+  } catch (err) {
+    console.error('[embed:json]', err);
+    res.status(500).json({ message: 'Unable to load form' });
+  }
+});
+
+/**
+ * POST /embed/:formId/submit
+ * Validate and store a submission. Body: { token, fields, metadata }
+ */
+router.post(
+  '/:formId/submit',
+  createRateLimiter('form_submit_ip', (req) => getClientIp(req)),
+  async (req, res) => {
+    const { token, fields, metadata, resume_token: resumeToken } = req.body || {};
+    try {
+      const result = await verifyEmbedRequest(req, token);
+      if (!result.form) {
+        return res.status(result.status).json({ message: result.message });
+      }
+
+      const { form, embedDomain } = result;
+      // Intake submissions carry PHI and are never stored unencrypted
+      if (form.form_type === 'intake' && !isFormEncryptionConfigured()) {
+        console.error('[embed:submit] Intake submission rejected: form encryption is not configured');
+        return res.status(503).json({ message: 'This form is temporarily unavailable' });
+      }
+
+      const { values, errors } = validateSubmissionFields(form.schema_json, fields);
+      if (Object.keys(errors).length) {
+        return res.status(422).json({ message: 'Please fix the highlighted fields', errors });
+      }
+
+      const ipAddress = getClientIp(req);
+      const userAgent = req.get('user-agent') || null;
+      const referrer = metadata?.referrer || req.get('referer') || null;
+      const submission = await recordSubmission({
+        form,
+        values,
+        attribution: buildAttribution(metadata, { referrer }),
+        ipAddress,
+        userAgent,
+        referrer,
+        embedDomain
+      });
+      await recordAttempt('form_submit_ip', ipAddress);
+      // Email/CTM/PDF run in the job worker; a queueing failure must not fail the stored submission
+      try {
+        await enqueueSubmissionJobs({ form, submissionId: submission.id });
+      } catch (err) {
+        console.error('[embed:submit:enqueue]', submission.id, err);
+      }
+      if (resumeToken) {
+        await completeFormDraft({ formId: form.id, resumeToken, submissionId: submission.id, ipAddress, userAgent });
+      }
+
+      res.status(201).json({
+        submission_id: submission.id,
+        message: form.settings_json?.custom_thank_you_message || 'Thank you for your submission!'
+      });
+    } catch (err) {
+      console.error('[embed:submit]', err);
+      res.status(500).json({ message: 'Unable to submit form' });
+    }
+  }
+);
+
+// ============================================================================
+// Save & Resume
+// ============================================================================
+
+const draftRateLimit = createRateLimiter('form_draft_ip', (req) => getClientIp(req));
+
+/**
+ * Verify the embed request and that the form allows save & resume.
+ * Drafts are always encrypted, so an encryption key is required.
+ */
+async function verifyDraftRequest(req) {
+  const result = await verifyEmbedRequest(req, req.body?.token);
+  if (!result.form) return result;
+  if (!result.form.settings_json?.save_and_resume_enabled) {
+    return { status: 404, message: 'Save and resume is not enabled for this form' };
+  }
+  if (!isFormEncryptionConfigured()) {
+    console.error('[embed:drafts] Save and resume unavailable: form encryption is not configured');
+    return { status: 503, message: 'Save and resume is temporarily unavailable' };
+  }
+  return result;
+}
+
+/**
+ * POST /embed/:formId/drafts
+ * Save progress. Body: { token, fields, email, resume_token?, metadata }
+ * Without a resume_token a new draft is created and the resume link is emailed.
+ */
+router.post('/:formId/drafts', draftRateLimit, async (req, res) => {
+  const { fields, email, metadata, resume_token: resumeToken } = req.body || {};
+  try {
+    const result = await verifyDraftRequest(req);
+    if (!result.form) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const ipAddress = getClientIp(req);
+    const draft = await saveFormDraft({
+      form: result.form,
+      fields,
+      email,
+      resumeToken: resumeToken || null,
+      pageUrl: metadata?.page_url || null,
+      embedDomain: result.embedDomain,
+      ipAddress,
+      userAgent: req.get('user-agent') || null
+    });
+    await recordAttempt('form_draft_ip', ipAddress);
+
+    res.status(draft.created ? 201 : 200).json({
+      resume_token: draft.resumeToken,
+      resume_url: draft.resumeUrl,
+      expires_at: draft.expiresAt,
+      message: draft.created ? 'Your progress has been saved. We emailed you a link to continue later.' : 'Your progress has been saved.'
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[embed:drafts:save]', err);
+    res.status(500).json({ message: 'Unable to save your progress' });
+  }
+});
+
+/**
+ * POST /embed/:formId/drafts/code
+ * Email a one-time code. Body: { token, resume_token } or { token, email }
+ * Email lookups always get the same response so saved addresses can't be probed.
+ */
+router.post('/:formId/drafts/code', draftRateLimit, async (req, res) => {
+  const { email, resume_token: resumeToken } = req.body || {};
+  if (!resumeToken && !email) {
+    return res.status(400).json({ message: 'resume_token or email is required' });
+  }
+  try {
+    const result = await verifyDraftRequest(req);
+    if (!result.form) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const ipAddress = getClientIp(req);
+    await recordAttempt('form_draft_ip', ipAddress);
+    const sent = await requestDraftCode({
+      form: result.form,
+      resumeToken: resumeToken || null,
+      email: resumeToken ? null : email,
+      ipAddress,
+      userAgent: req.get('user-agent') || null
+    });
+
+    if (resumeToken && !sent.sent) {
+      return res.status(410).json({ message: 'This saved form has expired. Please start again.' });
+    }
+    res.json({
+      message: resumeToken
+        ? `We sent a verification code to ${sent.email}.`
+        : 'If we found a saved form for that email, we sent it a verification code.'
+    });
+  } catch (err) {
+    // Cooldown details would reveal that an email has a draft
+    if (err.status === 429 && !resumeToken) {
+      return res.json({ message: 'If we found a saved form for that email, we sent it a verification code.' });
+    }
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[embed:drafts:code]', err);
+    res.status(500).json({ message: 'Unable to send a verification code' });
+  }
+});
+
+/**
+ * POST /embed/:formId/drafts/verify
+ * Check the code and return the saved values with a fresh resume token.
+ * Body: { token, code, resume_token } or { token, code, email }
+ */
+router.post('/:formId/drafts/verify', draftRateLimit, async (req, res) => {
+  const { email, code, resume_token: resumeToken } = req.body || {};
+  if ((!resumeToken && !email) || !code) {
+    return res.status(400).json({ message: 'code and resume_token or email are required' });
+  }
+  const ipAddress = getClientIp(req);
+  try {
+    const result = await verifyDraftRequest(req);
+    if (!result.form) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const draft = await verifyDraftCode({
+      form: result.form,
+      resumeToken: resumeToken || null,
+      email: resumeToken ? null : email,
+      code,
+      ipAddress,
+      userAgent: req.get('user-agent') || null
+    });
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      resume_token: draft.resumeToken,
+      fields: draft.values,
+      email: draft.email,
+      expires_at: draft.expiresAt,
+      version_changed: draft.versionChanged
+    });
+  } catch (err) {
+    if (err.status) {
+      if (err.status === 401) await recordAttempt('form_draft_ip', ipAddress);
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('[embed:drafts:verify]', err);
+    res.status(500).json({ message: 'Unable to verify the code' });
+  }
+});
+
+export default router;
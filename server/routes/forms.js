@@ -0,0 +1,762 @@
+/**
+ * Forms API Routes
+ *
+ * Endpoints for the forms platform including:
+ * - Form CRUD per client (org_id)
+ * - Draft versions (schema_json, react_code, css_code), including drafts generated from a paper PDF
+ * - Publishing a version and archiving a form
+ * - Submissions inbox (filters, non-PHI CSV export) for staff and the owning client
+ * - Submission viewing (PHI decrypted for admins, every view audited), timeline, job retries and resends
+ * - Submission PDFs (checksum re-verified on every download)
+ * - Audit trail (form_audit_logs)
+ */
+
+import express from 'express';
+import multer from 'multer';
+import { requireAuth } from '../middleware/auth.js';
+import { isAdminOrEditor } from '../middleware/roles.js';
+import { getClientIp } from '../middleware/rateLimit.js';
+import {
+  FORM_TYPES,
+  FORM_STATUSES,
+  logFormAudit,
+  listForms,
+  getFormById,
+  getFormWithVersions,
+  createForm,
+  updateForm,
+  archiveForm,
+  restoreForm,
+  rotateEmbedToken,
+  listFormVersions,
+  getFormVersion,
+  saveDraftVersion,
+  publishFormVersion,
+  getFormAuditTrail,
+  getSubmissionAuditTrail
+} from '../services/forms.js';
+import {
+  getSubmissionForForm,
+  decryptSubmissionPhi,
+  toSubmissionResponse,
+  listFormSubmissions,
+  exportFormSubmissionsCsv,
+  validateFormSchema
+} from '../services/formSubmissions.js';
+import {
+  listSubmissionJobs,
+  retryFormJob,
+  resendSubmissionJob,
+  getJobTypesForSubmission,
+  RESENDABLE_JOB_TYPES
+} from '../services/formJobs.js';
+import { generateSubmissionPdf, listSubmissionPdfs, readSubmissionPdf } from '../services/formPdf.js';
+import { importFormFromPdf, PDF_IMPORT_MAX_BYTES } from '../services/formPdfImport.js';
+import { isUuid } from '../utils/uuid.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Ids are uuid columns; anything else is a 404 here rather than a Postgres cast error
+const PARAM_NOT_FOUND = {
+  id: 'Form not found',
+  versionId: 'Version not found',
+  submissionId: 'Submission not found',
+  jobId: 'Job not found',
+  pdfId: 'PDF not found'
+};
+Object.entries(PARAM_NOT_FOUND).forEach(([name, message]) => {
+  router.param(name, (req, res, next, value) => (isUuid(value) ? next() : res.status(404).json({ message })));
+});
+
+const STAFF_ROLES = ['superadmin', 'admin', 'team'];
+
+const uploadSourcePdf = multer({ storage: multer.memoryStorage(), limits: { fileSize: PDF_IMPORT_MAX_BYTES, files: 1 } });
+
+function isStaffRequest(req) {
+  return STAFF_ROLES.includes(req.user?.effective_role);
+}
+
+function auditContext(req) {
+  return {
+    actorId: req.user?.id || null,
+    ipAddress: getClientIp(req),
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+/**
+ * Staff can see every form; clients only see forms for their own org.
+ */
+function canViewForm(req, form) {
+  if (isStaffRequest(req)) return true;
+  return Boolean(form.org_id) && form.org_id === (req.portalUserId || req.user.id);
+}
+
+function submissionFilters(req) {
+  return {
+    kind: req.query.kind,
+    dateFrom: req.query.date_from,
+    dateTo: req.query.date_to,
+    emailStatus: req.query.email_status,
+    ctmStatus: req.query.ctm_status,
+    embedDomain: req.query.embed_domain
+  };
+}
+
+// ============================================================================
+// Forms CRUD
+// ============================================================================
+
+/**
+ * GET /forms
+ * List forms. Staff may filter by org_id; clients are scoped to their own org.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = FORM_STATUSES.includes(req.query.status) ? req.query.status : null;
+    // Staff viewing the portal as a client see that client's forms
+    const orgId = isStaffRequest(req) && !req.actingClient ? req.query.org_id || null : req.portalUserId || req.user.id;
+    const forms = await listForms({ orgId, status });
+    res.json({ forms });
+  } catch (err) {
+    console.error('[forms:list]', err);
+    res.status(500).json({ message: 'Unable to load forms' });
+  }
+});
+
+/**
+ * POST /forms
+ * Create a form for a client
+ */
+router.post('/', isAdminOrEditor, async (req, res) => {
+  const { name, description, form_type: formType, org_id: orgId, settings } = req.body || {};
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ message: 'Form name is required' });
+  }
+  if (!FORM_TYPES.includes(formType)) {
+    return res.status(400).json({ message: `form_type must be one of: ${FORM_TYPES.join(', ')}` });
+  }
+
+  try {
+    const form = await createForm({
+      orgId: orgId || null,
+      name: String(name).trim(),
+      description: description || null,
+      formType,
+      settings
+    });
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'form.created',
+      entityType: 'form',
+      entityId: form.id,
+      metadata: { name: form.name, form_type: form.form_type, org_id: form.org_id }
+    });
+    res.status(201).json({ form });
+  } catch (err) {
+    console.error('[forms:create]', err);
+    res.status(500).json({ message: 'Unable to create form' });
+  }
+});
+
+/**
+ * GET /forms/:id
+ * Form details including the active and draft versions
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const form = await getFormWithVersions(req.params.id);
+    if (!form || !canViewForm(req, form)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    res.json({ form });
+  } catch (err) {
+    console.error('[forms:get]', err);
+    res.status(500).json({ message: 'Unable to load form' });
+  }
+});
+
+/**
+ * PUT /forms/:id
+ * Update name, description, org assignment or settings
+ */
+router.put('/:id', isAdminOrEditor, async (req, res) => {
+  const { name, description, org_id: orgId, settings } = req.body || {};
+  if (name !== undefined && !String(name).trim()) {
+    return res.status(400).json({ message: 'Form name cannot be empty' });
+  }
+
+  try {
+    const form = await updateForm(req.params.id, {
+      name: name !== undefined ? String(name).trim() : undefined,
+      description,
+      orgId,
+      settings
+    });
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const changed = Object.keys(req.body || {}).filter((key) => ['name', 'description', 'org_id', 'settings'].includes(key));
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'form.updated',
+      entityType: 'form',
+      entityId: form.id,
+      metadata: { changed }
+    });
+    res.json({ form });
+  } catch (err) {
+    console.error('[forms:update]', err);
+    res.status(500).json({ message: 'Unable to update form' });
+  }
+});
+
+/**
+ * POST /forms/:id/archive
+ * Archive a form (embeds stop accepting submissions)
+ */
+router.post('/:id/archive', isAdminOrEditor, async (req, res) => {
+  try {
+    const form = await archiveForm(req.params.id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    await logFormAudit({ ...auditContext(req), action: 'form.archived', entityType: 'form', entityId: form.id });
+    res.json({ form });
+  } catch (err) {
+    console.error('[forms:archive]', err);
+    res.status(500).json({ message: 'Unable to archive form' });
+  }
+});
+
+/**
+ * POST /forms/:id/restore
+ * Restore an archived form
+ */
+router.post('/:id/restore', isAdminOrEditor, async (req, res) => {
+  try {
+    const form = await restoreForm(req.params.id);
+    if (!form) {
+      return res.status(404).json({ message: 'Archived form not found' });
+    }
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'form.restored',
+      entityType: 'form',
+      entityId: form.id,
+      metadata: { status: form.status }
+    });
+    res.json({ form });
+  } catch (err) {
+    console.error('[forms:restore]', err);
+    res.status(500).json({ message: 'Unable to restore form' });
+  }
+});
+
+/**
+ * POST /forms/:id/embed-token
+ * Rotate the embed token (existing embed snippets stop working)
+ */
+router.post('/:id/embed-token', isAdminOrEditor, async (req, res) => {
+  try {
+    const form = await rotateEmbedToken(req.params.id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    await logFormAudit({ ...auditContext(req), action: 'form.embed_token_rotated', entityType: 'form', entityId: form.id });
+    res.json({ form });
+  } catch (err) {
+    console.error('[forms:embed-token]', err);
+    res.status(500).json({ message: 'Unable to rotate embed token' });
+  }
+});
+
+// ============================================================================
+// Versions
+// ============================================================================
+
+/**
+ * GET /forms/:id/versions
+ * Version history (newest first)
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form || !canViewForm(req, form)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const versions = await listFormVersions(form.id);
+    res.json({ versions });
+  } catch (err) {
+    console.error('[forms:versions:list]', err);
+    res.status(500).json({ message: 'Unable to load form versions' });
+  }
+});
+
+/**
+ * GET /forms/:id/versions/:versionId
+ * Full version including code and schema
+ */
+router.get('/:id/versions/:versionId', async (req, res) => {
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form || !canViewForm(req, form)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const version = await getFormVersion(form.id, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    res.json({ version });
+  } catch (err) {
+    console.error('[forms:versions:get]', err);
+    res.status(500).json({ message: 'Unable to load form version' });
+  }
+});
+
+/**
+ * POST /forms/:id/versions
+ * Save the draft version. Updates the open draft or starts a new one from the active version.
+ */
+router.post('/:id/versions', isAdminOrEditor, async (req, res) => {
+  const { schema_json: schemaJson, react_code: reactCode, css_code: cssCode } = req.body || {};
+  if (schemaJson !== undefined && (typeof schemaJson !== 'object' || Array.isArray(schemaJson) || schemaJson === null)) {
+    return res.status(400).json({ message: 'schema_json must be an object' });
+  }
+  const schemaProblems = schemaJson !== undefined ? validateFormSchema(schemaJson) : [];
+  if (schemaProblems.length) {
+    return res.status(400).json({ message: schemaProblems[0], errors: schemaProblems });
+  }
+
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    if (form.status === 'archived') {
+      return res.status(400).json({ message: 'Restore the form before editing it' });
+    }
+    const { version, created } = await saveDraftVersion(form.id, { schemaJson, reactCode, cssCode, createdBy: req.user.id });
+    await logFormAudit({
+      ...auditContext(req),
+      action: created ? 'version.created' : 'version.updated',
+      entityType: 'version',
+      entityId: version.id,
+      metadata: { form_id: form.id, version_number: version.version_number, field_count: version.schema_json?.fields?.length || 0 }
+    });
+    res.status(created ? 201 : 200).json({ version });
+  } catch (err) {
+    console.error('[forms:versions:save]', err);
+    res.status(500).json({ message: 'Unable to save form version' });
+  }
+});
+
+/**
+ * POST /forms/:id/versions/import-pdf
+ * Generate a new draft version from a paper intake PDF (multipart field "file", optional "instructions")
+ * via Document AI. The source PDF is kept privately and referenced by ai_source_pdf_path.
+ */
+router.post('/:id/versions/import-pdf', isAdminOrEditor, uploadSourcePdf.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'file is required' });
+  }
+
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    if (form.status === 'archived') {
+      return res.status(400).json({ message: 'Restore the form before editing it' });
+    }
+    const result = await importFormFromPdf({
+      form,
+      pdfBuffer: req.file.buffer,
+      instructions: req.body?.instructions,
+      createdBy: req.user.id
+    });
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'version.ai_generated',
+      entityType: 'version',
+      entityId: result.version.id,
+      metadata: {
+        form_id: form.id,
+        version_number: result.version.version_number,
+        source_file_name: req.file.originalname || null,
+        source_pdf_path: result.sourcePath,
+        field_count: result.fieldCount,
+        section_count: result.sectionCount,
+        page_count: result.pageCount
+      }
+    });
+    res.status(201).json({
+      version: result.version,
+      field_count: result.fieldCount,
+      section_count: result.sectionCount,
+      page_count: result.pageCount
+    });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('[forms:versions:import-pdf]', err);
+    res.status(500).json({ message: 'Unable to generate a form from this PDF' });
+  }
+});
+
+/**
+ * POST /forms/:id/versions/:versionId/publish
+ * Publish a version and make it the form's active version
+ */
+router.post('/:id/versions/:versionId/publish', isAdminOrEditor, async (req, res) => {
+  try {
+    const existing = await getFormById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    if (existing.status === 'archived') {
+      return res.status(400).json({ message: 'Restore the form before publishing' });
+    }
+    const result = await publishFormVersion(existing.id, req.params.versionId);
+    if (!result) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'version.published',
+      entityType: 'version',
+      entityId: result.version.id,
+      metadata: {
+        form_id: existing.id,
+        version_number: result.version.version_number,
+        previous_version_id: existing.active_version_id
+      }
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('[forms:versions:publish]', err);
+    res.status(500).json({ message: 'Unable to publish form version' });
+  }
+});
+
+// ============================================================================
+// Submissions
+// ============================================================================
+
+/**
+ * GET /forms/:id/submissions
+ * Submissions inbox (non-PHI values only). Filters: kind, date_from, date_to (YYYY-MM-DD),
+ * email_status / ctm_status (sent | failed | pending), embed_domain. Paginated with page/limit.
+ */
+router.get('/:id/submissions', async (req, res) => {
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form || !canViewForm(req, form)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const result = await listFormSubmissions(form.id, submissionFilters(req), { page: req.query.page, limit: req.query.limit });
+    res.json({
+      submissions: result.submissions,
+      fields: result.fields,
+      embed_domains: result.embedDomains,
+      pagination: result.pagination
+    });
+  } catch (err) {
+    console.error('[forms:submissions:list]', err);
+    res.status(500).json({ message: 'Unable to load submissions' });
+  }
+});
+
+/**
+ * GET /forms/:id/submissions/export
+ * CSV of the filtered submissions. Only non-PHI values are included; the export is audited.
+ */
+router.get('/:id/submissions/export', async (req, res) => {
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form || !canViewForm(req, form)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const filters = submissionFilters(req);
+    const { csv, count } = await exportFormSubmissionsCsv(form.id, filters);
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'submissions.exported',
+      entityType: 'form',
+      entityId: form.id,
+      metadata: { count, filters }
+    });
+
+    const slug =
+      String(form.name || 'form')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'form';
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-submissions-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(csv);
+  } catch (err) {
+    console.error('[forms:submissions:export]', err);
+    res.status(500).json({ message: 'Unable to export submissions' });
+  }
+});
+
+/**
+ * GET /forms/:id/submissions/:submissionId
+ * View a submission. Intake PHI is decrypted and the view is written to form_audit_logs.
+ */
+router.get('/:id/submissions/:submissionId', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    let phi = null;
+    let phiError = null;
+    try {
+      phi = decryptSubmissionPhi(submission);
+    } catch (err) {
+      console.error('[forms:submissions:decrypt]', submission.id, err.message);
+      phiError = 'Unable to decrypt protected fields';
+    }
+
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'submission.viewed',
+      entityType: 'submission',
+      entityId: submission.id,
+      metadata: {
+        form_id: submission.form_id,
+        phi_decrypted: Boolean(phi),
+        encryption_key_id: submission.encryption_key_id || null,
+        decrypt_failed: Boolean(phiError)
+      }
+    });
+
+    res.json({ submission: { ...toSubmissionResponse(submission, { phi }), phi_error: phiError } });
+  } catch (err) {
+    console.error('[forms:submissions:get]', err);
+    res.status(500).json({ message: 'Unable to load submission' });
+  }
+});
+
+/**
+ * GET /forms/:id/submissions/:submissionId/jobs
+ * Side-effect jobs (email, CTM, PDF) for a submission with their retry state
+ */
+router.get('/:id/submissions/:submissionId/jobs', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const jobs = await listSubmissionJobs(submission.id);
+    res.json({ jobs });
+  } catch (err) {
+    console.error('[forms:submissions:jobs]', err);
+    res.status(500).json({ message: 'Unable to load submission jobs' });
+  }
+});
+
+/**
+ * POST /forms/:id/submissions/:submissionId/jobs/:jobId/retry
+ * Requeue a failed or dead-lettered job
+ */
+router.post('/:id/submissions/:submissionId/jobs/:jobId/retry', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const job = await retryFormJob(submission.id, req.params.jobId);
+    if (!job) {
+      return res.status(400).json({ message: 'Only failed jobs can be retried' });
+    }
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'submission.job_retried',
+      entityType: 'submission',
+      entityId: submission.id,
+      metadata: { form_id: submission.form_id, job_id: job.id, job_type: job.job_type }
+    });
+    res.json({ job });
+  } catch (err) {
+    console.error('[forms:submissions:jobs:retry]', err);
+    res.status(500).json({ message: 'Unable to retry job' });
+  }
+});
+
+/**
+ * POST /forms/:id/submissions/:submissionId/resend
+ * Send the notification email or the CTM lead again ({ job_type: 'email_notification' | 'ctm_conversion' })
+ */
+router.post('/:id/submissions/:submissionId/resend', isAdminOrEditor, async (req, res) => {
+  const jobType = req.body?.job_type;
+  if (!RESENDABLE_JOB_TYPES.includes(jobType)) {
+    return res.status(400).json({ message: `job_type must be one of: ${RESENDABLE_JOB_TYPES.join(', ')}` });
+  }
+
+  try {
+    const form = await getFormById(req.params.id);
+    const submission = form ? await getSubmissionForForm(form.id, req.params.submissionId) : null;
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    if (!getJobTypesForSubmission(form).includes(jobType)) {
+      return res.status(400).json({
+        message: jobType === 'ctm_conversion' ? 'CTM is not enabled for this form' : 'Email notifications are not enabled for this form'
+      });
+    }
+    const job = await resendSubmissionJob(submission.id, jobType);
+    if (!job) {
+      return res.status(409).json({ message: 'This job is running right now. Try again in a minute.' });
+    }
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'submission.job_resent',
+      entityType: 'submission',
+      entityId: submission.id,
+      metadata: { form_id: submission.form_id, job_id: job.id, job_type: job.job_type }
+    });
+    res.json({ job });
+  } catch (err) {
+    console.error('[forms:submissions:resend]', err);
+    res.status(500).json({ message: 'Unable to resend' });
+  }
+});
+
+/**
+ * GET /forms/:id/submissions/:submissionId/timeline
+ * Audit entries for the submission (oldest first) with its jobs
+ */
+router.get('/:id/submissions/:submissionId/timeline', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const [entries, jobs] = await Promise.all([getSubmissionAuditTrail(submission.id), listSubmissionJobs(submission.id)]);
+    res.json({ entries, jobs });
+  } catch (err) {
+    console.error('[forms:submissions:timeline]', err);
+    res.status(500).json({ message: 'Unable to load submission timeline' });
+  }
+});
+
+// ============================================================================
+// Submission PDFs
+// ============================================================================
+
+/**
+ * GET /forms/:id/submissions/:submissionId/pdfs
+ * Stored PDF copies of a submission
+ */
+router.get('/:id/submissions/:submissionId/pdfs', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const pdfs = await listSubmissionPdfs(submission.id);
+    res.json({ pdfs });
+  } catch (err) {
+    console.error('[forms:pdfs:list]', err);
+    res.status(500).json({ message: 'Unable to load PDFs' });
+  }
+});
+
+/**
+ * POST /forms/:id/submissions/:submissionId/pdfs
+ * Generate a new PDF copy of a submission
+ */
+router.post('/:id/submissions/:submissionId/pdfs', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const { actorId, ipAddress, userAgent } = auditContext(req);
+    const pdf = await generateSubmissionPdf({ submissionId: submission.id, generatedBy: actorId, ipAddress, userAgent });
+    res.status(201).json({ pdf });
+  } catch (err) {
+    console.error('[forms:pdfs:generate]', err);
+    res.status(500).json({ message: 'Unable to generate PDF' });
+  }
+});
+
+/**
+ * GET /forms/:id/submissions/:submissionId/pdfs/:pdfId/download
+ * Download a PDF. The stored checksum is re-verified first; a mismatch is refused and audited.
+ */
+router.get('/:id/submissions/:submissionId/pdfs/:pdfId/download', isAdminOrEditor, async (req, res) => {
+  try {
+    const submission = await getSubmissionForForm(req.params.id, req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+    const result = await readSubmissionPdf(submission.id, req.params.pdfId);
+    if (!result) {
+      return res.status(404).json({ message: 'PDF not found' });
+    }
+
+    const { artifact, buffer, verified, actualChecksum } = result;
+    if (!verified) {
+      await logFormAudit({
+        ...auditContext(req),
+        action: 'pdf.integrity_failed',
+        entityType: 'pdf',
+        entityId: artifact.id,
+        metadata: { form_id: submission.form_id, submission_id: submission.id, expected: artifact.checksum, actual: actualChecksum }
+      });
+      return res.status(409).json({ message: buffer ? 'PDF failed its integrity check' : 'PDF file is missing or unreadable' });
+    }
+
+    await logFormAudit({
+      ...auditContext(req),
+      action: 'pdf.downloaded',
+      entityType: 'pdf',
+      entityId: artifact.id,
+      metadata: { form_id: submission.form_id, submission_id: submission.id, checksum: artifact.checksum }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.file_name}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Checksum-SHA256', artifact.checksum);
+    res.send(buffer);
+  } catch (err) {
+    console.error('[forms:pdfs:download]', err);
+    res.status(500).json({ message: 'Unable to download PDF' });
+  }
+});
+
+// ============================================================================
+// Audit
+// ============================================================================
+
+/**
+ * GET /forms/:id/audit
+ * Audit trail for the form, its versions and submissions
+ */
+router.get('/:id/audit', isAdminOrEditor, async (req, res) => {
+  try {
+    const form = await getFormById(req.params.id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+    const entries = await getFormAuditTrail(form.id, { limit: req.query.limit });
+    res.json({ entries });
+  } catch (err) {
+    console.error('[forms:audit]', err);
+    res.status(500).json({ message: 'Unable to load audit trail' });
+  }
+});
+
+export default router;
@@ -34,9 +34,52 @@ import {
   getCategoryFromRating,
   fetchPhoneInteractionSources,
   enrichCallerType,
+  saveCallLog,
   normalizePhoneNumber,
-  getClientJourneys
+  getClientJourneys,
+  LEAD_CATEGORIES
 } from '../services/ctm.js';
+import { listCtmSyncRuns, listCtmSyncStatus, syncClientCalls } from '../services/ctmSync.js';
+import { applyEvalPrompt, createEvalRun, getClassifierOverview, getEvalRun, listEvalRuns } from '../services/classifierEval.js';
+import { dismissDuplicateCluster, findDuplicateClusters, listLeadMerges, mergeLeads, undoLeadMerge } from '../services/leadIdentity.js';
+import { deletePipelineStage, getFunnelReport, getStageHistory, setLeadStage } from '../services/leadPipeline.js';
+import { getSlaReport, getSlaSettings, listSlaAssignees, listSlaTasks, openCallbackTasks, updateSlaSettings } from '../services/leadSla.js';
+import { searchLeads } from '../services/leadSearch.js';
+import { getJourneyPerformanceReport } from '../services/journeyAnalytics.js';
+import { getRevenueReport } from '../services/revenueReport.js';
+import {
+  getRetentionPolicies,
+  listRetentionAudit,
+  previewRetention,
+  runRetentionPolicies,
+  updateRetentionPolicies
+} from '../services/dataRetention.js';
+import {
+  createJourneyTemplate,
+  deleteJourneyTemplate,
+  evaluateJourneyBranches,
+  getDefaultTemplateSteps,
+  listJourneyTemplates,
+  saveDefaultTemplateSteps,
+  seedJourneySteps,
+  updateJourneyTemplate
+} from '../services/journeyTemplates.js';
+import { exportAttributionCsv, getAttributionReport, listMarketingSpend, setMarketingSpend } from '../services/leadAttribution.js';
+import {
+  captureOfflineConversion,
+  createOfflineConversionExport,
+  getOfflineConversionExportFile,
+  getOfflineConversionSettings,
+  listOfflineConversionExports,
+  listOfflineConversions,
+  updateOfflineConversionSettings
+} from '../services/offlineConversions.js';
+import {
+  getJourneyAutomationSettings,
+  JOURNEY_MERGE_VARIABLES,
+  sendJourneyStepNow,
+  updateJourneyAutomationSettings
+} from '../services/journeyAutomation.js';
 import { generateAiResponse } from '../services/ai.js';
 import { generateImagenImage } from '../services/imagen.js';
 import {
@@ -135,67 +178,9 @@ function resolveBaseUrl(req) {
   return 'http://localhost:3000';
 }
 const ONBOARDING_TOKEN_TTL_HOURS = parseInt(process.env.ONBOARDING_TOKEN_TTL_HOURS || '72', 10);
-const JOURNEY_TEMPLATE_KEY_PREFIX = 'journey_template';
 const JOURNEY_STATUS_OPTIONS = ['pending', 'in_progress', 'active_client', 'won', 'lost', 'archived'];
 const CLIENT_PACKAGE_OPTIONS = ['Essentials', 'Growth', 'Accelerate', 'Custom'];
 
-const DEFAULT_JOURNEY_TEMPLATE = [
-  {
-    id: 'week-0-first-touch',
-    label: 'Initial Outreach (Same Day)',
-    channel: 'call,text,email',
-    offset_weeks: 0,
-    message:
-      'Introduce yourself, confirm what they’re looking for, and propose next steps. Aim to schedule a short discovery call or request the key details needed to qualify.',
-    tone: 'friendly'
-  },
-  {
-    id: 'week-1-qualify',
-    label: 'Week 1 Follow-Up (Qualify + Confirm Fit)',
-    channel: 'call,text,email',
-    offset_weeks: 1,
-    message:
-      'Confirm timeline, budget (if relevant), decision makers, and primary goals. Share a quick summary of how you can help and the easiest next action to move forward.',
-    tone: 'professional'
-  },
-  {
-    id: 'week-2-value',
-    label: 'Week 2 Follow-Up (Share Value + Proof)',
-    channel: 'email,text,call',
-    offset_weeks: 2,
-    message:
-      'Share a relevant example/case study, a short checklist, or a quick win recommendation. Ask a single clear question to keep momentum and propose a meeting time.',
-    tone: 'helpful'
-  },
-  {
-    id: 'week-4-proposal',
-    label: 'Week 4 Follow-Up (Proposal / Next Steps)',
-    channel: 'email,call',
-    offset_weeks: 4,
-    message:
-      'Offer a straightforward plan: scope, timeline, and what you need from them to start. If they’re not ready, ask when to follow up and what’s blocking progress.',
-    tone: 'direct'
-  },
-  {
-    id: 'week-6-nurture',
-    label: 'Week 6 Follow-Up (Nurture)',
-    channel: 'email,text',
-    offset_weeks: 6,
-    message:
-      'Send a light touch: a helpful resource, an update, or a reminder. Keep the message short and easy to reply to (yes/no or a single option).',
-    tone: 'low_pressure'
-  },
-  {
-    id: 'week-8-close-loop',
-    label: 'Week 8 Close the Loop',
-    channel: 'email,call',
-    offset_weeks: 8,
-    message:
-      'Close the loop respectfully. Ask if they want to: (1) move forward, (2) pause until a specific date, or (3) close out for now. Make it easy for them to choose.',
-    tone: 'open'
-  }
-];
-
 function sanitizeSymptomList(values) {
   if (!Array.isArray(values)) return [];
   const seen = new Set();
@@ -210,71 +195,6 @@ function sanitizeSymptomList(values) {
     });
 }
 
-function sanitizeJourneySteps(rawSteps = []) {
-  if (!Array.isArray(rawSteps)) return [];
-  return rawSteps
-    .map((step, index) => {
-      const label = String(step?.label || '').trim();
-      if (!label) return null;
-      const offsetWeeksRaw = Number(step?.offset_weeks);
-      const offsetWeeks = Number.isFinite(offsetWeeksRaw) ? offsetWeeksRaw : 0;
-      const channel = String(step?.channel || '').trim();
-      const message = String(step?.message || '').trim();
-      return {
-        id: step?.id || `journey-step-${index + 1}`,
-        label,
-        channel,
-        message,
-        offset_weeks: offsetWeeks,
-        tone: step?.tone ? String(step.tone) : undefined
-      };
-    })
-    .filter(Boolean);
-}
-
-async function getJourneyTemplate(ownerId) {
-  const key = `${JOURNEY_TEMPLATE_KEY_PREFIX}:${ownerId}`;
-  const { rows } = await query('SELECT value FROM app_settings WHERE key=$1', [key]);
-  const raw = rows[0]?.value;
-  if (Array.isArray(raw)) {
-    return sanitizeJourneySteps(raw);
-  }
-  if (raw && Array.isArray(raw.steps)) {
-    return sanitizeJourneySteps(raw.steps);
-  }
-  return DEFAULT_JOURNEY_TEMPLATE;
-}
-
-async function saveJourneyTemplate(ownerId, steps) {
-  const key = `${JOURNEY_TEMPLATE_KEY_PREFIX}:${ownerId}`;
-  const nextSteps = sanitizeJourneySteps(steps);
-  await query(
-    `INSERT INTO app_settings (key, value, updated_at)
-     VALUES ($1, $2, NOW())
-     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
-    [key, { steps: nextSteps }]
-  );
-  return nextSteps;
-}
-
-async function seedJourneySteps(journeyId, ownerId) {
-  await ensureJourneyTables();
-  const templateSteps = await getJourneyTemplate(ownerId);
-  if (!templateSteps.length) return;
-  const now = Date.now();
-  await Promise.all(
-    templateSteps.map((step, index) => {
-      const offsetWeeks = Number.isFinite(step.offset_weeks) ? step.offset_weeks : 0;
-      const dueAt = offsetWeeks ? new Date(now + offsetWeeks * 7 * 24 * 60 * 60 * 1000) : null;
-      return query(
-        `INSERT INTO client_journey_steps (journey_id, position, label, channel, message, offset_weeks, due_at)
-         VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-        [journeyId, index, step.label, step.channel || null, step.message || null, offsetWeeks, dueAt]
-      );
-    })
-  );
-}
-
 async function fetchJourneysForOwner(ownerId, filters = {}) {
   await ensureJourneyTables();
   const params = [ownerId];
@@ -301,9 +221,11 @@ async function fetchJourneysForOwner(ownerId, filters = {}) {
   const sql = `SELECT cj.*, 
                       s.name as service_name, 
                       s.description as service_description,
-                      pj.client_name as parent_journey_name
+                      pj.client_name as parent_journey_name,
+                      jt.name as template_name
                FROM client_journeys cj
                LEFT JOIN services s ON cj.service_id = s.id
+               LEFT JOIN journey_templates jt ON cj.template_id = jt.id
                LEFT JOIN client_journeys pj ON cj.parent_journey_id = pj.id
                ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
                ORDER BY cj.created_at DESC`;
@@ -313,7 +235,8 @@ async function fetchJourneysForOwner(ownerId, filters = {}) {
   }
   const journeyIds = rows.map((row) => row.id);
   const stepsRes = await query(
-    `SELECT id, journey_id, position, label, channel, message, offset_weeks, due_at, completed_at, notes, created_at
+    `SELECT id, journey_id, position, label, channel, message, offset_weeks, due_at, completed_at, notes, created_at,
+            send_status, sent_via, send_error, step_key, branches, skipped_at, branch_taken
      FROM client_journey_steps
      WHERE journey_id = ANY($1::uuid[])
      ORDER BY position ASC, created_at ASC`,
@@ -346,7 +269,14 @@ async function fetchJourneysForOwner(ownerId, filters = {}) {
       offset_weeks: step.offset_weeks,
       due_at: step.due_at,
       completed_at: step.completed_at,
-      notes: step.notes
+      notes: step.notes,
+      send_status: step.send_status,
+      sent_via: step.sent_via || [],
+      send_error: step.send_error,
+      step_key: step.step_key,
+      branches: step.branches || [],
+      skipped_at: step.skipped_at,
+      branch_taken: step.branch_taken
     });
   });
   const noteMap = new Map();
@@ -2767,26 +2697,21 @@ router.get('/requests', async (req, res) => {
   }
 });
 
-// GET /calls - Returns cached calls immediately. Use ?sync=true or POST /calls/sync to fetch from CTM.
-router.get('/calls', async (req, res) => {
-  const targetUserId = req.portalUserId || req.user.id;
-  const shouldSync = req.query.sync === 'true';
-
-  // Search, filter, and pagination params
-  const search = req.query.search?.trim() || '';
-  const callerType = req.query.caller_type || '';
-  const category = req.query.category || '';
-  const dateFrom = req.query.date_from || '';
-  const dateTo = req.query.date_to || '';
-  const sortBy = req.query.sort_by || 'started_at';
-  const sortOrder = req.query.sort_order === 'asc' ? 'ASC' : 'DESC';
-  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
-  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
-  const offset = (page - 1) * limit;
-
-  // Build dynamic query with filters
-  const conditions = ['(owner_user_id = $1 OR user_id = $1)'];
-  const params = [targetUserId];
+/**
+ * WHERE conditions for lead lists from the Leads tab filters (also stored in saved views).
+ * Merged duplicates live on under their surviving lead and are always excluded.
+ * type (activity_type) and source (meta.source_key) are only sent by the pipeline board;
+ * the list applies those two client-side.
+ */
+function buildCallFilters(ownerId, filters = {}) {
+  const search = filters.search?.trim() || '';
+  const callerType = filters.caller_type || '';
+  const category = filters.category || '';
+  const dateFrom = filters.date_from || '';
+  const dateTo = filters.date_to || '';
+
+  const conditions = ['(owner_user_id = $1 OR user_id = $1)', 'merged_into_call_id IS NULL'];
+  const params = [ownerId];
   let paramIndex = 2;
 
   if (search) {
@@ -2824,6 +2749,42 @@ router.get('/calls', async (req, res) => {
     paramIndex++;
   }
 
+  if (filters.type) {
+    conditions.push(`COALESCE(meta->>'activity_type', 'call') = $${paramIndex}`);
+    params.push(filters.type);
+    paramIndex++;
+  }
+
+  if (filters.source) {
+    conditions.push(`LOWER(COALESCE(meta->>'source_key', 'unknown')) = $${paramIndex}`);
+    params.push(String(filters.source).toLowerCase());
+    paramIndex++;
+  }
+
+  return { conditions, params };
+}
+
+// GET /calls - Returns cached calls immediately. Use ?sync=true or POST /calls/sync to fetch from CTM.
+router.get('/calls', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const shouldSync = req.query.sync === 'true';
+
+  // Search, filter, and pagination params
+  const sortBy = req.query.sort_by || 'started_at';
+  const sortOrder = req.query.sort_order === 'asc' ? 'ASC' : 'DESC';
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const offset = (page - 1) * limit;
+
+  const { conditions, params } = buildCallFilters(targetUserId, {
+    search: req.query.search,
+    caller_type: req.query.caller_type,
+    category: req.query.category,
+    date_from: req.query.date_from,
+    date_to: req.query.date_to
+  });
+  const paramIndex = params.length + 1;
+
   // Allowed sort columns to prevent SQL injection
   const allowedSortColumns = ['started_at', 'score', 'duration_sec', 'from_number'];
   const safeSort = allowedSortColumns.includes(sortBy) ? sortBy : 'started_at';
@@ -2881,10 +2842,15 @@ router.get('/calls', async (req, res) => {
   try {
     logEvent('calls:sync', 'Syncing calls from CTM', { userId: targetUserId, cursor: profile.ctm_sync_cursor });
 
+    // The page above hides merged duplicates; pass them too so the sync leaves them alone
+    const merged = await query(
+      'SELECT call_id, merged_into_call_id FROM call_logs WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NOT NULL',
+      [targetUserId]
+    );
     const { results: freshCalls, syncMeta } = await pullCallsFromCtm({
       credentials,
       prompt: profile.ai_prompt || DEFAULT_AI_PROMPT,
-      existingRows: cachedRows,
+      existingRows: [...cachedRows, ...merged.rows],
       autoStarEnabled: profile.auto_star_enabled || false,
       syncRatings: true,
       sinceTimestamp: profile.ctm_sync_cursor || null
@@ -2892,44 +2858,7 @@ router.get('/calls', async (req, res) => {
 
     if (freshCalls.length) {
       // Save new/updated calls to database with caller enrichment
-      await Promise.all(
-        freshCalls.map(async ({ call, meta }) => {
-          const startedAt = call.started_at ? new Date(call.started_at) : null;
-
-          // Enrich caller type
-          const enrichment = await enrichCallerType(query, targetUserId, call.caller_number, call.id);
-
-          return query(
-            `INSERT INTO call_logs (owner_user_id, user_id, call_id, direction, from_number, to_number, started_at, duration_sec, score, meta, caller_type, active_client_id, call_sequence)
-             VALUES ($1,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-             ON CONFLICT (call_id) DO UPDATE SET
-               direction=EXCLUDED.direction,
-               from_number=EXCLUDED.from_number,
-               to_number=EXCLUDED.to_number,
-               started_at=EXCLUDED.started_at,
-               duration_sec=EXCLUDED.duration_sec,
-               score=EXCLUDED.score,
-               meta=EXCLUDED.meta,
-               caller_type=EXCLUDED.caller_type,
-               active_client_id=EXCLUDED.active_client_id,
-               call_sequence=EXCLUDED.call_sequence`,
-            [
-              targetUserId,
-              call.id,
-              call.direction || null,
-              call.caller_number || null,
-              call.to_number || null,
-              startedAt,
-              call.duration_sec || null,
-              call.score || 0,
-              JSON.stringify({ ...meta, ...enrichment }),
-              enrichment.callerType || 'new',
-              enrichment.activeClientId || null,
-              enrichment.callSequence || 1
-            ]
-          );
-        })
-      );
+      await Promise.all(freshCalls.map(({ call, meta }) => saveCallLog(query, targetUserId, { call, meta })));
 
       // Update sync cursor
       if (syncMeta.latestTimestamp) {
@@ -2968,6 +2897,11 @@ router.get('/calls', async (req, res) => {
           )
         );
       }
+
+      // Open SLA callback tasks for missed calls and voicemails
+      if (freshCalls.some((item) => item.needsCallback)) {
+        await openCallbackTasks(targetUserId).catch((err) => console.error('[calls:sync:sla]', err));
+      }
     }
 
     // Return refreshed data from database (re-run with same filters/pagination)
@@ -3047,42 +2981,8 @@ router.post('/calls/sync', async (req, res) => {
     if (freshCalls.length) {
       await Promise.all(
         freshCalls.map(async ({ call, meta, isRatingUpdate }) => {
-          const startedAt = call.started_at ? new Date(call.started_at) : null;
-
-          // Enrich caller type
-          const enrichment = await enrichCallerType(query, targetUserId, call.caller_number, call.id);
-
-          const result = await query(
-            `INSERT INTO call_logs (owner_user_id, user_id, call_id, direction, from_number, to_number, started_at, duration_sec, score, meta, caller_type, active_client_id, call_sequence)
-             VALUES ($1,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-             ON CONFLICT (call_id) DO UPDATE SET
-               direction=EXCLUDED.direction,
-               from_number=EXCLUDED.from_number,
-               to_number=EXCLUDED.to_number,
-               started_at=EXCLUDED.started_at,
-               duration_sec=EXCLUDED.duration_sec,
-               score=EXCLUDED.score,
-               meta=EXCLUDED.meta,
-               caller_type=EXCLUDED.caller_type,
-               active_client_id=EXCLUDED.active_client_id,
-               call_sequence=EXCLUDED.call_sequence
-             RETURNING (xmax = 0) AS inserted`,
-            [
-              targetUserId,
-              call.id,
-              call.direction || null,
-              call.caller_number || null,
-              call.to_number || null,
-              startedAt,
-              call.duration_sec || null,
-              call.score || 0,
-              JSON.stringify({ ...meta, ...enrichment }),
-              enrichment.callerType || 'new',
-              enrichment.activeClientId || null,
-              enrichment.callSequence || 1
-            ]
-          );
-          if (result.rows[0]?.inserted) newCount++;
+          const result = await saveCallLog(query, targetUserId, { call, meta });
+          if (result.inserted) newCount++;
           else updatedCount++;
         })
       );
@@ -3105,12 +3005,18 @@ router.post('/calls/sync', async (req, res) => {
           })
         );
       }
+
+      // Open SLA callback tasks for missed calls and voicemails
+      if (freshCalls.some((item) => item.needsCallback)) {
+        await openCallbackTasks(targetUserId).catch((err) => console.error('[calls:sync:sla]', err));
+      }
     }
 
     // Return updated data
-    const refreshed = await query('SELECT * FROM call_logs WHERE owner_user_id=$1 OR user_id=$1 ORDER BY started_at DESC NULLS LAST', [
-      targetUserId
-    ]);
+    const refreshed = await query(
+      'SELECT * FROM call_logs WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL ORDER BY started_at DESC NULLS LAST',
+      [targetUserId]
+    );
     let shaped = buildCallsFromCache(refreshed.rows);
     shaped = await attachJourneyMetaToCalls(targetUserId, shaped);
 
@@ -3183,42 +3089,8 @@ router.post('/calls/full-sync', async (req, res) => {
     if (freshCalls.length) {
       await Promise.all(
         freshCalls.map(async ({ call, meta }) => {
-          const startedAt = call.started_at ? new Date(call.started_at) : null;
-
-          // Enrich caller type
-          const enrichment = await enrichCallerType(query, targetUserId, call.caller_number, call.id);
-
-          const result = await query(
-            `INSERT INTO call_logs (owner_user_id, user_id, call_id, direction, from_number, to_number, started_at, duration_sec, score, meta, caller_type, active_client_id, call_sequence)
-             VALUES ($1,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-             ON CONFLICT (call_id) DO UPDATE SET
-               direction=EXCLUDED.direction,
-               from_number=EXCLUDED.from_number,
-               to_number=EXCLUDED.to_number,
-               started_at=EXCLUDED.started_at,
-               duration_sec=EXCLUDED.duration_sec,
-               score=EXCLUDED.score,
-               meta=EXCLUDED.meta,
-               caller_type=EXCLUDED.caller_type,
-               active_client_id=EXCLUDED.active_client_id,
-               call_sequence=EXCLUDED.call_sequence
-             RETURNING (xmax = 0) AS inserted`,
-            [
-              targetUserId,
-              call.id,
-              call.direction || null,
-              call.caller_number || null,
-              call.to_number || null,
-              startedAt,
-              call.duration_sec || null,
-              call.score || 0,
-              JSON.stringify({ ...meta, ...enrichment }),
-              enrichment.callerType || 'new',
-              enrichment.activeClientId || null,
-              enrichment.callSequence || 1
-            ]
-          );
-          if (result.rows[0]?.inserted) newCount++;
+          const result = await saveCallLog(query, targetUserId, { call, meta });
+          if (result.inserted) newCount++;
           else updatedCount++;
         })
       );
@@ -3254,6 +3126,111 @@ router.post('/calls/full-sync', async (req, res) => {
   }
 });
 
+// =====================
+// SCHEDULED CTM SYNC (admin)
+// =====================
+
+// GET /admin/ctm-sync - Background sync status per CTM-connected client
+router.get('/admin/ctm-sync', isAdminOrEditor, async (_req, res) => {
+  try {
+    const clients = await listCtmSyncStatus();
+    res.json({ clients });
+  } catch (err) {
+    console.error('[ctm-sync:status]', err);
+    res.status(500).json({ message: 'Unable to load CTM sync status' });
+  }
+});
+
+// GET /admin/ctm-sync/:clientId/runs - Recent sync runs for one client
+router.get('/admin/ctm-sync/:clientId/runs', isAdminOrEditor, async (req, res) => {
+  try {
+    const runs = await listCtmSyncRuns(req.params.clientId, { limit: req.query.limit });
+    res.json({ runs });
+  } catch (err) {
+    console.error('[ctm-sync:runs]', err);
+    res.status(500).json({ message: 'Unable to load sync history' });
+  }
+});
+
+// POST /admin/ctm-sync/:clientId/run - Sync one client now (ignores backoff, recorded as a manual run)
+router.post('/admin/ctm-sync/:clientId/run', isAdminOrEditor, async (req, res) => {
+  try {
+    const run = await syncClientCalls(req.params.clientId, { trigger: 'manual' });
+    res.json({ run });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[ctm-sync:run]', err);
+    res.status(500).json({ message: 'Unable to run CTM sync' });
+  }
+});
+
+// =====================
+// AI CLASSIFIER SANDBOX (admin)
+// =====================
+
+// GET /admin/classifier/clients/:clientId - Current prompt and how many stored/labelled calls a run can use
+router.get('/admin/classifier/clients/:clientId', isAdminOrEditor, async (req, res) => {
+  try {
+    const overview = await getClassifierOverview(req.params.clientId);
+    if (!overview) return res.status(404).json({ message: 'Client not found' });
+    res.json(overview);
+  } catch (err) {
+    console.error('[classifier:overview]', err);
+    res.status(500).json({ message: 'Unable to load classifier settings' });
+  }
+});
+
+// GET /admin/classifier/evals?client_id= - Past sandbox runs for a client
+router.get('/admin/classifier/evals', isAdminOrEditor, async (req, res) => {
+  const clientId = req.query.client_id;
+  if (!clientId) return res.status(400).json({ message: 'client_id is required' });
+  try {
+    const runs = await listEvalRuns(clientId, { limit: req.query.limit });
+    res.json({ runs });
+  } catch (err) {
+    console.error('[classifier:evals]', err);
+    res.status(500).json({ message: 'Unable to load evaluation runs' });
+  }
+});
+
+// POST /admin/classifier/evals - Replay stored transcripts against a draft prompt (runs in the background)
+router.post('/admin/classifier/evals', isAdminOrEditor, async (req, res) => {
+  const { client_id: clientId, prompt, sample, call_ids: callIds, limit } = req.body || {};
+  if (!clientId) return res.status(400).json({ message: 'client_id is required' });
+  try {
+    const run = await createEvalRun({ clientId, prompt, sample, callIds, limit, userId: req.user.id });
+    res.status(202).json({ run });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[classifier:eval-create]', err);
+    res.status(500).json({ message: 'Unable to start evaluation' });
+  }
+});
+
+// GET /admin/classifier/evals/:id - Run progress, metrics and per-call diffs
+router.get('/admin/classifier/evals/:id', isAdminOrEditor, async (req, res) => {
+  try {
+    const run = await getEvalRun(req.params.id);
+    if (!run) return res.status(404).json({ message: 'Evaluation run not found' });
+    res.json({ run });
+  } catch (err) {
+    console.error('[classifier:eval]', err);
+    res.status(500).json({ message: 'Unable to load evaluation run' });
+  }
+});
+
+// POST /admin/classifier/evals/:id/apply - Make a completed run's prompt the client's ai_prompt
+router.post('/admin/classifier/evals/:id/apply', isAdminOrEditor, async (req, res) => {
+  try {
+    const run = await applyEvalPrompt(req.params.id, req.user.id);
+    res.json({ message: 'Prompt applied', run });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[classifier:apply]', err);
+    res.status(500).json({ message: 'Unable to apply prompt' });
+  }
+});
+
 router.post('/calls/:id/score', async (req, res) => {
   const score = Number(req.body.score);
   const targetUserId = req.portalUserId || req.user.id;
@@ -3620,6 +3597,21 @@ router.get('/calls/:id/detail', async (req, res) => {
       callHistory = historyRes.rows;
     }
 
+    // Leads merged into this one (matched by email or name, not only phone)
+    const mergedRes = await query(
+      `SELECT call_id, started_at, duration_sec, score, caller_type,
+              meta->>'category' as category,
+              meta->>'classification_summary' as summary
+       FROM call_logs
+       WHERE merged_into_call_id = $1 AND (owner_user_id=$2 OR user_id=$2)
+       ORDER BY started_at DESC`,
+      [callId, targetUserId]
+    );
+    const historyIds = new Set(callHistory.map((item) => item.call_id));
+    callHistory = [...callHistory, ...mergedRes.rows.filter((item) => !historyIds.has(item.call_id))];
+
+    const stageHistory = await getStageHistory(targetUserId, callId);
+
     // Get associated journey if any
     let journey = null;
     const journeyRes = await query(
@@ -3655,6 +3647,8 @@ router.get('/calls/:id/detail', async (req, res) => {
     res.json({
       lead: call,
       callHistory,
+      mergedCallIds: mergedRes.rows.map((item) => item.call_id),
+      stageHistory,
       journey,
       activeClient
     });
@@ -3675,7 +3669,7 @@ router.get('/calls/stats', async (req, res) => {
     // Total leads in period
     const totalRes = await query(
       `SELECT COUNT(*) as total FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= $2`,
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= $2`,
       [targetUserId, startDate]
     );
 
@@ -3683,7 +3677,7 @@ router.get('/calls/stats', async (req, res) => {
     const categoryRes = await query(
       `SELECT meta->>'category' as category, COUNT(*) as count
        FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= $2
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= $2
        GROUP BY meta->>'category'
        ORDER BY count DESC`,
       [targetUserId, startDate]
@@ -3693,7 +3687,7 @@ router.get('/calls/stats', async (req, res) => {
     const callerTypeRes = await query(
       `SELECT caller_type, COUNT(*) as count
        FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= $2
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= $2
        GROUP BY caller_type`,
       [targetUserId, startDate]
     );
@@ -3702,7 +3696,7 @@ router.get('/calls/stats', async (req, res) => {
     const sourceRes = await query(
       `SELECT meta->>'source' as source, COUNT(*) as count
        FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= $2
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= $2
        GROUP BY meta->>'source'
        ORDER BY count DESC
        LIMIT 10`,
@@ -3712,7 +3706,7 @@ router.get('/calls/stats', async (req, res) => {
     // Conversion rate (leads with active_client_id / total)
     const convertedRes = await query(
       `SELECT COUNT(*) as converted FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= $2 AND active_client_id IS NOT NULL`,
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= $2 AND active_client_id IS NOT NULL`,
       [targetUserId, startDate]
     );
 
@@ -3720,7 +3714,7 @@ router.get('/calls/stats', async (req, res) => {
     const volumeRes = await query(
       `SELECT DATE(started_at) as date, COUNT(*) as count
        FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= NOW() - INTERVAL '14 days'
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= NOW() - INTERVAL '14 days'
        GROUP BY DATE(started_at)
        ORDER BY date ASC`,
       [targetUserId]
@@ -3730,14 +3724,14 @@ router.get('/calls/stats', async (req, res) => {
     const ratingRes = await query(
       `SELECT AVG(score) as avg_rating, COUNT(*) as rated_count
        FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) AND started_at >= $2 AND score > 0`,
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL AND started_at >= $2 AND score > 0`,
       [targetUserId, startDate]
     );
 
     // Needs attention count
     const attentionRes = await query(
       `SELECT COUNT(*) as count FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1) 
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL 
          AND started_at >= $2 
          AND meta->>'category' = 'needs_attention'`,
       [targetUserId, startDate]
@@ -3799,7 +3793,7 @@ router.get('/calls/export', async (req, res) => {
         meta->>'classification_summary' as summary,
         meta->>'region' as region
        FROM call_logs 
-       WHERE (owner_user_id=$1 OR user_id=$1)
+       WHERE (owner_user_id=$1 OR user_id=$1) AND merged_into_call_id IS NULL
        ORDER BY started_at DESC`,
       [targetUserId]
     );
@@ -3856,88 +3850,252 @@ router.get('/calls/export', async (req, res) => {
 });
 
 // =====================
-// PIPELINE STAGES
+// MARKETING ATTRIBUTION
 // =====================
 
-// GET /pipeline-stages - List all pipeline stages
-router.get('/pipeline-stages', async (req, res) => {
+// GET /calls/attribution - Leads, qualified leads, conversions, revenue and cost per lead by channel
+// Query: from, to (ISO dates). Both first_touch and last_touch models are returned.
+router.get('/calls/attribution', async (req, res) => {
   const targetUserId = req.portalUserId || req.user.id;
-  try {
-    const result = await query('SELECT * FROM lead_pipeline_stages WHERE owner_user_id = $1 ORDER BY position ASC', [targetUserId]);
-
-    // If no stages exist, create default ones
-    if (result.rows.length === 0) {
-      const defaultStages = [
-        { name: 'New Lead', color: '#6366f1', position: 0 },
-        { name: 'Contacted', color: '#3b82f6', position: 1 },
-        { name: 'Qualified', color: '#10b981', position: 2 },
-        { name: 'Proposal Sent', color: '#f59e0b', position: 3 },
-        { name: 'Won', color: '#22c55e', position: 4, is_won_stage: true },
-        { name: 'Lost', color: '#ef4444', position: 5, is_lost_stage: true }
-      ];
-
-      for (const stage of defaultStages) {
-        await query(
-          `INSERT INTO lead_pipeline_stages (owner_user_id, name, color, position, is_won_stage, is_lost_stage)
-           VALUES ($1, $2, $3, $4, $5, $6)`,
-          [targetUserId, stage.name, stage.color, stage.position, stage.is_won_stage || false, stage.is_lost_stage || false]
-        );
-      }
-
-      const newResult = await query('SELECT * FROM lead_pipeline_stages WHERE owner_user_id = $1 ORDER BY position ASC', [targetUserId]);
-      return res.json({ stages: newResult.rows });
-    }
+  const { from, to } = req.query;
 
-    res.json({ stages: result.rows });
+  try {
+    const report = await getAttributionReport(targetUserId, { from, to });
+    res.json({ report });
   } catch (err) {
-    console.error('[pipeline-stages:list]', err);
-    res.status(500).json({ message: 'Failed to fetch pipeline stages' });
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[calls:attribution]', err);
+    res.status(500).json({ message: 'Failed to build attribution report' });
   }
 });
 
-// POST /pipeline-stages - Create a new pipeline stage
-router.post('/pipeline-stages', async (req, res) => {
+// GET /calls/attribution/export - Attribution report as CSV
+// Query: from, to, model (first_touch | last_touch), group (channel | campaign)
+router.get('/calls/attribution/export', async (req, res) => {
   const targetUserId = req.portalUserId || req.user.id;
-  const { name, color, position, is_won_stage, is_lost_stage } = req.body;
-
-  if (!name?.trim()) {
-    return res.status(400).json({ message: 'Stage name is required' });
-  }
+  const { from, to, model = 'first_touch', group = 'channel' } = req.query;
 
   try {
-    // Get max position if not provided
-    let pos = position;
-    if (pos === undefined || pos === null) {
-      const maxRes = await query('SELECT COALESCE(MAX(position), -1) + 1 as next_pos FROM lead_pipeline_stages WHERE owner_user_id = $1', [
-        targetUserId
-      ]);
-      pos = maxRes.rows[0]?.next_pos || 0;
-    }
-
-    const result = await query(
-      `INSERT INTO lead_pipeline_stages (owner_user_id, name, color, position, is_won_stage, is_lost_stage)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
-      [targetUserId, name.trim(), color || '#6366f1', pos, is_won_stage || false, is_lost_stage || false]
+    const { csv } = await exportAttributionCsv(targetUserId, { from, to, model, group });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="attribution-${model.replace(/_/g, '-')}-${new Date().toISOString().slice(0, 10)}.csv"`
     );
-
-    res.json({ stage: result.rows[0] });
+    res.send(csv);
   } catch (err) {
-    console.error('[pipeline-stages:create]', err);
-    res.status(500).json({ message: 'Failed to create pipeline stage' });
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[calls:attribution:export]', err);
+    res.status(500).json({ message: 'Failed to export attribution report' });
   }
 });
 
-// PUT /pipeline-stages/:id - Update a pipeline stage
-router.put('/pipeline-stages/:id', async (req, res) => {
+// GET /calls/attribution/spend - Monthly ad spend per channel
+// Query: from, to (YYYY-MM, inclusive)
+router.get('/calls/attribution/spend', async (req, res) => {
   const targetUserId = req.portalUserId || req.user.id;
-  const { id } = req.params;
-  const { name, color, position, is_won_stage, is_lost_stage } = req.body;
+  const { from, to } = req.query;
 
   try {
-    const fields = [];
-    const params = [];
-    let paramIndex = 1;
+    const spend = await listMarketingSpend(targetUserId, { from, to });
+    res.json({ spend });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[calls:attribution:spend]', err);
+    res.status(500).json({ message: 'Failed to load marketing spend' });
+  }
+});
+
+// PUT /calls/attribution/spend - Set spend for one channel and month
+// Body: channel, month (YYYY-MM), amount (null removes the entry)
+router.put('/calls/attribution/spend', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const entry = await setMarketingSpend(targetUserId, req.body || {}, req.user.id);
+    res.json({ entry });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[calls:attribution:spend:update]', err);
+    res.status(500).json({ message: 'Failed to save marketing spend' });
+  }
+});
+
+// =====================
+// OFFLINE CONVERSIONS
+// =====================
+
+// GET /offline-conversions/settings - Scheduled export settings (defaults when never saved)
+router.get('/offline-conversions/settings', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const settings = await getOfflineConversionSettings(targetUserId);
+    res.json({ settings });
+  } catch (err) {
+    console.error('[offline-conversions:settings]', err);
+    res.status(500).json({ message: 'Failed to load offline conversion settings' });
+  }
+});
+
+// PUT /offline-conversions/settings - Update export settings
+// Body: enabled, google_conversion_name, meta_event_name, currency (any subset)
+router.put('/offline-conversions/settings', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const settings = await updateOfflineConversionSettings(targetUserId, req.body || {}, req.user.id);
+    res.json({ settings });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[offline-conversions:settings:update]', err);
+    res.status(500).json({ message: 'Failed to save offline conversion settings' });
+  }
+});
+
+// GET /offline-conversions - Captured conversions with their export status
+// Query: limit (default 50, max 200)
+router.get('/offline-conversions', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const conversions = await listOfflineConversions(targetUserId, { limit: req.query.limit });
+    res.json({ conversions });
+  } catch (err) {
+    console.error('[offline-conversions:list]', err);
+    res.status(500).json({ message: 'Failed to load offline conversions' });
+  }
+});
+
+// GET /offline-conversions/exports - Export log, newest first
+// Query: limit (default 50, max 200)
+router.get('/offline-conversions/exports', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const exports = await listOfflineConversionExports(targetUserId, { limit: req.query.limit });
+    res.json({ exports });
+  } catch (err) {
+    console.error('[offline-conversions:exports]', err);
+    res.status(500).json({ message: 'Failed to load offline conversion exports' });
+  }
+});
+
+// POST /offline-conversions/exports - Export pending conversions now
+// Body: destination (google_ads | meta). Returns export: null when nothing is pending.
+router.post('/offline-conversions/exports', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { destination } = req.body || {};
+
+  try {
+    const created = await createOfflineConversionExport(targetUserId, destination, { trigger: 'manual', userId: req.user.id });
+    res.json({ export: created, message: created ? `Exported ${created.row_count} conversions` : 'No pending conversions to export' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[offline-conversions:exports:create]', err);
+    res.status(500).json({ message: 'Failed to export offline conversions' });
+  }
+});
+
+// GET /offline-conversions/exports/:id/download - Download an export file (CSV or JSON)
+router.get('/offline-conversions/exports/:id/download', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const file = await getOfflineConversionExportFile(targetUserId, req.params.id);
+    res.setHeader('Content-Type', file.content_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.file_name}"`);
+    res.send(file.content);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[offline-conversions:exports:download]', err);
+    res.status(500).json({ message: 'Failed to download offline conversion export' });
+  }
+});
+
+// =====================
+// PIPELINE STAGES
+// =====================
+
+// GET /pipeline-stages - List all pipeline stages
+router.get('/pipeline-stages', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  try {
+    const result = await query('SELECT * FROM lead_pipeline_stages WHERE owner_user_id = $1 ORDER BY position ASC', [targetUserId]);
+
+    // If no stages exist, create default ones
+    if (result.rows.length === 0) {
+      const defaultStages = [
+        { name: 'New Lead', color: '#6366f1', position: 0 },
+        { name: 'Contacted', color: '#3b82f6', position: 1 },
+        { name: 'Qualified', color: '#10b981', position: 2 },
+        { name: 'Proposal Sent', color: '#f59e0b', position: 3 },
+        { name: 'Won', color: '#22c55e', position: 4, is_won_stage: true },
+        { name: 'Lost', color: '#ef4444', position: 5, is_lost_stage: true }
+      ];
+
+      for (const stage of defaultStages) {
+        await query(
+          `INSERT INTO lead_pipeline_stages (owner_user_id, name, color, position, is_won_stage, is_lost_stage)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [targetUserId, stage.name, stage.color, stage.position, stage.is_won_stage || false, stage.is_lost_stage || false]
+        );
+      }
+
+      const newResult = await query('SELECT * FROM lead_pipeline_stages WHERE owner_user_id = $1 ORDER BY position ASC', [targetUserId]);
+      return res.json({ stages: newResult.rows });
+    }
+
+    res.json({ stages: result.rows });
+  } catch (err) {
+    console.error('[pipeline-stages:list]', err);
+    res.status(500).json({ message: 'Failed to fetch pipeline stages' });
+  }
+});
+
+// POST /pipeline-stages - Create a new pipeline stage
+router.post('/pipeline-stages', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { name, color, position, is_won_stage, is_lost_stage } = req.body;
+
+  if (!name?.trim()) {
+    return res.status(400).json({ message: 'Stage name is required' });
+  }
+
+  try {
+    // Get max position if not provided
+    let pos = position;
+    if (pos === undefined || pos === null) {
+      const maxRes = await query('SELECT COALESCE(MAX(position), -1) + 1 as next_pos FROM lead_pipeline_stages WHERE owner_user_id = $1', [
+        targetUserId
+      ]);
+      pos = maxRes.rows[0]?.next_pos || 0;
+    }
+
+    const result = await query(
+      `INSERT INTO lead_pipeline_stages (owner_user_id, name, color, position, is_won_stage, is_lost_stage)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [targetUserId, name.trim(), color || '#6366f1', pos, is_won_stage || false, is_lost_stage || false]
+    );
+
+    res.json({ stage: result.rows[0] });
+  } catch (err) {
+    console.error('[pipeline-stages:create]', err);
+    res.status(500).json({ message: 'Failed to create pipeline stage' });
+  }
+});
+
+// PUT /pipeline-stages/:id - Update a pipeline stage
+router.put('/pipeline-stages/:id', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { id } = req.params;
+  const { name, color, position, is_won_stage, is_lost_stage } = req.body;
+
+  try {
+    const fields = [];
+    const params = [];
+    let paramIndex = 1;
 
     if (name !== undefined) {
       fields.push(`name = $${paramIndex++}`);
@@ -3991,12 +4149,10 @@ router.delete('/pipeline-stages/:id', async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Clear stage from any calls using it
-    await query('UPDATE call_logs SET pipeline_stage_id = NULL WHERE pipeline_stage_id = $1', [id]);
+    // Leads in the stage are cleared (and the change recorded in their stage history)
+    const deleted = await deletePipelineStage(targetUserId, id, req.user.id);
 
-    const result = await query('DELETE FROM lead_pipeline_stages WHERE id = $1 AND owner_user_id = $2 RETURNING id', [id, targetUserId]);
-
-    if (!result.rows.length) {
+    if (!deleted) {
       return res.status(404).json({ message: 'Pipeline stage not found' });
     }
 
@@ -4014,32 +4170,192 @@ router.put('/calls/:id/stage', async (req, res) => {
   const { stage_id } = req.body;
 
   try {
-    // Verify stage belongs to user if provided
-    if (stage_id) {
-      const stageRes = await query('SELECT id FROM lead_pipeline_stages WHERE id = $1 AND owner_user_id = $2', [stage_id, targetUserId]);
-      if (!stageRes.rows.length) {
-        return res.status(404).json({ message: 'Pipeline stage not found' });
-      }
+    // Records the transition in lead_stage_transitions
+    const result = await setLeadStage(targetUserId, callId, stage_id, { userId: req.user.id });
+    if (result.is_won_stage) {
+      await captureOfflineConversion(targetUserId, callId, { trigger: 'won_stage' }).catch((err) =>
+        console.error('[calls:stage:conversion]', err)
+      );
     }
-
-    const result = await query(
-      `UPDATE call_logs SET pipeline_stage_id = $1 
-       WHERE call_id = $2 AND (owner_user_id = $3 OR user_id = $3)
-       RETURNING call_id`,
-      [stage_id || null, callId, targetUserId]
+    // Won / lost stages can fire journey template branches right away
+    await evaluateJourneyBranches({ ownerId: targetUserId, leadCallKey: callId }).catch((err) =>
+      console.error('[calls:stage:journey-branches]', err)
     );
 
-    if (!result.rows.length) {
-      return res.status(404).json({ message: 'Lead not found' });
-    }
-
-    res.json({ message: 'Lead moved to stage', callId, stageId: stage_id });
+    res.json({ message: 'Lead moved to stage', callId, stageId: result.stage_id, previousStageId: result.previous_stage_id });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
     console.error('[calls:stage]', err);
     res.status(500).json({ message: 'Failed to update lead stage' });
   }
 });
 
+// GET /leads/funnel - Conversion funnel over stage history
+// Query: from, to (ISO dates on call start), source (meta.source)
+router.get('/leads/funnel', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { from, to, source } = req.query;
+
+  try {
+    const report = await getFunnelReport(targetUserId, { from, to, source });
+    res.json({ report });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:funnel]', err);
+    res.status(500).json({ message: 'Failed to build funnel report' });
+  }
+});
+
+// GET /leads/board - Kanban board: one column per pipeline stage plus "No stage"
+// Query: the Leads tab filters (search, caller_type, category, date_from, date_to, type, source), per_column
+// Columns carry the full count and the agreed_price total of linked active clients; cards are the newest per_column leads.
+router.get('/leads/board', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const perColumn = Math.min(200, Math.max(1, parseInt(req.query.per_column, 10) || 50));
+  const { conditions, params } = buildCallFilters(targetUserId, req.query);
+  const perColumnParam = `$${params.length + 1}`;
+  const filteredCte = `filtered AS (SELECT * FROM call_logs WHERE ${conditions.join(' AND ')})`;
+  const clientValueCte = `client_values AS (
+    SELECT active_client_id, SUM(agreed_price)::float AS value FROM client_services GROUP BY active_client_id
+  )`;
+
+  try {
+    const [stagesRes, columnsRes, cardsRes] = await Promise.all([
+      query('SELECT * FROM lead_pipeline_stages WHERE owner_user_id = $1 ORDER BY position ASC', [targetUserId]),
+      // A client linked to several leads in one column is counted once
+      query(
+        `WITH ${filteredCte}, ${clientValueCte}
+         SELECT c.pipeline_stage_id AS stage_id, c.count, COALESCE(v.value_total, 0) AS value_total
+         FROM (SELECT pipeline_stage_id, COUNT(*)::int AS count FROM filtered GROUP BY pipeline_stage_id) c
+         LEFT JOIN (
+           SELECT d.pipeline_stage_id, SUM(cv.value) AS value_total
+           FROM (SELECT DISTINCT pipeline_stage_id, active_client_id FROM filtered WHERE active_client_id IS NOT NULL) d
+           JOIN client_values cv ON cv.active_client_id = d.active_client_id
+           GROUP BY d.pipeline_stage_id
+         ) v ON v.pipeline_stage_id IS NOT DISTINCT FROM c.pipeline_stage_id`,
+        params
+      ),
+      query(
+        `WITH ${filteredCte}, ${clientValueCte},
+         ranked AS (
+           SELECT f.*, ROW_NUMBER() OVER (PARTITION BY f.pipeline_stage_id ORDER BY f.started_at DESC NULLS LAST) AS column_rank
+           FROM filtered f
+         )
+         SELECT r.*, cv.value AS client_value,
+                COALESCE(
+                  (SELECT json_agg(json_build_object('id', lt.id, 'name', lt.name, 'color', lt.color) ORDER BY lt.name)
+                   FROM call_log_tags clt JOIN lead_tags lt ON lt.id = clt.tag_id
+                   WHERE clt.call_id = r.call_id),
+                  '[]'::json
+                ) AS tags
+         FROM ranked r
+         LEFT JOIN client_values cv ON cv.active_client_id = r.active_client_id
+         WHERE r.column_rank <= ${perColumnParam}
+         ORDER BY r.started_at DESC NULLS LAST`,
+        [...params, perColumn]
+      )
+    ]);
+
+    const extras = new Map(cardsRes.rows.map((row) => [row.call_id, row]));
+    const cards = buildCallsFromCache(cardsRes.rows).map((call) => {
+      const row = extras.get(call.id);
+      return { ...call, pipeline_stage_id: row.pipeline_stage_id, tags: row.tags, client_value: row.client_value };
+    });
+
+    const columnStats = new Map(columnsRes.rows.map((row) => [row.stage_id, row]));
+    const columns = [null, ...stagesRes.rows.map((stage) => stage.id)].map((stageId) => ({
+      stage_id: stageId,
+      count: columnStats.get(stageId)?.count || 0,
+      value_total: columnStats.get(stageId)?.value_total || 0,
+      leads: cards.filter((card) => (card.pipeline_stage_id || null) === stageId)
+    }));
+
+    res.json({ stages: stagesRes.rows, columns, perColumn });
+  } catch (err) {
+    console.error('[leads:board]', err);
+    res.status(500).json({ message: 'Failed to load pipeline board' });
+  }
+});
+
+// GET /leads/search - Full-text search over transcripts, AI summaries and lead notes
+// Query: q (websearch syntax: words, "phrases", OR, -word), date_from, date_to, category, tag (lead_tags.id), limit, offset
+router.get('/leads/search', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const result = await searchLeads(targetUserId, req.query);
+    res.json(result);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:search]', err);
+    res.status(500).json({ message: 'Search failed' });
+  }
+});
+
+// =====================
+// LEAD SLA (Follow-up timers & callback tasks)
+// =====================
+
+// GET /leads/sla/settings - SLA settings plus the users callback tasks can be assigned to
+router.get('/leads/sla/settings', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const [settings, assignees] = await Promise.all([getSlaSettings(targetUserId), listSlaAssignees(targetUserId)]);
+    res.json({ settings, assignees });
+  } catch (err) {
+    console.error('[leads:sla:settings]', err);
+    res.status(500).json({ message: 'Failed to load SLA settings' });
+  }
+});
+
+// PUT /leads/sla/settings - Update SLA settings
+// Body: enabled, callback_minutes, first_stage_hours (null = off), escalation_minutes, assignee_user_id
+router.put('/leads/sla/settings', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const settings = await updateSlaSettings(targetUserId, req.body || {}, req.user.id);
+    res.json({ settings });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:sla:settings:update]', err);
+    res.status(500).json({ message: 'Failed to save SLA settings' });
+  }
+});
+
+// GET /leads/sla/tasks - Callback/follow-up tasks
+// Query: status (open | completed | all, default open), limit
+router.get('/leads/sla/tasks', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { status = 'open', limit } = req.query;
+
+  try {
+    const tasks = await listSlaTasks(targetUserId, { status, limit });
+    res.json({ tasks });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:sla:tasks]', err);
+    res.status(500).json({ message: 'Failed to load SLA tasks' });
+  }
+});
+
+// GET /leads/sla/report - SLA compliance report
+// Query: from, to (ISO dates on when the SLA clock started)
+router.get('/leads/sla/report', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { from, to } = req.query;
+
+  try {
+    const report = await getSlaReport(targetUserId, { from, to });
+    res.json({ report });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:sla:report]', err);
+    res.status(500).json({ message: 'Failed to build SLA report' });
+  }
+});
+
 // =====================
 // LEAD NOTES (Communication Log)
 // =====================
@@ -4051,7 +4367,8 @@ router.get('/leads/:callId/notes', async (req, res) => {
 
   try {
     const result = await query(
-      `SELECT ln.*, u.first_name, u.last_name, u.email as author_email
+      `SELECT ln.id, ln.owner_user_id, ln.call_id, ln.author_id, ln.note_type, ln.body, ln.metadata, ln.created_at,
+              u.first_name, u.last_name, u.email as author_email
        FROM lead_notes ln
        LEFT JOIN users u ON ln.author_id = u.id
        WHERE ln.owner_user_id = $1 AND ln.call_id = $2
@@ -4096,7 +4413,7 @@ router.post('/leads/:callId/notes', async (req, res) => {
     const result = await query(
       `INSERT INTO lead_notes (owner_user_id, call_id, author_id, note_type, body, metadata)
        VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING *`,
+       RETURNING id, owner_user_id, call_id, author_id, note_type, body, metadata, created_at`,
       [targetUserId, callId, authorId, note_type || 'note', body.trim(), metadata || {}]
     );
 
@@ -4281,31 +4598,34 @@ router.put('/calls/:id/category', async (req, res) => {
   const { id: callId } = req.params;
   const { category } = req.body;
 
-  const validCategories = [
-    'converted',
-    'warm',
-    'very_good',
-    'applicant',
-    'needs_attention',
-    'unanswered',
-    'not_a_fit',
-    'spam',
-    'neutral',
-    'unreviewed'
-  ];
-
-  if (!validCategories.includes(category)) {
+  if (!LEAD_CATEGORIES.includes(category)) {
     return res.status(400).json({ message: 'Invalid category' });
   }
 
   try {
-    await query(
-      `UPDATE call_logs 
-       SET meta = jsonb_set(COALESCE(meta, '{}'::jsonb), '{category}', $1::jsonb)
-       WHERE call_id = $2 AND (owner_user_id = $3 OR user_id = $3)`,
+    const { rows } = await query(
+      `UPDATE call_logs cl
+       SET meta = jsonb_set(COALESCE(cl.meta, '{}'::jsonb), '{category}', $1::jsonb)
+       FROM (SELECT call_id, meta->>'category' AS category FROM call_logs WHERE call_id = $2) prev
+       WHERE cl.call_id = prev.call_id AND (cl.owner_user_id = $3 OR cl.user_id = $3)
+       RETURNING cl.owner_user_id, prev.category AS previous_category`,
       [JSON.stringify(category), callId, targetUserId]
     );
 
+    // Keep the human label separately so classifier evaluations can score against it
+    if (rows[0]) {
+      await query(
+        `INSERT INTO call_category_labels (call_id, owner_user_id, category, previous_category, labeled_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (call_id) DO UPDATE SET
+           category = EXCLUDED.category,
+           previous_category = EXCLUDED.previous_category,
+           labeled_by = EXCLUDED.labeled_by,
+           labeled_at = NOW()`,
+        [callId, rows[0].owner_user_id || targetUserId, category, rows[0].previous_category, req.user.id]
+      );
+    }
+
     res.json({ message: 'Category updated', category });
   } catch (err) {
     console.error('[calls:category]', err);
@@ -4313,6 +4633,86 @@ router.put('/calls/:id/category', async (req, res) => {
   }
 });
 
+// =====================
+// LEAD DEDUPLICATION
+// =====================
+
+// GET /leads/duplicates - Suggested groups of leads that look like the same person
+router.get('/leads/duplicates', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  try {
+    const clusters = await findDuplicateClusters(targetUserId);
+    res.json({ clusters });
+  } catch (err) {
+    console.error('[leads:duplicates]', err);
+    res.status(500).json({ message: 'Failed to find duplicate leads' });
+  }
+});
+
+// POST /leads/duplicates/dismiss - Mark a suggested group as not duplicates
+router.post('/leads/duplicates/dismiss', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  try {
+    await dismissDuplicateCluster(targetUserId, req.body?.key, req.user.id);
+    res.json({ message: 'Suggestion dismissed' });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:duplicates-dismiss]', err);
+    res.status(500).json({ message: 'Failed to dismiss suggestion' });
+  }
+});
+
+// POST /leads/merge - Merge leads into a surviving lead (notes, tags, stage, journeys move over)
+router.post('/leads/merge', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { survivor_call_id: survivorCallId, call_ids: callIds, reasons } = req.body || {};
+
+  if (!Array.isArray(callIds)) {
+    return res.status(400).json({ message: 'call_ids must be an array' });
+  }
+
+  try {
+    const merge = await mergeLeads(targetUserId, {
+      survivorCallId,
+      callIds,
+      reasons: Array.isArray(reasons) ? reasons : [],
+      userId: req.user.id
+    });
+    logEvent('leads:merge', 'Leads merged', { userId: targetUserId, survivorCallId, merged: merge.merged_call_ids });
+    res.json({ message: 'Leads merged', merge });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:merge]', err);
+    res.status(500).json({ message: 'Failed to merge leads' });
+  }
+});
+
+// GET /leads/merges - Merge log
+router.get('/leads/merges', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  try {
+    const merges = await listLeadMerges(targetUserId, { limit: req.query.limit });
+    res.json({ merges });
+  } catch (err) {
+    console.error('[leads:merges]', err);
+    res.status(500).json({ message: 'Failed to load merge history' });
+  }
+});
+
+// POST /leads/merges/:id/undo - Restore the merged leads and move their notes/tags back
+router.post('/leads/merges/:id/undo', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  try {
+    const merge = await undoLeadMerge(targetUserId, req.params.id, req.user.id);
+    logEvent('leads:merge-undo', 'Lead merge undone', { userId: targetUserId, mergeId: merge.id });
+    res.json({ message: 'Merge undone', merge });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[leads:merge-undo]', err);
+    res.status(500).json({ message: 'Failed to undo merge' });
+  }
+});
+
 // =====================
 // SAVED VIEWS
 // =====================
@@ -4544,7 +4944,10 @@ router.delete('/calls', async (req, res) => {
       }
     }
 
-    const refreshed = await query('SELECT * FROM call_logs WHERE user_id=$1 ORDER BY started_at DESC NULLS LAST', [targetUserId]);
+    const refreshed = await query(
+      'SELECT * FROM call_logs WHERE user_id=$1 AND merged_into_call_id IS NULL ORDER BY started_at DESC NULLS LAST',
+      [targetUserId]
+    );
     logEvent('calls:clear-all', 'Calls reloaded', { user: targetUserId, newCount: refreshed.rows.length });
     let shaped = buildCallsFromCache(refreshed.rows);
     shaped = await attachJourneyMetaToCalls(targetUserId, shaped);
@@ -4563,11 +4966,12 @@ router.delete('/calls', async (req, res) => {
 // CLIENT JOURNEYS & SYMPTOMS
 // ================================
 
+// GET /journey-template - Steps of the default template (kept for older clients; see /journey-templates)
 router.get('/journey-template', async (req, res) => {
   const ownerId = req.portalUserId || req.user.id;
   try {
     await ensureJourneyTables();
-    const template = await getJourneyTemplate(ownerId);
+    const template = await getDefaultTemplateSteps(ownerId);
     res.json({ template });
   } catch (err) {
     console.error('[journeys:template:get]', err);
@@ -4575,19 +4979,115 @@ router.get('/journey-template', async (req, res) => {
   }
 });
 
+// PUT /journey-template - Replace the default template's steps (kept for older clients)
 router.put('/journey-template', async (req, res) => {
   const ownerId = req.portalUserId || req.user.id;
   try {
     await ensureJourneyTables();
     const steps = Array.isArray(req.body.steps) ? req.body.steps : [];
-    const template = await saveJourneyTemplate(ownerId, steps);
+    const template = await saveDefaultTemplateSteps(ownerId, steps, req.user.id);
     res.json({ template });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
     console.error('[journeys:template:save]', err);
     res.status(500).json({ message: 'Unable to save journey template' });
   }
 });
 
+// GET /journey-templates - Template library: the default plus one template per service
+router.get('/journey-templates', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    await ensureJourneyTables();
+    const templates = await listJourneyTemplates(ownerId);
+    res.json({ templates });
+  } catch (err) {
+    console.error('[journeys:templates:list]', err);
+    res.status(500).json({ message: 'Unable to load journey templates' });
+  }
+});
+
+// POST /journey-templates - Create a template (name, service_id, is_default, steps with branches)
+router.post('/journey-templates', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    await ensureJourneyTables();
+    const template = await createJourneyTemplate(ownerId, req.body || {}, req.user.id);
+    res.status(201).json({ template });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[journeys:templates:create]', err);
+    res.status(500).json({ message: 'Unable to create journey template' });
+  }
+});
+
+// PUT /journey-templates/:id - Update a template; only provided fields change
+router.put('/journey-templates/:id', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    await ensureJourneyTables();
+    const template = await updateJourneyTemplate(ownerId, req.params.id, req.body || {}, req.user.id);
+    res.json({ template });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[journeys:templates:update]', err);
+    res.status(500).json({ message: 'Unable to save journey template' });
+  }
+});
+
+// DELETE /journey-templates/:id - Delete a template; journeys already seeded from it keep their steps
+router.delete('/journey-templates/:id', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    await deleteJourneyTemplate(ownerId, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[journeys:templates:delete]', err);
+    res.status(500).json({ message: 'Unable to delete journey template' });
+  }
+});
+
+// GET /journey-analytics - Follow-up performance per template (journeys started in the range)
+// Query: from, to (ISO dates on journey start)
+router.get('/journey-analytics', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    await ensureJourneyTables();
+    const report = await getJourneyPerformanceReport(ownerId, { from: req.query.from, to: req.query.to });
+    res.json({ report });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[journeys:analytics]', err);
+    res.status(500).json({ message: 'Unable to load journey analytics' });
+  }
+});
+
+// GET /journey-automation - Automatic sending of due journey steps (defaults when never saved)
+router.get('/journey-automation', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    const settings = await getJourneyAutomationSettings(ownerId);
+    res.json({ settings, merge_variables: JOURNEY_MERGE_VARIABLES });
+  } catch (err) {
+    console.error('[journeys:automation:get]', err);
+    res.status(500).json({ message: 'Unable to load journey automation settings' });
+  }
+});
+
+// PUT /journey-automation - Body: enabled, email_subject (merge variables allowed)
+router.put('/journey-automation', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  try {
+    const settings = await updateJourneyAutomationSettings(ownerId, req.body || {}, req.user.id);
+    res.json({ settings, merge_variables: JOURNEY_MERGE_VARIABLES });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[journeys:automation:save]', err);
+    res.status(500).json({ message: 'Unable to save journey automation settings' });
+  }
+});
+
 router.get('/journeys', async (req, res) => {
   const ownerId = req.portalUserId || req.user.id;
   try {
@@ -4750,7 +5250,7 @@ router.post('/journeys', async (req, res) => {
     await query('COMMIT');
     let journey = await fetchJourneyForOwner(ownerId, resultingId);
     if (newlyCreatedJourneyId) {
-      await seedJourneySteps(newlyCreatedJourneyId, ownerId);
+      await seedJourneySteps(newlyCreatedJourneyId, ownerId, { serviceId: service_id || null });
       journey = await fetchJourneyForOwner(ownerId, resultingId);
     }
     res.json({ journey });
@@ -4803,6 +5303,10 @@ router.put('/journeys/:id', async (req, res) => {
     fields.push(`notes_summary = $${paramIndex++}`);
     params.push(req.body.notes_summary || null);
   }
+  if (req.body.service_id !== undefined) {
+    fields.push(`service_id = $${paramIndex++}`);
+    params.push(req.body.service_id || null);
+  }
 
   if (!fields.length) {
     return res.status(400).json({ message: 'No updates supplied' });
@@ -4810,6 +5314,10 @@ router.put('/journeys/:id', async (req, res) => {
 
   try {
     await ensureJourneyTables();
+    if (req.body.service_id) {
+      const service = await query('SELECT id FROM services WHERE id = $1 AND user_id = $2', [req.body.service_id, ownerId]);
+      if (!service.rows.length) return res.status(400).json({ message: 'Service not found' });
+    }
     params.push(id);
     params.push(ownerId);
     const result = await query(
@@ -4822,6 +5330,9 @@ router.put('/journeys/:id', async (req, res) => {
     if (!result.rows.length) {
       return res.status(404).json({ message: 'Journey not found' });
     }
+    if (req.body.status) {
+      await evaluateJourneyBranches({ ownerId, journeyIds: [id] }).catch((err) => console.error('[journeys:update:branches]', err));
+    }
     const journey = await fetchJourneyForOwner(ownerId, id);
     res.json({ journey });
   } catch (err) {
@@ -4968,6 +5479,12 @@ router.put('/journeys/:id/steps/:stepId', async (req, res) => {
   if (!fields.length) {
     return res.status(400).json({ message: 'No updates supplied' });
   }
+  if (['channel', 'message', 'due_at'].some((field) => req.body[field] !== undefined)) {
+    // An edited step gets a fresh automatic send unless it already went out
+    fields.push(`send_status = CASE WHEN send_status = 'sent' THEN send_status END`);
+    fields.push(`send_error = CASE WHEN send_status = 'sent' THEN send_error END`);
+    fields.push(`send_attempts = CASE WHEN send_status = 'sent' THEN send_attempts ELSE 0 END`);
+  }
   try {
     await ensureJourneyTables();
     params.push(stepId, id);
@@ -5022,6 +5539,22 @@ router.delete('/journeys/:id/steps/:stepId', async (req, res) => {
   }
 });
 
+// POST /journeys/:id/steps/:stepId/send - Send a step's message now (email / text) and complete it
+router.post('/journeys/:id/steps/:stepId/send', async (req, res) => {
+  const ownerId = req.portalUserId || req.user.id;
+  const { id, stepId } = req.params;
+  try {
+    await ensureJourneyTables();
+    await sendJourneyStepNow(ownerId, id, stepId, req.user.id);
+    const journey = await fetchJourneyForOwner(ownerId, id);
+    res.json({ journey });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[journeys:steps:send]', err);
+    res.status(500).json({ message: 'Unable to send step' });
+  }
+});
+
 router.post('/journeys/:id/notes', async (req, res) => {
   const ownerId = req.portalUserId || req.user.id;
   const authorId = req.user.id;
@@ -5059,10 +5592,13 @@ router.post('/journeys/:id/apply-template', async (req, res) => {
     return res.json({ journey });
   }
   try {
-    await seedJourneySteps(id, ownerId);
+    // The journey's service picks the template unless one is named explicitly
+    const { rows } = await query('SELECT service_id FROM client_journeys WHERE id = $1', [id]);
+    await seedJourneySteps(id, ownerId, { serviceId: rows[0]?.service_id, templateId: req.body?.template_id || null });
     const journey = await fetchJourneyForOwner(ownerId, id);
     res.json({ journey });
   } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
     console.error('[journeys:apply-template]', err);
     res.status(500).json({ message: 'Unable to apply template' });
   }
@@ -5413,6 +5949,10 @@ router.post('/clients/:leadId/agree-to-service', async (req, res) => {
          WHERE owner_user_id = $2 AND lead_call_key = $3`,
         [activeClientId, userId, leadId]
       );
+      // Value comes from the agreed prices just saved
+      await captureOfflineConversion(userId, leadId, { trigger: 'agree_to_service', activeClientId }).catch((err) =>
+        console.error('[active-clients:agree:conversion]', err)
+      );
     }
 
     res.json({ success: true, active_client_id: activeClientId });
@@ -5422,42 +5962,129 @@ router.post('/clients/:leadId/agree-to-service', async (req, res) => {
   }
 });
 
-// Redact services older than 90 days (callable by users or cron)
+// Redact this owner's expired services and journey symptoms now, using their retention
+// policies (enabled or not) for the age; delete-action policies are left to /retention/run
 router.post('/active-clients/redact-services', async (req, res) => {
   const userId = req.portalUserId || req.user.id;
   try {
-    // Only redact services for this user's active clients
-    const { rows } = await query(
-      `
-      UPDATE client_services 
-      SET redacted_at = NOW()
-      WHERE redacted_at IS NULL 
-        AND agreed_date < NOW() - INTERVAL '90 days'
-        AND active_client_id IN (
-          SELECT id FROM active_clients WHERE owner_user_id = $1
-        )
-      RETURNING id
-    `,
-      [userId]
-    );
-    const { rowCount: journeyRedacted } = await query(
-      `UPDATE client_journeys
-       SET symptoms = '[]'::jsonb,
-           symptoms_redacted = TRUE,
-           updated_at = NOW()
-       WHERE symptoms_redacted = FALSE
-         AND created_at < NOW() - INTERVAL '90 days'
-         AND owner_user_id = $1`,
-      [userId]
-    );
-    logEvent('active-clients:redact', 'Services redacted', { count: rows.length, userId });
-    res.json({ success: true, services_redacted: rows.length, journeys_redacted: journeyRedacted });
+    const run = await runRetentionPolicies({
+      ownerId: userId,
+      entities: ['services', 'symptoms'],
+      actions: ['redact'],
+      ignoreEnabled: true,
+      triggeredBy: 'manual',
+      actorId: req.user.id
+    });
+    const countFor = (entity) => run.results.filter((result) => result.entity === entity).reduce((sum, result) => sum + result.affected, 0);
+    logEvent('active-clients:redact', 'Services redacted', { count: countFor('services'), userId });
+    res.json({ success: true, services_redacted: countFor('services'), journeys_redacted: countFor('symptoms') });
   } catch (err) {
     logEvent('active-clients:redact', 'Error redacting services', { error: err.message, userId });
     res.status(500).json({ message: 'Unable to redact services' });
   }
 });
 
+// =====================
+// REVENUE
+// =====================
+
+// GET /revenue - Agreed-service revenue by month, service and source, plus client lifetime value
+// Query: from, to (ISO dates; default: the last 12 months)
+router.get('/revenue', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const report = await getRevenueReport(targetUserId, { from: req.query.from, to: req.query.to });
+    res.json({ report });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[revenue:report]', err);
+    res.status(500).json({ message: 'Failed to load revenue report' });
+  }
+});
+
+// =====================
+// DATA RETENTION
+// =====================
+
+// GET /retention/policies - Effective policy per entity (stored or default)
+router.get('/retention/policies', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const policies = await getRetentionPolicies(targetUserId);
+    res.json({ policies });
+  } catch (err) {
+    console.error('[retention:policies]', err);
+    res.status(500).json({ message: 'Failed to load retention policies' });
+  }
+});
+
+// PUT /retention/policies - Save policies
+// Body: policies: [{ entity, enabled, retain_days, action }]
+router.put('/retention/policies', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const policies = await updateRetentionPolicies(targetUserId, req.body?.policies, req.user.id);
+    res.json({ policies });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[retention:policies:update]', err);
+    res.status(500).json({ message: 'Failed to save retention policies' });
+  }
+});
+
+// GET /retention/preview - Rows each policy would redact or delete if applied now
+router.get('/retention/preview', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const preview = await previewRetention(targetUserId);
+    res.json({ preview });
+  } catch (err) {
+    console.error('[retention:preview]', err);
+    res.status(500).json({ message: 'Failed to preview retention' });
+  }
+});
+
+// POST /retention/run - Apply this owner's enabled policies now
+// Body: dry_run (count only, still audited), entities (default: all)
+router.post('/retention/run', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+  const { dry_run: dryRun, entities } = req.body || {};
+
+  try {
+    const run = await runRetentionPolicies({
+      ownerId: targetUserId,
+      dryRun: Boolean(dryRun),
+      entities: Array.isArray(entities) && entities.length ? entities : undefined,
+      triggeredBy: 'manual',
+      actorId: req.user.id
+    });
+    res.json({ run });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[retention:run]', err);
+    res.status(500).json({ message: 'Failed to run retention policies' });
+  }
+});
+
+// GET /retention/audit - Retention audit log, newest first
+// Query: limit (default 50, max 200), run_id
+router.get('/retention/audit', async (req, res) => {
+  const targetUserId = req.portalUserId || req.user.id;
+
+  try {
+    const entries = await listRetentionAudit(targetUserId, { limit: req.query.limit, runId: req.query.run_id });
+    res.json({ entries });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ message: err.message });
+    console.error('[retention:audit]', err);
+    res.status(500).json({ message: 'Failed to load the retention audit log' });
+  }
+});
+
 // ================================
 // BLOG POSTS
 // ================================
@@ -1,11 +1,20 @@
 /**
  * Webhooks Router
- * Handles incoming webhooks from external services (Mailgun, etc.)
+ * Handles incoming webhooks from external services (Mailgun, CallTrackingMetrics, etc.)
  */
 
 import { Router } from 'express';
 import crypto from 'crypto';
 import { query } from '../db.js';
+import {
+  findClientByCtmAccount,
+  getCtmWebhookAccountId,
+  getCtmWebhookActivity,
+  getCtmWebhookEvent,
+  getCtmWebhookSecret,
+  ingestCtmActivity,
+  verifyCtmSignature
+} from '../services/ctmWebhook.js';
 
 const router = Router();
 
@@ -243,5 +252,60 @@ router.get('/mailgun/test', (req, res) => {
   });
 });
 
+/**
+ * POST /api/webhooks/ctm
+ * Receive completed calls and form submissions from CallTrackingMetrics.
+ * Signed with X-CTM-Signature / X-CTM-Time; the owning client is resolved by account id.
+ * Idempotent on call_id, so CTM retries and duplicate triggers are safe.
+ */
+router.post('/ctm', async (req, res) => {
+  const body = req.body || {};
+  const { event, kind } = getCtmWebhookEvent(body, req.query.event);
+  const activity = getCtmWebhookActivity(body);
+  const accountId = getCtmWebhookAccountId(body, activity);
+
+  try {
+    const profile = accountId ? await findClientByCtmAccount(accountId) : null;
+    const verified =
+      profile &&
+      verifyCtmSignature({
+        rawBody: req.rawBody,
+        timestamp: req.get('x-ctm-time'),
+        signature: req.get('x-ctm-signature'),
+        secret: getCtmWebhookSecret(profile)
+      });
+    if (!verified) {
+      // Same response for unknown accounts and bad signatures
+      console.warn('[webhooks:ctm] Rejected delivery', { accountId, reason: profile ? 'invalid-signature' : 'unknown-account' });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (!kind) {
+      return res.status(200).json({ received: true, skipped: 'unsupported-event', event });
+    }
+
+    const result = await ingestCtmActivity(profile, activity);
+    console.log(`[webhooks:ctm] ${event} ${result.callId} ${result.inserted ? 'created' : 'updated'}`);
+    res.status(200).json({ received: true, event, ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('[webhooks:ctm] Error processing webhook:', err);
+    // 5xx lets CTM retry the delivery
+    res.status(500).json({ error: 'Internal error' });
+  }
+});
+
+/**
+ * GET /api/webhooks/ctm/test
+ * Test endpoint to verify webhook is accessible
+ */
+router.get('/ctm/test', (req, res) => {
+  res.json({
+    status: 'ok',
+    message: 'CTM webhook endpoint is accessible',
+    shared_secret_configured: Boolean(process.env.CTM_WEBHOOK_SECRET)
+  });
+});
+
 export default router;
 
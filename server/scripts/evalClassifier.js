@@ -0,0 +1,94 @@
+/**
+ * Offline evaluation of the CTM AI classifier
+ *
+ * Runs labelled cases through the production classifyContent (prompt + CATEGORY_DEFINITIONS,
+ * JSON parsing and regex fallbacks) and prints accuracy, per-category precision/recall and a
+ * confusion matrix. No database access.
+ *
+ *   node server/scripts/evalClassifier.js [--cases file.json] [--prompt "..." | --prompt-file file.txt]
+ *                                         [--provider mock|live] [--json]
+ *
+ * Cases: [{ id, transcript | message, expected, response }]. With --provider mock (default) each
+ * case's `response` is returned as the model output, so the run is deterministic and needs no
+ * credentials. --provider live calls Vertex AI (GOOGLE_CLOUD_PROJECT must be set).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { DEFAULT_AI_PROMPT, classifyContent } from '../services/ctm.js';
+import { generateAiResponse } from '../services/ai.js';
+import { computeEvalMetrics, formatConfusionMatrix } from '../services/classifierMetrics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CASES = path.join(__dirname, 'fixtures', 'classifier-eval-cases.json');
+
+function parseArgs(argv) {
+  const args = { cases: DEFAULT_CASES, provider: 'mock', prompt: null, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--cases') args.cases = path.resolve(argv[++i]);
+    else if (arg === '--provider') args.provider = argv[++i];
+    else if (arg === '--prompt') args.prompt = argv[++i];
+    else if (arg === '--prompt-file') args.prompt = fs.readFileSync(path.resolve(argv[++i]), 'utf8');
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!['mock', 'live'].includes(args.provider)) throw new Error('--provider must be mock or live');
+  return args;
+}
+
+function mockProvider(testCase) {
+  return async () => {
+    if (typeof testCase.response !== 'string') throw new Error(`Case ${testCase.id} has no mock response`);
+    return testCase.response;
+  };
+}
+
+function formatRate(value) {
+  return value === null ? '  -  ' : `${(value * 100).toFixed(1)}%`.padStart(6);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const cases = JSON.parse(fs.readFileSync(args.cases, 'utf8'));
+  const prompt = args.prompt || DEFAULT_AI_PROMPT;
+
+  const results = [];
+  for (const testCase of cases) {
+    const generate = args.provider === 'mock' ? mockProvider(testCase) : generateAiResponse;
+    const ai = await classifyContent(prompt, testCase.transcript, testCase.message, { generate });
+    results.push({ id: testCase.id, expected: testCase.expected, predicted: ai.category, summary: ai.summary });
+  }
+
+  const metrics = computeEvalMetrics(results);
+  if (args.json) {
+    console.log(JSON.stringify({ provider: args.provider, cases: args.cases, metrics, results }, null, 2));
+    return;
+  }
+
+  console.log(`Classifier eval (${args.provider}) - ${path.relative(process.cwd(), args.cases)}`);
+  console.log(`Accuracy: ${metrics.correct}/${metrics.total} (${formatRate(metrics.accuracy).trim()})\n`);
+
+  console.log(`${'category'.padEnd(18)}${'support'.padStart(8)}${'precision'.padStart(11)}${'recall'.padStart(9)}`);
+  metrics.labels.forEach((label) => {
+    const stats = metrics.perCategory[label];
+    console.log(
+      `${label.padEnd(18)}${String(stats.support).padStart(8)}${formatRate(stats.precision).padStart(11)}${formatRate(stats.recall).padStart(9)}`
+    );
+  });
+
+  console.log(`\n${formatConfusionMatrix(metrics)}\n`);
+
+  const misses = results.filter((row) => row.expected !== row.predicted);
+  if (misses.length) {
+    console.log('Misclassified:');
+    misses.forEach((row) => console.log(`  ${row.id}: expected ${row.expected}, got ${row.predicted}`));
+  }
+}
+
+main().catch((err) => {
+  console.error('[eval:classifier]', err.message || err);
+  process.exit(1);
+});
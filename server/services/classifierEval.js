@@ -0,0 +1,252 @@
+/**
+ * Classifier Prompt Sandbox
+ *
+ * Replays stored call_logs transcripts against a draft prompt with the production
+ * classifyContent, without touching the calls themselves. Each replay is recorded in
+ * classifier_eval_runs with:
+ * - predicted vs current category (what the draft would change)
+ * - predicted vs human label (call_category_labels, set via PUT /calls/:id/category)
+ * A draft only becomes the client's ai_prompt through applyEvalPrompt on a completed run.
+ */
+
+import { query } from '../db.js';
+import { DEFAULT_AI_PROMPT, classifyContent } from './ctm.js';
+import { computeEvalMetrics } from './classifierMetrics.js';
+import { httpError } from '../utils/httpError.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const EVAL_SAMPLES = ['labeled', 'recent', 'selected'];
+const DEFAULT_EVAL_LIMIT = 25;
+const MAX_EVAL_CALLS = parseInt(process.env.CLASSIFIER_EVAL_MAX_CALLS || '100', 10);
+// The classifier is told never to pick these, so human labels of this kind are not scored
+const UNSCORED_LABELS = ['converted', 'unreviewed'];
+// A run still 'running' after this long belongs to a process that died
+const STALE_RUN_MINUTES = 30;
+const PROGRESS_EVERY = 5;
+const SNIPPET_LENGTH = 280;
+
+// ============================================================================
+// Sampling
+// ============================================================================
+
+/**
+ * Stored calls with a transcript or message for one client.
+ * - labeled: calls a person has re-categorized, newest label first
+ * - recent: newest calls
+ * - selected: the given call ids
+ */
+export async function selectEvalCalls(clientId, { sample = 'labeled', callIds = [], limit = DEFAULT_EVAL_LIMIT } = {}) {
+  const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_EVAL_LIMIT, 1), MAX_EVAL_CALLS);
+  const params = [clientId, size];
+  let filter = '';
+  let order = 'cl.started_at DESC NULLS LAST';
+
+  if (sample === 'labeled') {
+    filter = 'AND ccl.call_id IS NOT NULL';
+    order = 'ccl.labeled_at DESC';
+  } else if (sample === 'selected') {
+    params.push(callIds.map(String));
+    filter = 'AND cl.call_id = ANY($3)';
+  }
+
+  const { rows } = await query(
+    `SELECT cl.call_id,
+            cl.meta->>'transcript' AS transcript,
+            cl.meta->>'message' AS message,
+            cl.meta->>'category' AS current_category,
+            ccl.category AS human_category
+     FROM call_logs cl
+     LEFT JOIN call_category_labels ccl ON ccl.call_id = cl.call_id
+     WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+       AND (COALESCE(cl.meta->>'transcript', '') <> '' OR COALESCE(cl.meta->>'message', '') <> '')
+       ${filter}
+     ORDER BY ${order}
+     LIMIT $2`,
+    params
+  );
+  return rows;
+}
+
+// ============================================================================
+// Runs
+// ============================================================================
+
+/**
+ * Accuracy vs human labels, agreement with the current categories and the number of
+ * calls the draft prompt would re-categorize.
+ */
+export function summarizeEvalResults(results) {
+  const labeled = results.filter((row) => row.human_category && !UNSCORED_LABELS.includes(row.human_category));
+  return {
+    vs_human: computeEvalMetrics(labeled.map((row) => ({ expected: row.human_category, predicted: row.predicted_category }))),
+    vs_current: computeEvalMetrics(
+      results.filter((row) => row.current_category).map((row) => ({ expected: row.current_category, predicted: row.predicted_category }))
+    ),
+    changed: results.filter((row) => row.predicted_category !== row.current_category).length
+  };
+}
+
+async function processEvalRun(runId, prompt, calls) {
+  const results = [];
+  try {
+    for (const call of calls) {
+      const ai = await classifyContent(prompt, call.transcript, call.message);
+      results.push({
+        call_id: call.call_id,
+        current_category: call.current_category || null,
+        human_category: call.human_category || null,
+        predicted_category: ai.category,
+        classification: ai.classification,
+        summary: ai.summary
+      });
+      if (results.length % PROGRESS_EVERY === 0) {
+        await query('UPDATE classifier_eval_runs SET processed_calls = $2 WHERE id = $1', [runId, results.length]);
+      }
+    }
+
+    await query(
+      `UPDATE classifier_eval_runs
+       SET status = 'completed', processed_calls = $2, metrics_json = $3, results_json = $4, finished_at = NOW()
+       WHERE id = $1`,
+      [runId, results.length, JSON.stringify(summarizeEvalResults(results)), JSON.stringify(results)]
+    );
+  } catch (err) {
+    console.error('[classifier-eval:process]', err);
+    await query(
+      `UPDATE classifier_eval_runs
+       SET status = 'failed', processed_calls = $2, results_json = $3, error = $4, finished_at = NOW()
+       WHERE id = $1`,
+      [runId, results.length, JSON.stringify(results), err.message || 'Evaluation failed']
+    ).catch(() => {});
+  }
+}
+
+/**
+ * Record a run and replay the sample in the background; poll getEvalRun for progress.
+ */
+export async function createEvalRun({ clientId, prompt, sample = 'labeled', callIds = [], limit, userId }) {
+  const draft = String(prompt || '').trim();
+  if (!draft) throw httpError(400, 'Prompt is required');
+  if (!EVAL_SAMPLES.includes(sample)) throw httpError(400, 'Invalid sample');
+  if (sample === 'selected' && (!Array.isArray(callIds) || !callIds.length)) throw httpError(400, 'Select at least one call');
+
+  const calls = await selectEvalCalls(clientId, { sample, callIds, limit });
+  if (!calls.length) throw httpError(400, 'No stored transcripts match this sample');
+
+  await query(
+    `UPDATE classifier_eval_runs
+     SET status = 'failed', error = 'Interrupted', finished_at = NOW()
+     WHERE status = 'running' AND created_at < NOW() - ($1 || ' minutes')::interval`,
+    [String(STALE_RUN_MINUTES)]
+  );
+
+  const { rows } = await query(
+    `INSERT INTO classifier_eval_runs (client_id, prompt, sample, requested_limit, total_calls, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, client_id, sample, status, total_calls, processed_calls, created_at`,
+    [clientId, draft, sample, parseInt(limit, 10) || null, calls.length, userId || null]
+  );
+  const run = rows[0];
+
+  processEvalRun(run.id, draft, calls);
+  return run;
+}
+
+/**
+ * One run with per-call results. Caller details and a transcript snippet are read from
+ * call_logs at request time rather than copied into the run.
+ */
+export async function getEvalRun(runId) {
+  const { rows } = await query('SELECT * FROM classifier_eval_runs WHERE id = $1', [runId]);
+  if (!rows[0]) return null;
+
+  const { results_json: stored, ...run } = rows[0];
+  const results = Array.isArray(stored) ? stored : [];
+  const details = new Map();
+  if (results.length) {
+    const { rows: calls } = await query(
+      `SELECT call_id, started_at, from_number,
+              meta->>'caller_name' AS caller_name,
+              LEFT(COALESCE(NULLIF(meta->>'transcript', ''), meta->>'message', ''), $2) AS snippet
+       FROM call_logs
+       WHERE call_id = ANY($1)`,
+      [results.map((row) => row.call_id), SNIPPET_LENGTH]
+    );
+    calls.forEach((call) => details.set(call.call_id, call));
+  }
+
+  return {
+    ...run,
+    results: results.map((row) => ({ ...row, ...(details.get(row.call_id) || {}) }))
+  };
+}
+
+export async function listEvalRuns(clientId, { limit = 20 } = {}) {
+  const { rows } = await query(
+    `SELECT r.id, r.client_id, r.sample, r.requested_limit, r.status, r.total_calls, r.processed_calls,
+            r.metrics_json, r.error, r.created_at, r.finished_at, r.applied_at,
+            LEFT(r.prompt, 200) AS prompt_preview,
+            u.email AS created_by_email
+     FROM classifier_eval_runs r
+     LEFT JOIN users u ON u.id = r.created_by
+     WHERE r.client_id = $1
+     ORDER BY r.created_at DESC
+     LIMIT $2`,
+    [clientId, Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100)]
+  );
+  return rows;
+}
+
+/**
+ * Make a measured draft the client's live prompt. Only completed runs qualify.
+ */
+export async function applyEvalPrompt(runId, userId) {
+  const { rows } = await query('SELECT id, client_id, prompt, status FROM classifier_eval_runs WHERE id = $1', [runId]);
+  const run = rows[0];
+  if (!run) throw httpError(404, 'Evaluation run not found');
+  if (run.status !== 'completed') throw httpError(409, 'Only completed evaluations can be applied');
+
+  const updated = await query('UPDATE client_profiles SET ai_prompt = $1, updated_at = NOW() WHERE user_id = $2', [
+    run.prompt,
+    run.client_id
+  ]);
+  if (!updated.rowCount) throw httpError(404, 'Client profile not found');
+
+  const { rows: appliedRows } = await query(
+    `UPDATE classifier_eval_runs SET applied_at = NOW(), applied_by = $2 WHERE id = $1
+     RETURNING id, client_id, status, applied_at`,
+    [runId, userId || null]
+  );
+  return appliedRows[0];
+}
+
+// ============================================================================
+// Overview
+// ============================================================================
+
+/**
+ * Current prompt and how much stored data a sandbox run can draw on.
+ */
+export async function getClassifierOverview(clientId) {
+  const { rows } = await query(
+    `SELECT cp.ai_prompt,
+            (SELECT COUNT(*)::int FROM call_logs cl
+             WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+               AND (COALESCE(cl.meta->>'transcript', '') <> '' OR COALESCE(cl.meta->>'message', '') <> '')) AS calls_with_content,
+            (SELECT COUNT(*)::int FROM call_category_labels ccl WHERE ccl.owner_user_id = $1) AS labeled_calls
+     FROM users u
+     LEFT JOIN client_profiles cp ON cp.user_id = u.id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  if (!rows[0]) return null;
+  return {
+    ai_prompt: rows[0].ai_prompt || '',
+    default_prompt: DEFAULT_AI_PROMPT,
+    calls_with_content: rows[0].calls_with_content,
+    labeled_calls: rows[0].labeled_calls
+  };
+}
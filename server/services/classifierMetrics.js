@@ -0,0 +1,72 @@
+/**
+ * Classifier metrics
+ *
+ * Pure helpers shared by the admin prompt sandbox (services/classifierEval.js) and the
+ * offline eval script (scripts/evalClassifier.js). No database or AI access here.
+ */
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Accuracy, per-category precision/recall and a confusion matrix for labelled predictions.
+ * @param {Array<{ expected: string, predicted: string }>} pairs
+ * @returns {{ total: number, correct: number, accuracy: number|null, labels: string[],
+ *   matrix: Object<string, Object<string, number>>, perCategory: Object<string, Object> }}
+ *   matrix[expected][predicted] = count
+ */
+export function computeEvalMetrics(pairs = []) {
+  const usable = pairs.filter((pair) => pair && pair.expected && pair.predicted);
+  const labels = Array.from(new Set(usable.flatMap((pair) => [pair.expected, pair.predicted]))).sort();
+
+  const matrix = {};
+  labels.forEach((expected) => {
+    matrix[expected] = {};
+    labels.forEach((predicted) => {
+      matrix[expected][predicted] = 0;
+    });
+  });
+  usable.forEach(({ expected, predicted }) => {
+    matrix[expected][predicted] += 1;
+  });
+
+  const correct = usable.filter((pair) => pair.expected === pair.predicted).length;
+  const perCategory = {};
+  labels.forEach((label) => {
+    const truePositive = matrix[label][label];
+    const support = labels.reduce((sum, predicted) => sum + matrix[label][predicted], 0);
+    const predictedCount = labels.reduce((sum, expected) => sum + matrix[expected][label], 0);
+    perCategory[label] = {
+      support,
+      predicted: predictedCount,
+      precision: predictedCount ? round(truePositive / predictedCount) : null,
+      recall: support ? round(truePositive / support) : null
+    };
+  });
+
+  return {
+    total: usable.length,
+    correct,
+    accuracy: usable.length ? round(correct / usable.length) : null,
+    labels,
+    matrix,
+    perCategory
+  };
+}
+
+/**
+ * Plain-text confusion matrix (rows = expected, columns = predicted) for terminal output.
+ */
+export function formatConfusionMatrix({ labels, matrix }) {
+  if (!labels.length) return '(no labelled results)';
+  const width = Math.max(8, ...labels.map((label) => label.length)) + 2;
+  const corner = 'expected \\ predicted';
+  const first = Math.max(width, corner.length + 2);
+  const cell = (value) => String(value).padStart(width);
+  const header = `${corner.padEnd(first)}${labels.map(cell).join('')}`;
+  const rows = labels.map(
+    (expected) => `${expected.padEnd(first)}${labels.map((predicted) => cell(matrix[expected][predicted] || '.')).join('')}`
+  );
+  return [header, ...rows].join('\n');
+}
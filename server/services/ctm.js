@@ -29,6 +29,20 @@ export const DEFAULT_AI_PROMPT =
   process.env.DEFAULT_AI_PROMPT ||
   'You are an assistant that classifies call transcripts for service businesses. Analyze the conversation and determine the caller intent.';
 
+// Categories a person can assign (PUT /calls/:id/category) and the classifier is evaluated on
+export const LEAD_CATEGORIES = [
+  'converted',
+  'warm',
+  'very_good',
+  'applicant',
+  'needs_attention',
+  'unanswered',
+  'not_a_fit',
+  'spam',
+  'neutral',
+  'unreviewed'
+];
+
 const MAX_CALLS = Number(process.env.CTM_MAX_CALLS || 200);
 const CLASSIFY_LIMIT = Number(process.env.CTM_CLASSIFY_LIMIT || 40);
 const CATEGORY_MAP = {
@@ -199,6 +213,12 @@ function getCallerName(call) {
   return call.caller?.name || call.name || call.caller_name || '';
 }
 
+function getCallerEmail(call) {
+  const email =
+    call.caller?.email || call.email || call.email_address || call.contact?.email || call.custom_fields?.email || call.form?.email || '';
+  return String(email).trim().toLowerCase();
+}
+
 function getCallerNumber(call) {
   return call.caller?.number || call.contact_number || call.caller_number || call.phone_number || call.from_number || '';
 }
@@ -207,6 +227,23 @@ function getToNumber(call) {
   return call.tracking_number || call.to_number || call.dialed_number || call.number_dialed || '';
 }
 
+// Ad click ids, for offline conversion uploads: direct fields first, then the landing/last page URL
+function getClickIds(call) {
+  const ids = { gclid: call.gclid || call.google_click_id || '', fbclid: call.fbclid || '' };
+  for (const url of [call.landing_url, call.landing_page, call.last_url, call.location]) {
+    if (ids.gclid && ids.fbclid) break;
+    if (!url || typeof url !== 'string') continue;
+    try {
+      const params = new URL(url).searchParams;
+      ids.gclid = ids.gclid || params.get('gclid') || '';
+      ids.fbclid = ids.fbclid || params.get('fbclid') || '';
+    } catch {
+      // Not a URL
+    }
+  }
+  return ids;
+}
+
 function getDuration(call) {
   return call.duration || call.duration_sec || call.duration_seconds || call.talk_time || call.call_duration || null;
 }
@@ -323,7 +360,13 @@ function inferCategoryFromText(text = '') {
   return null;
 }
 
-export async function classifyContent(prompt, transcript, message) {
+/**
+ * Classify a transcript or form/message body with the client's prompt + CATEGORY_DEFINITIONS.
+ * @param {Object} options
+ * @param {Function} options.generate - AI provider (defaults to Vertex; the eval script passes a mock)
+ * @returns {Promise<{ classification: string, summary: string, category: string }>}
+ */
+export async function classifyContent(prompt, transcript, message, { generate = generateAiResponse } = {}) {
   const content = transcript || message;
   if (!content) {
     return {
@@ -339,7 +382,7 @@ export async function classifyContent(prompt, transcript, message) {
   const systemPrompt = `${businessContext}\n\n${CATEGORY_DEFINITIONS}`;
 
   try {
-    const raw = await generateAiResponse({
+    const raw = await generate({
       prompt: `${transcript ? 'Caller transcript:\n' : 'Form or message content:\n'}${content.slice(0, 6000)}`,
       systemPrompt,
       temperature: 0.2,
@@ -526,9 +569,14 @@ export async function pullCallsFromCtm({
   sinceTimestamp = null,
   fullSync = false
 }) {
+  // Duplicates merged into another lead are left as they are: not re-classified, re-saved or
+  // counted as new, so they never feed repeat-caller, sequence or callback logic again
   const existingMap = new Map();
+  const mergedCallIds = new Set();
   existingRows.forEach((row) => {
-    if (row && row.call_id) existingMap.set(row.call_id, row);
+    if (!row || !row.call_id) return;
+    if (row.merged_into_call_id) mergedCallIds.add(row.call_id);
+    else existingMap.set(row.call_id, row);
   });
 
   const fetchResult = await fetchCtmCalls(credentials, {
@@ -543,143 +591,17 @@ export async function pullCallsFromCtm({
   const results = [];
   let classified = 0;
   for (const raw of limited) {
-    const callId = raw.id || raw.call_id || raw.sid || raw.uuid || raw.callSid || raw.callSid || raw.call_uuid || raw.callId;
-    if (!callId) continue;
-    const stringId = String(callId);
-    const existing = existingMap.get(stringId);
-    const prevMeta = existing?.meta || {};
-
-    // Get score from CTM (this is the authoritative source for two-way sync)
-    const ctmScore = raw.sale?.score || raw.score || 0;
-    const dbScore = existing?.score || 0;
-
-    // Check if CTM rating changed (for two-way sync)
-    const ratingChangedInCtm = syncRatings && existing && ctmScore !== dbScore && ctmScore > 0;
-    // Check if rating was removed (had rating before, now 0)
-    const ratingWasRemoved = syncRatings && existing && dbScore > 0 && ctmScore === 0;
-
-    // Use CTM score as authoritative when syncing ratings
-    const existingScore = syncRatings ? ctmScore : dbScore || ctmScore;
-
-    const transcript = getTranscript(raw);
-    const message = buildMessage(raw);
-    const stubMessage = isCtmStubMessage(message);
-    const hasConversation = Boolean((transcript && transcript.trim()) || (!stubMessage && message && message.trim().length > 10));
-    const unansweredLikely = isLikelyUnanswered(raw);
-    const voicemailFlag = isVoicemail(raw);
-    let classification = prevMeta.classification || '';
-    let summary = prevMeta.classification_summary || '';
-    let category = prevMeta.category || 'unreviewed';
-    let shouldAutoStar = false;
-
-    // Check if lead already has a rating from CTM
-    const hasExistingCtmRating = ctmScore > 0;
-    const categoryFromRating = getCategoryFromRating(ctmScore);
-
-    // IMPORTANT: If CTM has a rating, it ALWAYS determines the category
-    // This ensures two-way sync works - when ratings change in CTM, category updates
-    if (hasExistingCtmRating && categoryFromRating) {
-      category = categoryFromRating;
-    } else if (ratingWasRemoved) {
-      // Rating was removed in CTM - reset to unreviewed
-      category = 'unreviewed';
-    }
-
-    // Now handle classification and summary (AI analysis)
-    if (unansweredLikely && !hasConversation) {
-      classification = 'unanswered';
-      summary = summary || 'Call was unanswered with no voicemail.';
-      // Only set category if no CTM rating
-      if (!hasExistingCtmRating) {
-        category = 'unanswered';
-      }
-    } else if (stubMessage && !transcript) {
-      classification = 'neutral';
-      summary = summary || 'Call logged from CTM metadata.';
-      // Only set category if no CTM rating
-      if (!hasExistingCtmRating) {
-        category = 'neutral';
-      }
-    } else if (hasConversation) {
-      // Run AI classification if we don't have a summary yet
-      if (!summary && classified < CLASSIFY_LIMIT) {
-        const ai = await classifyContent(prompt, transcript, message);
-        classification = ai.classification;
-        summary = ai.summary;
-        // Only use AI category if there's no existing CTM rating
-        if (!hasExistingCtmRating) {
-          category = ai.category;
-          shouldAutoStar = true; // Only eligible for auto-star if no existing rating
-        }
-        classified += 1;
-      } else if (!classification) {
-        classification = 'unreviewed';
-        summary = summary || 'AI classification skipped.';
-        if (!hasExistingCtmRating) {
-          category = category || 'unreviewed';
-        }
-      }
-    }
-
-    // If voicemail but this is a good/applicant lead, elevate to needs_attention
-    // Only if NOT rated by CTM (rating takes priority)
-    const goodLead = category === 'warm' || category === 'very_good' || category === 'applicant';
-    if (voicemailFlag && goodLead && !hasExistingCtmRating) {
-      category = 'needs_attention';
-    }
-
-    // Determine final score - NEVER overwrite existing CTM ratings
-    let finalScore = existingScore;
-    if (autoStarEnabled && shouldAutoStar && !hasExistingCtmRating && existingScore === 0) {
-      // Only auto-star if:
-      // 1. Auto-star is enabled
-      // 2. We just ran AI classification (shouldAutoStar)
-      // 3. CTM doesn't already have a rating
-      // 4. Our local DB doesn't have a rating either
-      finalScore = getAutoStarRating(category);
-    }
-
-    const { timestampMs, unixTime, startedAtIso } = parseTimestamp(raw);
-    const source = getSource(raw);
-    const assets = extractAssets(raw);
-    const callData = {
-      id: stringId,
-      name: getCallerName(raw) || `Call ${stringId}`,
-      source,
-      source_key: sanitizeSourceKey(source),
-      call_time: timestampMs ? formatDate(timestampMs) : '',
-      timestamp: timestampMs || null,
-      unix_time: unixTime || null,
-      caller_name: getCallerName(raw),
-      caller_number: getCallerNumber(raw),
-      to_number: getToNumber(raw),
-      region: buildRegion(raw),
-      transcript,
-      message,
-      transcript_url: buildTranscriptUrl(unixTime),
-      recording_url: assets[0]?.url || raw.recording_url || '',
-      direction: (raw.direction || '').toLowerCase(),
-      activity_type: determineActivityType(raw.direction),
-      classification,
-      classification_summary: summary || '',
-      category,
-      is_voicemail: voicemailFlag,
-      assets,
-      duration_sec: getDuration(raw),
-      started_at: startedAtIso,
-      score: finalScore
-    };
-    const needsAttention = category === 'needs_attention';
-    results.push({
-      call: callData,
-      meta: { ...callData },
-      // Only post score to CTM if we auto-starred AND CTM doesn't already have a rating
-      shouldPostScore: autoStarEnabled && shouldAutoStar && finalScore > 0 && !hasExistingCtmRating,
-      notifyNeedsAttention: needsAttention && shouldAutoStar && !hasExistingCtmRating,
-      isRatingUpdate: ratingChangedInCtm,
-      isNew: !existing,
-      hadExistingRating: hasExistingCtmRating
+    if (mergedCallIds.has(getCtmCallId(raw))) continue;
+    const result = await processCtmCall(raw, {
+      prompt,
+      existing: existingMap.get(getCtmCallId(raw)),
+      autoStarEnabled,
+      syncRatings,
+      canClassify: classified < CLASSIFY_LIMIT
     });
+    if (!result) continue;
+    if (result.classified) classified += 1;
+    results.push(result);
   }
 
   return {
@@ -695,6 +617,225 @@ export async function pullCallsFromCtm({
   };
 }
 
+/**
+ * Enrich the caller type and upsert one processed call into call_logs (webhook, scheduled
+ * sync and the hub sync routes). A merge survivor (merged_at set) keeps the caller type,
+ * client link and call sequence the merge gave it, here and in meta.
+ * @param {Function} db - Query function (pool query or a bound transaction client)
+ * @returns {Promise<{ inserted: boolean }>}
+ */
+export async function saveCallLog(db, ownerId, { call, meta }) {
+  const enrichment = await enrichCallerType(db, ownerId, call.caller_number, call.id);
+  const { rows } = await db(
+    `INSERT INTO call_logs (owner_user_id, user_id, call_id, direction, from_number, to_number, started_at, duration_sec, score, meta, caller_type, active_client_id, call_sequence)
+     VALUES ($1,$1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+     ON CONFLICT (call_id) DO UPDATE SET
+       direction=EXCLUDED.direction,
+       from_number=EXCLUDED.from_number,
+       to_number=EXCLUDED.to_number,
+       started_at=EXCLUDED.started_at,
+       duration_sec=EXCLUDED.duration_sec,
+       score=EXCLUDED.score,
+       meta=CASE WHEN call_logs.merged_at IS NULL THEN EXCLUDED.meta
+         ELSE EXCLUDED.meta || jsonb_build_object(
+           'callerType', call_logs.caller_type,
+           'activeClientId', call_logs.active_client_id,
+           'callSequence', call_logs.call_sequence
+         ) END,
+       caller_type=CASE WHEN call_logs.merged_at IS NULL THEN EXCLUDED.caller_type ELSE call_logs.caller_type END,
+       active_client_id=CASE WHEN call_logs.merged_at IS NULL THEN EXCLUDED.active_client_id ELSE call_logs.active_client_id END,
+       call_sequence=CASE WHEN call_logs.merged_at IS NULL THEN EXCLUDED.call_sequence
+         ELSE GREATEST(call_logs.call_sequence, EXCLUDED.call_sequence) END
+     RETURNING (xmax = 0) AS inserted`,
+    [
+      ownerId,
+      call.id,
+      call.direction || null,
+      call.caller_number || null,
+      call.to_number || null,
+      call.started_at ? new Date(call.started_at) : null,
+      call.duration_sec || null,
+      call.score || 0,
+      JSON.stringify({ ...meta, ...enrichment }),
+      enrichment.callerType || 'new',
+      enrichment.activeClientId || null,
+      enrichment.callSequence || 1
+    ]
+  );
+  return { inserted: Boolean(rows[0]?.inserted) };
+}
+
+/**
+ * CTM activity id (calls, texts and form submissions share the same id space)
+ */
+export function getCtmCallId(raw = {}) {
+  const callId = raw.id || raw.call_id || raw.sid || raw.uuid || raw.callSid || raw.call_uuid || raw.callId;
+  return callId ? String(callId) : null;
+}
+
+/**
+ * Classify and shape a single raw CTM activity. Shared by the polling sync and the CTM webhook.
+ * @param {Object} raw - Activity as returned by the CTM API / webhook
+ * @param {Object} options
+ * @param {Object} options.existing - Current call_logs row for this call_id (keeps AI results and ratings)
+ * @param {boolean} options.syncRatings - Treat the CTM score as authoritative
+ * @param {boolean} options.canClassify - False once the caller's AI classification budget is spent
+ * @returns {Promise<Object|null>} { call, meta, shouldPostScore, notifyNeedsAttention, isRatingUpdate, isNew, hadExistingRating, classified }
+ */
+export async function processCtmCall(
+  raw,
+  { prompt = DEFAULT_AI_PROMPT, existing = null, autoStarEnabled = false, syncRatings = false, canClassify = true } = {}
+) {
+  const stringId = getCtmCallId(raw);
+  if (!stringId) return null;
+  const prevMeta = existing?.meta || {};
+
+  // Get score from CTM (this is the authoritative source for two-way sync)
+  const ctmScore = raw.sale?.score || raw.score || 0;
+  const dbScore = existing?.score || 0;
+
+  // Check if CTM rating changed (for two-way sync)
+  const ratingChangedInCtm = syncRatings && existing && ctmScore !== dbScore && ctmScore > 0;
+  // Check if rating was removed (had rating before, now 0)
+  const ratingWasRemoved = syncRatings && existing && dbScore > 0 && ctmScore === 0;
+
+  // Use CTM score as authoritative when syncing ratings
+  const existingScore = syncRatings ? ctmScore : dbScore || ctmScore;
+
+  const transcript = getTranscript(raw);
+  const message = buildMessage(raw);
+  const stubMessage = isCtmStubMessage(message);
+  const hasConversation = Boolean((transcript && transcript.trim()) || (!stubMessage && message && message.trim().length > 10));
+  const unansweredLikely = isLikelyUnanswered(raw);
+  const voicemailFlag = isVoicemail(raw);
+  // Inbound calls nobody picked up; the lead SLA sweep turns these into callback tasks
+  const needsCallback =
+    determineActivityType(raw.direction) === 'call' &&
+    String(raw.direction).toLowerCase().includes('inbound') &&
+    (unansweredLikely || voicemailFlag);
+  let classification = prevMeta.classification || '';
+  let summary = prevMeta.classification_summary || '';
+  let category = prevMeta.category || 'unreviewed';
+  let shouldAutoStar = false;
+  let didClassify = false;
+
+  // Check if lead already has a rating from CTM
+  const hasExistingCtmRating = ctmScore > 0;
+  const categoryFromRating = getCategoryFromRating(ctmScore);
+
+  // IMPORTANT: If CTM has a rating, it ALWAYS determines the category
+  // This ensures two-way sync works - when ratings change in CTM, category updates
+  if (hasExistingCtmRating && categoryFromRating) {
+    category = categoryFromRating;
+  } else if (ratingWasRemoved) {
+    // Rating was removed in CTM - reset to unreviewed
+    category = 'unreviewed';
+  }
+
+  // Now handle classification and summary (AI analysis)
+  if (unansweredLikely && !hasConversation) {
+    classification = 'unanswered';
+    summary = summary || 'Call was unanswered with no voicemail.';
+    // Only set category if no CTM rating
+    if (!hasExistingCtmRating) {
+      category = 'unanswered';
+    }
+  } else if (stubMessage && !transcript) {
+    classification = 'neutral';
+    summary = summary || 'Call logged from CTM metadata.';
+    // Only set category if no CTM rating
+    if (!hasExistingCtmRating) {
+      category = 'neutral';
+    }
+  } else if (hasConversation) {
+    // Run AI classification if we don't have a summary yet
+    if (!summary && canClassify) {
+      const ai = await classifyContent(prompt, transcript, message);
+      classification = ai.classification;
+      summary = ai.summary;
+      // Only use AI category if there's no existing CTM rating
+      if (!hasExistingCtmRating) {
+        category = ai.category;
+        shouldAutoStar = true; // Only eligible for auto-star if no existing rating
+      }
+      didClassify = true;
+    } else if (!classification) {
+      classification = 'unreviewed';
+      summary = summary || 'AI classification skipped.';
+      if (!hasExistingCtmRating) {
+        category = category || 'unreviewed';
+      }
+    }
+  }
+
+  // If voicemail but this is a good/applicant lead, elevate to needs_attention
+  // Only if NOT rated by CTM (rating takes priority)
+  const goodLead = category === 'warm' || category === 'very_good' || category === 'applicant';
+  if (voicemailFlag && goodLead && !hasExistingCtmRating) {
+    category = 'needs_attention';
+  }
+
+  // Determine final score - NEVER overwrite existing CTM ratings
+  let finalScore = existingScore;
+  if (autoStarEnabled && shouldAutoStar && !hasExistingCtmRating && existingScore === 0) {
+    // Only auto-star if:
+    // 1. Auto-star is enabled
+    // 2. We just ran AI classification (shouldAutoStar)
+    // 3. CTM doesn't already have a rating
+    // 4. Our local DB doesn't have a rating either
+    finalScore = getAutoStarRating(category);
+  }
+
+  const { timestampMs, unixTime, startedAtIso } = parseTimestamp(raw);
+  const source = getSource(raw);
+  const assets = extractAssets(raw);
+  const clickIds = getClickIds(raw);
+  const callData = {
+    id: stringId,
+    name: getCallerName(raw) || `Call ${stringId}`,
+    source,
+    source_key: sanitizeSourceKey(source),
+    call_time: timestampMs ? formatDate(timestampMs) : '',
+    timestamp: timestampMs || null,
+    unix_time: unixTime || null,
+    caller_name: getCallerName(raw),
+    caller_number: getCallerNumber(raw),
+    caller_email: getCallerEmail(raw),
+    to_number: getToNumber(raw),
+    region: buildRegion(raw),
+    transcript,
+    message,
+    transcript_url: buildTranscriptUrl(unixTime),
+    recording_url: assets[0]?.url || raw.recording_url || '',
+    direction: (raw.direction || '').toLowerCase(),
+    activity_type: determineActivityType(raw.direction),
+    classification,
+    classification_summary: summary || '',
+    category,
+    is_voicemail: voicemailFlag,
+    needs_callback: needsCallback,
+    gclid: clickIds.gclid,
+    fbclid: clickIds.fbclid,
+    assets,
+    duration_sec: getDuration(raw),
+    started_at: startedAtIso,
+    score: finalScore
+  };
+  const needsAttention = category === 'needs_attention';
+  return {
+    call: callData,
+    meta: { ...callData },
+    // Only post score to CTM if we auto-starred AND CTM doesn't already have a rating
+    shouldPostScore: autoStarEnabled && shouldAutoStar && finalScore > 0 && !hasExistingCtmRating,
+    notifyNeedsAttention: needsAttention && shouldAutoStar && !hasExistingCtmRating,
+    isRatingUpdate: ratingChangedInCtm,
+    isNew: !existing,
+    needsCallback: !existing && needsCallback,
+    hadExistingRating: hasExistingCtmRating,
+    classified: didClassify
+  };
+}
+
 function isLikelyUnanswered(raw = {}) {
   const duration = Number(raw.duration) || Number(raw.duration_sec) || Number(raw.talk_time) || Number(raw.time_on_phone) || 0;
   const statusString = [raw.status, raw.result, raw.call_status, raw.callResult].filter(Boolean).join(' ').toLowerCase();
@@ -868,6 +1009,57 @@ export async function postSaleToCTM(credentials, callId, saleData = {}) {
   }
 }
 
+/**
+ * Submit a web form lead to a CTM FormReactor so it is tracked alongside calls.
+ *
+ * @param {Object} credentials - CTM API credentials { accountId, apiKey, apiSecret }
+ * @param {string} formReactorId - FormReactor id (e.g. FRT...)
+ * @param {Object} fields - FormReactor parameters (phone_number, caller_name, email, custom_*)
+ * @returns {Promise<Object>} Response from CTM API
+ */
+export async function postFormReactorToCTM(credentials, formReactorId, fields = {}) {
+  const { accountId, apiKey, apiSecret } = credentials || {};
+
+  if (!accountId || !apiKey || !apiSecret) {
+    throw new Error('CallTrackingMetrics credentials not configured.');
+  }
+
+  if (!formReactorId) {
+    throw new Error('Missing FormReactor ID for CTM form posting.');
+  }
+
+  const url = `${CTM_BASE}/api/v1/formreactor/${encodeURIComponent(formReactorId)}`;
+
+  try {
+    const response = await axios.post(url, fields, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`${apiKey}:${apiSecret}`).toString('base64')}`
+      },
+      timeout: 20000
+    });
+
+    return response.data;
+  } catch (err) {
+    const status = err.response?.status || 500;
+    const errorData = err.response?.data;
+    const message = errorData?.message || errorData?.error || err.message || 'Failed to submit CallTrackingMetrics form';
+
+    // Field names only: values are lead contact details
+    console.error('[ctm:formReactor] Failed to post form to CTM', {
+      formReactorId,
+      status,
+      error: message,
+      fields: Object.keys(fields)
+    });
+
+    const error = new Error(`CTM API Error (${status}): ${message}`);
+    error.status = status;
+    error.data = errorData;
+    throw error;
+  }
+}
+
 export async function fetchPhoneInteractionSources(credentials, phoneNumber, perPage = 100, maxPages = 5) {
   const { accountId, apiKey, apiSecret } = credentials || {};
   if (!accountId || !apiKey || !apiSecret || !phoneNumber) return [];
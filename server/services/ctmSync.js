@@ -0,0 +1,340 @@
+/**
+ * Scheduled CTM Sync Service
+ *
+ * Background loop that keeps call_logs fresh for every client with CTM credentials, so leads
+ * no longer wait for someone to open the Leads tab:
+ * - Incremental pullCallsFromCtm from client_profiles.ctm_sync_cursor (shared with manual sync)
+ * - Accounts run one at a time with a pause in between to stay under CTM rate limits
+ * - Failures back off per account (Retry-After on 429, otherwise exponential) via
+ *   client_profiles.ctm_sync_backoff_until
+ * - Every run is recorded in ctm_sync_runs
+ * - A session advisory lock keeps multiple instances from syncing at the same time
+ */
+
+import { query, getClient } from '../db.js';
+import { DEFAULT_AI_PROMPT, postSaleToCTM, pullCallsFromCtm, saveCallLog } from './ctm.js';
+import { openCallbackTasks } from './leadSla.js';
+import { createNotification } from './notifications.js';
+import { httpError } from '../utils/httpError.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const ACCOUNT_DELAY_MS = parseInt(process.env.CTM_SYNC_ACCOUNT_DELAY_MS || '2000', 10);
+const BACKOFF_BASE_MINUTES = parseInt(process.env.CTM_SYNC_BACKOFF_BASE_MINUTES || '10', 10);
+const BACKOFF_MAX_MINUTES = 6 * 60;
+const RUN_RETENTION_DAYS = parseInt(process.env.CTM_SYNC_HISTORY_DAYS || '30', 10);
+// A run still 'running' after this long belongs to a process that died
+const STALE_RUN_MINUTES = 30;
+const MAX_ERROR_LENGTH = 1000;
+const SYNC_LOCK_KEY = 'ctm_scheduled_sync';
+
+let syncRunning = false;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function describeError(err) {
+  const details = err?.response?.data?.error || err?.response?.data?.message || err?.message || err;
+  const status = err?.response?.status;
+  return `${status ? `HTTP ${status}: ` : ''}${typeof details === 'string' ? details : JSON.stringify(details)}`.slice(0, MAX_ERROR_LENGTH);
+}
+
+/**
+ * Minutes to wait after the Nth consecutive failure: base * 2^(failures - 1), capped.
+ */
+export function getSyncBackoffMinutes(failures) {
+  const exponent = Math.max(0, Number(failures || 1) - 1);
+  return Math.min(BACKOFF_BASE_MINUTES * 2 ** exponent, BACKOFF_MAX_MINUTES);
+}
+
+/**
+ * Seconds CTM asked us to wait (429 + Retry-After), or null for other errors.
+ */
+function getRetryAfterSeconds(err) {
+  if (err?.response?.status !== 429) return null;
+  const header = err.response.headers?.['retry-after'];
+  const seconds = Number(header);
+  if (Number.isFinite(seconds) && seconds > 0) return seconds;
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, Math.round((date - Date.now()) / 1000));
+  return null;
+}
+
+/**
+ * Post auto-star scores back to CTM, send "needs attention" notifications and open SLA
+ * callback tasks for freshly processed calls (same side effects as the hub sync routes).
+ */
+export async function applySyncSideEffects({ ownerId, credentials, results }) {
+  for (const { call, shouldPostScore, notifyNeedsAttention } of results) {
+    if (shouldPostScore) {
+      try {
+        await postSaleToCTM(credentials, call.id, { score: call.score, conversion: 1, value: 0 });
+      } catch (err) {
+        console.error('[ctm:sync:auto-star]', { callId: call.id, error: err.message });
+      }
+    }
+    if (notifyNeedsAttention) {
+      await createNotification({
+        userId: ownerId,
+        title: 'Voicemail needs attention',
+        body: `${call.caller_name || call.caller_number || 'A caller'} left a voicemail. Summary: ${
+          call.classification_summary || 'Review the voicemail details.'
+        }`,
+        linkUrl: '/portal?tab=leads',
+        meta: { call_id: call.id, caller_name: call.caller_name, caller_number: call.caller_number, category: call.category }
+      }).catch((err) => console.error('[ctm:sync:notify]', err));
+    }
+  }
+  if (results.some((item) => item.needsCallback)) {
+    await openCallbackTasks(ownerId).catch((err) => console.error('[ctm:sync:sla]', err));
+  }
+}
+
+// ============================================================================
+// Sync
+// ============================================================================
+
+async function loadSyncProfile(userId) {
+  const { rows } = await query(
+    `SELECT user_id, ctm_account_number, ctm_api_key, ctm_api_secret, ai_prompt, auto_star_enabled,
+            ctm_sync_cursor, ctm_sync_failures
+     FROM client_profiles
+     WHERE user_id = $1
+     LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Incremental sync for one client, recorded in ctm_sync_runs.
+ * Never throws for CTM/API errors; the run row and the account backoff carry the failure.
+ * @param {string} userId - client_profiles.user_id
+ * @param {Object} options
+ * @param {'scheduled'|'manual'} options.trigger
+ * @returns {Promise<Object>} The finished ctm_sync_runs row
+ */
+export async function syncClientCalls(userId, { trigger = 'scheduled' } = {}) {
+  const profile = await loadSyncProfile(userId);
+  if (!profile?.ctm_account_number || !profile.ctm_api_key || !profile.ctm_api_secret) {
+    throw httpError(400, 'CTM credentials not configured.');
+  }
+
+  const credentials = {
+    accountId: profile.ctm_account_number,
+    apiKey: profile.ctm_api_key,
+    apiSecret: profile.ctm_api_secret
+  };
+  const {
+    rows: [run]
+  } = await query(`INSERT INTO ctm_sync_runs (user_id, trigger, cursor_before) VALUES ($1, $2, $3) RETURNING id`, [
+    userId,
+    trigger,
+    profile.ctm_sync_cursor || null
+  ]);
+
+  try {
+    const existing = await query(
+      'SELECT call_id, score, meta, merged_into_call_id FROM call_logs WHERE owner_user_id = $1 OR user_id = $1 ORDER BY started_at DESC NULLS LAST',
+      [userId]
+    );
+    const { results, syncMeta } = await pullCallsFromCtm({
+      credentials,
+      prompt: profile.ai_prompt || DEFAULT_AI_PROMPT,
+      existingRows: existing.rows,
+      autoStarEnabled: profile.auto_star_enabled || false,
+      syncRatings: true,
+      sinceTimestamp: profile.ctm_sync_cursor || null
+    });
+
+    let newCalls = 0;
+    let updatedCalls = 0;
+    for (const result of results) {
+      const { inserted } = await saveCallLog(query, userId, result);
+      if (inserted) newCalls += 1;
+      else updatedCalls += 1;
+    }
+
+    const cursorAfter = syncMeta.latestTimestamp ? new Date(syncMeta.latestTimestamp) : profile.ctm_sync_cursor || null;
+    // GREATEST keeps a newer cursor written by a manual sync that ran meanwhile
+    await query(
+      `UPDATE client_profiles
+       SET ctm_sync_cursor = GREATEST(ctm_sync_cursor, $2::timestamptz),
+           ctm_sync_failures = 0,
+           ctm_sync_backoff_until = NULL
+       WHERE user_id = $1`,
+      [userId, cursorAfter]
+    );
+
+    await applySyncSideEffects({ ownerId: userId, credentials, results });
+
+    const { rows } = await query(
+      `UPDATE ctm_sync_runs
+       SET status = 'success', finished_at = NOW(), calls_fetched = $2, new_calls = $3, updated_calls = $4, cursor_after = $5
+       WHERE id = $1
+       RETURNING *`,
+      [run.id, syncMeta.totalFetched || 0, newCalls, updatedCalls, cursorAfter]
+    );
+    return rows[0];
+  } catch (err) {
+    const error = describeError(err);
+    const failures = Number(profile.ctm_sync_failures || 0) + 1;
+    const retryAfterSeconds = getRetryAfterSeconds(err);
+    const backoffSeconds = retryAfterSeconds ?? getSyncBackoffMinutes(failures) * 60;
+    const status = err?.response?.status === 429 ? 'rate_limited' : 'failed';
+
+    console.warn(`[ctm:sync] ${status} for ${userId} (failure ${failures}), backing off ${backoffSeconds}s:`, error);
+    const { rows } = await query(
+      `WITH profile AS (
+         UPDATE client_profiles
+         SET ctm_sync_failures = $2, ctm_sync_backoff_until = NOW() + ($3::int * INTERVAL '1 second')
+         WHERE user_id = $4
+         RETURNING ctm_sync_backoff_until
+       )
+       UPDATE ctm_sync_runs
+       SET status = $5, finished_at = NOW(), error = $6, backoff_until = (SELECT ctm_sync_backoff_until FROM profile)
+       WHERE id = $1
+       RETURNING *`,
+      [run.id, failures, backoffSeconds, userId, status, error]
+    );
+    return rows[0];
+  }
+}
+
+/**
+ * Mark runs left 'running' by a crashed process as failed, and trim old history.
+ */
+async function cleanUpRuns() {
+  await query(
+    `UPDATE ctm_sync_runs
+     SET status = 'failed', finished_at = NOW(), error = COALESCE(error, 'Sync stopped before finishing')
+     WHERE status = 'running' AND started_at < NOW() - ($1::int * INTERVAL '1 minute')`,
+    [STALE_RUN_MINUTES]
+  );
+  await query(`DELETE FROM ctm_sync_runs WHERE started_at < NOW() - ($1::int * INTERVAL '1 day')`, [RUN_RETENTION_DAYS]);
+}
+
+/**
+ * Sync every client with CTM credentials that isn't backing off.
+ * One run at a time per process; other instances are kept out by an advisory lock.
+ * @returns {Promise<{ accounts: number, succeeded: number, failed: number, skipped: boolean }>}
+ */
+export async function runScheduledCtmSync() {
+  const summary = { accounts: 0, succeeded: 0, failed: 0, skipped: false };
+  if (syncRunning) return { ...summary, skipped: true };
+  syncRunning = true;
+
+  const lockClient = await getClient();
+  let locked = false;
+  try {
+    const { rows: lockRows } = await lockClient.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [SYNC_LOCK_KEY]);
+    locked = Boolean(lockRows[0]?.locked);
+    if (!locked) return { ...summary, skipped: true };
+
+    await cleanUpRuns();
+
+    // Least recently synced first, so a slow pass still reaches everyone over time
+    const { rows: accounts } = await query(
+      `SELECT cp.user_id
+       FROM client_profiles cp
+       LEFT JOIN LATERAL (
+         SELECT started_at FROM ctm_sync_runs r WHERE r.user_id = cp.user_id ORDER BY started_at DESC LIMIT 1
+       ) last_run ON TRUE
+       WHERE COALESCE(cp.ctm_account_number, '') <> ''
+         AND COALESCE(cp.ctm_api_key, '') <> ''
+         AND COALESCE(cp.ctm_api_secret, '') <> ''
+         AND (cp.ctm_sync_backoff_until IS NULL OR cp.ctm_sync_backoff_until <= NOW())
+       ORDER BY last_run.started_at ASC NULLS FIRST`
+    );
+
+    for (const [index, account] of accounts.entries()) {
+      if (index > 0 && ACCOUNT_DELAY_MS > 0) await sleep(ACCOUNT_DELAY_MS);
+      summary.accounts += 1;
+      try {
+        const run = await syncClientCalls(account.user_id, { trigger: 'scheduled' });
+        if (run?.status === 'success') summary.succeeded += 1;
+        else summary.failed += 1;
+      } catch (err) {
+        // Database errors etc. (CTM errors are recorded on the run instead)
+        summary.failed += 1;
+        console.error('[ctm:sync] account failed', { userId: account.user_id, error: err.message });
+      }
+    }
+    return summary;
+  } finally {
+    if (locked) await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [SYNC_LOCK_KEY]).catch(() => {});
+    lockClient.release();
+    syncRunning = false;
+  }
+}
+
+// ============================================================================
+// Status
+// ============================================================================
+
+/**
+ * Per-client sync status for the admin view: last run, last success, backoff and 24h totals.
+ */
+export async function listCtmSyncStatus() {
+  const { rows } = await query(
+    `SELECT
+       cp.user_id,
+       u.email,
+       u.first_name,
+       u.last_name,
+       cp.ctm_account_number,
+       cp.ctm_sync_cursor,
+       cp.ctm_sync_failures,
+       cp.ctm_sync_backoff_until,
+       last_run.id AS last_run_id,
+       last_run.trigger AS last_run_trigger,
+       last_run.status AS last_run_status,
+       last_run.started_at AS last_run_started_at,
+       last_run.finished_at AS last_run_finished_at,
+       last_run.error AS last_run_error,
+       last_run.new_calls AS last_run_new_calls,
+       last_run.updated_calls AS last_run_updated_calls,
+       last_success.finished_at AS last_success_at,
+       COALESCE(day.runs, 0)::int AS runs_24h,
+       COALESCE(day.failed_runs, 0)::int AS failed_runs_24h,
+       COALESCE(day.new_calls, 0)::int AS new_calls_24h,
+       COALESCE(day.updated_calls, 0)::int AS updated_calls_24h
+     FROM client_profiles cp
+     JOIN users u ON u.id = cp.user_id
+     LEFT JOIN LATERAL (
+       SELECT * FROM ctm_sync_runs r WHERE r.user_id = cp.user_id ORDER BY r.started_at DESC LIMIT 1
+     ) last_run ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT finished_at FROM ctm_sync_runs r
+       WHERE r.user_id = cp.user_id AND r.status = 'success'
+       ORDER BY r.started_at DESC LIMIT 1
+     ) last_success ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*) AS runs,
+              COUNT(*) FILTER (WHERE r.status IN ('failed', 'rate_limited')) AS failed_runs,
+              SUM(r.new_calls) AS new_calls,
+              SUM(r.updated_calls) AS updated_calls
+       FROM ctm_sync_runs r
+       WHERE r.user_id = cp.user_id AND r.started_at > NOW() - INTERVAL '24 hours'
+     ) day ON TRUE
+     WHERE COALESCE(cp.ctm_account_number, '') <> ''
+     ORDER BY (last_run.status IN ('failed', 'rate_limited')) DESC NULLS LAST, u.first_name NULLS LAST, u.email`
+  );
+  return rows;
+}
+
+/**
+ * Recent runs for one client (newest first).
+ */
+export async function listCtmSyncRuns(userId, { limit = 20 } = {}) {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const { rows } = await query(`SELECT * FROM ctm_sync_runs WHERE user_id = $1 ORDER BY started_at DESC LIMIT $2`, [userId, safeLimit]);
+  return rows;
+}
@@ -0,0 +1,141 @@
+/**
+ * CallTrackingMetrics webhook ingestion
+ *
+ * CTM posts an activity (call or form submission) as soon as it completes. We resolve the
+ * owning client by ctm_account_number, verify the signature with that client's API secret
+ * (or CTM_WEBHOOK_SECRET) and run the same pipeline as POST /api/hub/calls/sync:
+ * processCtmCall (classifyContent + auto-star rules) -> saveCallLog (enrichCallerType + upsert).
+ *
+ * Deliveries are idempotent on call_id: a per-call advisory lock serializes retries, and an
+ * existing row keeps its AI summary and rating so a repeat never re-classifies or re-stars.
+ */
+
+import crypto from 'crypto';
+
+import { getClient, query } from '../db.js';
+import { DEFAULT_AI_PROMPT, getCtmCallId, processCtmCall, saveCallLog } from './ctm.js';
+import { applySyncSideEffects } from './ctmSync.js';
+import { httpError } from '../utils/httpError.js';
+
+const CTM_WEBHOOK_SECRET = process.env.CTM_WEBHOOK_SECRET || '';
+const SIGNATURE_TOLERANCE_SEC = Number(process.env.CTM_WEBHOOK_TOLERANCE_SEC || 300);
+
+// CTM event names (and our ?event= aliases) -> activity kind
+const SUPPORTED_EVENTS = {
+  call_completed: 'call',
+  'call.completed': 'call',
+  end: 'call',
+  form: 'form',
+  form_submitted: 'form',
+  'form.submitted': 'form'
+};
+
+/**
+ * Event name for a delivery. CTM sends one trigger per webhook, so a webhook configured
+ * without an event name is treated as a completed call.
+ */
+export function getCtmWebhookEvent(body = {}, queryEvent = '') {
+  const event = String(body.event || body.event_type || body.trigger || queryEvent || 'call_completed')
+    .trim()
+    .toLowerCase();
+  return { event, kind: SUPPORTED_EVENTS[event] || null };
+}
+
+/**
+ * The activity itself may be the body or nested under call/activity
+ */
+export function getCtmWebhookActivity(body = {}) {
+  if (body.call && typeof body.call === 'object') return body.call;
+  if (body.activity && typeof body.activity === 'object') return body.activity;
+  return body;
+}
+
+export function getCtmWebhookAccountId(body = {}, activity = {}) {
+  const accountId = activity.account_id || activity.account?.id || body.account_id || body.account?.id;
+  return accountId ? String(accountId) : null;
+}
+
+/**
+ * X-CTM-Signature = base64(HMAC-SHA1(secret, rawBody + X-CTM-Time))
+ */
+export function verifyCtmSignature({ rawBody, timestamp, signature, secret }) {
+  if (!rawBody || !timestamp || !signature || !secret) return false;
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > SIGNATURE_TOLERANCE_SEC) return false;
+
+  const expected = crypto
+    .createHmac('sha1', secret)
+    .update(Buffer.concat([rawBody, Buffer.from(String(timestamp))]))
+    .digest('base64');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Client profile that owns a CTM account
+ */
+export async function findClientByCtmAccount(accountId) {
+  const { rows } = await query(
+    `SELECT user_id, ctm_account_number, ctm_api_key, ctm_api_secret, ai_prompt, auto_star_enabled
+     FROM client_profiles
+     WHERE ctm_account_number = $1
+     ORDER BY user_id
+     LIMIT 1`,
+    [accountId]
+  );
+  return rows[0] || null;
+}
+
+export function getCtmWebhookSecret(profile) {
+  return CTM_WEBHOOK_SECRET || profile?.ctm_api_secret || '';
+}
+
+/**
+ * Run one verified activity through the sync pipeline.
+ * @returns {Promise<Object>} { callId, inserted, autoStarred }
+ */
+export async function ingestCtmActivity(profile, activity) {
+  const callId = getCtmCallId(activity);
+  if (!callId) {
+    throw httpError(400, 'Activity has no call id');
+  }
+
+  const ownerId = profile.user_id;
+  const credentials = {
+    accountId: profile.ctm_account_number,
+    apiKey: profile.ctm_api_key,
+    apiSecret: profile.ctm_api_secret
+  };
+
+  const client = await getClient();
+  let processed;
+  let inserted = false;
+  try {
+    await client.query('BEGIN');
+    // Serialize concurrent deliveries of the same call so only one of them classifies/auto-stars
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`ctm_call:${callId}`]);
+
+    const existingRes = await client.query('SELECT call_id, score, meta FROM call_logs WHERE call_id = $1 LIMIT 1', [callId]);
+    processed = await processCtmCall(activity, {
+      prompt: profile.ai_prompt || DEFAULT_AI_PROMPT,
+      existing: existingRes.rows[0] || null,
+      autoStarEnabled: profile.auto_star_enabled || false,
+      syncRatings: true
+    });
+
+    ({ inserted } = await saveCallLog(client.query.bind(client), ownerId, processed));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Side effects run after commit, same as the sync routes
+  await applySyncSideEffects({ ownerId, credentials, results: [processed] });
+
+  return { callId, inserted, autoStarred: Boolean(processed.shouldPostScore) };
+}
@@ -0,0 +1,451 @@
+/**
+ * Data Retention Service
+ *
+ * Per-client retention policies (retention_policies), one per entity:
+ * - services: agreed services (client_services), aged by agreed_date
+ * - symptoms: journey symptoms / concerns (client_journeys), redact only
+ * - transcripts: call transcripts and SMS / form message bodies in call_logs.meta, redact only
+ * - form_phi: encrypted intake form payloads (form_submissions) and their generated PDFs
+ *   (form_pdf_artifacts rows and files), which hold the decrypted PHI
+ * - lead_notes: lead note bodies
+ *
+ * A policy is enabled, keeps data for retain_days and then redacts or deletes it. Owners
+ * without a stored policy use the entity defaults below; services default to redaction
+ * after 90 days, the old fixed behaviour. Runs (scheduled, manual and dry runs) and policy
+ * changes are written to retention_audit_log.
+ */
+
+import crypto from 'crypto';
+
+import { query } from '../db.js';
+import { deleteStoredPdfFiles } from './formPdf.js';
+import { httpError } from '../utils/httpError.js';
+import { isUuid } from '../utils/uuid.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETAIN_DAYS = 3650;
+const DEFAULT_AUDIT_LIMIT = 50;
+const MAX_AUDIT_LIMIT = 200;
+export const RETENTION_ACTIONS = ['redact', 'delete'];
+
+/**
+ * Per entity: allowed actions, defaults and the SQL fragments used to find and act on
+ * expired rows. `pending` excludes rows already redacted; `scope` limits the entity's rows.
+ * `redact` is the SET list of the redacting UPDATE (target table aliased t). `pdfArtifacts`
+ * entities also remove the expired rows' form_pdf_artifacts and their files.
+ */
+const RETENTION_ENTITIES = {
+  services: {
+    label: 'Agreed services',
+    actions: ['redact', 'delete'],
+    defaults: { enabled: true, retain_days: 90, action: 'redact' },
+    from: 'client_services cs JOIN active_clients ac ON ac.id = cs.active_client_id',
+    table: 'client_services',
+    id: 'cs.id',
+    owner: 'ac.owner_user_id',
+    age: 'cs.agreed_date',
+    pending: 'cs.redacted_at IS NULL',
+    redact: 'redacted_at = NOW()'
+  },
+  symptoms: {
+    label: 'Journey symptoms',
+    actions: ['redact'],
+    defaults: { enabled: false, retain_days: 90, action: 'redact' },
+    from: 'client_journeys cj',
+    table: 'client_journeys',
+    id: 'cj.id',
+    owner: 'cj.owner_user_id',
+    age: 'cj.created_at',
+    pending: 'cj.symptoms_redacted = FALSE',
+    redact: "symptoms = '[]'::jsonb, symptoms_redacted = TRUE, updated_at = NOW()"
+  },
+  transcripts: {
+    label: 'Call transcripts and messages',
+    actions: ['redact'],
+    defaults: { enabled: false, retain_days: 365, action: 'redact' },
+    from: 'call_logs cl',
+    table: 'call_logs',
+    id: 'cl.id',
+    owner: 'COALESCE(cl.owner_user_id, cl.user_id)',
+    age: 'cl.started_at',
+    pending: "(COALESCE(cl.meta->>'transcript', '') <> '' OR COALESCE(cl.meta->>'message', '') <> '')",
+    redact: "meta = (t.meta - 'transcript' - 'message') || jsonb_build_object('transcript_redacted_at', NOW())"
+  },
+  form_phi: {
+    label: 'Intake form PHI',
+    actions: ['redact', 'delete'],
+    defaults: { enabled: false, retain_days: 365, action: 'redact' },
+    from: 'form_submissions fs JOIN forms f ON f.id = fs.form_id',
+    table: 'form_submissions',
+    id: 'fs.id',
+    owner: 'f.org_id',
+    age: 'fs.created_at',
+    scope: "fs.submission_kind = 'intake'",
+    // Redacted rows stay pending while a PDF of the old payload is left
+    pending:
+      '(fs.encrypted_payload IS NOT NULL OR (fs.phi_redacted_at IS NOT NULL AND EXISTS (SELECT 1 FROM form_pdf_artifacts a WHERE a.submission_id = fs.id)))',
+    redact: 'encrypted_payload = NULL, encryption_key_id = NULL, phi_redacted_at = COALESCE(t.phi_redacted_at, NOW())',
+    pdfArtifacts: true
+  },
+  lead_notes: {
+    label: 'Lead notes',
+    actions: ['redact', 'delete'],
+    defaults: { enabled: false, retain_days: 365, action: 'redact' },
+    from: 'lead_notes n',
+    table: 'lead_notes',
+    id: 'n.id',
+    owner: 'n.owner_user_id',
+    age: 'n.created_at',
+    pending: 'n.redacted_at IS NULL',
+    redact: "body = '[redacted]', metadata = '{}'::jsonb, redacted_at = NOW()"
+  }
+};
+
+export const RETENTION_ENTITY_KEYS = Object.keys(RETENTION_ENTITIES);
+
+let retentionRunning = false;
+
+function cutoffFor(retainDays, now = Date.now()) {
+  return new Date(now - retainDays * DAY_MS).toISOString();
+}
+
+// ============================================================================
+// Policies
+// ============================================================================
+
+function policyView(entity, row) {
+  const config = RETENTION_ENTITIES[entity];
+  const policy = row || config.defaults;
+  return {
+    entity,
+    label: config.label,
+    actions: config.actions,
+    enabled: policy.enabled,
+    retain_days: policy.retain_days,
+    action: policy.action,
+    is_default: !row,
+    updated_at: row?.updated_at || null
+  };
+}
+
+/**
+ * Every entity's effective policy for an owner, stored or default.
+ */
+export async function getRetentionPolicies(ownerId) {
+  const { rows } = await query('SELECT entity, enabled, retain_days, action, updated_at FROM retention_policies WHERE owner_user_id = $1', [
+    ownerId
+  ]);
+  const stored = new Map(rows.map((row) => [row.entity, row]));
+  return RETENTION_ENTITY_KEYS.map((entity) => policyView(entity, stored.get(entity)));
+}
+
+function sanitizePolicy(input, current) {
+  const entity = input?.entity;
+  const config = RETENTION_ENTITIES[entity];
+  if (!config) throw httpError(400, `Unknown retention entity: ${entity}`);
+
+  const retainDays = input.retain_days === undefined ? current.retain_days : Number(input.retain_days);
+  if (!Number.isInteger(retainDays) || retainDays < 1 || retainDays > MAX_RETAIN_DAYS) {
+    throw httpError(400, `${config.label}: retain_days must be a whole number between 1 and ${MAX_RETAIN_DAYS}`);
+  }
+  const action = input.action === undefined ? current.action : input.action;
+  if (!config.actions.includes(action)) {
+    throw httpError(400, `${config.label}: action must be one of ${config.actions.join(', ')}`);
+  }
+  return {
+    entity,
+    enabled: input.enabled === undefined ? current.enabled : Boolean(input.enabled),
+    retain_days: retainDays,
+    action
+  };
+}
+
+/**
+ * Save policies for an owner. `policies` is a list of { entity, enabled, retain_days, action };
+ * omitted fields keep their current value. Each change is audited as policy_updated.
+ */
+export async function updateRetentionPolicies(ownerId, policies, actorId = null) {
+  if (!Array.isArray(policies) || !policies.length) throw httpError(400, 'policies must be a non-empty array');
+  const current = new Map((await getRetentionPolicies(ownerId)).map((policy) => [policy.entity, policy]));
+  const updates = policies.map((input) => sanitizePolicy(input, current.get(input?.entity) || {}));
+
+  for (const policy of updates) {
+    const before = current.get(policy.entity);
+    const changed =
+      before.is_default ||
+      before.enabled !== policy.enabled ||
+      before.retain_days !== policy.retain_days ||
+      before.action !== policy.action;
+    if (!changed) continue;
+
+    await query(
+      `INSERT INTO retention_policies (owner_user_id, entity, enabled, retain_days, action, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (owner_user_id, entity) DO UPDATE
+         SET enabled = EXCLUDED.enabled,
+             retain_days = EXCLUDED.retain_days,
+             action = EXCLUDED.action,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = NOW()`,
+      [ownerId, policy.entity, policy.enabled, policy.retain_days, policy.action, actorId]
+    );
+    await writeAuditEntry({
+      ownerId,
+      entity: policy.entity,
+      event: 'policy_updated',
+      retainDays: policy.retain_days,
+      triggeredBy: 'manual',
+      actorId,
+      details: {
+        before: { enabled: before.enabled, retain_days: before.retain_days, action: before.action },
+        after: { enabled: policy.enabled, retain_days: policy.retain_days, action: policy.action }
+      }
+    });
+  }
+  return getRetentionPolicies(ownerId);
+}
+
+// ============================================================================
+// Expired rows
+// ============================================================================
+
+/**
+ * CTEs for one entity: `policy` holds each owner's effective policy (ownerId limits it to
+ * one owner), `due` the expired rows with the action their policy applies. Parameters:
+ * $1 entity, $2-$4 default enabled / retain_days / action, $5 owner or null, $6 action.
+ */
+function dueRowsSql(entity, { ignoreEnabled = false } = {}) {
+  const config = RETENTION_ENTITIES[entity];
+  const conditions = [
+    ignoreEnabled ? 'TRUE' : 'p.enabled',
+    'p.action = $6::text',
+    `${config.age} < NOW() - make_interval(days => p.retain_days)`,
+    `($6::text = 'delete' OR ${config.pending})`
+  ];
+  if (config.scope) conditions.push(config.scope);
+  return `WITH policy AS (
+      SELECT u.id AS owner_user_id,
+             COALESCE(rp.enabled, $2) AS enabled,
+             COALESCE(rp.retain_days, $3) AS retain_days,
+             COALESCE(rp.action, $4) AS action
+      FROM users u
+      LEFT JOIN retention_policies rp ON rp.owner_user_id = u.id AND rp.entity = $1
+      WHERE ($5::uuid IS NULL OR u.id = $5)
+    ),
+    due AS (
+      SELECT ${config.id} AS id, p.owner_user_id, p.retain_days
+      FROM ${config.from}
+      JOIN policy p ON p.owner_user_id = ${config.owner}
+      WHERE ${conditions.join('\n        AND ')}
+    )`;
+}
+
+function dueParams(entity, ownerId, action) {
+  const { enabled, retain_days: retainDays, action: defaultAction } = RETENTION_ENTITIES[entity].defaults;
+  return [entity, enabled, retainDays, defaultAction, ownerId || null, action];
+}
+
+function groupKey(row) {
+  return `${row.owner_user_id}:${row.retain_days}`;
+}
+
+/**
+ * Count (dryRun) or remove the generated PDFs of one entity's expired rows: artifact rows
+ * are deleted and their files unlinked. Runs before the rows themselves are deleted, since
+ * that would cascade the artifact rows and lose the file paths.
+ * Resolves [{ owner_user_id, retain_days, pdf_artifacts, pdf_files_failed }].
+ */
+async function processPdfArtifacts(entity, action, { ownerId, dryRun, ignoreEnabled }) {
+  const statement = dryRun
+    ? 'SELECT due.owner_user_id, due.retain_days, a.storage_path FROM form_pdf_artifacts a JOIN due ON due.id = a.submission_id'
+    : `DELETE FROM form_pdf_artifacts a USING due WHERE a.submission_id = due.id
+       RETURNING due.owner_user_id, due.retain_days, a.storage_path`;
+  const { rows } = await query(
+    `${dueRowsSql(entity, { ignoreEnabled })},
+    done AS (${statement})
+    SELECT owner_user_id, retain_days, array_agg(storage_path) AS paths FROM done GROUP BY owner_user_id, retain_days`,
+    dueParams(entity, ownerId, action)
+  );
+  const results = [];
+  for (const row of rows) {
+    const files = dryRun ? { failed: 0 } : await deleteStoredPdfFiles(row.paths);
+    results.push({
+      owner_user_id: row.owner_user_id,
+      retain_days: row.retain_days,
+      pdf_artifacts: row.paths.length,
+      pdf_files_failed: files.failed
+    });
+  }
+  return results;
+}
+
+/**
+ * Count (dryRun) or redact / delete one entity's expired rows for one action.
+ * Resolves [{ owner_user_id, retain_days, affected }], plus pdf_artifacts and
+ * pdf_files_failed for pdfArtifacts entities.
+ */
+async function processEntity(entity, action, { ownerId, dryRun, ignoreEnabled }) {
+  const config = RETENTION_ENTITIES[entity];
+  const artifacts = config.pdfArtifacts ? await processPdfArtifacts(entity, action, { ownerId, dryRun, ignoreEnabled }) : null;
+  let statement;
+  if (dryRun) {
+    statement = 'SELECT owner_user_id, retain_days, id FROM due';
+  } else if (action === 'delete') {
+    statement = `DELETE FROM ${config.table} t USING due WHERE t.id = due.id RETURNING due.owner_user_id, due.retain_days`;
+  } else {
+    statement = `UPDATE ${config.table} t SET ${config.redact} FROM due WHERE t.id = due.id RETURNING due.owner_user_id, due.retain_days`;
+  }
+  const { rows } = await query(
+    `${dueRowsSql(entity, { ignoreEnabled })},
+    done AS (${statement})
+    SELECT owner_user_id, retain_days, COUNT(*)::int AS affected FROM done GROUP BY owner_user_id, retain_days`,
+    dueParams(entity, ownerId, action)
+  );
+  if (!artifacts) return rows;
+
+  // Redacting clears the pending flag of already-redacted rows once their PDFs are gone,
+  // so a group can have PDFs removed and no rows affected
+  const groups = new Map(rows.map((row) => [groupKey(row), { ...row, pdf_artifacts: 0, pdf_files_failed: 0 }]));
+  artifacts.forEach((artifact) => {
+    groups.set(groupKey(artifact), { affected: 0, ...groups.get(groupKey(artifact)), ...artifact });
+  });
+  return [...groups.values()];
+}
+
+// ============================================================================
+// Runs
+// ============================================================================
+
+async function writeAuditEntry({
+  ownerId,
+  runId = null,
+  entity,
+  event,
+  retainDays = null,
+  cutoff = null,
+  affected = 0,
+  dryRun = false,
+  triggeredBy,
+  actorId = null,
+  details = {}
+}) {
+  await query(
+    `INSERT INTO retention_audit_log
+       (owner_user_id, run_id, entity, event, retain_days, cutoff, affected_count, dry_run, triggered_by, actor_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [ownerId, runId, entity, event, retainDays, cutoff, affected, dryRun, triggeredBy, actorId, JSON.stringify(details)]
+  );
+}
+
+/**
+ * Apply retention policies. Without ownerId every owner's enabled policies run (the
+ * scheduled job); with it only that owner's. Results and audit entries are per owner,
+ * entity and action; scheduled runs only audit entities that affected rows.
+ * @param {Object} [options]
+ * @param {string} [options.ownerId]
+ * @param {boolean} [options.dryRun] - count expired rows without changing them
+ * @param {string[]} [options.entities] - default: all entities
+ * @param {string[]} [options.actions] - default: redact and delete
+ * @param {boolean} [options.ignoreEnabled] - also apply disabled policies
+ * @param {'schedule'|'manual'} [options.triggeredBy]
+ * @param {string} [options.actorId]
+ */
+export async function runRetentionPolicies({
+  ownerId = null,
+  dryRun = false,
+  entities = RETENTION_ENTITY_KEYS,
+  actions = RETENTION_ACTIONS,
+  ignoreEnabled = false,
+  triggeredBy = 'schedule',
+  actorId = null
+} = {}) {
+  const unknown = entities.find((entity) => !RETENTION_ENTITIES[entity]);
+  if (unknown) throw httpError(400, `Unknown retention entity: ${unknown}`);
+  if (!ownerId) {
+    if (retentionRunning) return { skipped: true };
+    retentionRunning = true;
+  }
+
+  const runId = crypto.randomUUID();
+  const startedAt = Date.now();
+  const results = [];
+  try {
+    for (const entity of entities) {
+      for (const action of RETENTION_ENTITIES[entity].actions.filter((item) => actions.includes(item))) {
+        const rows = await processEntity(entity, action, { ownerId, dryRun, ignoreEnabled });
+        rows.forEach((row) => results.push({ entity, action, ...row }));
+      }
+    }
+
+    for (const result of results) {
+      await writeAuditEntry({
+        ownerId: result.owner_user_id,
+        runId,
+        entity: result.entity,
+        event: result.action,
+        retainDays: result.retain_days,
+        cutoff: cutoffFor(result.retain_days, startedAt),
+        affected: result.affected,
+        dryRun,
+        triggeredBy,
+        actorId,
+        details:
+          result.pdf_artifacts === undefined ? {} : { pdf_artifacts: result.pdf_artifacts, pdf_files_failed: result.pdf_files_failed }
+      });
+    }
+
+    return {
+      run_id: runId,
+      dry_run: dryRun,
+      owners: new Set(results.map((result) => result.owner_user_id)).size,
+      affected: results.reduce((sum, result) => sum + result.affected, 0),
+      pdf_artifacts: results.reduce((sum, result) => sum + (result.pdf_artifacts || 0), 0),
+      results
+    };
+  } finally {
+    if (!ownerId) retentionRunning = false;
+  }
+}
+
+/**
+ * What each of an owner's policies would affect if applied now, enabled or not
+ * (pdf_artifacts: generated PDFs that would be removed, form_phi only).
+ */
+export async function previewRetention(ownerId) {
+  const policies = await getRetentionPolicies(ownerId);
+  const preview = [];
+  for (const policy of policies) {
+    const rows = await processEntity(policy.entity, policy.action, { ownerId, dryRun: true, ignoreEnabled: true });
+    preview.push({
+      ...policy,
+      cutoff: cutoffFor(policy.retain_days),
+      affected: rows.reduce((sum, row) => sum + row.affected, 0),
+      ...(RETENTION_ENTITIES[policy.entity].pdfArtifacts && { pdf_artifacts: rows.reduce((sum, row) => sum + row.pdf_artifacts, 0) })
+    });
+  }
+  return preview;
+}
+
+/**
+ * Newest audit entries first, optionally for one run.
+ */
+export async function listRetentionAudit(ownerId, { limit, runId } = {}) {
+  if (runId && !isUuid(runId)) throw httpError(400, 'Invalid run_id');
+  const max = Math.min(MAX_AUDIT_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_AUDIT_LIMIT));
+  const { rows } = await query(
+    `SELECT ral.id, ral.run_id, ral.entity, ral.event, ral.retain_days, ral.cutoff, ral.affected_count,
+            ral.dry_run, ral.triggered_by, ral.details, ral.created_at,
+            COALESCE(NULLIF(TRIM(CONCAT_WS(' ', u.first_name, u.last_name)), ''), u.email) AS actor_name
+     FROM retention_audit_log ral
+     LEFT JOIN users u ON u.id = ral.actor_id
+     WHERE ral.owner_user_id = $1 AND ($2::uuid IS NULL OR ral.run_id = $2)
+     ORDER BY ral.created_at DESC
+     LIMIT $3`,
+    [ownerId, runId || null, max]
+  );
+  return rows;
+}
@@ -7,6 +7,8 @@ import { promisify } from 'util';
 import { createRequire } from 'module';
 import { pathToFileURL } from 'url';
 
+import { escapeHtml } from '../utils/html.js';
+
 // Uses Document AI REST API with GoogleAuth (available via @google-cloud/vertexai transitive deps).
 // We avoid adding a heavy SDK dependency and keep calls explicit.
 
@@ -40,15 +42,15 @@ async function renderPdfToJpegBuffersPoppler(pdfBuffer, dpi = 220) {
       maxBuffer: 1024 * 1024 * 50
     });
     const files = (await fs.readdir(tmpDir))
-      .filter((f) => /^page-\\d+\\.jpg$/i.test(f))
+      .filter((f) => /^page-\d+\.jpg$/i.test(f))
       .sort((a, b) => {
-        const na = Number(a.match(/page-(\\d+)\\.jpg/i)?.[1] || 0);
-        const nb = Number(b.match(/page-(\\d+)\\.jpg/i)?.[1] || 0);
+        const na = Number(a.match(/page-(\d+)\.jpg/i)?.[1] || 0);
+        const nb = Number(b.match(/page-(\d+)\.jpg/i)?.[1] || 0);
         return na - nb;
       });
     const out = [];
     for (const f of files) {
-      const pageNumber = Number(f.match(/page-(\\d+)\\.jpg/i)?.[1] || 0) || 1;
+      const pageNumber = Number(f.match(/page-(\d+)\.jpg/i)?.[1] || 0) || 1;
       // eslint-disable-next-line no-await-in-loop
       const buf = await fs.readFile(path.join(tmpDir, f));
       out.push({ buffer: buf, pageNumber });
@@ -236,6 +238,21 @@ export async function renderPdfToPngBuffers(pdfBuffer, dpi = 220) {
   throw new Error('No PDF rasterizer available (set FORMS_PDF_RASTERIZER=pdfjs or install poppler-utils)');
 }
 
+/**
+ * Page count from the PDF's page tree, without rendering anything.
+ */
+export async function countPdfPages(pdfBuffer) {
+  const pdfjsMod = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const pdfjsLib = pdfjsMod?.default ?? pdfjsMod;
+  const pdfBytes = new Uint8Array(pdfBuffer.buffer.slice(pdfBuffer.byteOffset, pdfBuffer.byteOffset + pdfBuffer.byteLength));
+  const doc = await pdfjsLib.getDocument({ data: pdfBytes, verbosity: 0 }).promise;
+  try {
+    return doc.numPages;
+  } finally {
+    await doc.destroy();
+  }
+}
+
 /**
  * Shift all textAnchor indices by an offset so we can concatenate per-page documents.
  */
@@ -1140,12 +1157,3 @@ document.addEventListener('DOMContentLoaded', () => {
 
   return { html, css, js };
 }
-
-function escapeHtml(s) {
-  return String(s || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
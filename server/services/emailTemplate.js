@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 
+import { escapeHtml } from '../utils/html.js';
+
 function normalizeBase(value) {
   if (!value) return null;
   let base = String(value).trim();
@@ -45,15 +47,6 @@ function getLogoDataUri() {
   }
 }
 
-function escapeHtml(s) {
-  return String(s || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
-
 function textToHtml(text) {
   const safe = escapeHtml(text || '');
   return safe
@@ -0,0 +1,173 @@
+/**
+ * Form -> CallTrackingMetrics Forwarding
+ *
+ * Conversion submissions from forms with settings_json.ctm_enabled are posted to the
+ * client's CTM FormReactor (settings_json.ctm_conversion_action_id), so web leads show up
+ * in the Leads tab next to phone calls once the CTM sync pulls them in.
+ *
+ * Only field names listed in form_ctm_allowed_fields are sent. Fields matching a PHI
+ * definition are dropped even when allowed, and encrypted payloads are never read.
+ */
+
+import { query } from '../db.js';
+import { postFormReactorToCTM } from './ctm.js';
+import { logFormAudit } from './forms.js';
+import { getSchemaInputFields, getPhiFieldDefinitions, isPhiField } from './formSubmissions.js';
+
+const ALLOWED_FIELDS_TTL_MS = 5 * 60 * 1000;
+const MAX_CTM_VALUE_LENGTH = 1000;
+const MAX_ERROR_LENGTH = 2000;
+
+// FormReactor's own parameters and the submission fields that can fill them
+const CTM_CONTACT_FIELDS = {
+  phone_number: ['phone_number', 'phone'],
+  caller_name: ['caller_name', 'name', 'full_name'],
+  email: ['email']
+};
+
+let allowedFieldsCache = null;
+let allowedFieldsLoadedAt = 0;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Active field names from form_ctm_allowed_fields (cached briefly).
+ */
+export async function getCtmAllowedFields() {
+  if (allowedFieldsCache && Date.now() - allowedFieldsLoadedAt < ALLOWED_FIELDS_TTL_MS) {
+    return allowedFieldsCache;
+  }
+  const { rows } = await query(`SELECT field_name FROM form_ctm_allowed_fields WHERE is_active = TRUE ORDER BY field_name`);
+  allowedFieldsCache = rows.map((row) => row.field_name);
+  allowedFieldsLoadedAt = Date.now();
+  return allowedFieldsCache;
+}
+
+async function getClientCtmCredentials(orgId) {
+  if (!orgId) return null;
+  const { rows } = await query('SELECT ctm_account_number, ctm_api_key, ctm_api_secret FROM client_profiles WHERE user_id=$1 LIMIT 1', [
+    orgId
+  ]);
+  const profile = rows[0] || {};
+  const credentials = {
+    accountId: profile.ctm_account_number,
+    apiKey: profile.ctm_api_key,
+    apiSecret: profile.ctm_api_secret
+  };
+  if (!credentials.accountId || !credentials.apiKey || !credentials.apiSecret) return null;
+  return credentials;
+}
+
+function toCtmValue(value) {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value).slice(0, MAX_CTM_VALUE_LENGTH);
+}
+
+/**
+ * Build FormReactor parameters for a submission.
+ * Contact fields map onto phone_number / caller_name / email; everything else is sent as custom_<name>.
+ *
+ * @returns {{ payload: Object, fieldNames: string[] }}
+ */
+export function buildCtmFormPayload(context, allowedFields = [], phiDefinitions = []) {
+  const allowed = new Set(allowedFields);
+  const phiNames = new Set(
+    getSchemaInputFields(context.schema_json)
+      .filter((field) => isPhiField(field, phiDefinitions))
+      .map((field) => field.name)
+  );
+
+  const answers = {};
+  for (const [name, value] of Object.entries(context.non_phi_payload || {})) {
+    if (!phiNames.has(name)) answers[name] = value;
+  }
+  // Server-side values win over answers with the same name
+  const source = {
+    ...answers,
+    ...(context.attribution_json || {}),
+    form_name: context.form_name,
+    form_id: context.form_id,
+    submission_id: context.id,
+    timestamp: new Date(context.created_at).toISOString(),
+    conversion_type: context.form_type
+  };
+
+  const picked = {};
+  for (const [name, value] of Object.entries(source)) {
+    if (!allowed.has(name) || value === undefined || value === null || value === '') continue;
+    // Uploaded files are never forwarded
+    if (typeof value === 'object' && !Array.isArray(value)) continue;
+    picked[name] = toCtmValue(value);
+  }
+
+  const payload = {};
+  const used = new Set();
+  for (const [param, candidates] of Object.entries(CTM_CONTACT_FIELDS)) {
+    const match = candidates.find((name) => picked[name]);
+    if (match) {
+      payload[param] = picked[match];
+      used.add(match);
+    }
+  }
+  if (!payload.caller_name && (picked.first_name || picked.last_name)) {
+    payload.caller_name = [picked.first_name, picked.last_name].filter(Boolean).join(' ');
+    used.add('first_name');
+    used.add('last_name');
+  }
+  for (const [name, value] of Object.entries(picked)) {
+    if (!used.has(name)) payload[`custom_${name}`] = value;
+  }
+
+  return { payload, fieldNames: Object.keys(picked) };
+}
+
+// ============================================================================
+// Forwarding
+// ============================================================================
+
+/**
+ * Post a submission to CTM and record the outcome on form_submissions
+ * (ctm_sent / ctm_response on success, ctm_error on failure). Throws so the job retries.
+ *
+ * @param {Object} context - Submission job context (formJobs.loadJobContext)
+ */
+export async function forwardSubmissionToCtm(context) {
+  const settings = context.settings_json || {};
+  if (context.ctm_sent) return { skipped: 'already_sent' };
+  if (!settings.ctm_enabled || context.submission_kind !== 'conversion') return { skipped: 'ctm_disabled' };
+
+  try {
+    const formReactorId = String(settings.ctm_conversion_action_id || '').trim();
+    if (!formReactorId) throw new Error('No CTM FormReactor configured (settings_json.ctm_conversion_action_id)');
+    const credentials = await getClientCtmCredentials(context.org_id);
+    if (!credentials) throw new Error('CallTrackingMetrics credentials not configured.');
+
+    const [allowedFields, phiDefinitions] = await Promise.all([getCtmAllowedFields(), getPhiFieldDefinitions()]);
+    const { payload, fieldNames } = buildCtmFormPayload(context, allowedFields, phiDefinitions);
+    const response = await postFormReactorToCTM(credentials, formReactorId, payload);
+
+    await query(`UPDATE form_submissions SET ctm_sent = TRUE, ctm_sent_at = NOW(), ctm_response = $2, ctm_error = NULL WHERE id = $1`, [
+      context.id,
+      JSON.stringify(response ?? {})
+    ]);
+    await logFormAudit({
+      actorId: null,
+      action: 'submission.ctm_sent',
+      entityType: 'submission',
+      entityId: context.id,
+      metadata: { form_id: context.form_id, form_reactor_id: formReactorId, fields: fieldNames }
+    });
+    return { fields: fieldNames.length };
+  } catch (err) {
+    await query(`UPDATE form_submissions SET ctm_error = $2, ctm_response = $3 WHERE id = $1`, [
+      context.id,
+      String(err?.message || err).slice(0, MAX_ERROR_LENGTH),
+      err?.data ? JSON.stringify(err.data) : null
+    ]);
+    throw err;
+  }
+}
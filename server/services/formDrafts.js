@@ -0,0 +1,480 @@
+/**
+ * Form Draft Sessions Service (save & resume)
+ *
+ * Lets a patient save a partially completed form and finish it later:
+ * - Partial values (and the contact email) are encrypted into encrypted_partial_payload
+ * - The resume link token is stored only as resume_token_hash
+ * - The email is stored only as an HMAC (email_hash) so "resume by email" can find drafts
+ * - Resuming requires a one-time code emailed to the saved address; otp_attempts and
+ *   otp_last_sent_at limit guessing and resends
+ * - Drafts expire after settings_json.resume_token_ttl_hours (sliding) and are purged by cron
+ */
+
+import crypto from 'crypto';
+
+import { query } from '../db.js';
+import { logFormAudit, toInet } from './forms.js';
+import { getSchemaInputFields, normalizeFieldValue, isValidSignature, checkFileUpload } from './formSubmissions.js';
+import { encryptJson, decryptJson } from './formEncryption.js';
+import { generateSecureToken, hashToken } from './security/tokens.js';
+import { sendMailgunMessageWithLogging, isMailgunConfigured } from './mailgun.js';
+import { httpError } from '../utils/httpError.js';
+import { escapeHtml } from '../utils/html.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const OTP_LENGTH = 6;
+const OTP_EXPIRY_MINUTES = parseInt(process.env.FORM_DRAFT_OTP_EXPIRY_MINUTES || '10', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.FORM_DRAFT_OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.FORM_DRAFT_OTP_COOLDOWN_SECONDS || '60', 10);
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 24 * 30;
+const MAX_VALUE_LENGTH = 5000;
+
+export const RESUME_PARAM = 'anchor_resume';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function normalizeEmail(email) {
+  return String(email || '')
+    .trim()
+    .toLowerCase();
+}
+
+export function isValidDraftEmail(email) {
+  return EMAIL_RE.test(normalizeEmail(email));
+}
+
+/**
+ * Keyed hash so the address can be matched without being stored.
+ */
+function hashEmail(email) {
+  const key = process.env.FORM_DRAFT_EMAIL_SALT || process.env.RATE_LIMIT_SALT || 'anchor-form-drafts';
+  return crypto.createHmac('sha256', key).update(normalizeEmail(email)).digest('hex');
+}
+
+function hashOtp(draftId, code) {
+  return hashToken(`${draftId}:${code}`);
+}
+
+function hashesMatch(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function generateOtp(length = OTP_LENGTH) {
+  const bytes = crypto.randomBytes(length);
+  let otp = '';
+  for (let i = 0; i < length; i++) {
+    otp += String(bytes[i] % 10);
+  }
+  return otp;
+}
+
+function draftAad(draftId) {
+  return `form_draft:${draftId}`;
+}
+
+function getTtlHours(form) {
+  const hours = Number(form.settings_json?.resume_token_ttl_hours);
+  if (!Number.isFinite(hours) || hours <= 0) return DEFAULT_TTL_HOURS;
+  return Math.min(hours, MAX_TTL_HOURS);
+}
+
+function expiresAtFor(form) {
+  return new Date(Date.now() + getTtlHours(form) * 60 * 60 * 1000);
+}
+
+function maskEmail(email) {
+  const [local, domain] = normalizeEmail(email).split('@');
+  if (!domain) return '***';
+  return `${local.slice(0, 2)}***@${domain}`;
+}
+
+/**
+ * Keep only the schema's input fields; required checks are skipped for partial saves.
+ * Signatures and uploads are kept whole under their own limits (a capped data URL would
+ * restore as a corrupt image), and dropped when invalid so the embed asks for them again.
+ */
+export function sanitizeDraftFields(schema, input = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const values = {};
+  for (const field of getSchemaInputFields(schema)) {
+    const value = source[field.name];
+    if (value === undefined || value === null) continue;
+    if (field.inputType === 'signature') {
+      const signature = normalizeFieldValue('signature', value);
+      if (isValidSignature(signature)) values[field.name] = signature;
+      continue;
+    }
+    if (field.inputType === 'file') {
+      const { file } = checkFileUpload(field, normalizeFieldValue('file', value));
+      if (file) values[field.name] = file;
+      continue;
+    }
+    if (typeof value === 'boolean') values[field.name] = value;
+    else if (Array.isArray(value)) values[field.name] = value.map((v) => String(v ?? '').slice(0, MAX_VALUE_LENGTH));
+    else values[field.name] = String(value).slice(0, MAX_VALUE_LENGTH);
+  }
+  return values;
+}
+
+/**
+ * Build the resume link from the page the form is embedded on.
+ * Only used when that page is on the verified embed host, so links can't point elsewhere.
+ */
+export function buildResumeUrl(pageUrl, resumeToken, embedDomain) {
+  if (!pageUrl || !embedDomain) return null;
+  try {
+    const url = new URL(pageUrl);
+    if (!['http:', 'https:'].includes(url.protocol) || url.hostname.toLowerCase() !== embedDomain) return null;
+    url.searchParams.set(RESUME_PARAM, resumeToken);
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function decryptDraftPayload(draft) {
+  return decryptJson(draft.encrypted_partial_payload, draft.encryption_key_id, { aad: draftAad(draft.id) }) || {};
+}
+
+async function findActiveDraft(formId, { resumeToken, email }) {
+  if (resumeToken) {
+    const { rows } = await query(
+      `SELECT * FROM form_draft_sessions
+       WHERE form_id = $1 AND resume_token_hash = $2 AND expires_at > NOW()
+       LIMIT 1`,
+      [formId, hashToken(String(resumeToken))]
+    );
+    return rows[0] || null;
+  }
+  if (email && isValidDraftEmail(email)) {
+    const { rows } = await query(
+      `SELECT * FROM form_draft_sessions
+       WHERE form_id = $1 AND email_hash = $2 AND expires_at > NOW()
+       ORDER BY last_saved_at DESC
+       LIMIT 1`,
+      [formId, hashEmail(email)]
+    );
+    return rows[0] || null;
+  }
+  return null;
+}
+
+// ============================================================================
+// Emails
+// ============================================================================
+
+async function sendResumeLinkEmail({ form, email, resumeUrl, expiresAt, draftId }) {
+  if (!resumeUrl) return;
+  if (!isMailgunConfigured()) {
+    console.warn(`[forms:drafts] Email not configured; resume link not sent to ${maskEmail(email)}`);
+    return;
+  }
+  const expires = expiresAt.toLocaleString('en-US', { timeZone: 'America/New_York', dateStyle: 'medium', timeStyle: 'short' });
+  await sendMailgunMessageWithLogging(
+    {
+      to: [email],
+      subject: `Finish your ${form.name}`,
+      text: `Your progress on ${form.name} has been saved.\n\nContinue where you left off: ${resumeUrl}\n\nFor your security we'll email you a one-time code when you return. This link expires ${expires} ET.`,
+      html: `<p>Your progress on <strong>${escapeHtml(form.name)}</strong> has been saved.</p>
+<p><a href="${escapeHtml(resumeUrl)}" target="_blank" rel="noopener">Continue where you left off</a></p>
+<p>For your security we'll email you a one-time code when you return. This link expires ${escapeHtml(expires)} ET.</p>`
+    },
+    {
+      emailType: 'form_draft_link',
+      metadata: { form_id: form.id, draft_id: draftId }
+    }
+  );
+}
+
+async function sendOtpEmail({ form, email, code, draftId }) {
+  if (!isMailgunConfigured()) {
+    if (process.env.NODE_ENV === 'production') {
+      throw httpError(503, 'Unable to send a verification code right now');
+    }
+    console.warn(`[forms:drafts] Email not configured. Code for ${maskEmail(email)}: ${code}`);
+    return;
+  }
+  await sendMailgunMessageWithLogging(
+    {
+      to: [email],
+      subject: `Your code to resume ${form.name}`,
+      text: `Your verification code is: ${code}\n\nThis code expires in ${OTP_EXPIRY_MINUTES} minutes.\n\nIf you didn't request this code, you can ignore this email.`,
+      html: `<p>Your verification code to resume <strong>${escapeHtml(form.name)}</strong> is:</p>
+<p style="font-family: monospace; font-size: 28px; font-weight: bold; letter-spacing: 4px;">${code}</p>
+<p>This code expires in ${OTP_EXPIRY_MINUTES} minutes. If you didn't request this code, you can ignore this email.</p>`
+    },
+    {
+      emailType: 'form_draft_otp',
+      metadata: { form_id: form.id, draft_id: draftId }
+    }
+  );
+}
+
+async function notifyDraftResumed(form, draftId) {
+  const settings = form.settings_json || {};
+  const recipients = Array.isArray(settings.email_recipients) ? settings.email_recipients.filter(Boolean) : [];
+  if (!settings.email_on_draft_resumed || !recipients.length || !isMailgunConfigured()) return;
+  try {
+    await sendMailgunMessageWithLogging(
+      {
+        to: recipients,
+        subject: `Saved form resumed: ${form.name}`,
+        text: `A visitor verified their email and resumed a saved draft of ${form.name}.`
+      },
+      {
+        emailType: 'form_draft_resumed',
+        clientId: form.org_id || null,
+        metadata: { form_id: form.id, draft_id: draftId }
+      }
+    );
+  } catch (err) {
+    console.error('[forms:drafts:notify]', err.message || err);
+  }
+}
+
+// ============================================================================
+// Save
+// ============================================================================
+
+/**
+ * Create or update a draft for a published form.
+ * An existing draft is updated when a valid resume token is supplied; otherwise a new
+ * draft is created (email required) and the resume link is emailed.
+ *
+ * @returns {Promise<{ draftId: string, resumeToken: string|null, resumeUrl: string|null, expiresAt: Date, created: boolean }>}
+ */
+export async function saveFormDraft({
+  form,
+  fields,
+  email,
+  resumeToken = null,
+  pageUrl = null,
+  embedDomain = null,
+  ipAddress = null,
+  userAgent = null
+}) {
+  const values = sanitizeDraftFields(form.schema_json, fields);
+  const expiresAt = expiresAtFor(form);
+
+  if (resumeToken) {
+    const existing = await findActiveDraft(form.id, { resumeToken });
+    if (!existing) {
+      throw httpError(410, 'This saved form has expired. Please start again.');
+    }
+    const previous = decryptDraftPayload(existing);
+    const encrypted = encryptJson({ email: previous.email, values }, { aad: draftAad(existing.id) });
+    await query(
+      `UPDATE form_draft_sessions
+       SET form_version_id = $2, encrypted_partial_payload = $3, encryption_key_id = $4,
+           expires_at = $5, last_saved_at = NOW(), ip_address = $6, user_agent = $7
+       WHERE id = $1`,
+      [existing.id, form.version_id, encrypted.ciphertext, encrypted.keyId, expiresAt, toInet(ipAddress), userAgent || null]
+    );
+    await logFormAudit({
+      actorId: null,
+      action: 'draft.saved',
+      entityType: 'draft',
+      entityId: existing.id,
+      metadata: { form_id: form.id, version_id: form.version_id, field_count: Object.keys(values).length, created: false },
+      ipAddress,
+      userAgent
+    });
+    return { draftId: existing.id, resumeToken, resumeUrl: buildResumeUrl(pageUrl, resumeToken, embedDomain), expiresAt, created: false };
+  }
+
+  if (!isValidDraftEmail(email)) {
+    throw httpError(400, 'A valid email address is required to save your progress');
+  }
+
+  const draftId = crypto.randomUUID();
+  const newToken = generateSecureToken(32);
+  const normalizedEmail = normalizeEmail(email);
+  const encrypted = encryptJson({ email: normalizedEmail, values }, { aad: draftAad(draftId) });
+  await query(
+    `INSERT INTO form_draft_sessions (
+       id, form_id, form_version_id, resume_token_hash, email_hash, encrypted_partial_payload, encryption_key_id,
+       expires_at, ip_address, user_agent
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      draftId,
+      form.id,
+      form.version_id,
+      hashToken(newToken),
+      hashEmail(normalizedEmail),
+      encrypted.ciphertext,
+      encrypted.keyId,
+      expiresAt,
+      toInet(ipAddress),
+      userAgent || null
+    ]
+  );
+  await logFormAudit({
+    actorId: null,
+    action: 'draft.saved',
+    entityType: 'draft',
+    entityId: draftId,
+    metadata: { form_id: form.id, version_id: form.version_id, field_count: Object.keys(values).length, created: true },
+    ipAddress,
+    userAgent
+  });
+
+  const resumeUrl = buildResumeUrl(pageUrl, newToken, embedDomain);
+  try {
+    await sendResumeLinkEmail({ form, email: normalizedEmail, resumeUrl, expiresAt, draftId });
+  } catch (err) {
+    console.error('[forms:drafts:link-email]', err.message || err);
+  }
+
+  return { draftId, resumeToken: newToken, resumeUrl, expiresAt, created: true };
+}
+
+// ============================================================================
+// Resume (email OTP)
+// ============================================================================
+
+/**
+ * Email a one-time code for a draft found by resume token or email.
+ * Returns { sent: false } when no draft matches so callers can answer generically.
+ */
+export async function requestDraftCode({ form, resumeToken = null, email = null, ipAddress = null, userAgent = null }) {
+  const draft = await findActiveDraft(form.id, { resumeToken, email });
+  if (!draft) return { sent: false };
+
+  if (draft.otp_last_sent_at) {
+    const elapsed = (Date.now() - new Date(draft.otp_last_sent_at).getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      throw httpError(429, `Please wait ${Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed)} seconds before requesting another code`);
+    }
+  }
+
+  const payload = decryptDraftPayload(draft);
+  if (!payload.email) return { sent: false };
+
+  const code = generateOtp();
+  // A new code resets the attempt counter; the resend cooldown bounds how fast codes can be cycled
+  await query(`UPDATE form_draft_sessions SET otp_hash = $2, otp_attempts = 0, otp_last_sent_at = NOW() WHERE id = $1`, [
+    draft.id,
+    hashOtp(draft.id, code)
+  ]);
+  await sendOtpEmail({ form, email: payload.email, code, draftId: draft.id });
+  await logFormAudit({
+    actorId: null,
+    action: 'draft.code_sent',
+    entityType: 'draft',
+    entityId: draft.id,
+    metadata: { form_id: form.id, lookup: resumeToken ? 'token' : 'email' },
+    ipAddress,
+    userAgent
+  });
+
+  return { sent: true, email: maskEmail(payload.email) };
+}
+
+/**
+ * Verify a one-time code and return the saved values.
+ * The resume token is rotated on success, so a leaked link can't be replayed.
+ *
+ * @returns {Promise<{ resumeToken: string, values: Object, email: string, expiresAt: Date, versionChanged: boolean }>}
+ */
+export async function verifyDraftCode({ form, resumeToken = null, email = null, code, ipAddress = null, userAgent = null }) {
+  const draft = await findActiveDraft(form.id, { resumeToken, email });
+  const codeValue = String(code || '').replace(/\D/g, '');
+  if (!draft || !draft.otp_hash || !draft.otp_last_sent_at) {
+    throw httpError(401, 'Invalid or expired code');
+  }
+  if (draft.otp_attempts >= OTP_MAX_ATTEMPTS) {
+    throw httpError(429, 'Too many incorrect attempts. Request a new code.');
+  }
+
+  const codeAgeMs = Date.now() - new Date(draft.otp_last_sent_at).getTime();
+  const valid = codeAgeMs <= OTP_EXPIRY_MINUTES * 60 * 1000 && hashesMatch(hashOtp(draft.id, codeValue), draft.otp_hash);
+
+  if (!valid) {
+    const { rows } = await query(`UPDATE form_draft_sessions SET otp_attempts = otp_attempts + 1 WHERE id = $1 RETURNING otp_attempts`, [
+      draft.id
+    ]);
+    await logFormAudit({
+      actorId: null,
+      action: 'draft.verify_failed',
+      entityType: 'draft',
+      entityId: draft.id,
+      metadata: { form_id: form.id, attempts: rows[0]?.otp_attempts ?? null },
+      ipAddress,
+      userAgent
+    });
+    throw httpError(401, 'Invalid or expired code');
+  }
+
+  const payload = decryptDraftPayload(draft);
+  const newToken = generateSecureToken(32);
+  const expiresAt = expiresAtFor(form);
+  await query(
+    `UPDATE form_draft_sessions
+     SET resume_token_hash = $2, otp_hash = NULL, otp_attempts = 0, expires_at = $3
+     WHERE id = $1`,
+    [draft.id, hashToken(newToken), expiresAt]
+  );
+  await logFormAudit({
+    actorId: null,
+    action: 'draft.resumed',
+    entityType: 'draft',
+    entityId: draft.id,
+    metadata: { form_id: form.id, saved_version_id: draft.form_version_id, version_id: form.version_id },
+    ipAddress,
+    userAgent
+  });
+  await notifyDraftResumed(form, draft.id);
+
+  return {
+    resumeToken: newToken,
+    values: sanitizeDraftFields(form.schema_json, payload.values),
+    email: payload.email || null,
+    expiresAt,
+    versionChanged: draft.form_version_id !== form.version_id
+  };
+}
+
+// ============================================================================
+// Completion & Cleanup
+// ============================================================================
+
+/**
+ * Delete the draft a submission was completed from.
+ */
+export async function completeFormDraft({ formId, resumeToken, submissionId = null, ipAddress = null, userAgent = null }) {
+  if (!resumeToken) return false;
+  const { rows } = await query(`DELETE FROM form_draft_sessions WHERE form_id = $1 AND resume_token_hash = $2 RETURNING id`, [
+    formId,
+    hashToken(String(resumeToken))
+  ]);
+  if (!rows[0]) return false;
+  await logFormAudit({
+    actorId: null,
+    action: 'draft.completed',
+    entityType: 'draft',
+    entityId: rows[0].id,
+    metadata: { form_id: formId, submission_id: submissionId },
+    ipAddress,
+    userAgent
+  });
+  return true;
+}
+
+/**
+ * Delete expired drafts (encrypted partial payloads included).
+ */
+export async function purgeExpiredFormDrafts() {
+  const { rowCount } = await query(`DELETE FROM form_draft_sessions WHERE expires_at <= NOW()`);
+  return { deleted: rowCount || 0 };
+}
@@ -0,0 +1,162 @@
+/**
+ * Form PHI Encryption Service
+ *
+ * Application-level AES-256-GCM encryption for PHI captured by intake forms.
+ *
+ * Keys come from the environment so they never live in the database:
+ *   FORM_ENCRYPTION_KEYS=v1:<base64 32-byte key>,v2:<base64 32-byte key>
+ *   FORM_ENCRYPTION_ACTIVE_KEY_ID=v2
+ *
+ * New data is always encrypted with the active key; the key id is stored alongside
+ * the ciphertext (encryption_key_id) so older rows stay readable after rotation.
+ *
+ * Ciphertext layout (BYTEA or file): [format version 1B][iv 12B][auth tag 16B][ciphertext]
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+let cachedKeyring = null;
+
+function decodeKey(raw) {
+  const value = String(raw || '').trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+  return Buffer.from(value, 'base64');
+}
+
+/**
+ * Parse FORM_ENCRYPTION_KEYS once. Invalid keys are skipped with a warning.
+ * @returns {{ keys: Map<string, Buffer>, activeKeyId: string|null }}
+ */
+function getKeyring() {
+  if (cachedKeyring) return cachedKeyring;
+
+  const keys = new Map();
+  const entries = String(process.env.FORM_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const sep = entry.indexOf(':');
+    if (sep <= 0) {
+      console.warn('[forms:encryption] Ignoring malformed key entry (expected keyId:key)');
+      continue;
+    }
+    const keyId = entry.slice(0, sep).trim();
+    const key = decodeKey(entry.slice(sep + 1));
+    if (key.length !== KEY_LENGTH) {
+      console.warn(`[forms:encryption] Ignoring key ${keyId}: expected ${KEY_LENGTH} bytes, got ${key.length}`);
+      continue;
+    }
+    keys.set(keyId, key);
+  }
+
+  const configuredActive = String(process.env.FORM_ENCRYPTION_ACTIVE_KEY_ID || '').trim();
+  let activeKeyId = null;
+  if (configuredActive && keys.has(configuredActive)) {
+    activeKeyId = configuredActive;
+  } else if (configuredActive) {
+    console.warn(`[forms:encryption] FORM_ENCRYPTION_ACTIVE_KEY_ID=${configuredActive} has no matching key`);
+  } else if (keys.size) {
+    // Default to the last key listed (newest)
+    activeKeyId = Array.from(keys.keys()).pop();
+  }
+
+  cachedKeyring = { keys, activeKeyId };
+  return cachedKeyring;
+}
+
+/**
+ * Whether an active encryption key is configured.
+ */
+export function isFormEncryptionConfigured() {
+  return Boolean(getKeyring().activeKeyId);
+}
+
+/**
+ * Encrypt raw bytes with the active key.
+ *
+ * @param {Buffer} plaintext
+ * @param {Object} [options]
+ * @param {string} [options.aad] - Additional authenticated data binding the ciphertext to its context
+ * @returns {{ ciphertext: Buffer, keyId: string }}
+ */
+export function encryptBuffer(plaintext, { aad = '' } = {}) {
+  const { keys, activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    throw new Error('Form encryption is not configured (FORM_ENCRYPTION_KEYS)');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv, { authTagLength: TAG_LENGTH });
+  if (aad) cipher.setAAD(Buffer.from(String(aad), 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return {
+    ciphertext: Buffer.concat([Buffer.from([FORMAT_VERSION]), iv, tag, encrypted]),
+    keyId: activeKeyId
+  };
+}
+
+/**
+ * Decrypt bytes produced by encryptBuffer().
+ * Throws when the key is unknown or the ciphertext/AAD fails authentication.
+ *
+ * @param {Buffer} ciphertext
+ * @param {string} keyId - encryption_key_id stored with the row
+ * @param {Object} [options]
+ * @param {string} [options.aad]
+ * @returns {Buffer}
+ */
+export function decryptBuffer(ciphertext, keyId, { aad = '' } = {}) {
+  const { keys } = getKeyring();
+  const key = keys.get(String(keyId || ''));
+  if (!key) {
+    throw new Error(`Unknown encryption key id: ${keyId}`);
+  }
+
+  const buf = Buffer.isBuffer(ciphertext) ? ciphertext : Buffer.from(ciphertext || []);
+  if (buf.length < 1 + IV_LENGTH + TAG_LENGTH || buf[0] !== FORMAT_VERSION) {
+    throw new Error('Unsupported ciphertext format');
+  }
+
+  const iv = buf.subarray(1, 1 + IV_LENGTH);
+  const tag = buf.subarray(1 + IV_LENGTH, 1 + IV_LENGTH + TAG_LENGTH);
+  const data = buf.subarray(1 + IV_LENGTH + TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv, { authTagLength: TAG_LENGTH });
+  if (aad) decipher.setAAD(Buffer.from(String(aad), 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * Encrypt a JSON-serializable value with the active key.
+ *
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.aad]
+ * @returns {{ ciphertext: Buffer, keyId: string }}
+ */
+export function encryptJson(value, { aad = '' } = {}) {
+  return encryptBuffer(Buffer.from(JSON.stringify(value ?? null), 'utf8'), { aad });
+}
+
+/**
+ * Decrypt a value produced by encryptJson().
+ *
+ * @param {Buffer} ciphertext
+ * @param {string} keyId
+ * @param {Object} [options]
+ * @param {string} [options.aad]
+ */
+export function decryptJson(ciphertext, keyId, { aad = '' } = {}) {
+  return JSON.parse(decryptBuffer(ciphertext, keyId, { aad }).toString('utf8'));
+}
@@ -0,0 +1,374 @@
+/**
+ * Form Submission Jobs Service
+ *
+ * Postgres-backed queue (form_submission_jobs) for per-submission side effects, so a
+ * submission is never lost when Mailgun or CTM is down:
+ * - Jobs are enqueued with the submission (idempotency_key = submission:job_type)
+ * - Workers claim due jobs with SELECT ... FOR UPDATE SKIP LOCKED (safe across instances)
+ * - Failures retry with exponential backoff; after max_attempts the job stays 'failed'
+ *   (dead-lettered) and is written to form_audit_logs
+ *
+ * Job types (JOB_HANDLERS):
+ * - email_notification: settings_json.email_recipients; sets email_sent / email_error
+ * - ctm_conversion: conversion forms with CTM enabled (formCtm.js); sets ctm_sent / ctm_error
+ * - pdf_generation: intake forms, stored in form_pdf_artifacts (formPdf.js)
+ */
+
+import { query } from '../db.js';
+import { logFormAudit } from './forms.js';
+import { getSchemaInputFields, formatSubmissionValue } from './formSubmissions.js';
+import { generateSubmissionPdf, hasSubmissionPdf } from './formPdf.js';
+import { forwardSubmissionToCtm } from './formCtm.js';
+import { sendMailgunMessageWithLogging, isMailgunConfigured } from './mailgun.js';
+import { escapeHtml } from '../utils/html.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const BACKOFF_BASE_SECONDS = parseInt(process.env.FORM_JOB_BACKOFF_BASE_SECONDS || '60', 10);
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+// A job still 'processing' after this long belongs to a worker that died
+const STALE_PROCESSING_MINUTES = 15;
+const MAX_ERROR_LENGTH = 2000;
+
+let workerRunning = false;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function truncateError(err) {
+  return String(err?.message || err || 'Unknown error').slice(0, MAX_ERROR_LENGTH);
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempts - 1), capped.
+ */
+export function getRetryDelaySeconds(attempts) {
+  const exponent = Math.max(0, Number(attempts || 1) - 1);
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** exponent, BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Submission with its form settings and version schema (ciphertext excluded).
+ */
+async function loadJobContext(submissionId) {
+  const { rows } = await query(
+    `SELECT s.id, s.form_id, s.form_version_id, s.submission_kind, s.non_phi_payload, s.attribution_json,
+            (s.encrypted_payload IS NOT NULL) AS has_phi, s.embed_domain, s.created_at,
+            s.email_sent, s.ctm_sent,
+            f.name AS form_name, f.org_id, f.form_type, f.settings_json,
+            v.version_number, v.schema_json
+     FROM form_submissions s
+     JOIN forms f ON f.id = s.form_id
+     JOIN form_versions v ON v.id = s.form_version_id
+     WHERE s.id = $1
+     LIMIT 1`,
+    [submissionId]
+  );
+  return rows[0] || null;
+}
+
+// ============================================================================
+// Job Handlers
+// ============================================================================
+
+/**
+ * Notify settings_json.email_recipients. Only non-PHI values are included;
+ * protected answers stay encrypted and are viewed in the app.
+ */
+async function handleEmailNotification(context) {
+  if (context.email_sent) return { skipped: 'already_sent' };
+  const recipients = (context.settings_json?.email_recipients || []).filter(Boolean);
+  if (!recipients.length) return { skipped: 'no_recipients' };
+
+  const values = context.non_phi_payload || {};
+  const rows = getSchemaInputFields(context.schema_json)
+    .filter((field) => values[field.name] !== undefined && values[field.name] !== '')
+    .map((field) => ({ label: field.label || field.name, value: formatSubmissionValue(values[field.name]) }));
+  const attribution = context.attribution_json || {};
+  const source = [attribution.utm_source, attribution.utm_medium, attribution.utm_campaign].filter(Boolean).join(' / ');
+  const baseUrl = process.env.APP_BASE_URL || process.env.CLIENT_APP_URL || '';
+  const subject = `New submission: ${context.form_name}`;
+  const phiNote = context.has_phi ? 'Protected health information was submitted and is only available in the app.' : '';
+
+  const footer = [
+    source ? `Source: ${source}` : '',
+    attribution.page_url ? `Page: ${attribution.page_url}` : '',
+    phiNote,
+    baseUrl ? `View in Anchor: ${baseUrl}` : ''
+  ].filter(Boolean);
+  const text = [
+    `A new submission was received for ${context.form_name}.`,
+    '',
+    ...rows.map((row) => `${row.label}: ${row.value}`),
+    '',
+    ...footer
+  ].join('\n');
+
+  const html = `<p>A new submission was received for <strong>${escapeHtml(context.form_name)}</strong>.</p>
+<table cellpadding="6" cellspacing="0" style="border-collapse:collapse;">${rows
+    .map(
+      (row) =>
+        `<tr><td style="font-weight:600;vertical-align:top;">${escapeHtml(row.label)}</td><td>${escapeHtml(row.value).replace(/\n/g, '<br/>')}</td></tr>`
+    )
+    .join('')}</table>
+${source ? `<p>Source: ${escapeHtml(source)}</p>` : ''}
+${attribution.page_url ? `<p>Page: ${escapeHtml(attribution.page_url)}</p>` : ''}
+${phiNote ? `<p><em>${phiNote}</em></p>` : ''}
+${baseUrl ? `<p><a href="${escapeHtml(baseUrl)}" target="_blank" rel="noopener">View in Anchor</a></p>` : ''}`;
+
+  try {
+    if (!isMailgunConfigured()) throw new Error('Mailgun is not configured');
+    await sendMailgunMessageWithLogging(
+      { to: recipients, subject, text, html },
+      {
+        emailType: 'form_submission',
+        clientId: context.org_id || null,
+        metadata: { form_id: context.form_id, submission_id: context.id }
+      }
+    );
+  } catch (err) {
+    await query(`UPDATE form_submissions SET email_error = $2 WHERE id = $1`, [context.id, truncateError(err)]);
+    throw err;
+  }
+
+  await query(`UPDATE form_submissions SET email_sent = TRUE, email_sent_at = NOW(), email_error = NULL WHERE id = $1`, [context.id]);
+  return { recipients: recipients.length };
+}
+
+/**
+ * Store a PDF copy of the submission (form_pdf_artifacts).
+ */
+async function handlePdfGeneration(context) {
+  if (await hasSubmissionPdf(context.id)) return { skipped: 'already_generated' };
+  const artifact = await generateSubmissionPdf({ submissionId: context.id });
+  return { artifact_id: artifact?.id || null };
+}
+
+const JOB_HANDLERS = {
+  // Conversion leads to CTM FormReactor (allowlisted fields only, see formCtm.js)
+  ctm_conversion: forwardSubmissionToCtm,
+  email_notification: handleEmailNotification,
+  pdf_generation: handlePdfGeneration
+};
+
+// ============================================================================
+// Enqueueing
+// ============================================================================
+
+/**
+ * Job types a submission needs, based on the form's settings.
+ */
+export function getJobTypesForSubmission(form) {
+  const settings = form.settings_json || {};
+  const types = [];
+  const recipients = Array.isArray(settings.email_recipients) ? settings.email_recipients.filter(Boolean) : [];
+  if (settings.email_on_submission !== false && recipients.length) types.push('email_notification');
+  if (settings.ctm_enabled && form.form_type === 'conversion') types.push('ctm_conversion');
+  // Intake packets get a printable copy for the patient chart
+  if (form.form_type === 'intake') types.push('pdf_generation');
+  return types;
+}
+
+/**
+ * Queue the side-effect jobs for a new submission. Safe to call twice.
+ * @returns {Promise<Object[]>} inserted jobs
+ */
+export async function enqueueSubmissionJobs({ form, submissionId }) {
+  const types = getJobTypesForSubmission(form);
+  const jobs = [];
+  for (const jobType of types) {
+    const { rows } = await query(
+      `INSERT INTO form_submission_jobs (submission_id, job_type, idempotency_key)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING id, submission_id, job_type, status, scheduled_at`,
+      [submissionId, jobType, `${submissionId}:${jobType}`]
+    );
+    if (rows[0]) jobs.push(rows[0]);
+  }
+  return jobs;
+}
+
+// ============================================================================
+// Worker
+// ============================================================================
+
+/**
+ * Claim due jobs. Rows locked by another worker are skipped, and the claim
+ * increments attempts so a crash mid-job still counts toward max_attempts.
+ */
+async function claimJobs(limit) {
+  const { rows } = await query(
+    `UPDATE form_submission_jobs j
+     SET status = 'processing', attempts = j.attempts + 1, started_at = NOW()
+     WHERE j.id IN (
+       SELECT id FROM form_submission_jobs
+       WHERE attempts < max_attempts
+         AND (
+           (status IN ('pending', 'failed') AND scheduled_at <= NOW())
+           OR (status = 'processing' AND started_at < NOW() - ($2::int * INTERVAL '1 minute'))
+         )
+       ORDER BY scheduled_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING j.*`,
+    [limit, STALE_PROCESSING_MINUTES]
+  );
+  return rows;
+}
+
+/**
+ * Stale jobs with no attempts left can't be claimed again; dead-letter them.
+ */
+async function failExhaustedStaleJobs() {
+  const { rows } = await query(
+    `UPDATE form_submission_jobs
+     SET status = 'failed', last_error = COALESCE(last_error, 'Worker stopped while processing')
+     WHERE status = 'processing' AND attempts >= max_attempts
+       AND started_at < NOW() - ($1::int * INTERVAL '1 minute')
+     RETURNING id, submission_id, job_type, attempts`,
+    [STALE_PROCESSING_MINUTES]
+  );
+  for (const job of rows) {
+    await logDeadLetter(job, 'Worker stopped while processing');
+  }
+  return rows.length;
+}
+
+async function logDeadLetter(job, error) {
+  console.error('[forms:jobs] Job dead-lettered', { jobId: job.id, jobType: job.job_type, submissionId: job.submission_id, error });
+  await logFormAudit({
+    actorId: null,
+    action: 'submission.job_failed',
+    entityType: 'submission',
+    entityId: job.submission_id,
+    metadata: { job_id: job.id, job_type: job.job_type, attempts: job.attempts, error: String(error).slice(0, 200) }
+  });
+}
+
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.job_type];
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.job_type}`);
+    const context = await loadJobContext(job.submission_id);
+    if (!context) throw new Error('Submission not found');
+    const result = await handler(context, job);
+    await query(`UPDATE form_submission_jobs SET status = 'completed', completed_at = NOW(), last_error = NULL WHERE id = $1`, [job.id]);
+    return { ok: true, result };
+  } catch (err) {
+    const error = truncateError(err);
+    const exhausted = !handler || job.attempts >= job.max_attempts;
+    const delaySeconds = getRetryDelaySeconds(job.attempts);
+    await query(
+      `UPDATE form_submission_jobs
+       SET status = 'failed', last_error = $2,
+           attempts = CASE WHEN $3 THEN GREATEST(attempts, max_attempts) ELSE attempts END,
+           scheduled_at = NOW() + ($4::int * INTERVAL '1 second')
+       WHERE id = $1`,
+      [job.id, error, exhausted, delaySeconds]
+    );
+    if (exhausted) {
+      await logDeadLetter(job, error);
+    } else {
+      console.warn(
+        `[forms:jobs] ${job.job_type} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delaySeconds}s:`,
+        error
+      );
+    }
+    return { ok: false, error, deadLettered: exhausted };
+  }
+}
+
+/**
+ * Process due jobs. One run at a time per process; other instances are kept apart by SKIP LOCKED.
+ * @returns {Promise<{ processed: number, completed: number, failed: number, deadLettered: number }>}
+ */
+export async function runFormSubmissionJobs({ limit = 20 } = {}) {
+  const summary = { processed: 0, completed: 0, failed: 0, deadLettered: 0 };
+  if (workerRunning) return summary;
+  workerRunning = true;
+  try {
+    summary.deadLettered += await failExhaustedStaleJobs();
+    const jobs = await claimJobs(limit);
+    for (const job of jobs) {
+      const outcome = await runJob(job);
+      summary.processed += 1;
+      if (outcome.ok) summary.completed += 1;
+      else if (outcome.deadLettered) summary.deadLettered += 1;
+      else summary.failed += 1;
+    }
+    return summary;
+  } finally {
+    workerRunning = false;
+  }
+}
+
+// ============================================================================
+// Inspection & Retry
+// ============================================================================
+
+/**
+ * Jobs for a submission (newest first).
+ */
+export async function listSubmissionJobs(submissionId) {
+  const { rows } = await query(
+    `SELECT id, submission_id, job_type, status, attempts, max_attempts, last_error, scheduled_at, started_at, completed_at, created_at
+     FROM form_submission_jobs
+     WHERE submission_id = $1
+     ORDER BY created_at DESC`,
+    [submissionId]
+  );
+  return rows;
+}
+
+/**
+ * Requeue a failed job (including dead-lettered ones) with a fresh attempt budget.
+ */
+export async function retryFormJob(submissionId, jobId) {
+  const { rows } = await query(
+    `UPDATE form_submission_jobs
+     SET status = 'pending', attempts = 0, last_error = NULL, scheduled_at = NOW(), started_at = NULL, completed_at = NULL
+     WHERE id = $1 AND submission_id = $2 AND status = 'failed'
+     RETURNING id, submission_id, job_type, status, attempts, max_attempts, scheduled_at`,
+    [jobId, submissionId]
+  );
+  return rows[0] || null;
+}
+
+// Jobs an admin can send again after they completed (e.g. a notification that went to the wrong inbox)
+export const RESENDABLE_JOB_TYPES = ['email_notification', 'ctm_conversion'];
+
+const SENT_FLAG_RESETS = {
+  email_notification: 'email_sent = FALSE, email_error = NULL',
+  ctm_conversion: 'ctm_sent = FALSE, ctm_error = NULL'
+};
+
+/**
+ * Queue a delivery job again whatever its state (completed, failed or never queued).
+ * Clears the submission's sent flag first so the handler doesn't skip it.
+ *
+ * @returns {Promise<Object|null>} the pending job, or null while the job is being processed
+ */
+export async function resendSubmissionJob(submissionId, jobType) {
+  if (!RESENDABLE_JOB_TYPES.includes(jobType)) throw new Error(`Job type ${jobType} cannot be resent`);
+  const { rows: activeRows } = await query(`SELECT id FROM form_submission_jobs WHERE idempotency_key = $1 AND status = 'processing'`, [
+    `${submissionId}:${jobType}`
+  ]);
+  if (activeRows.length) return null;
+
+  await query(`UPDATE form_submissions SET ${SENT_FLAG_RESETS[jobType]} WHERE id = $1`, [submissionId]);
+  const { rows } = await query(
+    `INSERT INTO form_submission_jobs (submission_id, job_type, idempotency_key)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (idempotency_key) DO UPDATE
+       SET status = 'pending', attempts = 0, last_error = NULL, scheduled_at = NOW(), started_at = NULL, completed_at = NULL
+       WHERE form_submission_jobs.status <> 'processing'
+     RETURNING id, submission_id, job_type, status, attempts, max_attempts, scheduled_at`,
+    [submissionId, jobType, `${submissionId}:${jobType}`]
+  );
+  return rows[0] || null;
+}
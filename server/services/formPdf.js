@@ -0,0 +1,379 @@
+/**
+ * Form Submission PDF Service
+ *
+ * Renders a submission into a branded PDF (pdfkit, same approach as onboardingPdf.js),
+ * stores it under UPLOAD_DIR/private/form-pdfs (never served by /uploads) and records it
+ * in form_pdf_artifacts with a SHA-256 checksum of the PDF and its size.
+ *
+ * PDFs are encrypted at rest with the form encryption keys whenever keys are configured
+ * (always when the submission holds PHI). The checksum is of the plain PDF, so downloads
+ * can be re-verified and compared with printed copies.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { mkdir, readFile, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+
+import { query } from '../db.js';
+import { logFormAudit } from './forms.js';
+import { getSchemaInputFields, decryptSubmissionPhi, formatSubmissionValue } from './formSubmissions.js';
+import { encryptBuffer, decryptBuffer, isFormEncryptionConfigured } from './formEncryption.js';
+
+const UPLOAD_ROOT = path.resolve(process.cwd(), process.env.UPLOAD_DIR || 'uploads');
+const PDF_DIR = 'private/form-pdfs';
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 545;
+
+const ARTIFACT_COLUMNS = `a.id, a.submission_id, a.file_name, a.file_size_bytes, a.checksum, a.encryption_key_id,
+  a.generated_at, a.generated_by`;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function findLogoPath() {
+  const candidates = [
+    path.resolve(process.cwd(), 'server', 'assets', 'email', 'ANCHOR__CORPS.png'),
+    path.resolve(process.cwd(), 'src', 'assets', 'images', 'ANCHOR__CORPS.png')
+  ];
+  return candidates.find((p) => fs.existsSync(p)) || null;
+}
+
+function asText(v) {
+  return formatSubmissionValue(v);
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function pdfAad(artifactId) {
+  return `form_pdf:${artifactId}`;
+}
+
+function safeSlug(value) {
+  return (
+    String(value || 'form')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 40) || 'form'
+  );
+}
+
+/**
+ * Resolve a stored relative path, refusing anything outside the private PDF directory.
+ */
+function resolveStoragePath(storagePath) {
+  const base = path.join(UPLOAD_ROOT, PDF_DIR);
+  const resolved = path.resolve(UPLOAD_ROOT, storagePath);
+  if (!resolved.startsWith(`${base}${path.sep}`)) {
+    throw new Error('Invalid PDF storage path');
+  }
+  return resolved;
+}
+
+async function docToBuffer(doc) {
+  const chunks = [];
+  return await new Promise((resolve, reject) => {
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Submission, form, version schema and client branding for rendering.
+ */
+async function loadPdfContext(submissionId) {
+  const { rows } = await query(
+    `SELECT s.*, f.name AS form_name, f.org_id, f.form_type, v.version_number, v.schema_json,
+            COALESCE(NULLIF(TRIM(b.business_name), ''), NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS brand_name
+     FROM form_submissions s
+     JOIN forms f ON f.id = s.form_id
+     JOIN form_versions v ON v.id = s.form_version_id
+     LEFT JOIN users u ON u.id = f.org_id
+     LEFT JOIN brand_assets b ON b.user_id = f.org_id
+     WHERE s.id = $1
+     LIMIT 1`,
+    [submissionId]
+  );
+  return rows[0] || null;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Render a submission PDF.
+ * @param {Object} context - from loadPdfContext()
+ * @param {Object|null} phi - decrypted PHI values (intake forms)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderSubmissionPdf(context, phi = null) {
+  const values = { ...(context.non_phi_payload || {}), ...(phi || {}) };
+  const schema = context.schema_json || {};
+  const submittedAt = new Date(context.created_at).toLocaleString('en-US', { timeZone: 'America/New_York' });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 50, bottom: 60, left: PAGE_LEFT, right: 50 },
+    bufferPages: true,
+    info: {
+      Title: `${context.form_name} — Submission`,
+      Author: context.brand_name || 'Anchor',
+      Creator: 'Anchor Dashboard'
+    }
+  });
+
+  // Header
+  const logoPath = findLogoPath();
+  if (logoPath) {
+    try {
+      doc.image(logoPath, PAGE_LEFT, 40, { height: 28 });
+      doc.y = 80;
+    } catch {
+      // Unreadable logo; continue without it
+    }
+  }
+  if (context.brand_name) {
+    doc.fontSize(11).font('Helvetica').fillColor('#6b7280').text(context.brand_name, { align: 'center' });
+  }
+  doc.fontSize(20).font('Helvetica-Bold').fillColor('#111827').text(context.form_name, { align: 'center' });
+  doc.moveDown(0.25);
+  doc.fontSize(10).font('Helvetica').fillColor('#6b7280').text(`Submitted ${submittedAt} ET`, { align: 'center' });
+  doc.fillColor('#000000');
+  doc.moveDown(1);
+
+  const sectionTitle = (t) => {
+    doc.moveDown(0.75);
+    doc.fontSize(13).font('Helvetica-Bold').fillColor('#111827').text(t, PAGE_LEFT);
+    doc.moveDown(0.35);
+    doc.moveTo(PAGE_LEFT, doc.y).lineTo(PAGE_RIGHT, doc.y).stroke('#e5e7eb');
+    doc.moveDown(0.65);
+    doc.fillColor('#111827').font('Helvetica');
+  };
+
+  const kv = (k, v) => {
+    const label = String(k);
+    const val = asText(v) || '—';
+    const valueHeight = Math.max(doc.heightOfString(val, { width: 325 }), 12);
+    if (doc.y + valueHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const startY = doc.y;
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#374151').text(`${label}:`, PAGE_LEFT, startY, { width: 160 });
+    doc.fontSize(10).font('Helvetica').fillColor('#111827').text(val, 220, startY, { width: 325 });
+    const labelHeight = doc.heightOfString(`${label}:`, { width: 160 });
+    doc.y = startY + Math.max(valueHeight, labelHeight) + 6;
+  };
+
+  const signature = (k, dataUrl) => {
+    if (doc.y + 70 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+    const startY = doc.y;
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#374151').text(`${k}:`, PAGE_LEFT, startY, { width: 160 });
+    try {
+      doc.image(Buffer.from(dataUrl.split(',')[1], 'base64'), 220, startY, { fit: [240, 60] });
+      doc.y = startY + 66;
+    } catch {
+      doc.fontSize(10).font('Helvetica').fillColor('#111827').text('[Signed]', 220, startY, { width: 325 });
+      doc.y = startY + 18;
+    }
+  };
+
+  const inputNames = new Set(getSchemaInputFields(schema).map((field) => field.name));
+  const renderItems = (items) => {
+    items.forEach((field) => {
+      if (field.type === 'heading') {
+        doc.moveDown(0.4);
+        doc
+          .fontSize(11)
+          .font('Helvetica-Bold')
+          .fillColor('#111827')
+          .text(field.label || '', PAGE_LEFT);
+        doc.moveDown(0.3);
+        return;
+      }
+      if (!inputNames.has(field.name)) return;
+      if (field.inputType === 'signature' && String(values[field.name] || '').startsWith('data:image/png;base64,')) {
+        signature(field.label || field.name, values[field.name]);
+        return;
+      }
+      kv(field.label || field.name, values[field.name]);
+    });
+  };
+
+  const fields = Array.isArray(schema.fields) ? schema.fields : [];
+  const sections = Array.isArray(schema.sections) ? schema.sections : [];
+  const sectionIds = new Set(sections.map((s) => s.id));
+
+  const unsectioned = fields.filter((f) => !f.section_id || !sectionIds.has(f.section_id));
+  if (unsectioned.length) {
+    sectionTitle('Responses');
+    renderItems(unsectioned);
+  }
+  sections.forEach((section) => {
+    const items = fields.filter((f) => f.section_id === section.id);
+    if (!items.length) return;
+    sectionTitle(section.title || 'Section');
+    renderItems(items);
+  });
+
+  sectionTitle('Submission Details');
+  kv('Submission ID', context.id);
+  kv('Form Version', context.version_number ? `v${context.version_number}` : '');
+  kv('Website', context.embed_domain || '');
+
+  // Footer on every page
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.height - 40;
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(8)
+      .font('Helvetica')
+      .fillColor('#6b7280')
+      .text(
+        `Generated by Anchor • Confidential • Integrity checksum (SHA-256) recorded in Anchor • Page ${i - range.start + 1} of ${range.count}`,
+        PAGE_LEFT,
+        bottom,
+        { width: PAGE_RIGHT - PAGE_LEFT, align: 'center', lineBreak: false }
+      );
+  }
+
+  return docToBuffer(doc);
+}
+
+// ============================================================================
+// Artifacts
+// ============================================================================
+
+/**
+ * Render and store a PDF for a submission and record it in form_pdf_artifacts.
+ * @returns {Promise<Object|null>} artifact, or null when the submission doesn't exist
+ */
+export async function generateSubmissionPdf({ submissionId, generatedBy = null, ipAddress = null, userAgent = null }) {
+  const context = await loadPdfContext(submissionId);
+  if (!context) return null;
+
+  const phi = decryptSubmissionPhi(context);
+  const pdf = await renderSubmissionPdf(context, phi);
+  const checksum = sha256(pdf);
+
+  const artifactId = crypto.randomUUID();
+  // PHI never lands on disk in plaintext; other PDFs are encrypted too whenever keys exist
+  const encrypt = Boolean(context.encrypted_payload) || isFormEncryptionConfigured();
+  let fileBytes = pdf;
+  let encryptionKeyId = null;
+  if (encrypt) {
+    const encrypted = encryptBuffer(pdf, { aad: pdfAad(artifactId) });
+    fileBytes = encrypted.ciphertext;
+    encryptionKeyId = encrypted.keyId;
+  }
+
+  const storagePath = path.posix.join(PDF_DIR, context.form_id, `${artifactId}${encrypt ? '.pdf.enc' : '.pdf'}`);
+  const absolutePath = resolveStoragePath(storagePath);
+  await mkdir(path.dirname(absolutePath), { recursive: true });
+  await writeFile(absolutePath, fileBytes, { mode: 0o600 });
+
+  const createdDate = new Date(context.created_at).toISOString().slice(0, 10);
+  const fileName = `${safeSlug(context.form_name)}_${createdDate}_${context.id.slice(0, 8)}.pdf`;
+
+  const { rows } = await query(
+    `INSERT INTO form_pdf_artifacts (id, submission_id, storage_path, file_name, file_size_bytes, checksum, encryption_key_id, generated_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING id, submission_id, file_name, file_size_bytes, checksum, encryption_key_id, generated_at, generated_by`,
+    [artifactId, context.id, storagePath, fileName, pdf.length, checksum, encryptionKeyId, generatedBy]
+  );
+  const artifact = rows[0];
+
+  await logFormAudit({
+    actorId: generatedBy,
+    action: 'pdf.generated',
+    entityType: 'pdf',
+    entityId: artifact.id,
+    metadata: {
+      form_id: context.form_id,
+      submission_id: context.id,
+      checksum,
+      file_size_bytes: pdf.length,
+      encrypted: encrypt
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return artifact;
+}
+
+/**
+ * Whether a submission already has a PDF (job idempotency).
+ */
+export async function hasSubmissionPdf(submissionId) {
+  const { rows } = await query(`SELECT 1 FROM form_pdf_artifacts WHERE submission_id = $1 LIMIT 1`, [submissionId]);
+  return rows.length > 0;
+}
+
+/**
+ * PDFs for a submission (newest first).
+ */
+export async function listSubmissionPdfs(submissionId) {
+  const { rows } = await query(
+    `SELECT ${ARTIFACT_COLUMNS},
+            COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS generated_by_name
+     FROM form_pdf_artifacts a
+     LEFT JOIN users u ON u.id = a.generated_by
+     WHERE a.submission_id = $1
+     ORDER BY a.generated_at DESC`,
+    [submissionId]
+  );
+  return rows;
+}
+
+/**
+ * Read a stored PDF, decrypt it if needed and re-verify its checksum.
+ * @returns {Promise<{ artifact: Object, buffer: Buffer|null, verified: boolean, actualChecksum: string|null }|null>}
+ */
+export async function readSubmissionPdf(submissionId, artifactId) {
+  const { rows } = await query(`SELECT * FROM form_pdf_artifacts WHERE id = $1 AND submission_id = $2 LIMIT 1`, [artifactId, submissionId]);
+  const artifact = rows[0];
+  if (!artifact) return null;
+
+  let buffer = null;
+  try {
+    const stored = await readFile(resolveStoragePath(artifact.storage_path));
+    buffer = artifact.encryption_key_id ? decryptBuffer(stored, artifact.encryption_key_id, { aad: pdfAad(artifact.id) }) : stored;
+  } catch (err) {
+    console.error('[forms:pdf:read]', artifact.id, err.message);
+    return { artifact, buffer: null, verified: false, actualChecksum: null };
+  }
+
+  const actualChecksum = sha256(buffer);
+  return { artifact, buffer, verified: actualChecksum === artifact.checksum, actualChecksum };
+}
+
+/**
+ * Remove stored PDF files (rows are removed by the caller). Missing files count as removed.
+ * @returns {Promise<{ removed: number, failed: number }>}
+ */
+export async function deleteStoredPdfFiles(storagePaths) {
+  let removed = 0;
+  let failed = 0;
+  for (const storagePath of storagePaths) {
+    try {
+      await unlink(resolveStoragePath(storagePath));
+      removed++;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        removed++;
+      } else {
+        failed++;
+        console.error('[forms:pdf:delete]', storagePath, err.message);
+      }
+    }
+  }
+  return { removed, failed };
+}
@@ -0,0 +1,161 @@
+/**
+ * Form PDF Import Service
+ *
+ * Turns an uploaded paper intake PDF into a new draft form version using the Document AI
+ * pipeline in docai.js:
+ *   rasterize pages -> Layout + Form Parser processors per page -> mergeDocAiPages
+ *   -> normalizeDocAiToSchema -> renderDocAiSchemaToHtml
+ *
+ * The source PDF is kept under UPLOAD_DIR/private/form-sources (never served by /uploads) and
+ * recorded on the version as ai_source_pdf_path, with the instructions as ai_prompt_used.
+ */
+
+import crypto from 'crypto';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+import { saveDraftVersion } from './forms.js';
+import {
+  countPdfPages,
+  renderPdfToPngBuffers,
+  processWithDocAIImage,
+  mergeDocAiPages,
+  normalizeDocAiToSchema,
+  renderDocAiSchemaToHtml
+} from './docai.js';
+import { httpError } from '../utils/httpError.js';
+
+const UPLOAD_ROOT = path.resolve(process.cwd(), process.env.UPLOAD_DIR || 'uploads');
+const SOURCE_DIR = 'private/form-sources';
+
+export const PDF_IMPORT_MAX_BYTES = 20 * 1024 * 1024;
+const MAX_PAGES = Number(process.env.FORMS_PDF_IMPORT_MAX_PAGES || 10);
+const RASTER_DPI = 200;
+
+export const DEFAULT_IMPORT_INSTRUCTIONS =
+  'Convert this paper intake form into a fillable web form. Keep the section order and field labels as printed; ' +
+  'use checkboxes for tick boxes and long text areas for notes or explanations.';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function getDocAiConfig() {
+  return {
+    projectId: process.env.DOCUMENTAI_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || process.env.VERTEX_PROJECT_ID,
+    location: process.env.DOCUMENTAI_LOCATION || 'us',
+    layoutProcessorId: process.env.DOCUMENTAI_LAYOUT_PROCESSOR_ID || 'ba0d8a19615c2dd6',
+    formProcessorId: process.env.DOCUMENTAI_FORM_PROCESSOR_ID || 'acce8166c1b5d237'
+  };
+}
+
+/**
+ * Check the page count, rasterize the PDF and send every page to both processors.
+ * Oversized PDFs are rejected before any page is rendered.
+ */
+async function runDocAi(pdfBuffer) {
+  const config = getDocAiConfig();
+  if (!config.projectId) {
+    throw httpError(503, 'Document AI is not configured. Set DOCUMENTAI_PROJECT_ID (or GOOGLE_CLOUD_PROJECT).');
+  }
+
+  const pageCount = await countPdfPages(pdfBuffer).catch(() => {
+    throw httpError(400, 'The PDF could not be read');
+  });
+  if (!pageCount) throw httpError(400, 'The PDF has no pages');
+  if (pageCount > MAX_PAGES) throw httpError(400, `PDF imports are limited to ${MAX_PAGES} pages`);
+
+  const pages = await renderPdfToPngBuffers(pdfBuffer, RASTER_DPI);
+
+  // At most MAX_PAGES pages get here, so this is at most 2 * MAX_PAGES requests in flight
+  const results = await Promise.all(
+    pages.map((page) => {
+      const request = { imageBuffer: page.buffer, projectId: config.projectId, location: config.location, mimeType: 'image/jpeg' };
+      return Promise.all([
+        processWithDocAIImage({ ...request, processorId: config.layoutProcessorId }),
+        processWithDocAIImage({ ...request, processorId: config.formProcessorId })
+      ]);
+    })
+  );
+
+  return {
+    layoutResult: mergeDocAiPages(results.map(([layout]) => layout)),
+    formResult: mergeDocAiPages(results.map(([, formResult]) => formResult)),
+    pageCount: pages.length
+  };
+}
+
+/**
+ * Document AI only tells text fields from checkboxes; pick better input types from the label.
+ */
+function refineInputTypes(fields) {
+  return fields.map((field) => {
+    if (field.inputType !== 'text') return field;
+    const label = String(field.label || '').toLowerCase();
+    if (/e-?mail/.test(label)) return { ...field, inputType: 'email' };
+    if (/phone|mobile|cell|fax/.test(label)) return { ...field, inputType: 'tel' };
+    if (/\bdate\b|\bd\.?o\.?b\b/.test(label)) return { ...field, inputType: 'date' };
+    return field;
+  });
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Build a draft version from an uploaded PDF. Always creates a new version_number so an
+ * existing draft is kept in the history rather than overwritten.
+ *
+ * @param {Object} params
+ * @param {Object} params.form - Form row
+ * @param {Buffer} params.pdfBuffer - Uploaded PDF bytes
+ * @param {string} [params.instructions] - Stored as ai_prompt_used
+ * @param {string} [params.createdBy] - User id
+ * @returns {Promise<{version: Object, sourcePath: string, fieldCount: number, sectionCount: number, pageCount: number}>}
+ */
+export async function importFormFromPdf({ form, pdfBuffer, instructions, createdBy = null }) {
+  if (!pdfBuffer?.length || pdfBuffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw httpError(400, 'Upload a PDF file');
+  }
+  const prompt = String(instructions || '').trim() || DEFAULT_IMPORT_INSTRUCTIONS;
+
+  const sourcePath = `${SOURCE_DIR}/${form.id}/${crypto.randomUUID()}.pdf`;
+  const absolutePath = path.resolve(UPLOAD_ROOT, sourcePath);
+  await mkdir(path.dirname(absolutePath), { recursive: true });
+  await writeFile(absolutePath, pdfBuffer, { mode: 0o600 });
+
+  try {
+    const { layoutResult, formResult, pageCount } = await runDocAi(pdfBuffer);
+
+    const schema = normalizeDocAiToSchema({ layoutResult, formResult, templateId: form.id, instructions: prompt });
+    schema.fields = refineInputTypes(schema.fields || []);
+    if (!schema.fields.length) {
+      throw httpError(422, 'No form fields were detected in the PDF');
+    }
+    schema.page_count = pageCount;
+
+    const { html, css } = renderDocAiSchemaToHtml({ schema, formTitle: form.name });
+    const { version } = await saveDraftVersion(form.id, {
+      schemaJson: schema,
+      reactCode: html,
+      cssCode: css,
+      aiGenerated: true,
+      aiSourcePdfPath: sourcePath,
+      aiPromptUsed: prompt,
+      createdBy,
+      newVersion: true
+    });
+
+    return {
+      version,
+      sourcePath,
+      fieldCount: schema.fields.length,
+      sectionCount: schema.sections?.length || 0,
+      pageCount
+    };
+  } catch (err) {
+    await rm(absolutePath, { force: true }).catch(() => {});
+    throw err;
+  }
+}
@@ -0,0 +1,826 @@
+/**
+ * Form Submissions Service
+ *
+ * Handles:
+ * - Loading the published version a public embed renders
+ * - Validating incoming values against form_versions.schema_json (incl. visibleWhen rules)
+ * - Validating schemas saved from the form builder
+ * - Attribution capture (UTMs, click IDs, page URL, referrer)
+ * - PHI/non-PHI split for intake forms (form_phi_field_definitions)
+ * - Recording rows in form_submissions
+ * - Submissions inbox (filters, non-PHI CSV export)
+ */
+
+import crypto from 'crypto';
+
+import { query } from '../db.js';
+import { logFormAudit, toInet } from './forms.js';
+import { encryptJson, decryptJson } from './formEncryption.js';
+import { escapeCsv } from '../utils/csv.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const MAX_VALUE_LENGTH = 5000;
+const MAX_ATTRIBUTION_LENGTH = 1000;
+const MAX_SIGNATURE_LENGTH = 200 * 1024;
+const DEFAULT_FILE_MAX_MB = 2;
+const FILE_MAX_BYTES = 5 * 1024 * 1024;
+
+// Field types that render as inputs; anything else (heading, paragraph, divider) is layout only
+export const INPUT_TYPES = [
+  'text',
+  'textarea',
+  'email',
+  'tel',
+  'number',
+  'date',
+  'select',
+  'radio',
+  'checkbox',
+  'checkbox_group',
+  'signature',
+  'file'
+];
+export const LAYOUT_TYPES = ['heading', 'paragraph', 'divider'];
+const OPTION_INPUT_TYPES = ['select', 'radio', 'checkbox_group'];
+
+// field.visibleWhen = { field, operator, value }
+export const VISIBILITY_OPERATORS = ['equals', 'not_equals', 'contains', 'is_filled', 'is_empty'];
+
+const ATTRIBUTION_KEYS = [
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'utm_term',
+  'utm_content',
+  'gclid',
+  'fbclid',
+  'msclkid',
+  'page_url',
+  'landing_page',
+  'referrer'
+];
+
+// Settings safe to expose to the public embed
+const PUBLIC_SETTING_KEYS = [
+  'custom_thank_you_message',
+  'save_and_resume_enabled',
+  'new_patient_button_label',
+  'new_patient_button_helper',
+  'resume_button_label',
+  'resume_button_helper'
+];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const FIELD_NAME_RE = /^[a-z][a-z0-9_]{0,63}$/;
+const SIGNATURE_RE = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+const DATA_URL_RE = /^data:([\w.+-]+\/[\w.+-]+)?;base64,([A-Za-z0-9+/]+=*)$/;
+// Last 8 bytes of every PNG: the IEND chunk type and its CRC
+const PNG_TRAILER = Buffer.from('49454e44ae426082', 'hex');
+
+export const SUBMISSION_KINDS = ['conversion', 'intake', 'draft'];
+export const DELIVERY_STATUSES = ['sent', 'failed', 'pending'];
+const MAX_EXPORT_ROWS = 10000;
+
+// Never includes encrypted_payload, IP address or user agent
+const SUBMISSION_LIST_COLUMNS = `s.id, s.form_id, s.form_version_id, v.version_number, v.schema_json, s.submission_kind,
+  s.non_phi_payload, s.attribution_json, (s.encrypted_payload IS NOT NULL) AS has_phi,
+  s.email_sent, s.email_sent_at, s.email_error, s.ctm_sent, s.ctm_sent_at, s.ctm_error,
+  s.embed_domain, s.referrer, s.created_at`;
+
+const PHI_DEFINITIONS_TTL_MS = 5 * 60 * 1000;
+let phiDefinitionsCache = null;
+let phiDefinitionsLoadedAt = 0;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return !value.trim();
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+/**
+ * Input fields of a schema (layout-only entries are skipped).
+ */
+export function getSchemaInputFields(schema) {
+  const fields = Array.isArray(schema?.fields) ? schema.fields : [];
+  return fields.filter((field) => {
+    if (!field?.name) return false;
+    if (field.type && field.type !== 'field') return false;
+    return INPUT_TYPES.includes(field.inputType || 'text');
+  });
+}
+
+function toSnake(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+// Token-boundary match so "dob" matches "patient_dob" but not "adobe"
+function containsTokens(haystack, needle) {
+  if (!haystack || !needle) return false;
+  return `_${haystack}_`.includes(`_${needle}_`);
+}
+
+function optionValues(field) {
+  const options = Array.isArray(field.options) ? field.options : [];
+  return options.map((opt) => String(opt && typeof opt === 'object' ? (opt.value ?? opt.label ?? '') : opt));
+}
+
+/**
+ * Whether an uploaded file matches field.accept (".pdf,image/*" style, empty accepts anything).
+ */
+function isAcceptedFile(accept, file) {
+  const rules = String(accept || '')
+    .split(',')
+    .map((rule) => rule.trim().toLowerCase())
+    .filter(Boolean);
+  if (!rules.length) return true;
+  const type = String(file.type || '').toLowerCase();
+  const name = String(file.name || '').toLowerCase();
+  return rules.some((rule) => {
+    if (rule.startsWith('.')) return name.endsWith(rule);
+    if (rule.endsWith('/*')) return type.startsWith(rule.slice(0, -1));
+    return type === rule;
+  });
+}
+
+/**
+ * Base64 that was cut short (e.g. by a length cap) no longer comes in whole 4-character groups.
+ */
+function isCompleteBase64(base64) {
+  return base64.length > 0 && base64.length % 4 === 0;
+}
+
+/**
+ * A signature is a PNG data URL within MAX_SIGNATURE_LENGTH that decodes to a whole image.
+ */
+export function isValidSignature(value) {
+  if (typeof value !== 'string' || value.length > MAX_SIGNATURE_LENGTH || !SIGNATURE_RE.test(value)) return false;
+  const base64 = value.slice(value.indexOf(',') + 1);
+  if (!isCompleteBase64(base64)) return false;
+  const bytes = Buffer.from(base64, 'base64');
+  return bytes.length > PNG_TRAILER.length && bytes.subarray(-PNG_TRAILER.length).equals(PNG_TRAILER);
+}
+
+/**
+ * Check a (normalized) file upload against the field's size cap and accept rules.
+ *
+ * @returns {{ file: Object|null, error: string|null }} file is { name, type, size, data }
+ */
+export function checkFileUpload(field, value) {
+  const label = field.label || field.name;
+  const match = value?.data ? DATA_URL_RE.exec(value.data) : null;
+  const maxBytes = Math.min((Number(field.maxSizeMb) || DEFAULT_FILE_MAX_MB) * 1024 * 1024, FILE_MAX_BYTES);
+  if (!match || !isCompleteBase64(match[2])) {
+    return { file: null, error: `${label} could not be read` };
+  }
+  const size = Buffer.byteLength(match[2], 'base64');
+  if (size > maxBytes) {
+    return { file: null, error: `${label} must be smaller than ${Math.round(maxBytes / (1024 * 1024))} MB` };
+  }
+  const type = value.type || match[1];
+  if (!isAcceptedFile(field.accept, { name: value.name, type })) {
+    return { file: null, error: `${label} must be one of: ${field.accept}` };
+  }
+  return { file: { name: value.name, type: type || 'application/octet-stream', size, data: value.data }, error: null };
+}
+
+/**
+ * Normalize a raw value for its input type (before visibility and required checks).
+ */
+export function normalizeFieldValue(inputType, value) {
+  if (inputType === 'checkbox') {
+    return value === true || value === 'true' || value === 'on' || value === '1' || value === 1;
+  }
+  if (inputType === 'checkbox_group') {
+    const list = Array.isArray(value) ? value : value === undefined || value === null || value === '' ? [] : [value];
+    return [...new Set(list.map((v) => String(v ?? '').trim()).filter(Boolean))];
+  }
+  if (inputType === 'file') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    return {
+      name: String(value.name || 'upload').slice(0, 255),
+      type: String(value.type || '').slice(0, 255),
+      data: typeof value.data === 'string' ? value.data : ''
+    };
+  }
+  if (inputType === 'signature') {
+    return typeof value === 'string' ? value.trim() : null;
+  }
+  if (Array.isArray(value)) return value.map((v) => String(v ?? '').trim()).filter(Boolean);
+  if (value === undefined || value === null) return value;
+  return String(value).trim().slice(0, MAX_VALUE_LENGTH);
+}
+
+/**
+ * Evaluate a visibleWhen rule against a (normalized) value.
+ */
+export function visibilityRuleMatches(rule, value) {
+  const expected = String(rule?.value ?? '').trim();
+  const list = Array.isArray(value) ? value.map(String) : null;
+  const text = value === true ? 'true' : value === false ? 'false' : String(value ?? '');
+  switch (rule?.operator) {
+    case 'is_filled':
+      return !isEmptyValue(value) && value !== false;
+    case 'is_empty':
+      return isEmptyValue(value) || value === false;
+    case 'contains':
+      return list ? list.includes(expected) : text.toLowerCase().includes(expected.toLowerCase());
+    case 'not_equals':
+      return list ? !list.includes(expected) : text !== expected;
+    case 'equals':
+    default:
+      return list ? list.includes(expected) : text === expected;
+  }
+}
+
+/**
+ * Names of input fields whose visibleWhen rules currently hide them.
+ * A field is also hidden when the field its rule depends on is hidden.
+ */
+export function getHiddenFieldNames(schema, values = {}) {
+  const fields = getSchemaInputFields(schema);
+  const byName = new Map(fields.map((field) => [field.name, field]));
+  const visibility = new Map();
+
+  const isVisible = (field, seen = new Set()) => {
+    if (visibility.has(field.name)) return visibility.get(field.name);
+    const rule = field.visibleWhen;
+    let visible = true;
+    if (rule?.field) {
+      const parent = byName.get(rule.field);
+      if (!parent || seen.has(parent.name)) visible = false;
+      else visible = isVisible(parent, new Set([...seen, field.name])) && visibilityRuleMatches(rule, values[parent.name]);
+    }
+    visibility.set(field.name, visible);
+    return visible;
+  };
+
+  return new Set(fields.filter((field) => !isVisible(field)).map((field) => field.name));
+}
+
+/**
+ * Display text for a stored value (emails, PDFs, CSV). Uploaded files show their name;
+ * signatures are never printed as data.
+ */
+export function formatSubmissionValue(value, { separator = ', ' } = {}) {
+  if (value === undefined || value === null) return '';
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (Array.isArray(value)) return value.join(separator);
+  if (typeof value === 'object') return value.name ? `${value.name} (attached)` : '';
+  if (typeof value === 'string' && value.startsWith('data:image/png;base64,')) return '[Signed]';
+  return String(value);
+}
+
+// ============================================================================
+// Published Form Lookup
+// ============================================================================
+
+/**
+ * Load a published form and its active version for public rendering/submission.
+ * Returns null when the form doesn't exist, isn't published or has no active version.
+ */
+export async function getPublishedForm(formId) {
+  const { rows } = await query(
+    `SELECT f.id, f.org_id, f.name, f.description, f.form_type, f.status, f.settings_json, f.embed_token,
+            v.id AS version_id, v.version_number, v.schema_json, v.css_code
+     FROM forms f
+     JOIN form_versions v ON v.id = f.active_version_id
+     WHERE f.id = $1 AND f.status = 'published'
+     LIMIT 1`,
+    [formId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Shape a published form for the public embed (no tokens, no internal settings).
+ */
+export function toPublicFormPayload(form) {
+  const settings = form.settings_json || {};
+  const publicSettings = {};
+  for (const key of PUBLIC_SETTING_KEYS) {
+    if (settings[key] !== undefined) publicSettings[key] = settings[key];
+  }
+  return {
+    form: {
+      id: form.id,
+      name: form.name,
+      description: form.description,
+      form_type: form.form_type,
+      version_id: form.version_id,
+      version_number: form.version_number,
+      settings: publicSettings
+    },
+    schema: {
+      sections: Array.isArray(form.schema_json?.sections) ? form.schema_json.sections : [],
+      fields: Array.isArray(form.schema_json?.fields) ? form.schema_json.fields : []
+    },
+    css: form.css_code || ''
+  };
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate submitted values against the version schema.
+ * Unknown keys are dropped, strings are trimmed and capped, and fields hidden by a
+ * visibleWhen rule are neither required nor stored.
+ *
+ * @returns {{ values: Object, errors: Object }} errors keyed by field name
+ */
+export function validateSubmissionFields(schema, input = {}) {
+  const values = {};
+  const errors = {};
+  const source = input && typeof input === 'object' ? input : {};
+  const fields = getSchemaInputFields(schema);
+
+  const normalized = {};
+  for (const field of fields) {
+    normalized[field.name] = normalizeFieldValue(field.inputType || 'text', source[field.name]);
+  }
+  const hidden = getHiddenFieldNames(schema, normalized);
+
+  for (const field of fields) {
+    const { name } = field;
+    if (hidden.has(name)) continue;
+    const inputType = field.inputType || 'text';
+    const label = field.label || name;
+    const value = normalized[name];
+
+    if (inputType === 'checkbox') {
+      if (field.required && !value) errors[name] = `${label} is required`;
+      values[name] = value;
+      continue;
+    }
+
+    if (isEmptyValue(value) || (inputType === 'file' && !value.data)) {
+      if (field.required) errors[name] = `${label} is required`;
+      continue;
+    }
+
+    if (inputType === 'email' && !EMAIL_RE.test(value)) {
+      errors[name] = `${label} must be a valid email address`;
+    } else if (inputType === 'tel' && String(value).replace(/\D/g, '').length < 7) {
+      errors[name] = `${label} must be a valid phone number`;
+    } else if (inputType === 'number' && !Number.isFinite(Number(value))) {
+      errors[name] = `${label} must be a number`;
+    } else if (inputType === 'date' && Number.isNaN(Date.parse(value))) {
+      errors[name] = `${label} must be a valid date`;
+    } else if (OPTION_INPUT_TYPES.includes(inputType)) {
+      const allowed = optionValues(field);
+      const picked = Array.isArray(value) ? value : [value];
+      if (allowed.length && picked.some((v) => !allowed.includes(v))) {
+        errors[name] = `${label} has an invalid selection`;
+      }
+    } else if (inputType === 'signature') {
+      if (!isValidSignature(value)) errors[name] = `${label} must be signed again`;
+    } else if (inputType === 'file') {
+      const { file, error } = checkFileUpload(field, value);
+      if (error) errors[name] = error;
+      else values[name] = file;
+      continue;
+    }
+
+    values[name] = value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Check a schema saved from the builder before it is stored.
+ * @returns {string[]} problems; empty when the schema is usable
+ */
+export function validateFormSchema(schema) {
+  const problems = [];
+  const fields = Array.isArray(schema?.fields) ? schema.fields : [];
+  const sectionIds = new Set((Array.isArray(schema?.sections) ? schema.sections : []).map((section) => section?.id));
+  const names = new Set();
+
+  fields.forEach((field, index) => {
+    const where = field?.label ? `"${field.label}"` : `Field ${index + 1}`;
+    if (!field || typeof field !== 'object') {
+      problems.push(`${where} is not an object`);
+      return;
+    }
+    if (field.section_id && !sectionIds.has(field.section_id)) problems.push(`${where} belongs to a missing section`);
+    if (field.type && field.type !== 'field') {
+      if (!LAYOUT_TYPES.includes(field.type)) problems.push(`${where} has an unknown type "${field.type}"`);
+      return;
+    }
+    const inputType = field.inputType || 'text';
+    if (!INPUT_TYPES.includes(inputType)) problems.push(`${where} has an unknown input type "${inputType}"`);
+    if (!FIELD_NAME_RE.test(field.name || '')) {
+      problems.push(`${where} needs a name of lowercase letters, numbers and underscores`);
+    } else if (names.has(field.name)) {
+      problems.push(`Field name "${field.name}" is used more than once`);
+    }
+    names.add(field.name);
+    if (OPTION_INPUT_TYPES.includes(inputType) && !optionValues(field).filter(Boolean).length) {
+      problems.push(`${where} needs at least one option`);
+    }
+  });
+
+  const inputFields = getSchemaInputFields(schema);
+  const byName = new Map(inputFields.map((field) => [field.name, field]));
+  for (const field of inputFields) {
+    const rule = field.visibleWhen;
+    if (!rule) continue;
+    const where = `"${field.label || field.name}"`;
+    if (!byName.has(rule.field) || rule.field === field.name) {
+      problems.push(`${where} is shown based on a field that doesn't exist`);
+    } else if (!VISIBILITY_OPERATORS.includes(rule.operator)) {
+      problems.push(`${where} has an unknown visibility condition "${rule.operator}"`);
+    }
+    // Follow the chain of rules to catch loops (a -> b -> a)
+    const seen = new Set([field.name]);
+    let next = byName.get(rule.field)?.visibleWhen?.field;
+    while (next) {
+      if (seen.has(next)) {
+        problems.push(`${where} has a visibility rule that loops back on itself`);
+        break;
+      }
+      seen.add(next);
+      next = byName.get(next)?.visibleWhen?.field;
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Pick known attribution keys from embed metadata.
+ */
+export function buildAttribution(metadata = {}, { referrer = null } = {}) {
+  const source = metadata && typeof metadata === 'object' ? metadata : {};
+  const attribution = {};
+  for (const key of ATTRIBUTION_KEYS) {
+    const value = source[key];
+    if (value === undefined || value === null || value === '') continue;
+    attribution[key] = String(value).slice(0, MAX_ATTRIBUTION_LENGTH);
+  }
+  if (!attribution.referrer && referrer) attribution.referrer = String(referrer).slice(0, MAX_ATTRIBUTION_LENGTH);
+  return attribution;
+}
+
+// ============================================================================
+// PHI Classification
+// ============================================================================
+
+/**
+ * Active PHI field types (cached briefly; the table rarely changes).
+ */
+export async function getPhiFieldDefinitions() {
+  if (phiDefinitionsCache && Date.now() - phiDefinitionsLoadedAt < PHI_DEFINITIONS_TTL_MS) {
+    return phiDefinitionsCache;
+  }
+  const { rows } = await query(
+    `SELECT field_type, display_name FROM form_phi_field_definitions WHERE is_active = TRUE ORDER BY field_type`
+  );
+  phiDefinitionsCache = rows;
+  phiDefinitionsLoadedAt = Date.now();
+  return rows;
+}
+
+/**
+ * A field is PHI when flagged explicitly (phi: true / phi_type) or when its name or
+ * label matches an active definition's field_type or display name.
+ */
+export function isPhiField(field, definitions = []) {
+  if (field?.phi === true) return true;
+  if (field?.phi_type && definitions.some((d) => d.field_type === field.phi_type)) return true;
+  const candidates = [toSnake(field?.name), toSnake(field?.label)].filter(Boolean);
+  return definitions.some((d) => {
+    const display = toSnake(d.display_name);
+    return candidates.some((c) => containsTokens(c, d.field_type) || containsTokens(c, display));
+  });
+}
+
+/**
+ * Split validated values into PHI and non-PHI parts.
+ * @returns {{ phi: Object, nonPhi: Object, phiFields: string[] }}
+ */
+export function splitPhiValues(schema, values = {}, definitions = []) {
+  const phi = {};
+  const nonPhi = {};
+  const phiNames = new Set(
+    getSchemaInputFields(schema)
+      .filter((field) => isPhiField(field, definitions))
+      .map((field) => field.name)
+  );
+  for (const [name, value] of Object.entries(values || {})) {
+    if (phiNames.has(name)) phi[name] = value;
+    else nonPhi[name] = value;
+  }
+  return { phi, nonPhi, phiFields: Object.keys(phi) };
+}
+
+function submissionAad(submissionId) {
+  return `form_submission:${submissionId}`;
+}
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Insert a form_submissions row and audit it.
+ * For intake forms, PHI values are encrypted into encrypted_payload (bound to the
+ * submission id) and only the remaining values are stored in non_phi_payload.
+ *
+ * @returns {Promise<Object>} the inserted submission (id, created_at, ...)
+ */
+export async function recordSubmission({
+  form,
+  values,
+  attribution = {},
+  ipAddress = null,
+  userAgent = null,
+  referrer = null,
+  embedDomain = null
+}) {
+  const submissionId = crypto.randomUUID();
+  let nonPhiPayload = values || {};
+  let encryptedPayload = null;
+  let encryptionKeyId = null;
+  let phiFieldCount = 0;
+
+  if (form.form_type === 'intake') {
+    const definitions = await getPhiFieldDefinitions();
+    const { phi, nonPhi, phiFields } = splitPhiValues(form.schema_json, values, definitions);
+    nonPhiPayload = nonPhi;
+    phiFieldCount = phiFields.length;
+    if (phiFieldCount) {
+      const encrypted = encryptJson(phi, { aad: submissionAad(submissionId) });
+      encryptedPayload = encrypted.ciphertext;
+      encryptionKeyId = encrypted.keyId;
+    }
+  }
+
+  const { rows } = await query(
+    `INSERT INTO form_submissions (
+       id, form_id, form_version_id, submission_kind, non_phi_payload, encrypted_payload, encryption_key_id,
+       attribution_json, ip_address, user_agent, referrer, embed_domain
+     )
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING id, form_id, form_version_id, submission_kind, embed_domain, created_at`,
+    [
+      submissionId,
+      form.id,
+      form.version_id,
+      form.form_type,
+      JSON.stringify(nonPhiPayload),
+      encryptedPayload,
+      encryptionKeyId,
+      JSON.stringify(attribution || {}),
+      toInet(ipAddress),
+      userAgent || null,
+      referrer || null,
+      embedDomain || null
+    ]
+  );
+  const submission = rows[0];
+
+  await logFormAudit({
+    actorId: null,
+    action: 'submission.created',
+    entityType: 'submission',
+    entityId: submission.id,
+    metadata: {
+      form_id: form.id,
+      version_id: form.version_id,
+      embed_domain: embedDomain || null,
+      phi_field_count: phiFieldCount,
+      encryption_key_id: encryptionKeyId
+    },
+    ipAddress,
+    userAgent
+  });
+
+  return submission;
+}
+
+// ============================================================================
+// Retrieval
+// ============================================================================
+
+/**
+ * Load a submission belonging to a form (ciphertext included, never returned as-is).
+ */
+export async function getSubmissionForForm(formId, submissionId) {
+  const { rows } = await query(
+    `SELECT s.*, v.version_number, v.schema_json
+     FROM form_submissions s
+     JOIN form_versions v ON v.id = s.form_version_id
+     WHERE s.form_id = $1 AND s.id = $2
+     LIMIT 1`,
+    [formId, submissionId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Decrypt the PHI part of a submission. Returns null when there is none.
+ */
+export function decryptSubmissionPhi(submission) {
+  if (!submission?.encrypted_payload) return null;
+  return decryptJson(submission.encrypted_payload, submission.encryption_key_id, { aad: submissionAad(submission.id) });
+}
+
+/**
+ * Strip ciphertext and internal columns before a submission leaves the API.
+ */
+export function toSubmissionResponse(submission, { phi = null } = {}) {
+  const { encrypted_payload: encryptedPayload, schema_json: schemaJson, ...rest } = submission;
+  return {
+    ...rest,
+    has_phi: Boolean(encryptedPayload),
+    fields: getSchemaInputFields(schemaJson).map((field) => ({
+      name: field.name,
+      label: field.label || field.name,
+      inputType: field.inputType || 'text'
+    })),
+    phi
+  };
+}
+
+// ============================================================================
+// Inbox
+// ============================================================================
+
+function deliveryCondition(column, status) {
+  if (status === 'sent') return `s.${column}_sent = TRUE`;
+  if (status === 'failed') return `s.${column}_sent = FALSE AND s.${column}_error IS NOT NULL`;
+  if (status === 'pending') return `s.${column}_sent = FALSE AND s.${column}_error IS NULL`;
+  return null;
+}
+
+/**
+ * WHERE clause for inbox filters. Unknown values are ignored rather than rejected.
+ * Dates are YYYY-MM-DD and date_to is inclusive.
+ */
+function buildSubmissionFilters(formId, { kind, dateFrom, dateTo, emailStatus, ctmStatus, embedDomain } = {}) {
+  const conditions = ['s.form_id = $1'];
+  const params = [formId];
+  if (SUBMISSION_KINDS.includes(kind)) {
+    params.push(kind);
+    conditions.push(`s.submission_kind = $${params.length}`);
+  }
+  if (DATE_RE.test(String(dateFrom || ''))) {
+    params.push(dateFrom);
+    conditions.push(`s.created_at >= $${params.length}::date`);
+  }
+  if (DATE_RE.test(String(dateTo || ''))) {
+    params.push(dateTo);
+    conditions.push(`s.created_at < $${params.length}::date + 1`);
+  }
+  const emailCondition = deliveryCondition('email', emailStatus);
+  if (emailCondition) conditions.push(emailCondition);
+  const ctmCondition = deliveryCondition('ctm', ctmStatus);
+  if (ctmCondition) conditions.push(ctmCondition);
+  if (embedDomain) {
+    params.push(String(embedDomain).toLowerCase());
+    conditions.push(`s.embed_domain = $${params.length}`);
+  }
+  return { where: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * Non-PHI answer columns across every version in the rows (first label seen wins).
+ */
+export function collectSubmissionFields(rows = []) {
+  const fields = new Map();
+  for (const row of rows) {
+    for (const field of getSchemaInputFields(row.schema_json)) {
+      if (!fields.has(field.name)) fields.set(field.name, { name: field.name, label: field.label || field.name });
+    }
+    for (const name of Object.keys(row.non_phi_payload || {})) {
+      if (!fields.has(name)) fields.set(name, { name, label: name });
+    }
+  }
+  return [...fields.values()];
+}
+
+// Uploaded files stay out of list responses; the name and size are enough to show them
+function withoutFileData(payload) {
+  const result = {};
+  for (const [name, value] of Object.entries(payload || {})) {
+    result[name] =
+      value && typeof value === 'object' && !Array.isArray(value) ? { name: value.name, type: value.type, size: value.size } : value;
+  }
+  return result;
+}
+
+/**
+ * Page of submissions for the inbox (non-PHI values only) plus the embed domains seen.
+ *
+ * @returns {Promise<{ submissions: Object[], fields: Object[], embedDomains: string[], pagination: Object }>}
+ */
+export async function listFormSubmissions(formId, filters = {}, { page = 1, limit = 25 } = {}) {
+  const safeLimit = Math.min(Math.max(Number(limit) || 25, 1), 100);
+  const safePage = Math.max(Number(page) || 1, 1);
+  const { where, params } = buildSubmissionFilters(formId, filters);
+
+  const [{ rows }, countResult, domainResult] = await Promise.all([
+    query(
+      `SELECT ${SUBMISSION_LIST_COLUMNS}
+       FROM form_submissions s
+       JOIN form_versions v ON v.id = s.form_version_id
+       ${where}
+       ORDER BY s.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, safeLimit, (safePage - 1) * safeLimit]
+    ),
+    query(`SELECT COUNT(*)::int AS total FROM form_submissions s ${where}`, params),
+    query(
+      `SELECT DISTINCT embed_domain FROM form_submissions
+       WHERE form_id = $1 AND embed_domain IS NOT NULL
+       ORDER BY embed_domain
+       LIMIT 100`,
+      [formId]
+    )
+  ]);
+
+  const total = countResult.rows[0]?.total || 0;
+  return {
+    submissions: rows.map(({ schema_json: _schema, ...row }) => ({ ...row, non_phi_payload: withoutFileData(row.non_phi_payload) })),
+    fields: collectSubmissionFields(rows),
+    embedDomains: domainResult.rows.map((row) => row.embed_domain),
+    pagination: { page: safePage, limit: safeLimit, total, totalPages: Math.max(1, Math.ceil(total / safeLimit)) }
+  };
+}
+
+function deliveryStatus(sent, error) {
+  if (sent) return 'sent';
+  return error ? 'failed' : 'pending';
+}
+
+function csvValue(value) {
+  return formatSubmissionValue(value, { separator: '; ' });
+}
+
+/**
+ * CSV of the filtered submissions. Only non_phi_payload is read, so PHI can't end up in the file.
+ *
+ * @returns {Promise<{ csv: string, count: number }>}
+ */
+export async function exportFormSubmissionsCsv(formId, filters = {}) {
+  const { where, params } = buildSubmissionFilters(formId, filters);
+  const { rows } = await query(
+    `SELECT ${SUBMISSION_LIST_COLUMNS}
+     FROM form_submissions s
+     JOIN form_versions v ON v.id = s.form_version_id
+     ${where}
+     ORDER BY s.created_at DESC
+     LIMIT ${MAX_EXPORT_ROWS}`,
+    params
+  );
+
+  const fields = collectSubmissionFields(rows);
+  const attributionKeys = ['utm_source', 'utm_medium', 'utm_campaign', 'gclid', 'page_url', 'referrer'];
+  const headers = [
+    'Submission ID',
+    'Submitted At',
+    'Kind',
+    'Version',
+    'Embed Domain',
+    'Email Status',
+    'CTM Status',
+    'Has Protected Fields',
+    ...attributionKeys,
+    ...fields.map((field) => field.label)
+  ];
+  const lines = rows.map((row) => {
+    const values = row.non_phi_payload || {};
+    const attribution = row.attribution_json || {};
+    return [
+      row.id,
+      new Date(row.created_at).toISOString(),
+      row.submission_kind,
+      row.version_number,
+      row.embed_domain || '',
+      deliveryStatus(row.email_sent, row.email_error),
+      deliveryStatus(row.ctm_sent, row.ctm_error),
+      row.has_phi ? 'Yes' : 'No',
+      ...attributionKeys.map((key) => attribution[key] || ''),
+      ...fields.map((field) => csvValue(values[field.name]))
+    ];
+  });
+
+  const csv = [headers.map(escapeCsv).join(','), ...lines.map((line) => line.map(escapeCsv).join(','))].join('\n');
+  return { csv, count: rows.length };
+}
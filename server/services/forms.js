@@ -0,0 +1,465 @@
+/**
+ * Forms Platform Service
+ *
+ * Handles:
+ * - Form CRUD (per client org_id)
+ * - Draft version management (schema_json, react_code, css_code)
+ * - Publishing a version into forms.active_version_id
+ * - Archiving
+ * - Compliance audit trail (form_audit_logs)
+ *
+ * Tables are created by server/sql/migrate_forms_platform.sql.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+
+import { query, getClient } from '../db.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const FORM_TYPES = ['conversion', 'intake'];
+export const FORM_STATUSES = ['draft', 'published', 'archived'];
+
+export const DEFAULT_FORM_SETTINGS = Object.freeze({
+  email_recipients: [],
+  email_on_submission: true,
+  email_on_draft_resumed: false,
+  save_and_resume_enabled: false,
+  resume_token_ttl_hours: 72,
+  new_patient_button_label: 'New Patient',
+  new_patient_button_helper: 'Start a new form',
+  resume_button_label: 'Resume',
+  resume_button_helper: 'Continue where you left off',
+  ctm_enabled: false,
+  ctm_conversion_action_id: null,
+  ctm_five_star_enabled: false,
+  domain_allowlist: [],
+  custom_thank_you_message: 'Thank you for your submission!'
+});
+
+const FORM_COLUMNS = `f.id, f.org_id, f.name, f.description, f.form_type, f.status, f.active_version_id,
+  f.settings_json, f.embed_token, f.created_at, f.updated_at`;
+
+const VERSION_COLUMNS = `v.id, v.form_id, v.version_number, v.react_code, v.css_code, v.schema_json,
+  v.ai_generated, v.ai_source_pdf_path, v.ai_prompt_used, v.published_at, v.created_at, v.created_by`;
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function generateEmbedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Coerce a request IP into something an INET column accepts (or null).
+ */
+export function toInet(ip) {
+  const value = String(ip || '').trim();
+  return net.isIP(value) ? value : null;
+}
+
+function normalizeSchema(schema) {
+  if (!schema) return { fields: [] };
+  if (typeof schema === 'string') {
+    try {
+      return normalizeSchema(JSON.parse(schema));
+    } catch {
+      return { fields: [] };
+    }
+  }
+  if (typeof schema !== 'object' || Array.isArray(schema)) return { fields: [] };
+  return { ...schema, fields: Array.isArray(schema.fields) ? schema.fields : [] };
+}
+
+/**
+ * Merge user-provided settings over the defaults, dropping unknown keys.
+ */
+export function sanitizeFormSettings(settings = {}, base = DEFAULT_FORM_SETTINGS) {
+  const merged = { ...DEFAULT_FORM_SETTINGS, ...(base || {}) };
+  if (!settings || typeof settings !== 'object') return merged;
+  for (const key of Object.keys(DEFAULT_FORM_SETTINGS)) {
+    if (settings[key] !== undefined) merged[key] = settings[key];
+  }
+  merged.email_recipients = (Array.isArray(merged.email_recipients) ? merged.email_recipients : [])
+    .map((email) => String(email || '').trim())
+    .filter(Boolean);
+  merged.domain_allowlist = (Array.isArray(merged.domain_allowlist) ? merged.domain_allowlist : [])
+    .map((domain) =>
+      String(domain || '')
+        .trim()
+        .toLowerCase()
+    )
+    .filter(Boolean);
+  const ttl = Number(merged.resume_token_ttl_hours);
+  merged.resume_token_ttl_hours = Number.isFinite(ttl) && ttl > 0 ? Math.round(ttl) : DEFAULT_FORM_SETTINGS.resume_token_ttl_hours;
+  return merged;
+}
+
+// ============================================================================
+// Audit Logging
+// ============================================================================
+
+/**
+ * Write an entry to form_audit_logs.
+ * metadata must never contain PHI. Audit failures never break the request.
+ *
+ * @param {Object} entry
+ * @param {string|null} entry.actorId - users.id, null for public/anonymous actions
+ * @param {string} entry.action - e.g. 'form.created', 'version.published', 'submission.viewed'
+ * @param {string} entry.entityType - 'form' | 'version' | 'submission' | 'pdf'
+ * @param {string} entry.entityId
+ * @param {Object} [entry.metadata]
+ * @param {string} [entry.ipAddress]
+ * @param {string} [entry.userAgent]
+ */
+export async function logFormAudit({ actorId = null, action, entityType, entityId, metadata = {}, ipAddress = null, userAgent = null }) {
+  try {
+    await query(
+      `INSERT INTO form_audit_logs (actor_id, action, entity_type, entity_id, metadata_json, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [actorId, action, entityType, entityId, JSON.stringify(metadata || {}), toInet(ipAddress), userAgent || null]
+    );
+  } catch (err) {
+    console.error('[forms:audit] Failed to log event:', err.message, { action, entityType, entityId });
+  }
+}
+
+// ============================================================================
+// Forms CRUD
+// ============================================================================
+
+export async function listForms({ orgId = null, status = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (orgId) {
+    params.push(orgId);
+    conditions.push(`f.org_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`f.status = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const { rows } = await query(
+    `SELECT ${FORM_COLUMNS},
+            COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS org_name,
+            av.version_number AS active_version_number,
+            (SELECT MAX(version_number) FROM form_versions WHERE form_id = f.id) AS latest_version_number
+     FROM forms f
+     LEFT JOIN users u ON u.id = f.org_id
+     LEFT JOIN form_versions av ON av.id = f.active_version_id
+     ${where}
+     ORDER BY f.updated_at DESC`,
+    params
+  );
+  return rows;
+}
+
+export async function getFormById(formId) {
+  const { rows } = await query(`SELECT ${FORM_COLUMNS} FROM forms f WHERE f.id = $1 LIMIT 1`, [formId]);
+  return rows[0] || null;
+}
+
+/**
+ * Get a form together with its active (published) version and current draft, if any.
+ */
+export async function getFormWithVersions(formId) {
+  const form = await getFormById(formId);
+  if (!form) return null;
+  const activeVersion = form.active_version_id ? await getFormVersion(formId, form.active_version_id) : null;
+  const draftVersion = await getDraftVersion(formId);
+  return { ...form, active_version: activeVersion, draft_version: draftVersion };
+}
+
+export async function createForm({ orgId = null, name, description = null, formType, settings = {} }) {
+  const { rows } = await query(
+    `INSERT INTO forms (org_id, name, description, form_type, settings_json, embed_token)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [orgId, name, description, formType, JSON.stringify(sanitizeFormSettings(settings)), generateEmbedToken()]
+  );
+  return rows[0];
+}
+
+/**
+ * Update form metadata. Settings are merged into the existing settings_json.
+ */
+export async function updateForm(formId, { name, description, orgId, settings } = {}) {
+  const existing = await getFormById(formId);
+  if (!existing) return null;
+
+  const fields = [];
+  const params = [];
+  let paramIndex = 1;
+
+  if (name !== undefined) {
+    fields.push(`name = $${paramIndex++}`);
+    params.push(name);
+  }
+  if (description !== undefined) {
+    fields.push(`description = $${paramIndex++}`);
+    params.push(description || null);
+  }
+  if (orgId !== undefined) {
+    fields.push(`org_id = $${paramIndex++}`);
+    params.push(orgId || null);
+  }
+  if (settings !== undefined) {
+    fields.push(`settings_json = $${paramIndex++}`);
+    params.push(JSON.stringify(sanitizeFormSettings(settings, existing.settings_json)));
+  }
+
+  if (!fields.length) return existing;
+
+  params.push(formId);
+  const { rows } = await query(`UPDATE forms SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`, params);
+  return rows[0] || null;
+}
+
+export async function archiveForm(formId) {
+  const { rows } = await query(`UPDATE forms SET status = 'archived' WHERE id = $1 RETURNING *`, [formId]);
+  return rows[0] || null;
+}
+
+/**
+ * Restore an archived form to published (if it has an active version) or draft.
+ */
+export async function restoreForm(formId) {
+  const { rows } = await query(
+    `UPDATE forms
+     SET status = CASE WHEN active_version_id IS NOT NULL THEN 'published' ELSE 'draft' END
+     WHERE id = $1 AND status = 'archived'
+     RETURNING *`,
+    [formId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Rotate the embed token (invalidates existing embed snippets).
+ */
+export async function rotateEmbedToken(formId) {
+  const { rows } = await query(`UPDATE forms SET embed_token = $2 WHERE id = $1 RETURNING *`, [formId, generateEmbedToken()]);
+  return rows[0] || null;
+}
+
+// ============================================================================
+// Versions
+// ============================================================================
+
+export async function listFormVersions(formId) {
+  const { rows } = await query(
+    `SELECT v.id, v.form_id, v.version_number, v.ai_generated, v.published_at, v.created_at, v.created_by,
+            COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS created_by_name
+     FROM form_versions v
+     LEFT JOIN users u ON u.id = v.created_by
+     WHERE v.form_id = $1
+     ORDER BY v.version_number DESC`,
+    [formId]
+  );
+  return rows;
+}
+
+export async function getFormVersion(formId, versionId) {
+  const { rows } = await query(`SELECT ${VERSION_COLUMNS} FROM form_versions v WHERE v.form_id = $1 AND v.id = $2 LIMIT 1`, [
+    formId,
+    versionId
+  ]);
+  return rows[0] || null;
+}
+
+/**
+ * The current draft is the newest unpublished version, if any.
+ */
+export async function getDraftVersion(formId) {
+  const { rows } = await query(
+    `SELECT ${VERSION_COLUMNS}
+     FROM form_versions v
+     WHERE v.form_id = $1 AND v.published_at IS NULL
+     ORDER BY v.version_number DESC
+     LIMIT 1`,
+    [formId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Save the draft version of a form.
+ * Published versions are immutable, so this updates the open draft when one exists
+ * and otherwise creates the next version_number. Pass newVersion to always create the
+ * next version_number (the previous draft is kept in the version history).
+ *
+ * @returns {Promise<{version: Object, created: boolean}>}
+ */
+export async function saveDraftVersion(
+  formId,
+  { schemaJson, reactCode, cssCode, aiGenerated = false, aiSourcePdfPath = null, aiPromptUsed = null, createdBy = null, newVersion = false }
+) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    // Lock the form row so concurrent saves can't race on version_number
+    await client.query('SELECT id FROM forms WHERE id = $1 FOR UPDATE', [formId]);
+
+    const { rows: draftRows } = await client.query(
+      `SELECT id FROM form_versions WHERE form_id = $1 AND published_at IS NULL ORDER BY version_number DESC LIMIT 1`,
+      [formId]
+    );
+
+    let version;
+    let created = false;
+    if (draftRows.length && !newVersion) {
+      const fields = [];
+      const params = [];
+      let paramIndex = 1;
+      if (schemaJson !== undefined) {
+        fields.push(`schema_json = $${paramIndex++}`);
+        params.push(JSON.stringify(normalizeSchema(schemaJson)));
+      }
+      if (reactCode !== undefined) {
+        fields.push(`react_code = $${paramIndex++}`);
+        params.push(reactCode || '');
+      }
+      if (cssCode !== undefined) {
+        fields.push(`css_code = $${paramIndex++}`);
+        params.push(cssCode || null);
+      }
+      if (aiGenerated) {
+        fields.push(`ai_generated = TRUE`);
+        fields.push(`ai_source_pdf_path = $${paramIndex++}`);
+        params.push(aiSourcePdfPath);
+        fields.push(`ai_prompt_used = $${paramIndex++}`);
+        params.push(aiPromptUsed);
+      }
+      if (fields.length) {
+        params.push(draftRows[0].id);
+        const { rows } = await client.query(`UPDATE form_versions SET ${fields.join(', ')} WHERE id = $${paramIndex} RETURNING *`, params);
+        version = rows[0];
+      } else {
+        const { rows } = await client.query('SELECT * FROM form_versions WHERE id = $1', [draftRows[0].id]);
+        version = rows[0];
+      }
+    } else {
+      // Start a new draft from the active version so unchanged parts carry over
+      const { rows: baseRows } = await client.query(
+        `SELECT v.react_code, v.css_code, v.schema_json
+         FROM forms f
+         LEFT JOIN form_versions v ON v.id = f.active_version_id
+         WHERE f.id = $1`,
+        [formId]
+      );
+      const base = baseRows[0] || {};
+      const { rows } = await client.query(
+        `INSERT INTO form_versions (
+           form_id, version_number, react_code, css_code, schema_json,
+           ai_generated, ai_source_pdf_path, ai_prompt_used, created_by
+         )
+         VALUES (
+           $1, COALESCE((SELECT MAX(version_number) FROM form_versions WHERE form_id = $1), 0) + 1,
+           $2, $3, $4, $5, $6, $7, $8
+         )
+         RETURNING *`,
+        [
+          formId,
+          reactCode !== undefined ? reactCode || '' : base.react_code || '',
+          cssCode !== undefined ? cssCode || null : base.css_code || null,
+          JSON.stringify(normalizeSchema(schemaJson !== undefined ? schemaJson : base.schema_json)),
+          Boolean(aiGenerated),
+          aiSourcePdfPath,
+          aiPromptUsed,
+          createdBy
+        ]
+      );
+      version = rows[0];
+      created = true;
+    }
+
+    await client.query('UPDATE forms SET updated_at = NOW() WHERE id = $1', [formId]);
+    await client.query('COMMIT');
+    return { version, created };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Publish a version: stamps published_at (once) and points forms.active_version_id at it.
+ * Re-publishing an older version is allowed (rollback).
+ *
+ * @returns {Promise<{form: Object, version: Object}|null>} null when the version doesn't belong to the form
+ */
+export async function publishFormVersion(formId, versionId) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const { rows: versionRows } = await client.query(
+      `UPDATE form_versions
+       SET published_at = COALESCE(published_at, NOW())
+       WHERE id = $1 AND form_id = $2
+       RETURNING *`,
+      [versionId, formId]
+    );
+    if (!versionRows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { rows: formRows } = await client.query(
+      `UPDATE forms SET active_version_id = $2, status = 'published' WHERE id = $1 RETURNING *`,
+      [formId, versionId]
+    );
+    await client.query('COMMIT');
+    return { form: formRows[0], version: versionRows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// Audit Trail
+// ============================================================================
+
+/**
+ * Audit entries for a form, its versions and its submissions (newest first).
+ */
+export async function getFormAuditTrail(formId, { limit = 100 } = {}) {
+  const { rows } = await query(
+    `SELECT l.id, l.actor_id, l.action, l.entity_type, l.entity_id, l.metadata_json, l.ip_address, l.created_at,
+            COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS actor_name
+     FROM form_audit_logs l
+     LEFT JOIN users u ON u.id = l.actor_id
+     WHERE (l.entity_type = 'form' AND l.entity_id = $1)
+        OR (l.entity_type = 'version' AND l.entity_id IN (SELECT id FROM form_versions WHERE form_id = $1))
+        OR (l.entity_type = 'submission' AND l.entity_id IN (SELECT id FROM form_submissions WHERE form_id = $1))
+     ORDER BY l.created_at DESC
+     LIMIT $2`,
+    [formId, Math.min(Math.max(Number(limit) || 100, 1), 500)]
+  );
+  return rows;
+}
+
+/**
+ * Audit entries for a single submission, oldest first (the submission timeline).
+ */
+export async function getSubmissionAuditTrail(submissionId) {
+  const { rows } = await query(
+    `SELECT l.id, l.actor_id, l.action, l.entity_type, l.entity_id, l.metadata_json, l.ip_address, l.created_at,
+            COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS actor_name
+     FROM form_audit_logs l
+     LEFT JOIN users u ON u.id = l.actor_id
+     WHERE l.entity_type = 'submission' AND l.entity_id = $1
+     ORDER BY l.created_at ASC
+     LIMIT 500`,
+    [submissionId]
+  );
+  return rows;
+}
@@ -0,0 +1,169 @@
+/**
+ * Journey Analytics Service
+ *
+ * Follow-up program performance over journeys started in a date range, per template
+ * (client_journeys.template_id) and overall:
+ * - Outcome, one per journey: converted (linked to an active client, or status
+ *   active_client / won) > archived > lost > paused > active
+ * - Days to conversion: journey start to the first service agreed on or after it (else the
+ *   active client's creation), converted journeys only
+ * - With services: journeys whose active client has at least one client_services row
+ * - Stall step: the first step neither completed nor skipped, for journeys that did not
+ *   convert. Steps are matched across journeys by template step key, else label.
+ */
+
+import { query } from '../db.js';
+import { httpError } from '../utils/httpError.js';
+import { ratio, parseDateParam, defaultFromDate } from '../utils/reports.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONVERTED_STATUSES = ['active_client', 'won'];
+export const JOURNEY_OUTCOMES = ['active', 'paused', 'converted', 'lost', 'archived'];
+
+// ============================================================================
+// Aggregation
+// ============================================================================
+
+function journeyOutcome(journey) {
+  if (journey.active_client_id || CONVERTED_STATUSES.includes(journey.status)) return 'converted';
+  if (journey.archived_at || journey.status === 'archived') return 'archived';
+  if (journey.status === 'lost') return 'lost';
+  if (journey.paused) return 'paused';
+  return 'active';
+}
+
+function emptyGroup(templateId, templateName) {
+  return {
+    template_id: templateId,
+    template_name: templateName,
+    journeys: 0,
+    ...Object.fromEntries(JOURNEY_OUTCOMES.map((outcome) => [outcome, 0])),
+    completed: 0,
+    with_services: 0,
+    conversionDays: [],
+    steps: new Map()
+  };
+}
+
+/**
+ * Add one journey to a group: outcome counts and per-step reached / completed / stalled.
+ * Across templates step keys can repeat with different meanings, so `byLabel` matches
+ * steps by label only.
+ */
+function addJourney(group, journey, steps, { byLabel = false } = {}) {
+  const outcome = journeyOutcome(journey);
+  group.journeys++;
+  group[outcome]++;
+  if (journey.services > 0) group.with_services++;
+  if (outcome === 'converted' && journey.converted_at) {
+    const days = (new Date(journey.converted_at) - new Date(journey.created_at)) / DAY_MS;
+    if (days >= 0) group.conversionDays.push(days);
+  }
+
+  const live = steps.filter((step) => !step.skipped_at);
+  const current = live.find((step) => !step.completed_at) || null;
+  if (live.length && !current) group.completed++;
+
+  live.forEach((step) => {
+    const key = byLabel ? step.label : step.step_key || step.label;
+    if (!group.steps.has(key)) {
+      group.steps.set(key, { key, label: step.label, position: step.position, reached: 0, completed: 0, stalled: 0 });
+    }
+    const entry = group.steps.get(key);
+    if (!step.completed_at && step !== current) return;
+    entry.reached++;
+    if (step.completed_at) entry.completed++;
+    else if (outcome !== 'converted') entry.stalled++;
+  });
+}
+
+function average(values) {
+  if (!values.length) return null;
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+}
+
+function finishGroup(group) {
+  const { conversionDays, steps, ...counts } = group;
+  const stepList = [...steps.values()].sort((a, b) => a.position - b.position).map(({ position: _position, ...step }) => step);
+  const stall = stepList.reduce((top, step) => (step.stalled > (top?.stalled || 0) ? step : top), null);
+  return {
+    ...counts,
+    conversion_rate: ratio(counts.converted, counts.journeys),
+    completion_rate: ratio(counts.completed, counts.journeys),
+    services_rate: ratio(counts.with_services, counts.journeys),
+    avg_days_to_conversion: average(conversionDays),
+    stall_step: stall ? { key: stall.key, label: stall.label, journeys: stall.stalled } : null,
+    steps: stepList
+  };
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Journey performance for journeys started between from and to (client_journeys.created_at).
+ * @param {Object} [options]
+ * @param {string} [options.from] - ISO date, default: start of the month 11 months ago
+ * @param {string} [options.to] - ISO date, default: now
+ */
+export async function getJourneyPerformanceReport(ownerId, { from, to } = {}) {
+  const toDate = parseDateParam(to, 'to') || new Date();
+  const fromDate = parseDateParam(from, 'from') || defaultFromDate(toDate);
+  if (fromDate >= toDate) throw httpError(400, '"from" must be before "to"');
+
+  const { rows: journeys } = await query(
+    `SELECT cj.id, cj.template_id, jt.name AS template_name, cj.status, cj.paused, cj.archived_at, cj.created_at,
+            cj.active_client_id, COALESCE(svc.services, 0) AS services,
+            COALESCE(svc.first_agreed_at, CASE WHEN ac.created_at >= cj.created_at THEN ac.created_at END) AS converted_at
+     FROM client_journeys cj
+     LEFT JOIN journey_templates jt ON jt.id = cj.template_id
+     LEFT JOIN active_clients ac ON ac.id = cj.active_client_id
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*)::int AS services, MIN(cs.agreed_date) FILTER (WHERE cs.agreed_date >= cj.created_at) AS first_agreed_at
+       FROM client_services cs
+       WHERE cs.active_client_id = cj.active_client_id
+     ) svc ON TRUE
+     WHERE cj.owner_user_id = $1 AND cj.created_at >= $2 AND cj.created_at < $3
+     ORDER BY cj.created_at ASC`,
+    [ownerId, fromDate.toISOString(), toDate.toISOString()]
+  );
+
+  const stepsByJourney = new Map();
+  if (journeys.length) {
+    const { rows: steps } = await query(
+      `SELECT journey_id, position, label, step_key, completed_at, skipped_at
+       FROM client_journey_steps
+       WHERE journey_id = ANY($1::uuid[])
+       ORDER BY position ASC, created_at ASC`,
+      [journeys.map((journey) => journey.id)]
+    );
+    steps.forEach((step) => {
+      if (!stepsByJourney.has(step.journey_id)) stepsByJourney.set(step.journey_id, []);
+      stepsByJourney.get(step.journey_id).push(step);
+    });
+  }
+
+  const overall = emptyGroup(null, 'All journeys');
+  const groups = new Map();
+  journeys.forEach((journey) => {
+    const key = journey.template_id || 'none';
+    if (!groups.has(key)) groups.set(key, emptyGroup(journey.template_id, journey.template_name || 'No template'));
+    const steps = stepsByJourney.get(journey.id) || [];
+    addJourney(groups.get(key), journey, steps);
+    addJourney(overall, journey, steps, { byLabel: true });
+  });
+
+  // Overall per-step counts mix templates; only the stall step is kept
+  const summary = finishGroup(overall);
+  delete summary.steps;
+  return {
+    range: { from: fromDate.toISOString(), to: toDate.toISOString() },
+    summary,
+    by_template: [...groups.values()].map(finishGroup).sort((a, b) => b.journeys - a.journeys)
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * Journey Automation Service
+ *
+ * Runs client journey follow-ups on their own, opt-in per client (journey_automation_settings):
+ * - A step is sent when its due_at passes, through every deliverable channel in its channel
+ *   list: `email` via Mailgun, `text` / `sms` via the SMS provider. `call` steps stay manual.
+ * - Messages (and the email subject) are merged with {{client_name}}, {{first_name}},
+ *   {{service}} and {{business_name}}
+ * - Paused, archived and lost journeys are skipped, as are steps that were already due
+ *   before automation was enabled
+ * - One step per journey per run, in order, so a journey never gets a burst of messages
+ * - A sent step gets completed_at and a client_journey_notes entry. Failed sends are retried
+ *   RETRY_MINUTES later, up to MAX_SEND_ATTEMPTS; a step that cannot be sent (no contact
+ *   details, empty message) is marked skipped and left for manual follow-up.
+ * - Template branches are evaluated before each run (journeyTemplates.js); steps a branch
+ *   skipped are never sent.
+ *
+ * runJourneyStepScheduler() runs on a cron; sendJourneyStepNow() sends one step on demand.
+ */
+
+import { query } from '../db.js';
+import { isMailgunConfigured, sendMailgunMessageWithLogging } from './mailgun.js';
+import { evaluateJourneyBranches } from './journeyTemplates.js';
+import { getSmsProviderName, isSmsConfigured, normalizeSmsNumber, sendSms } from './sms.js';
+import { httpError } from '../utils/httpError.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const JOURNEY_MERGE_VARIABLES = ['client_name', 'first_name', 'service', 'business_name'];
+const DEFAULT_EMAIL_SUBJECT = 'Following up from {{business_name}}';
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_MINUTES = 30;
+// A step claimed this recently is assumed to be mid-send by another run
+const IN_FLIGHT_MINUTES = 5;
+const MAX_STEPS_PER_RUN = 200;
+const INACTIVE_STATUSES = ['lost', 'archived'];
+
+let schedulerRunning = false;
+
+/**
+ * Replace {{variable}} placeholders; unknown or empty variables become blank.
+ */
+export function renderJourneyTemplate(template, variables = {}) {
+  return String(template || '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => String(variables[name] ?? ''))
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Deliverable channels in a step's channel list (e.g. "call,text,email").
+ */
+export function parseStepChannels(channel) {
+  const parts = String(channel || '')
+    .toLowerCase()
+    .split(/[\s,/]+/)
+    .filter(Boolean);
+  return { email: parts.includes('email'), sms: parts.includes('text') || parts.includes('sms') };
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+function defaultSettings(ownerId) {
+  return {
+    owner_user_id: ownerId,
+    enabled: false,
+    enabled_at: null,
+    email_subject: DEFAULT_EMAIL_SUBJECT,
+    updated_by: null,
+    updated_at: null
+  };
+}
+
+export async function getJourneyAutomationSettings(ownerId) {
+  const { rows } = await query('SELECT * FROM journey_automation_settings WHERE owner_user_id = $1', [ownerId]);
+  return rows[0] || defaultSettings(ownerId);
+}
+
+/**
+ * Save automation settings. Enabling only picks up steps that fall due from now on.
+ */
+export async function updateJourneyAutomationSettings(ownerId, input = {}, userId) {
+  const current = await getJourneyAutomationSettings(ownerId);
+  const enabled = input.enabled === undefined ? current.enabled : Boolean(input.enabled);
+  const subject = input.email_subject === undefined ? current.email_subject : String(input.email_subject || '').trim();
+  if (!subject || subject.length > 200) throw httpError(400, 'Email subject is required (at most 200 characters)');
+
+  const { rows } = await query(
+    `INSERT INTO journey_automation_settings (owner_user_id, enabled, enabled_at, email_subject, updated_by, updated_at)
+     VALUES ($1, $2::boolean, CASE WHEN $2::boolean THEN NOW() END, $3, $4, NOW())
+     ON CONFLICT (owner_user_id) DO UPDATE SET
+       enabled = EXCLUDED.enabled,
+       enabled_at = CASE
+         WHEN EXCLUDED.enabled AND NOT journey_automation_settings.enabled THEN NOW()
+         ELSE journey_automation_settings.enabled_at
+       END,
+       email_subject = EXCLUDED.email_subject,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [ownerId, enabled, subject, userId || null]
+  );
+  return rows[0];
+}
+
+// ============================================================================
+// Sending
+// ============================================================================
+
+/**
+ * Step with everything needed to send it: journey state, contact details and merge values.
+ * The service is the journey's own, else the client's most recent agreed service.
+ */
+async function loadStepContext(stepId) {
+  const { rows } = await query(
+    `SELECT s.id, s.journey_id, s.label, s.channel, s.message, s.completed_at, s.skipped_at, s.send_status, s.send_attempts,
+            cj.owner_user_id, cj.paused, cj.status, cj.archived_at,
+            COALESCE(NULLIF(cj.client_name, ''), ac.client_name) AS client_name,
+            COALESCE(NULLIF(cj.client_email, ''), ac.client_email) AS client_email,
+            COALESCE(NULLIF(cj.client_phone, ''), ac.client_phone) AS client_phone,
+            COALESCE(
+              js.name,
+              (SELECT sv.name FROM client_services cs JOIN services sv ON sv.id = cs.service_id
+               WHERE cs.active_client_id = cj.active_client_id
+               ORDER BY cs.agreed_date DESC LIMIT 1)
+            ) AS service_name,
+            (SELECT ba.business_name FROM brand_assets ba
+             WHERE ba.user_id = cj.owner_user_id AND ba.business_name IS NOT NULL
+             LIMIT 1) AS business_name
+     FROM client_journey_steps s
+     JOIN client_journeys cj ON cj.id = s.journey_id
+     LEFT JOIN active_clients ac ON ac.id = cj.active_client_id
+     LEFT JOIN services js ON js.id = cj.service_id
+     WHERE s.id = $1`,
+    [stepId]
+  );
+  return rows[0] || null;
+}
+
+function mergeVariables(step) {
+  const clientName = step.client_name && step.client_name !== 'Unknown' ? step.client_name.trim() : '';
+  return {
+    client_name: clientName || 'there',
+    first_name: clientName.split(/\s+/)[0] || 'there',
+    service: step.service_name || 'our services',
+    business_name: step.business_name || 'our team'
+  };
+}
+
+/**
+ * Why a step cannot be sent automatically, or null when at least one channel can deliver it.
+ * Texts only count when a real SMS provider is configured, so they are left for manual follow-up.
+ */
+function unsendableReason(step, channels) {
+  if (!channels.email && !channels.sms) return 'No email or text channel on this step';
+  if (!String(step.message || '').trim()) return 'Step has no message';
+  const smsReady = isSmsConfigured();
+  const canEmail = channels.email && step.client_email;
+  const canText = channels.sms && smsReady && normalizeSmsNumber(step.client_phone);
+  if (!canEmail && !canText) {
+    if (channels.sms && !smsReady) {
+      return channels.email ? 'No email address on file and text messaging is not configured' : 'Text messaging is not configured';
+    }
+    return channels.email && channels.sms
+      ? 'No email address or phone number on file'
+      : channels.email
+        ? 'No email address on file'
+        : 'No phone number on file';
+  }
+  return null;
+}
+
+/**
+ * Send a step through each of its deliverable channels.
+ * @returns {Promise<{ sentVia: string[], errors: string[], body: string }>}
+ */
+async function deliverStep(step, settings) {
+  const channels = parseStepChannels(step.channel);
+  const variables = mergeVariables(step);
+  const body = renderJourneyTemplate(step.message, variables);
+  const sentVia = [];
+  const errors = [];
+
+  if (channels.email && step.client_email) {
+    try {
+      if (!isMailgunConfigured()) throw new Error('Email is not configured');
+      await sendMailgunMessageWithLogging(
+        { to: step.client_email, subject: renderJourneyTemplate(settings.email_subject || DEFAULT_EMAIL_SUBJECT, variables), text: body },
+        {
+          emailType: 'journey_step',
+          recipientName: step.client_name,
+          clientId: step.owner_user_id,
+          metadata: { journey_id: step.journey_id, step_id: step.id }
+        }
+      );
+      sentVia.push('email');
+    } catch (err) {
+      errors.push(`Email: ${err.message}`);
+    }
+  }
+
+  if (channels.sms && normalizeSmsNumber(step.client_phone)) {
+    try {
+      if (!isSmsConfigured()) throw new Error('Text messaging is not configured');
+      await sendSms({ to: step.client_phone, body });
+      sentVia.push('sms');
+    } catch (err) {
+      errors.push(`Text: ${err.message}`);
+    }
+  }
+
+  return { sentVia, errors, body };
+}
+
+async function addJourneyNote(journeyId, authorId, body) {
+  await query('INSERT INTO client_journey_notes (journey_id, author_id, body) VALUES ($1, $2, $3)', [journeyId, authorId || null, body]);
+}
+
+function sentNote(step, sentVia, body) {
+  const labels = sentVia.map((channel) =>
+    channel === 'email' ? `email to ${step.client_email}` : `text to ${step.client_phone} (${getSmsProviderName()})`
+  );
+  return `Sent "${step.label}" by ${labels.join(' and ')}:\n\n${body}`;
+}
+
+/**
+ * Claim a step for sending so overlapping runs do not send it twice.
+ * @returns {Promise<boolean>} false when it is completed, finished, or another run holds it
+ */
+async function claimStep(stepId, holdMinutes) {
+  const { rows } = await query(
+    `UPDATE client_journey_steps
+     SET last_attempt_at = NOW(), send_attempts = send_attempts + 1
+     WHERE id = $1 AND completed_at IS NULL AND skipped_at IS NULL AND send_status IS NULL
+       AND (last_attempt_at IS NULL OR last_attempt_at < NOW() - make_interval(mins => $2::int))
+     RETURNING id`,
+    [stepId, holdMinutes]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Send a claimed step and record the outcome on the step and in the journey notes.
+ * @returns {Promise<'sent'|'retry'|'failed'|'skipped'>}
+ */
+async function processStep(stepId, settings, { authorId = null, manual = false } = {}) {
+  const step = await loadStepContext(stepId);
+  if (!step) return 'skipped';
+  const channels = parseStepChannels(step.channel);
+
+  const reason = unsendableReason(step, channels);
+  if (reason) {
+    if (manual) throw httpError(400, reason);
+    await query(`UPDATE client_journey_steps SET send_status = 'skipped', send_error = $2 WHERE id = $1`, [stepId, reason]);
+    // Call-only steps are manual by design; anything else is worth a note
+    if (channels.email || channels.sms)
+      await addJourneyNote(step.journey_id, null, `"${step.label}" was not sent automatically: ${reason}.`);
+    return 'skipped';
+  }
+
+  const { sentVia, errors, body } = await deliverStep(step, settings);
+  if (sentVia.length) {
+    await query(
+      `UPDATE client_journey_steps
+       SET completed_at = NOW(), send_status = 'sent', sent_via = $2, send_error = $3
+       WHERE id = $1`,
+      [stepId, sentVia, errors.length ? errors.join('; ') : null]
+    );
+    await addJourneyNote(step.journey_id, authorId, sentNote(step, sentVia, body));
+    return 'sent';
+  }
+
+  const error = errors.join('; ');
+  if (manual || step.send_attempts + 1 < MAX_SEND_ATTEMPTS) {
+    await query('UPDATE client_journey_steps SET send_error = $2 WHERE id = $1', [stepId, error]);
+    if (manual) throw httpError(502, error);
+    return 'retry';
+  }
+  await query(`UPDATE client_journey_steps SET send_status = 'failed', send_error = $2 WHERE id = $1`, [stepId, error]);
+  await addJourneyNote(step.journey_id, null, `"${step.label}" could not be sent after ${MAX_SEND_ATTEMPTS} attempts: ${error}`);
+  return 'failed';
+}
+
+/**
+ * Send one step now, regardless of its due date or the automation setting.
+ * @returns {Promise<void>}
+ */
+export async function sendJourneyStepNow(ownerId, journeyId, stepId, userId) {
+  const step = await loadStepContext(stepId);
+  if (!step || step.journey_id !== journeyId || step.owner_user_id !== ownerId) throw httpError(404, 'Step not found');
+  if (step.completed_at) throw httpError(409, 'Step is already completed');
+  if (step.skipped_at) throw httpError(409, 'Step was skipped by a template branch');
+  if (step.paused) throw httpError(409, 'Journey is paused');
+  const reason = unsendableReason(step, parseStepChannels(step.channel));
+  if (reason) throw httpError(400, reason);
+
+  // A manual send also retries steps the scheduler gave up on
+  await query(`UPDATE client_journey_steps SET send_status = NULL WHERE id = $1 AND send_status IN ('failed', 'skipped')`, [stepId]);
+  if (!(await claimStep(stepId, IN_FLIGHT_MINUTES))) throw httpError(409, 'Step is already being sent');
+
+  const settings = await getJourneyAutomationSettings(ownerId);
+  await processStep(stepId, settings, { authorId: userId, manual: true });
+}
+
+/**
+ * Scheduled run: the earliest due, unsent step of every active journey whose client has
+ * automation enabled.
+ */
+export async function runJourneyStepScheduler() {
+  if (schedulerRunning) return { skipped: true };
+  schedulerRunning = true;
+  const totals = { sent: 0, retry: 0, failed: 0, skipped: 0 };
+  try {
+    // Branches first, so a journey that jumped ahead sends its new step this run
+    await evaluateJourneyBranches().catch((err) => console.error('[journey-automation:branches]', err));
+
+    const { rows: dueSteps } = await query(
+      `SELECT DISTINCT ON (s.journey_id) s.id, s.last_attempt_at, jas.email_subject
+       FROM client_journey_steps s
+       JOIN client_journeys cj ON cj.id = s.journey_id
+       JOIN journey_automation_settings jas ON jas.owner_user_id = cj.owner_user_id AND jas.enabled
+       WHERE s.completed_at IS NULL AND s.skipped_at IS NULL AND s.send_status IS NULL
+         AND s.due_at <= NOW() AND s.due_at >= jas.enabled_at
+         AND NOT cj.paused AND cj.archived_at IS NULL
+         AND NOT (cj.status = ANY($1::text[]))
+       ORDER BY s.journey_id, s.due_at, s.position
+       LIMIT ${MAX_STEPS_PER_RUN}`,
+      [INACTIVE_STATUSES]
+    );
+
+    for (const due of dueSteps) {
+      try {
+        // The earliest step is waiting on a retry: later steps wait with it
+        if (!(await claimStep(due.id, RETRY_MINUTES))) continue;
+        const outcome = await processStep(due.id, { email_subject: due.email_subject });
+        totals[outcome]++;
+      } catch (err) {
+        totals.retry++;
+        console.error('[journey-automation:step]', { stepId: due.id, error: err.message });
+      }
+    }
+    return totals;
+  } finally {
+    schedulerRunning = false;
+  }
+}
@@ -0,0 +1,565 @@
+/**
+ * Journey Templates Service
+ *
+ * Library of named follow-up templates, at most one per service (journey_templates.service_id)
+ * plus one default. A journey is seeded from its service's template, falling back to the
+ * default, so a TMJ consult and a Botox follow-up can run very different cadences.
+ *
+ * Template steps can carry branches, evaluated in order while the journey is at that step
+ * (the step is current, or it is the last completed step):
+ * - no_reply (days): no inbound call, text or form from the client within `days` of the
+ *   step being completed
+ * - replied: the client reached out after the step was completed
+ * - stage_won / stage_lost: the journey is won / lost, or its lead is in a won / lost
+ *   pipeline stage
+ * Actions: `goto` a later step (steps in between are skipped, the target is due now and
+ * later steps move up by the same amount) or `stop` (every remaining step is skipped).
+ * evaluateJourneyBranches() runs before each journey automation pass and after stage or
+ * status changes; each step takes at most one branch.
+ */
+
+import { getClient, query } from '../db.js';
+import { httpError } from '../utils/httpError.js';
+import { phoneKeySql } from '../utils/sql.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const BRANCH_CONDITIONS = ['no_reply', 'replied', 'stage_won', 'stage_lost'];
+export const BRANCH_ACTIONS = ['goto', 'stop'];
+const MAX_STEPS = 50;
+const MAX_BRANCH_DAYS = 365;
+const MAX_JOURNEYS_PER_PASS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const WON_STATUSES = ['won', 'active_client'];
+
+// Starting point for the default template of owners who have none yet
+const DEFAULT_JOURNEY_TEMPLATE = [
+  {
+    id: 'week-0-first-touch',
+    label: 'Initial Outreach (Same Day)',
+    channel: 'call,text,email',
+    offset_weeks: 0,
+    message:
+      'Introduce yourself, confirm what they’re looking for, and propose next steps. Aim to schedule a short discovery call or request the key details needed to qualify.',
+    tone: 'friendly'
+  },
+  {
+    id: 'week-1-qualify',
+    label: 'Week 1 Follow-Up (Qualify + Confirm Fit)',
+    channel: 'call,text,email',
+    offset_weeks: 1,
+    message:
+      'Confirm timeline, budget (if relevant), decision makers, and primary goals. Share a quick summary of how you can help and the easiest next action to move forward.',
+    tone: 'professional'
+  },
+  {
+    id: 'week-2-value',
+    label: 'Week 2 Follow-Up (Share Value + Proof)',
+    channel: 'email,text,call',
+    offset_weeks: 2,
+    message:
+      'Share a relevant example/case study, a short checklist, or a quick win recommendation. Ask a single clear question to keep momentum and propose a meeting time.',
+    tone: 'helpful'
+  },
+  {
+    id: 'week-4-proposal',
+    label: 'Week 4 Follow-Up (Proposal / Next Steps)',
+    channel: 'email,call',
+    offset_weeks: 4,
+    message:
+      'Offer a straightforward plan: scope, timeline, and what you need from them to start. If they’re not ready, ask when to follow up and what’s blocking progress.',
+    tone: 'direct'
+  },
+  {
+    id: 'week-6-nurture',
+    label: 'Week 6 Follow-Up (Nurture)',
+    channel: 'email,text',
+    offset_weeks: 6,
+    message:
+      'Send a light touch: a helpful resource, an update, or a reminder. Keep the message short and easy to reply to (yes/no or a single option).',
+    tone: 'low_pressure'
+  },
+  {
+    id: 'week-8-close-loop',
+    label: 'Week 8 Close the Loop',
+    channel: 'email,call',
+    offset_weeks: 8,
+    message:
+      'Close the loop respectfully. Ask if they want to: (1) move forward, (2) pause until a specific date, or (3) close out for now. Make it easy for them to choose.',
+    tone: 'open'
+  }
+];
+
+function nonNegative(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+function stepKey(value, index) {
+  const key = String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return key || `step-${index + 1}`;
+}
+
+// ============================================================================
+// Steps
+// ============================================================================
+
+function sanitizeBranch(raw, stepNumber) {
+  const condition = String(raw?.condition || '');
+  const action = String(raw?.action || '');
+  if (!BRANCH_CONDITIONS.includes(condition)) throw httpError(400, `Step ${stepNumber}: unknown branch condition "${condition}"`);
+  if (!BRANCH_ACTIONS.includes(action)) throw httpError(400, `Step ${stepNumber}: branch action must be goto or stop`);
+  const branch = { condition, action };
+  if (condition === 'no_reply') {
+    const days = Number(raw.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_BRANCH_DAYS) {
+      throw httpError(400, `Step ${stepNumber}: "no reply" needs a number of days between 1 and ${MAX_BRANCH_DAYS}`);
+    }
+    branch.days = days;
+  }
+  if (action === 'goto') branch.target = String(raw.target || '');
+  return branch;
+}
+
+/**
+ * Normalize template steps: steps without a label are dropped, ids become unique keys, and
+ * every goto branch must point at a later step.
+ * @throws {Error} 400 for invalid branches
+ */
+export function sanitizeTemplateSteps(rawSteps = []) {
+  if (!Array.isArray(rawSteps)) return [];
+  const usedKeys = new Set();
+  const steps = rawSteps
+    .filter((step) => String(step?.label || '').trim())
+    .slice(0, MAX_STEPS)
+    .map((step, index) => {
+      let key = stepKey(step.id, index);
+      while (usedKeys.has(key)) key = `${key}-${index + 1}`;
+      usedKeys.add(key);
+      return {
+        id: key,
+        label: String(step.label).trim(),
+        channel: String(step.channel || '').trim(),
+        message: String(step.message || '').trim(),
+        offset_weeks: nonNegative(step.offset_weeks),
+        offset_days: nonNegative(step.offset_days),
+        tone: step.tone ? String(step.tone) : undefined,
+        branches: (Array.isArray(step.branches) ? step.branches : []).map((branch) => sanitizeBranch(branch, index + 1))
+      };
+    });
+
+  steps.forEach((step, index) => {
+    step.branches.forEach((branch) => {
+      if (branch.action !== 'goto') return;
+      branch.target = stepKey(branch.target, -1);
+      const targetIndex = steps.findIndex((candidate) => candidate.id === branch.target);
+      if (targetIndex <= index) throw httpError(400, `Step ${index + 1}: a branch can only go to a later step`);
+    });
+  });
+  return steps;
+}
+
+function stepOffsetMs(step) {
+  return nonNegative(step.offset_weeks) * WEEK_MS + nonNegative(step.offset_days) * DAY_MS;
+}
+
+// ============================================================================
+// Library
+// ============================================================================
+
+const TEMPLATE_SELECT = `SELECT jt.id, jt.name, jt.service_id, s.name AS service_name, jt.is_default, jt.steps, jt.updated_at
+  FROM journey_templates jt
+  LEFT JOIN services s ON s.id = jt.service_id`;
+
+/**
+ * Create the owner's default template from the built-in cadence when they have none.
+ */
+async function ensureDefaultTemplate(ownerId) {
+  await query(
+    `INSERT INTO journey_templates (owner_user_id, name, is_default, steps)
+     VALUES ($1, 'Default follow-up', TRUE, $2)
+     ON CONFLICT (owner_user_id) WHERE is_default DO NOTHING`,
+    [ownerId, JSON.stringify(sanitizeTemplateSteps(DEFAULT_JOURNEY_TEMPLATE))]
+  );
+}
+
+export async function listJourneyTemplates(ownerId) {
+  await ensureDefaultTemplate(ownerId);
+  const { rows } = await query(`${TEMPLATE_SELECT} WHERE jt.owner_user_id = $1 ORDER BY jt.is_default DESC, LOWER(jt.name)`, [ownerId]);
+  return rows;
+}
+
+async function getTemplate(ownerId, templateId) {
+  const { rows } = await query(`${TEMPLATE_SELECT} WHERE jt.id = $1 AND jt.owner_user_id = $2`, [templateId, ownerId]);
+  return rows[0] || null;
+}
+
+async function assertOwnService(ownerId, serviceId) {
+  if (!serviceId) return null;
+  const { rows } = await query('SELECT id FROM services WHERE id = $1 AND user_id = $2', [serviceId, ownerId]);
+  if (!rows.length) throw httpError(400, 'Service not found');
+  return serviceId;
+}
+
+function parseName(value) {
+  const name = String(value || '').trim();
+  if (!name || name.length > 120) throw httpError(400, 'Template name is required (at most 120 characters)');
+  return name;
+}
+
+/**
+ * Write a template; a new default replaces the previous one in the same transaction.
+ */
+async function saveTemplate(ownerId, templateId, values, userId) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    if (values.isDefault) {
+      await client.query(
+        'UPDATE journey_templates SET is_default = FALSE WHERE owner_user_id = $1 AND is_default AND id IS DISTINCT FROM $2',
+        [ownerId, templateId]
+      );
+    }
+    const params = [ownerId, values.name, values.serviceId, values.isDefault, JSON.stringify(values.steps), userId || null];
+    const { rows } = templateId
+      ? await client.query(
+          `UPDATE journey_templates
+           SET name = $2, service_id = $3, is_default = $4, steps = $5, updated_by = $6, updated_at = NOW()
+           WHERE id = $7 AND owner_user_id = $1
+           RETURNING id`,
+          [...params, templateId]
+        )
+      : await client.query(
+          `INSERT INTO journey_templates (owner_user_id, name, service_id, is_default, steps, created_by, updated_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $6)
+           RETURNING id`,
+          params
+        );
+    await client.query('COMMIT');
+    return rows[0]?.id || null;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (err.code === '23505') throw httpError(409, 'That service already has a template');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * @param {Object} input - name, service_id, is_default, steps
+ */
+export async function createJourneyTemplate(ownerId, input = {}, userId) {
+  await ensureDefaultTemplate(ownerId);
+  const id = await saveTemplate(
+    ownerId,
+    null,
+    {
+      name: parseName(input.name),
+      serviceId: await assertOwnService(ownerId, input.service_id || null),
+      isDefault: Boolean(input.is_default),
+      steps: sanitizeTemplateSteps(input.steps)
+    },
+    userId
+  );
+  return getTemplate(ownerId, id);
+}
+
+/**
+ * Update provided fields. The default can only move by making another template the default.
+ */
+export async function updateJourneyTemplate(ownerId, templateId, input = {}, userId) {
+  const current = await getTemplate(ownerId, templateId);
+  if (!current) throw httpError(404, 'Template not found');
+  if (current.is_default && input.is_default === false) {
+    throw httpError(400, 'Make another template the default first');
+  }
+  await saveTemplate(
+    ownerId,
+    templateId,
+    {
+      name: input.name === undefined ? current.name : parseName(input.name),
+      serviceId: input.service_id === undefined ? current.service_id : await assertOwnService(ownerId, input.service_id || null),
+      isDefault: input.is_default === undefined ? current.is_default : Boolean(input.is_default),
+      steps: input.steps === undefined ? current.steps : sanitizeTemplateSteps(input.steps)
+    },
+    userId
+  );
+  return getTemplate(ownerId, templateId);
+}
+
+export async function deleteJourneyTemplate(ownerId, templateId) {
+  const current = await getTemplate(ownerId, templateId);
+  if (!current) throw httpError(404, 'Template not found');
+  if (current.is_default) throw httpError(400, 'The default template cannot be deleted');
+  await query('DELETE FROM journey_templates WHERE id = $1 AND owner_user_id = $2', [templateId, ownerId]);
+}
+
+/**
+ * Template for a journey: the one asked for, else the service's, else the default.
+ */
+export async function resolveJourneyTemplate(ownerId, { serviceId, templateId } = {}) {
+  if (templateId) {
+    const template = await getTemplate(ownerId, templateId);
+    if (!template) throw httpError(404, 'Template not found');
+    return template;
+  }
+  if (serviceId) {
+    const { rows } = await query(`${TEMPLATE_SELECT} WHERE jt.owner_user_id = $1 AND jt.service_id = $2`, [ownerId, serviceId]);
+    if (rows[0]) return rows[0];
+  }
+  await ensureDefaultTemplate(ownerId);
+  const { rows } = await query(`${TEMPLATE_SELECT} WHERE jt.owner_user_id = $1 AND jt.is_default`, [ownerId]);
+  return rows[0] || null;
+}
+
+/**
+ * Default template steps (legacy GET /journey-template).
+ */
+export async function getDefaultTemplateSteps(ownerId) {
+  const template = await resolveJourneyTemplate(ownerId);
+  return template?.steps || [];
+}
+
+/**
+ * Replace the default template's steps (legacy PUT /journey-template).
+ */
+export async function saveDefaultTemplateSteps(ownerId, steps, userId) {
+  const template = await resolveJourneyTemplate(ownerId);
+  const updated = await updateJourneyTemplate(ownerId, template.id, { steps }, userId);
+  return updated.steps;
+}
+
+/**
+ * Copy a template's steps onto a journey and remember which template it runs.
+ * Steps with no offset get no due date (same-day, manual).
+ * @returns {Promise<Object|null>} the template used
+ */
+export async function seedJourneySteps(journeyId, ownerId, { serviceId, templateId } = {}) {
+  const template = await resolveJourneyTemplate(ownerId, { serviceId, templateId });
+  if (!template?.steps?.length) return template;
+  const now = Date.now();
+  await Promise.all(
+    template.steps.map((step, index) => {
+      const offsetMs = stepOffsetMs(step);
+      return query(
+        `INSERT INTO client_journey_steps (journey_id, position, label, channel, message, offset_weeks, due_at, step_key, branches)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          journeyId,
+          index,
+          step.label,
+          step.channel || null,
+          step.message || null,
+          nonNegative(step.offset_weeks),
+          offsetMs ? new Date(now + offsetMs) : null,
+          step.id,
+          JSON.stringify(step.branches || [])
+        ]
+      );
+    })
+  );
+  await query('UPDATE client_journeys SET template_id = $1, updated_at = NOW() WHERE id = $2', [template.id, journeyId]);
+  return template;
+}
+
+// ============================================================================
+// Branches
+// ============================================================================
+
+function branchFires(branch, step, signals, now) {
+  const completedAt = step.completed_at ? new Date(step.completed_at).getTime() : null;
+  const lastReplyAt = signals.lastReplyAt ? new Date(signals.lastReplyAt).getTime() : null;
+  switch (branch.condition) {
+    case 'stage_won':
+      return Boolean(signals.won);
+    case 'stage_lost':
+      return Boolean(signals.lost);
+    case 'replied':
+      return completedAt !== null && lastReplyAt !== null && lastReplyAt > completedAt;
+    case 'no_reply':
+      return completedAt !== null && now - completedAt >= branch.days * DAY_MS && !(lastReplyAt !== null && lastReplyAt > completedAt);
+    default:
+      return false;
+  }
+}
+
+/**
+ * The branch to take on a journey right now, if any.
+ * @param {Object[]} steps - journey steps ordered by position
+ * @param {{ won: boolean, lost: boolean, lastReplyAt: Date|null }} signals
+ * @returns {{ step: Object, branch: Object, target: Object|null }|null}
+ */
+export function pickJourneyBranch(steps, signals, now = Date.now()) {
+  const live = steps.filter((step) => !step.skipped_at);
+  const currentIndex = live.findIndex((step) => !step.completed_at);
+  if (currentIndex === -1) return null;
+
+  const window = live.slice(Math.max(0, currentIndex - 1), currentIndex + 1);
+  for (const step of window) {
+    if (step.branch_resolved_at) continue;
+    for (const branch of step.branches || []) {
+      let target = null;
+      if (branch.action === 'goto') {
+        target = live.find((candidate) => candidate.step_key === branch.target);
+        if (!target || target.completed_at || target.position <= step.position) continue;
+      }
+      if (branchFires(branch, step, signals, now)) return { step, branch, target };
+    }
+  }
+  return null;
+}
+
+export function describeBranch(branch, target) {
+  const condition = {
+    no_reply: `no reply within ${branch.days} day${branch.days === 1 ? '' : 's'}`,
+    replied: 'client replied',
+    stage_won: 'lead won',
+    stage_lost: 'lead lost'
+  }[branch.condition];
+  return branch.action === 'stop' ? `${condition}, remaining steps stopped` : `${condition}, jumped to "${target.label}"`;
+}
+
+/**
+ * Apply a picked branch to a journey's steps and note it on the journey.
+ */
+async function applyBranch(journeyId, { step, branch, target }) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    const { rows: claimed } = await client.query(
+      `UPDATE client_journey_steps SET branch_resolved_at = NOW(), branch_taken = $2
+       WHERE id = $1 AND branch_resolved_at IS NULL
+       RETURNING id`,
+      [step.id, JSON.stringify(branch)]
+    );
+    if (!claimed.length) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    if (branch.action === 'stop') {
+      await client.query(
+        'UPDATE client_journey_steps SET skipped_at = NOW() WHERE journey_id = $1 AND completed_at IS NULL AND skipped_at IS NULL',
+        [journeyId]
+      );
+    } else {
+      await client.query(
+        `UPDATE client_journey_steps SET skipped_at = NOW()
+         WHERE journey_id = $1 AND completed_at IS NULL AND skipped_at IS NULL AND position < $2`,
+        [journeyId, target.position]
+      );
+      // Later steps keep their spacing from the target
+      const pullForwardSecs = target.due_at ? Math.max(0, Math.round((new Date(target.due_at).getTime() - Date.now()) / 1000)) : 0;
+      await client.query('UPDATE client_journey_steps SET due_at = NOW() WHERE id = $1', [target.id]);
+      if (pullForwardSecs) {
+        await client.query(
+          `UPDATE client_journey_steps SET due_at = due_at - make_interval(secs => $3)
+           WHERE journey_id = $1 AND position > $2 AND completed_at IS NULL AND skipped_at IS NULL AND due_at IS NOT NULL`,
+          [journeyId, target.position, pullForwardSecs]
+        );
+      }
+    }
+
+    await client.query('INSERT INTO client_journey_notes (journey_id, author_id, body) VALUES ($1, NULL, $2)', [
+      journeyId,
+      `Branch at "${step.label}": ${describeBranch(branch, target)}.`
+    ]);
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Take due branches on active journeys (not paused or archived) that still have branches to
+ * evaluate. Filters narrow the pass, e.g. to the journeys of a lead that just changed stage.
+ * @param {Object} [filters]
+ * @param {string} [filters.ownerId]
+ * @param {string[]} [filters.journeyIds]
+ * @param {string} [filters.leadCallKey]
+ * @returns {Promise<{ evaluated: number, taken: number }>}
+ */
+export async function evaluateJourneyBranches({ ownerId, journeyIds, leadCallKey } = {}) {
+  const params = [];
+  const conditions = [
+    'NOT cj.paused',
+    'cj.archived_at IS NULL',
+    `EXISTS (
+       SELECT 1 FROM client_journey_steps s
+       WHERE s.journey_id = cj.id AND s.branches <> '[]'::jsonb AND s.branch_resolved_at IS NULL AND s.skipped_at IS NULL
+     )`
+  ];
+  if (ownerId) {
+    params.push(ownerId);
+    conditions.push(`cj.owner_user_id = $${params.length}`);
+  }
+  if (journeyIds?.length) {
+    params.push(journeyIds);
+    conditions.push(`cj.id = ANY($${params.length}::uuid[])`);
+  }
+  if (leadCallKey) {
+    params.push(leadCallKey);
+    conditions.push(`cj.lead_call_key = $${params.length}`);
+  }
+
+  // A reply is any inbound activity (call, text, form) from the client's number or email
+  const { rows: journeys } = await query(
+    `SELECT cj.id, cj.status, ps.is_won_stage, ps.is_lost_stage,
+            (SELECT MAX(cl.started_at) FROM call_logs cl
+             WHERE (cl.owner_user_id = cj.owner_user_id OR cl.user_id = cj.owner_user_id)
+               AND COALESCE(cl.direction, '') NOT ILIKE '%outbound%'
+               AND (
+                 (LENGTH(${phoneKeySql('cj.client_phone')}) >= 7 AND ${phoneKeySql('cl.from_number')} = ${phoneKeySql('cj.client_phone')})
+                 OR (NULLIF(cj.client_email, '') IS NOT NULL AND LOWER(cl.meta->>'caller_email') = LOWER(cj.client_email))
+               )) AS last_reply_at
+     FROM client_journeys cj
+     LEFT JOIN call_logs lead ON lead.call_id = cj.lead_call_key
+     LEFT JOIN lead_pipeline_stages ps ON ps.id = lead.pipeline_stage_id
+     WHERE ${conditions.join(' AND ')}
+     LIMIT ${MAX_JOURNEYS_PER_PASS}`,
+    params
+  );
+  if (!journeys.length) return { evaluated: 0, taken: 0 };
+
+  const { rows: steps } = await query(
+    `SELECT id, journey_id, position, label, step_key, due_at, completed_at, skipped_at, branches, branch_resolved_at
+     FROM client_journey_steps
+     WHERE journey_id = ANY($1::uuid[])
+     ORDER BY position ASC, created_at ASC`,
+    [journeys.map((journey) => journey.id)]
+  );
+  const stepsByJourney = new Map();
+  steps.forEach((step) => {
+    if (!stepsByJourney.has(step.journey_id)) stepsByJourney.set(step.journey_id, []);
+    stepsByJourney.get(step.journey_id).push(step);
+  });
+
+  let taken = 0;
+  for (const journey of journeys) {
+    const signals = {
+      won: WON_STATUSES.includes(journey.status) || Boolean(journey.is_won_stage),
+      lost: journey.status === 'lost' || Boolean(journey.is_lost_stage),
+      lastReplyAt: journey.last_reply_at
+    };
+    const pick = pickJourneyBranch(stepsByJourney.get(journey.id) || [], signals);
+    if (!pick) continue;
+    try {
+      if (await applyBranch(journey.id, pick)) taken++;
+    } catch (err) {
+      console.error('[journey-branches:apply]', { journeyId: journey.id, error: err.message });
+    }
+  }
+  return { evaluated: journeys.length, taken };
+}
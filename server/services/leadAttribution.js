@@ -0,0 +1,487 @@
+/**
+ * Lead Attribution Service
+ *
+ * Marketing attribution per channel for a client's monthly review. Touches are
+ * inbound calls/CTM activities (channel = meta.source, campaign = tracking number) and
+ * conversion form submissions (channel from click ids / UTMs, campaign = utm_campaign).
+ * - Touches are grouped into contacts by phone (last 10 digits) or email; merged
+ *   duplicates join their survivor
+ * - Revenue is client_services.agreed_price of active clients linked to the contact
+ *   (call_logs.active_client_id, client_journeys, or matching phone/email)
+ * - First touch credits the contact's earliest touch; last touch the latest touch
+ *   before the conversion (or before the end of the range when not converted)
+ * - Cost per lead uses marketing_spend for the months the range covers
+ */
+
+import { query } from '../db.js';
+import { normalizeEmailKey, normalizePhoneKey } from './leadIdentity.js';
+import { httpError } from '../utils/httpError.js';
+import { escapeCsv } from '../utils/csv.js';
+import { ratio, parseDateParam, defaultFromDate } from '../utils/reports.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const ATTRIBUTION_MODELS = ['first_touch', 'last_touch'];
+export const QUALIFIED_CATEGORIES = ['converted', 'very_good', 'warm', 'applicant', 'needs_attention'];
+const UNKNOWN_CHANNEL = 'Unknown';
+// A FormReactor activity synced back from CTM within this window of the submission is the same touch
+const FORM_ACTIVITY_MATCH_MS = 15 * 60 * 1000;
+const MAX_CHANNEL_LENGTH = 120;
+const MAX_SPEND_AMOUNT = 10000000;
+const SEARCH_ENGINES = [
+  ['google.', 'Google Organic'],
+  ['bing.', 'Bing Organic'],
+  ['yahoo.', 'Yahoo Organic'],
+  ['duckduckgo.', 'DuckDuckGo Organic']
+];
+const PAID_MEDIUMS = new Set(['cpc', 'ppc', 'paid', 'paidsearch', 'paid_search', 'paid_social', 'paidsocial', 'display']);
+
+function money(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function resolveRange({ from, to } = {}) {
+  const toDate = parseDateParam(to, 'to') || new Date();
+  const fromDate = parseDateParam(from, 'from') || defaultFromDate(toDate);
+  if (fromDate >= toDate) throw httpError(400, '"from" must be before "to"');
+  return { fromDate, toDate };
+}
+
+function normalizeModel(model) {
+  const value = model || 'first_touch';
+  if (!ATTRIBUTION_MODELS.includes(value)) throw httpError(400, `model must be one of: ${ATTRIBUTION_MODELS.join(', ')}`);
+  return value;
+}
+
+// ============================================================================
+// Channels
+// ============================================================================
+
+function referrerHost(referrer) {
+  try {
+    return new URL(referrer).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Channel for a form submission, named like CTM's default sources where possible
+ * so calls and forms from the same campaign land in one row.
+ */
+export function formChannel(attribution = {}) {
+  const source = String(attribution.utm_source || '')
+    .trim()
+    .toLowerCase();
+  const medium = String(attribution.utm_medium || '')
+    .trim()
+    .toLowerCase();
+  const paid = PAID_MEDIUMS.has(medium);
+
+  if (attribution.gclid || (source === 'google' && paid)) return 'Google Ads';
+  if (attribution.msclkid || (source === 'bing' && paid)) return 'Microsoft Ads';
+  if (attribution.fbclid || ((source === 'facebook' || source === 'instagram') && paid)) return 'Facebook Ads';
+  if (source) return [attribution.utm_source, attribution.utm_medium].filter(Boolean).join(' / ').slice(0, MAX_CHANNEL_LENGTH);
+
+  const host = referrerHost(attribution.referrer);
+  const engine = SEARCH_ENGINES.find(([needle]) => host.includes(needle));
+  if (engine) return engine[1];
+  return 'Website';
+}
+
+// ============================================================================
+// Data Loading
+// ============================================================================
+
+async function loadAttributionData(ownerId, toDate) {
+  const params = [ownerId, toDate.toISOString()];
+  const [callsRes, formsRes, clientsRes, servicesRes, journeysRes] = await Promise.all([
+    // Outbound calls are follow-ups, not marketing touches; spam is never a lead
+    query(
+      `SELECT cl.call_id, cl.merged_into_call_id, cl.started_at, cl.from_number, cl.to_number, cl.active_client_id,
+              COALESCE(NULLIF(cl.meta->>'source', ''), '${UNKNOWN_CHANNEL}') AS channel,
+              cl.meta->>'caller_email' AS caller_email,
+              cl.meta->>'category' AS category,
+              cl.meta->>'activity_type' AS activity_type,
+              COALESCE(ps.is_won_stage, FALSE) AS is_won_stage
+       FROM call_logs cl
+       LEFT JOIN lead_pipeline_stages ps ON ps.id = cl.pipeline_stage_id
+       WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+         AND cl.started_at < $2
+         AND COALESCE(cl.direction, '') NOT ILIKE '%outbound%'
+         AND COALESCE(cl.meta->>'category', '') <> 'spam'
+       ORDER BY cl.started_at ASC`,
+      params
+    ),
+    query(
+      `SELECT fs.id, fs.created_at, fs.attribution_json,
+              fs.non_phi_payload->>'email' AS email,
+              COALESCE(fs.non_phi_payload->>'phone_number', fs.non_phi_payload->>'phone') AS phone
+       FROM form_submissions fs
+       JOIN forms f ON f.id = fs.form_id
+       WHERE f.org_id = $1 AND fs.submission_kind = 'conversion' AND fs.created_at < $2
+       ORDER BY fs.created_at ASC`,
+      params
+    ),
+    query(`SELECT id, client_phone, client_email FROM active_clients WHERE owner_user_id = $1`, [ownerId]),
+    query(
+      `SELECT cs.active_client_id, cs.agreed_price, cs.agreed_date
+       FROM client_services cs
+       JOIN active_clients ac ON ac.id = cs.active_client_id
+       WHERE ac.owner_user_id = $1 AND cs.agreed_date < $2
+       ORDER BY cs.agreed_date ASC`,
+      params
+    ),
+    query(
+      `SELECT lead_call_key, active_client_id FROM client_journeys
+       WHERE owner_user_id = $1 AND lead_call_key IS NOT NULL AND active_client_id IS NOT NULL`,
+      [ownerId]
+    )
+  ]);
+
+  return {
+    calls: callsRes.rows,
+    forms: formsRes.rows,
+    activeClients: clientsRes.rows,
+    services: servicesRes.rows,
+    journeys: journeysRes.rows
+  };
+}
+
+// ============================================================================
+// Contacts & Touches
+// ============================================================================
+
+/**
+ * Group touches into contacts and link revenue. Pure (no DB) so it can be reasoned about on its own.
+ * @returns {{ contacts: Object[], unattributedServices: Object[] }}
+ */
+export function buildContacts({ calls, forms, activeClients, services, journeys }) {
+  const contacts = [];
+  const byPhone = new Map();
+  const byEmail = new Map();
+  const byCallId = new Map();
+
+  const register = (contact, phoneKey, emailKey) => {
+    if (phoneKey && !byPhone.has(phoneKey)) byPhone.set(phoneKey, contact);
+    if (emailKey && !byEmail.has(emailKey)) byEmail.set(emailKey, contact);
+  };
+  const findOrCreate = (phoneKey, emailKey, fallbackKey) => {
+    let contact = (phoneKey && byPhone.get(phoneKey)) || (emailKey && byEmail.get(emailKey));
+    if (!contact) {
+      contact = { key: phoneKey || emailKey || fallbackKey, touches: [], activeClientIds: new Set(), wonAt: null };
+      contacts.push(contact);
+    }
+    register(contact, phoneKey, emailKey);
+    return contact;
+  };
+
+  // Survivors first, so merged rows can join their survivor's contact
+  const ordered = [...calls.filter((call) => !call.merged_into_call_id), ...calls.filter((call) => call.merged_into_call_id)];
+  for (const call of ordered) {
+    const phoneKey = normalizePhoneKey(call.from_number);
+    const emailKey = normalizeEmailKey(call.caller_email);
+    let contact = call.merged_into_call_id ? byCallId.get(call.merged_into_call_id) : null;
+    if (contact) register(contact, phoneKey, emailKey);
+    else contact = findOrCreate(phoneKey, emailKey, `call:${call.call_id}`);
+    byCallId.set(call.call_id, contact);
+
+    const at = new Date(call.started_at);
+    contact.touches.push({
+      type: 'call',
+      at,
+      channel: call.channel,
+      campaign: call.to_number ? `Tracking ${call.to_number}` : null,
+      category: call.category || null,
+      is_form_activity: call.activity_type === 'form',
+      call_id: call.call_id
+    });
+    if (call.active_client_id) contact.activeClientIds.add(call.active_client_id);
+    if ((call.category === 'converted' || call.is_won_stage) && (!contact.wonAt || at < contact.wonAt)) contact.wonAt = at;
+  }
+
+  for (const form of forms) {
+    const contact = findOrCreate(normalizePhoneKey(form.phone), normalizeEmailKey(form.email), `form:${form.id}`);
+    const attribution = form.attribution_json || {};
+    const at = new Date(form.created_at);
+    // The CTM copy of a forwarded submission carries no UTMs; keep the submission instead
+    contact.touches = contact.touches.filter((touch) => !(touch.is_form_activity && Math.abs(touch.at - at) <= FORM_ACTIVITY_MATCH_MS));
+    contact.touches.push({
+      type: 'form',
+      at,
+      channel: formChannel(attribution),
+      campaign: attribution.utm_campaign || null,
+      category: null,
+      submission_id: form.id
+    });
+  }
+
+  for (const journey of journeys) {
+    byCallId.get(journey.lead_call_key)?.activeClientIds.add(journey.active_client_id);
+  }
+  const contactByClient = new Map();
+  for (const contact of contacts) {
+    for (const clientId of contact.activeClientIds) if (!contactByClient.has(clientId)) contactByClient.set(clientId, contact);
+  }
+  for (const client of activeClients) {
+    if (contactByClient.has(client.id)) continue;
+    const contact = byPhone.get(normalizePhoneKey(client.client_phone)) || byEmail.get(normalizeEmailKey(client.client_email)) || null;
+    if (contact) {
+      contact.activeClientIds.add(client.id);
+      contactByClient.set(client.id, contact);
+    }
+  }
+
+  const unattributedServices = [];
+  for (const contact of contacts) {
+    contact.touches.sort((a, b) => a.at - b.at);
+    contact.services = [];
+  }
+  for (const service of services) {
+    const contact = contactByClient.get(service.active_client_id);
+    if (contact) contact.services.push(service);
+    else unattributedServices.push(service);
+  }
+  for (const contact of contacts) {
+    const firstAgreed = contact.services.length ? new Date(contact.services[0].agreed_date) : null;
+    const candidates = [firstAgreed, contact.wonAt].filter(Boolean);
+    contact.convertedAt = candidates.length ? new Date(Math.min(...candidates)) : null;
+  }
+
+  return { contacts, unattributedServices };
+}
+
+/**
+ * Touch credited under a model. Touches after the conversion are ignored; when the
+ * agreement was recorded before any touch (e.g. before the call synced) the first touch counts.
+ */
+function creditedTouch(contact, model, toDate) {
+  const cutoff = contact.convertedAt && contact.convertedAt < toDate ? contact.convertedAt : toDate;
+  const eligible = contact.touches.filter((touch) => touch.at <= cutoff);
+  if (!eligible.length) return contact.touches[0];
+  return model === 'first_touch' ? eligible[0] : eligible[eligible.length - 1];
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+function emptyRow(fields) {
+  return { ...fields, leads: 0, qualified: 0, conversions: 0, revenue: 0 };
+}
+
+function withRates(row, spend) {
+  const result = {
+    ...row,
+    revenue: money(row.revenue),
+    qualified_rate: ratio(row.qualified, row.leads),
+    conversion_rate: ratio(row.conversions, row.leads)
+  };
+  if (spend === undefined) return result;
+  return {
+    ...result,
+    spend: money(spend),
+    cost_per_lead: spend && row.leads ? money(spend / row.leads) : null,
+    cost_per_qualified_lead: spend && row.qualified ? money(spend / row.qualified) : null,
+    cost_per_conversion: spend && row.conversions ? money(spend / row.conversions) : null,
+    roas: spend ? Math.round((row.revenue / spend) * 100) / 100 : null
+  };
+}
+
+/**
+ * Attribution report for leads between from and to.
+ * A contact counts as a lead when it has a touch in the range and was not already a client
+ * before it; as a conversion when it first became a client in the range.
+ * @param {Object} [options]
+ * @param {string} [options.from] - ISO date, default: start of the month 11 months ago
+ * @param {string} [options.to] - ISO date, default: now
+ */
+export async function getAttributionReport(ownerId, { from, to } = {}) {
+  const { fromDate, toDate } = resolveRange({ from, to });
+  const [data, spendRes] = await Promise.all([
+    loadAttributionData(ownerId, toDate),
+    query(
+      `SELECT channel, SUM(amount)::float AS amount
+       FROM marketing_spend
+       WHERE owner_user_id = $1 AND month >= DATE_TRUNC('month', $2::timestamptz)::date AND month < $3::timestamptz
+       GROUP BY channel`,
+      [ownerId, fromDate.toISOString(), toDate.toISOString()]
+    )
+  ]);
+  const { contacts, unattributedServices } = buildContacts(data);
+  const spendByChannel = new Map(spendRes.rows.map((row) => [row.channel, row.amount]));
+  const inRange = (date) => date >= fromDate && date < toDate;
+
+  const models = {};
+  const summary = { leads: 0, qualified: 0, conversions: 0, revenue: 0 };
+  for (const model of ATTRIBUTION_MODELS) {
+    const channels = new Map();
+    const campaigns = new Map();
+    for (const contact of contacts) {
+      const rangeTouches = contact.touches.filter((touch) => inRange(touch.at));
+      const existingClient = contact.convertedAt && contact.convertedAt < fromDate;
+      const isLead = rangeTouches.length > 0 && !existingClient;
+      const converted = Boolean(contact.convertedAt && inRange(contact.convertedAt));
+      const revenue = contact.services
+        .filter((service) => inRange(new Date(service.agreed_date)))
+        .reduce((sum, service) => sum + Number(service.agreed_price || 0), 0);
+      if (!isLead && !converted && !revenue) continue;
+
+      const touch = creditedTouch(contact, model, toDate);
+      const qualified = isLead && (converted || rangeTouches.some((item) => item.category && QUALIFIED_CATEGORIES.includes(item.category)));
+
+      const channelRow = channels.get(touch.channel) || emptyRow({ channel: touch.channel });
+      const campaignKey = `${touch.channel}\u0000${touch.campaign || ''}`;
+      const campaignRow = campaigns.get(campaignKey) || emptyRow({ channel: touch.channel, campaign: touch.campaign });
+      for (const row of [channelRow, campaignRow]) {
+        if (isLead) row.leads += 1;
+        if (qualified) row.qualified += 1;
+        if (converted) row.conversions += 1;
+        row.revenue += revenue;
+      }
+      channels.set(touch.channel, channelRow);
+      campaigns.set(campaignKey, campaignRow);
+
+      // Totals are the same under every model; count them once
+      if (model === ATTRIBUTION_MODELS[0]) {
+        if (isLead) summary.leads += 1;
+        if (qualified) summary.qualified += 1;
+        if (converted) summary.conversions += 1;
+        summary.revenue += revenue;
+      }
+    }
+
+    // Channels with spend but no leads still cost money
+    for (const channel of spendByChannel.keys()) {
+      if (!channels.has(channel)) channels.set(channel, emptyRow({ channel }));
+    }
+
+    models[model] = {
+      by_channel: [...channels.values()]
+        .map((row) => withRates(row, spendByChannel.get(row.channel) || 0))
+        .sort((a, b) => b.leads - a.leads || b.revenue - a.revenue || a.channel.localeCompare(b.channel)),
+      by_campaign: [...campaigns.values()].map((row) => withRates(row)).sort((a, b) => b.leads - a.leads || b.revenue - a.revenue)
+    };
+  }
+
+  const totalSpend = [...spendByChannel.values()].reduce((sum, amount) => sum + amount, 0);
+  const unattributedRevenue = unattributedServices
+    .filter((service) => inRange(new Date(service.agreed_date)))
+    .reduce((sum, service) => sum + Number(service.agreed_price || 0), 0);
+
+  return {
+    range: { from: fromDate.toISOString(), to: toDate.toISOString() },
+    summary: { ...withRates(summary, totalSpend), unattributed_revenue: money(unattributedRevenue) },
+    models
+  };
+}
+
+// ============================================================================
+// CSV Export
+// ============================================================================
+
+/**
+ * CSV of one model's channel (or channel + campaign) rows.
+ * @param {Object} [options]
+ * @param {string} [options.model] - first_touch (default) or last_touch
+ * @param {string} [options.group] - channel (default) or campaign
+ * @returns {Promise<{ csv: string, count: number }>}
+ */
+export async function exportAttributionCsv(ownerId, { from, to, model, group } = {}) {
+  const modelKey = normalizeModel(model);
+  const byCampaign = group === 'campaign';
+  const report = await getAttributionReport(ownerId, { from, to });
+  const rows = byCampaign ? report.models[modelKey].by_campaign : report.models[modelKey].by_channel;
+
+  const headers = [
+    'Model',
+    'Channel',
+    ...(byCampaign ? ['Campaign'] : []),
+    'Leads',
+    'Qualified Leads',
+    'Conversions',
+    'Revenue',
+    ...(byCampaign ? [] : ['Spend', 'Cost per Lead', 'Cost per Qualified Lead', 'Cost per Conversion', 'ROAS'])
+  ];
+  const lines = rows.map((row) => [
+    modelKey,
+    row.channel,
+    ...(byCampaign ? [row.campaign || ''] : []),
+    row.leads,
+    row.qualified,
+    row.conversions,
+    row.revenue.toFixed(2),
+    ...(byCampaign
+      ? []
+      : [row.spend.toFixed(2), row.cost_per_lead ?? '', row.cost_per_qualified_lead ?? '', row.cost_per_conversion ?? '', row.roas ?? ''])
+  ]);
+
+  const csv = [headers.map(escapeCsv).join(','), ...lines.map((line) => line.map(escapeCsv).join(','))].join('\n');
+  return { csv, count: rows.length };
+}
+
+// ============================================================================
+// Spend
+// ============================================================================
+
+function parseMonth(value) {
+  const match = /^(\d{4})-(\d{2})(?:-01)?$/.exec(String(value || ''));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) throw httpError(400, 'month must be YYYY-MM');
+  return `${match[1]}-${match[2]}-01`;
+}
+
+/**
+ * Spend rows, newest month first.
+ * @param {Object} [options]
+ * @param {string} [options.from] - YYYY-MM, inclusive
+ * @param {string} [options.to] - YYYY-MM, inclusive
+ */
+export async function listMarketingSpend(ownerId, { from, to } = {}) {
+  const params = [ownerId];
+  const conditions = ['owner_user_id = $1'];
+  if (from) {
+    params.push(parseMonth(from));
+    conditions.push(`month >= $${params.length}::date`);
+  }
+  if (to) {
+    params.push(parseMonth(to));
+    conditions.push(`month <= $${params.length}::date`);
+  }
+  const { rows } = await query(
+    `SELECT id, channel, TO_CHAR(month, 'YYYY-MM') AS month, amount::float AS amount, updated_at
+     FROM marketing_spend
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY month DESC, channel ASC`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Set spend for one channel and month. An amount of null removes the entry.
+ */
+export async function setMarketingSpend(ownerId, { channel, month, amount } = {}, userId) {
+  const name = String(channel || '').trim();
+  if (!name) throw httpError(400, 'channel is required');
+  if (name.length > MAX_CHANNEL_LENGTH) throw httpError(400, `channel must be at most ${MAX_CHANNEL_LENGTH} characters`);
+  const monthDate = parseMonth(month);
+
+  if (amount === null || amount === '') {
+    await query(`DELETE FROM marketing_spend WHERE owner_user_id = $1 AND channel = $2 AND month = $3::date`, [ownerId, name, monthDate]);
+    return null;
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value < 0 || value > MAX_SPEND_AMOUNT) throw httpError(400, 'amount must be a non-negative number');
+
+  const { rows } = await query(
+    `INSERT INTO marketing_spend (owner_user_id, channel, month, amount, updated_by)
+     VALUES ($1, $2, $3::date, $4, $5)
+     ON CONFLICT (owner_user_id, channel, month)
+     DO UPDATE SET amount = EXCLUDED.amount, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING id, channel, TO_CHAR(month, 'YYYY-MM') AS month, amount::float AS amount, updated_at`,
+    [ownerId, name, monthDate, money(value), userId || null]
+  );
+  return rows[0];
+}
@@ -0,0 +1,609 @@
+/**
+ * Lead Identity Service
+ *
+ * Groups a client's leads (call_logs, including CTM form activities), client_journeys and
+ * active_clients into people, so the same patient calling from a cell and then filling out a
+ * form is not shown as two "new" leads:
+ * - Exact match on phone (last 10 digits) or email links records
+ * - Fuzzy name match links records whose caller names are near-identical (Jaro-Winkler)
+ * - Journeys and calls already linked to an active client are joined to it
+ *
+ * Merging keeps one call_logs row as the survivor; the others get merged_into_call_id and
+ * drop out of lead lists. Notes, tags, pipeline stage, journeys and the active client link
+ * move to the survivor, and lead_merges.snapshot records enough to undo it.
+ */
+
+import crypto from 'crypto';
+
+import { getClient, query } from '../db.js';
+import { recordStageTransition } from './leadPipeline.js';
+import { httpError } from '../utils/httpError.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const LOOKBACK_DAYS = parseInt(process.env.LEAD_IDENTITY_LOOKBACK_DAYS || '365', 10);
+const NAME_MATCH_THRESHOLD = 0.92;
+// Pairwise name comparison only runs inside blocks; a huge block is a generic name
+const MAX_NAME_BLOCK = 200;
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'jr', 'sr', 'ii', 'iii']);
+// Caller ID placeholders that must never link two people
+const GENERIC_NAMES = [
+  'wireless caller',
+  'unknown',
+  'unknown caller',
+  'anonymous',
+  'private',
+  'private caller',
+  'restricted',
+  'unavailable',
+  'toll free',
+  'cell phone',
+  'caller',
+  'web form',
+  'website'
+];
+// "BALTIMORE MD" style caller ID
+const US_STATES = new Set(
+  [
+    'AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO',
+    'MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'
+  ]
+    .join(' ')
+    .split(' ')
+);
+
+// ============================================================================
+// Matching Helpers
+// ============================================================================
+
+/**
+ * Last 10 digits, so +1 (555) 010-0142 and 5550100142 match. Null for short/garbage numbers.
+ */
+export function normalizePhoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 7) return null;
+  return digits.slice(-10);
+}
+
+export function normalizeEmailKey(email) {
+  const value = String(email || '')
+    .trim()
+    .toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+/**
+ * Lowercased name tokens without honorifics. Null for caller ID placeholders
+ * ("WIRELESS CALLER", "BALTIMORE MD") and single-word names, which are too weak to match on.
+ */
+export function normalizeName(name) {
+  const raw = String(name || '').trim();
+  if (!raw || /\d/.test(raw)) return null;
+  // CTM caller ID often carries "CITY ST" instead of a person's name
+  const cityState = raw.match(/^[A-Z .'-]+ ([A-Z]{2})$/);
+  if (cityState && US_STATES.has(cityState[1])) return null;
+
+  const cleaned = raw
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, ' ')
+    .replace(/['-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!cleaned || GENERIC_NAMES.includes(cleaned)) return null;
+
+  const tokens = cleaned.split(' ').filter((token) => token && !HONORIFICS.has(token));
+  return tokens.length >= 2 ? tokens : null;
+}
+
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j += 1) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Same person by name: first and last token must both be near-identical
+ * ("Jon Smith" ~ "John Smith"); middle names are ignored.
+ */
+export function namesMatch(aTokens, bTokens) {
+  if (!aTokens || !bTokens) return false;
+  const firstScore = jaroWinkler(aTokens[0], bTokens[0]);
+  const lastScore = jaroWinkler(aTokens[aTokens.length - 1], bTokens[bTokens.length - 1]);
+  return firstScore >= NAME_MATCH_THRESHOLD && lastScore >= NAME_MATCH_THRESHOLD;
+}
+
+function toClusterMember(record) {
+  const member = { ...record };
+  ['ref', 'links', 'name', 'phone', 'email'].forEach((key) => delete member[key]);
+  return member;
+}
+
+function clusterKey(callIds) {
+  return crypto
+    .createHash('sha1')
+    .update([...callIds].sort().join('|'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Union-find over identity records.
+ * @param {Array<{ ref: string, type: string, phone?: string, email?: string, name?: string, links?: string[] }>} records
+ * @returns {Array<{ records: Object[], reasons: string[] }>} groups with more than one record
+ */
+export function clusterIdentityRecords(records) {
+  const parent = new Map(records.map((record) => [record.ref, record.ref]));
+  const reasons = new Map();
+
+  const find = (ref) => {
+    let root = ref;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(ref, root);
+    return root;
+  };
+  const union = (a, b, reason) => {
+    if (!parent.has(a) || !parent.has(b)) return;
+    const rootA = find(a);
+    const rootB = find(b);
+    const merged = new Set([...(reasons.get(rootA) || []), ...(reasons.get(rootB) || []), reason]);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+    reasons.set(find(a), merged);
+  };
+
+  const byPhone = new Map();
+  const byEmail = new Map();
+  const nameBlocks = new Map();
+  records.forEach((record) => {
+    const phone = normalizePhoneKey(record.phone);
+    if (phone) {
+      if (byPhone.has(phone)) union(byPhone.get(phone), record.ref, 'phone');
+      else byPhone.set(phone, record.ref);
+    }
+    const email = normalizeEmailKey(record.email);
+    if (email) {
+      if (byEmail.has(email)) union(byEmail.get(email), record.ref, 'email');
+      else byEmail.set(email, record.ref);
+    }
+    (record.links || []).forEach((ref) => union(ref, record.ref, 'linked'));
+
+    const tokens = normalizeName(record.name);
+    if (tokens) {
+      const block = tokens[tokens.length - 1].slice(0, 2);
+      if (!nameBlocks.has(block)) nameBlocks.set(block, []);
+      nameBlocks.get(block).push({ ref: record.ref, tokens });
+    }
+  });
+
+  nameBlocks.forEach((block) => {
+    if (block.length > MAX_NAME_BLOCK) return;
+    for (let i = 0; i < block.length; i += 1) {
+      for (let j = i + 1; j < block.length; j += 1) {
+        if (namesMatch(block[i].tokens, block[j].tokens)) union(block[i].ref, block[j].ref, 'name');
+      }
+    }
+  });
+
+  const groups = new Map();
+  records.forEach((record) => {
+    const root = find(record.ref);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(record);
+  });
+
+  return Array.from(groups.entries())
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ records: members, reasons: Array.from(reasons.get(root) || []).sort() }));
+}
+
+/**
+ * Survivor suggestion: highest rating, then a lead already in the pipeline, then the first contact.
+ */
+function suggestSurvivor(calls) {
+  return [...calls].sort((a, b) => {
+    if ((b.score || 0) !== (a.score || 0)) return (b.score || 0) - (a.score || 0);
+    if (Boolean(b.pipeline_stage_id) !== Boolean(a.pipeline_stage_id)) return b.pipeline_stage_id ? 1 : -1;
+    return new Date(a.started_at || 0) - new Date(b.started_at || 0);
+  })[0].call_id;
+}
+
+// ============================================================================
+// Duplicate Suggestions
+// ============================================================================
+
+async function loadIdentityRecords(ownerId) {
+  const [callsRes, journeysRes, clientsRes] = await Promise.all([
+    query(
+      `SELECT cl.call_id, cl.from_number, cl.started_at, cl.score, cl.caller_type, cl.active_client_id, cl.pipeline_stage_id,
+              cl.meta->>'caller_name' AS caller_name,
+              cl.meta->>'caller_email' AS caller_email,
+              cl.meta->>'category' AS category,
+              cl.meta->>'source' AS source,
+              cl.meta->>'activity_type' AS activity_type,
+              ps.name AS stage_name,
+              (SELECT COUNT(*)::int FROM lead_notes ln WHERE ln.call_id = cl.call_id) AS note_count,
+              (SELECT COUNT(*)::int FROM call_log_tags clt WHERE clt.call_id = cl.call_id) AS tag_count
+       FROM call_logs cl
+       LEFT JOIN lead_pipeline_stages ps ON ps.id = cl.pipeline_stage_id
+       WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+         AND cl.merged_into_call_id IS NULL
+         AND (cl.started_at IS NULL OR cl.started_at >= NOW() - ($2 || ' days')::interval)`,
+      [ownerId, String(LOOKBACK_DAYS)]
+    ),
+    query(
+      `SELECT id, client_name, client_phone, client_email, status, lead_call_key, active_client_id, archived_at, created_at
+       FROM client_journeys
+       WHERE owner_user_id = $1`,
+      [ownerId]
+    ),
+    query(
+      `SELECT id, client_name, client_phone, client_email, status, archived_at, created_at
+       FROM active_clients
+       WHERE owner_user_id = $1`,
+      [ownerId]
+    )
+  ]);
+
+  return [
+    ...callsRes.rows.map((row) => ({
+      ...row,
+      ref: `call:${row.call_id}`,
+      type: 'call',
+      name: row.caller_name,
+      phone: row.from_number,
+      email: row.caller_email,
+      links: row.active_client_id ? [`active_client:${row.active_client_id}`] : []
+    })),
+    ...journeysRes.rows.map((row) => ({
+      ...row,
+      ref: `journey:${row.id}`,
+      type: 'journey',
+      name: row.client_name,
+      phone: row.client_phone,
+      email: row.client_email,
+      links: [row.lead_call_key && `call:${row.lead_call_key}`, row.active_client_id && `active_client:${row.active_client_id}`].filter(
+        Boolean
+      )
+    })),
+    ...clientsRes.rows.map((row) => ({
+      ...row,
+      ref: `active_client:${row.id}`,
+      type: 'active_client',
+      name: row.client_name,
+      phone: row.client_phone,
+      email: row.client_email
+    }))
+  ];
+}
+
+/**
+ * Groups of two or more unmerged leads that look like the same person, minus dismissed ones.
+ * Journeys and active clients in the group are returned for context.
+ */
+export async function findDuplicateClusters(ownerId) {
+  const [records, dismissedRes] = await Promise.all([
+    loadIdentityRecords(ownerId),
+    query('SELECT cluster_key FROM lead_duplicate_dismissals WHERE owner_user_id = $1', [ownerId])
+  ]);
+  const dismissed = new Set(dismissedRes.rows.map((row) => row.cluster_key));
+
+  return clusterIdentityRecords(records)
+    .map((group) => {
+      const calls = group.records.filter((record) => record.type === 'call');
+      return {
+        key: clusterKey(calls.map((call) => call.call_id)),
+        reasons: group.reasons,
+        suggested_survivor: calls.length ? suggestSurvivor(calls) : null,
+        calls: calls.map(toClusterMember).sort((a, b) => new Date(a.started_at || 0) - new Date(b.started_at || 0)),
+        journeys: group.records.filter((record) => record.type === 'journey').map(toClusterMember),
+        active_clients: group.records.filter((record) => record.type === 'active_client').map(toClusterMember)
+      };
+    })
+    .filter((cluster) => cluster.calls.length > 1 && !dismissed.has(cluster.key))
+    .sort((a, b) => {
+      // Phone/email matches before name-only ones, then larger groups
+      const strongA = a.reasons.some((reason) => reason !== 'name');
+      const strongB = b.reasons.some((reason) => reason !== 'name');
+      if (strongA !== strongB) return strongA ? -1 : 1;
+      return b.calls.length - a.calls.length;
+    });
+}
+
+/**
+ * Hide a suggestion. The key covers the exact set of calls, so the group resurfaces if a new
+ * matching lead joins it.
+ */
+export async function dismissDuplicateCluster(ownerId, clusterKeyValue, userId) {
+  if (!clusterKeyValue) throw httpError(400, 'key is required');
+  await query(
+    `INSERT INTO lead_duplicate_dismissals (owner_user_id, cluster_key, dismissed_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (owner_user_id, cluster_key) DO NOTHING`,
+    [ownerId, clusterKeyValue, userId || null]
+  );
+}
+
+// ============================================================================
+// Merge / Undo
+// ============================================================================
+
+/**
+ * Merge leads into a survivor in one transaction.
+ * - Notes and tags move to the survivor
+ * - Pipeline stage: the furthest-along stage (by position) across the group
+ * - Active client link and journeys move to the survivor
+ * @returns {Promise<Object>} lead_merges row
+ */
+export async function mergeLeads(ownerId, { survivorCallId, callIds = [], reasons = [], userId }) {
+  const mergedIds = Array.from(new Set(callIds.map(String))).filter((id) => id !== String(survivorCallId));
+  if (!survivorCallId || !mergedIds.length) throw httpError(400, 'A survivor and at least one other lead are required');
+  const allIds = [String(survivorCallId), ...mergedIds];
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: calls } = await client.query(
+      `SELECT cl.call_id, cl.id, cl.pipeline_stage_id, cl.caller_type, cl.active_client_id, cl.call_sequence,
+              cl.merged_into_call_id, ps.position AS stage_position
+       FROM call_logs cl
+       LEFT JOIN lead_pipeline_stages ps ON ps.id = cl.pipeline_stage_id
+       WHERE cl.call_id = ANY($1) AND (cl.owner_user_id = $2 OR cl.user_id = $2)
+       FOR UPDATE OF cl`,
+      [allIds, ownerId]
+    );
+    if (calls.length !== allIds.length) throw httpError(404, 'One or more leads were not found');
+    if (calls.some((call) => call.merged_into_call_id)) throw httpError(409, 'One or more leads were already merged');
+
+    const survivor = calls.find((call) => call.call_id === String(survivorCallId));
+    const others = calls.filter((call) => call.call_id !== survivor.call_id);
+
+    // Notes
+    const { rows: movedNotes } = await client.query('SELECT id, call_id FROM lead_notes WHERE call_id = ANY($1) AND owner_user_id = $2', [
+      mergedIds,
+      ownerId
+    ]);
+    if (movedNotes.length) {
+      await client.query('UPDATE lead_notes SET call_id = $1 WHERE id = ANY($2)', [survivor.call_id, movedNotes.map((note) => note.id)]);
+    }
+
+    // Tags
+    const { rows: removedTags } = await client.query('DELETE FROM call_log_tags WHERE call_id = ANY($1) RETURNING call_id, tag_id', [
+      mergedIds
+    ]);
+    let addedTagIds = [];
+    if (removedTags.length) {
+      const { rows } = await client.query(
+        `INSERT INTO call_log_tags (call_id, tag_id)
+         SELECT $1, tag_id FROM UNNEST($2::uuid[]) AS tag_id
+         ON CONFLICT (call_id, tag_id) DO NOTHING
+         RETURNING tag_id`,
+        [survivor.call_id, Array.from(new Set(removedTags.map((tag) => tag.tag_id)))]
+      );
+      addedTagIds = rows.map((row) => row.tag_id);
+    }
+
+    // Journeys that started from a merged lead now start from the survivor
+    const { rows: movedJourneys } = await client.query(
+      'SELECT id, lead_call_id, lead_call_key FROM client_journeys WHERE owner_user_id = $1 AND lead_call_key = ANY($2)',
+      [ownerId, mergedIds]
+    );
+    if (movedJourneys.length) {
+      await client.query('UPDATE client_journeys SET lead_call_key = $1, lead_call_id = $2, updated_at = NOW() WHERE id = ANY($3)', [
+        survivor.call_id,
+        survivor.id,
+        movedJourneys.map((journey) => journey.id)
+      ]);
+    }
+
+    // Survivor: furthest stage, active client link, caller type
+    const furthest = calls.filter((call) => call.pipeline_stage_id).sort((a, b) => (b.stage_position ?? -1) - (a.stage_position ?? -1))[0];
+    const activeClientId = survivor.active_client_id || others.find((call) => call.active_client_id)?.active_client_id || null;
+    let callerType = survivor.caller_type;
+    if (activeClientId && !survivor.active_client_id) callerType = 'returning_customer';
+    else if (!callerType || callerType === 'new') callerType = 'repeat';
+
+    await client.query(
+      `UPDATE call_logs
+       SET pipeline_stage_id = $1, active_client_id = $2, caller_type = $3, call_sequence = GREATEST(COALESCE(call_sequence, 1), $4),
+           merged_at = NOW()
+       WHERE call_id = $5`,
+      [furthest?.pipeline_stage_id || null, activeClientId, callerType, calls.length, survivor.call_id]
+    );
+    await recordStageTransition(client, {
+      ownerId,
+      callId: survivor.call_id,
+      fromStageId: survivor.pipeline_stage_id,
+      toStageId: furthest?.pipeline_stage_id,
+      userId,
+      source: 'merge'
+    });
+    await client.query('UPDATE call_logs SET merged_into_call_id = $1 WHERE call_id = ANY($2)', [survivor.call_id, mergedIds]);
+
+    const snapshot = {
+      survivor: {
+        pipeline_stage_id: survivor.pipeline_stage_id,
+        active_client_id: survivor.active_client_id,
+        caller_type: survivor.caller_type,
+        call_sequence: survivor.call_sequence
+      },
+      notes: movedNotes,
+      tags: { removed: removedTags, added: addedTagIds },
+      journeys: movedJourneys
+    };
+
+    const { rows } = await client.query(
+      `INSERT INTO lead_merges (owner_user_id, survivor_call_id, merged_call_ids, match_reasons, snapshot, merged_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [ownerId, survivor.call_id, mergedIds, reasons.map(String), JSON.stringify(snapshot), userId || null]
+    );
+
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Reverse a merge from its snapshot. Refused once the survivor has itself been merged
+ * (undo the later merge first).
+ */
+export async function undoLeadMerge(ownerId, mergeId, userId) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query('SELECT * FROM lead_merges WHERE id = $1 AND owner_user_id = $2 FOR UPDATE', [mergeId, ownerId]);
+    const merge = rows[0];
+    if (!merge) throw httpError(404, 'Merge not found');
+    if (merge.undone_at) throw httpError(409, 'This merge was already undone');
+
+    const { rows: survivorRows } = await client.query(
+      'SELECT merged_into_call_id, pipeline_stage_id FROM call_logs WHERE call_id = $1 FOR UPDATE',
+      [merge.survivor_call_id]
+    );
+    if (survivorRows[0]?.merged_into_call_id) {
+      throw httpError(409, 'The surviving lead was merged again later. Undo that merge first.');
+    }
+
+    const snapshot = merge.snapshot || {};
+    const notes = snapshot.notes || [];
+    if (notes.length) {
+      await client.query(
+        `UPDATE lead_notes ln SET call_id = src.call_id
+         FROM UNNEST($1::uuid[], $2::text[]) AS src(id, call_id)
+         WHERE ln.id = src.id AND ln.call_id = $3`,
+        [notes.map((note) => note.id), notes.map((note) => note.call_id), merge.survivor_call_id]
+      );
+    }
+
+    const tags = snapshot.tags || {};
+    if (tags.added?.length) {
+      await client.query('DELETE FROM call_log_tags WHERE call_id = $1 AND tag_id = ANY($2)', [merge.survivor_call_id, tags.added]);
+    }
+    if (tags.removed?.length) {
+      await client.query(
+        `INSERT INTO call_log_tags (call_id, tag_id)
+         SELECT src.call_id, src.tag_id FROM UNNEST($1::text[], $2::uuid[]) AS src(call_id, tag_id)
+         JOIN lead_tags lt ON lt.id = src.tag_id
+         ON CONFLICT (call_id, tag_id) DO NOTHING`,
+        [tags.removed.map((tag) => tag.call_id), tags.removed.map((tag) => tag.tag_id)]
+      );
+    }
+
+    const journeys = snapshot.journeys || [];
+    if (journeys.length) {
+      await client.query(
+        `UPDATE client_journeys cj SET lead_call_key = src.lead_call_key, lead_call_id = src.lead_call_id, updated_at = NOW()
+         FROM UNNEST($1::uuid[], $2::text[], $3::uuid[]) AS src(id, lead_call_key, lead_call_id)
+         WHERE cj.id = src.id AND cj.lead_call_key = $4`,
+        [
+          journeys.map((journey) => journey.id),
+          journeys.map((journey) => journey.lead_call_key),
+          journeys.map((journey) => journey.lead_call_id),
+          merge.survivor_call_id
+        ]
+      );
+    }
+
+    const previous = snapshot.survivor || {};
+    const { rows: restored } = await client.query(
+      `UPDATE call_logs
+       SET pipeline_stage_id = (SELECT id FROM lead_pipeline_stages WHERE id = $1), active_client_id = (SELECT id FROM active_clients WHERE id = $2),
+           caller_type = $3, call_sequence = $4,
+           merged_at = (SELECT MAX(created_at) FROM lead_merges WHERE survivor_call_id = $5 AND undone_at IS NULL AND id <> $6)
+       WHERE call_id = $5
+       RETURNING pipeline_stage_id`,
+      [
+        previous.pipeline_stage_id || null,
+        previous.active_client_id || null,
+        previous.caller_type || 'new',
+        previous.call_sequence || 1,
+        merge.survivor_call_id,
+        mergeId
+      ]
+    );
+    await recordStageTransition(client, {
+      ownerId,
+      callId: merge.survivor_call_id,
+      fromStageId: survivorRows[0]?.pipeline_stage_id,
+      toStageId: restored[0]?.pipeline_stage_id,
+      userId,
+      source: 'merge_undo'
+    });
+    await client.query('UPDATE call_logs SET merged_into_call_id = NULL WHERE call_id = ANY($1) AND merged_into_call_id = $2', [
+      merge.merged_call_ids,
+      merge.survivor_call_id
+    ]);
+
+    const { rows: undone } = await client.query('UPDATE lead_merges SET undone_at = NOW(), undone_by = $2 WHERE id = $1 RETURNING *', [
+      mergeId,
+      userId || null
+    ]);
+
+    await client.query('COMMIT');
+    return undone[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Merge log with caller names for display, newest first.
+ */
+export async function listLeadMerges(ownerId, { limit = 50 } = {}) {
+  const { rows } = await query(
+    `SELECT lm.id, lm.survivor_call_id, lm.merged_call_ids, lm.match_reasons, lm.created_at, lm.undone_at,
+            cl.meta->>'caller_name' AS survivor_name, cl.from_number AS survivor_number,
+            mu.email AS merged_by_email, uu.email AS undone_by_email
+     FROM lead_merges lm
+     LEFT JOIN call_logs cl ON cl.call_id = lm.survivor_call_id
+     LEFT JOIN users mu ON mu.id = lm.merged_by
+     LEFT JOIN users uu ON uu.id = lm.undone_by
+     WHERE lm.owner_user_id = $1
+     ORDER BY lm.created_at DESC
+     LIMIT $2`,
+    [ownerId, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]
+  );
+  return rows;
+}
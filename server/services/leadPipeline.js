@@ -0,0 +1,298 @@
+/**
+ * Lead Pipeline Service
+ *
+ * Every change of call_logs.pipeline_stage_id goes through here so it lands in
+ * lead_stage_transitions with the actor and time. The conversion funnel is built from
+ * that history:
+ * - A lead has reached a stage if it ever entered it (or sits in it now, which also
+ *   covers leads staged before history was recorded)
+ * - Reaching a later non-lost stage counts as passing the earlier ones
+ * - Time in stage runs from entering a stage to the next transition of the same lead
+ * - Won/lost use the lead's current stage and the is_won_stage/is_lost_stage flags
+ */
+
+import { getClient, query } from '../db.js';
+import { httpError } from '../utils/httpError.js';
+import { ratio, parseDateParam, defaultFromDate } from '../utils/reports.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const STAGE_CHANGE_SOURCES = ['manual', 'merge', 'merge_undo', 'stage_deleted'];
+const UNKNOWN_SOURCE = 'Unknown';
+
+// ============================================================================
+// Stage Changes
+// ============================================================================
+
+/**
+ * Append one transition. No-op when the stage did not change.
+ * @param {Object} db - pg client inside a transaction, or null to use the pool
+ */
+export async function recordStageTransition(db, { ownerId, callId, fromStageId, toStageId, userId, source = 'manual' }) {
+  const from = fromStageId || null;
+  const to = toStageId || null;
+  if (from === to) return null;
+
+  const run = db ? db.query.bind(db) : query;
+  const { rows } = await run(
+    `INSERT INTO lead_stage_transitions
+       (owner_user_id, call_id, from_stage_id, to_stage_id, from_stage_name, to_stage_name, source, changed_by)
+     VALUES ($1, $2, $3, $4,
+             (SELECT name FROM lead_pipeline_stages WHERE id = $3),
+             (SELECT name FROM lead_pipeline_stages WHERE id = $4),
+             $5, $6)
+     RETURNING *`,
+    [ownerId, callId, from, to, source, userId || null]
+  );
+  return rows[0];
+}
+
+/**
+ * Move a lead to a stage (or clear it with a null stageId) and record the transition.
+ * @returns {Promise<{call_id: string, previous_stage_id: string|null, stage_id: string|null, is_won_stage: boolean}>}
+ */
+export async function setLeadStage(ownerId, callId, stageId, { userId, source = 'manual' } = {}) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    let isWonStage = false;
+    if (stageId) {
+      const { rows: stageRows } = await client.query(
+        'SELECT id, is_won_stage FROM lead_pipeline_stages WHERE id = $1 AND owner_user_id = $2',
+        [stageId, ownerId]
+      );
+      if (!stageRows.length) throw httpError(404, 'Pipeline stage not found');
+      isWonStage = Boolean(stageRows[0].is_won_stage);
+    }
+
+    const { rows } = await client.query(
+      `SELECT call_id, pipeline_stage_id FROM call_logs
+       WHERE call_id = $1 AND (owner_user_id = $2 OR user_id = $2)
+       FOR UPDATE`,
+      [callId, ownerId]
+    );
+    if (!rows.length) throw httpError(404, 'Lead not found');
+    const previousStageId = rows[0].pipeline_stage_id;
+
+    await client.query('UPDATE call_logs SET pipeline_stage_id = $1 WHERE call_id = $2', [stageId || null, callId]);
+    await recordStageTransition(client, { ownerId, callId, fromStageId: previousStageId, toStageId: stageId, userId, source });
+
+    await client.query('COMMIT');
+    return { call_id: callId, previous_stage_id: previousStageId, stage_id: stageId || null, is_won_stage: isWonStage };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a stage; leads in it lose their stage and get a 'stage_deleted' transition.
+ * @returns {Promise<boolean>} false if the stage does not belong to the owner
+ */
+export async function deletePipelineStage(ownerId, stageId, userId) {
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: stageRows } = await client.query(
+      'SELECT id, name FROM lead_pipeline_stages WHERE id = $1 AND owner_user_id = $2 FOR UPDATE',
+      [stageId, ownerId]
+    );
+    if (!stageRows.length) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const { rows: cleared } = await client.query(
+      `UPDATE call_logs SET pipeline_stage_id = NULL
+       WHERE pipeline_stage_id = $1 AND (owner_user_id = $2 OR user_id = $2)
+       RETURNING call_id`,
+      [stageId, ownerId]
+    );
+    if (cleared.length) {
+      await client.query(
+        `INSERT INTO lead_stage_transitions (owner_user_id, call_id, from_stage_id, from_stage_name, source, changed_by)
+         SELECT $1::uuid, call_id, $2::uuid, $3, 'stage_deleted', $4::uuid FROM UNNEST($5::text[]) AS call_id`,
+        [ownerId, stageId, stageRows[0].name, userId || null, cleared.map((row) => row.call_id)]
+      );
+    }
+
+    await client.query('DELETE FROM lead_pipeline_stages WHERE id = $1', [stageId]);
+    await client.query('COMMIT');
+    return true;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Transitions for one lead, oldest first. Current stage names win over the copied ones.
+ */
+export async function getStageHistory(ownerId, callId) {
+  const { rows } = await query(
+    `SELECT t.id, t.from_stage_id, t.to_stage_id,
+            COALESCE(fs.name, t.from_stage_name) AS from_stage_name,
+            COALESCE(ts.name, t.to_stage_name) AS to_stage_name,
+            t.source, t.changed_at, u.email AS changed_by_email
+     FROM lead_stage_transitions t
+     LEFT JOIN lead_pipeline_stages fs ON fs.id = t.from_stage_id
+     LEFT JOIN lead_pipeline_stages ts ON ts.id = t.to_stage_id
+     LEFT JOIN users u ON u.id = t.changed_by
+     WHERE t.owner_user_id = $1 AND t.call_id = $2
+     ORDER BY t.changed_at ASC`,
+    [ownerId, callId]
+  );
+  return rows;
+}
+
+// ============================================================================
+// Funnel Report
+// ============================================================================
+
+/**
+ * Funnel over leads that came in between from and to (call_logs.started_at).
+ * @param {Object} [options]
+ * @param {string} [options.from] - ISO date, default: start of the month 11 months ago
+ * @param {string} [options.to] - ISO date, default: now
+ * @param {string} [options.source] - Only leads with this meta.source
+ */
+export async function getFunnelReport(ownerId, { from, to, source } = {}) {
+  const toDate = parseDateParam(to, 'to') || new Date();
+  const fromDate = parseDateParam(from, 'from') || defaultFromDate(toDate);
+  if (fromDate >= toDate) throw httpError(400, '"from" must be before "to"');
+
+  const params = [ownerId, fromDate.toISOString(), toDate.toISOString()];
+  let sourceFilter = '';
+  if (source) {
+    params.push(String(source));
+    sourceFilter = `AND COALESCE(NULLIF(cl.meta->>'source', ''), '${UNKNOWN_SOURCE}') = $4`;
+  }
+  const leadsCte = `leads AS (
+    SELECT cl.call_id, cl.pipeline_stage_id, cl.started_at,
+           COALESCE(NULLIF(cl.meta->>'source', ''), '${UNKNOWN_SOURCE}') AS source
+    FROM call_logs cl
+    WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+      AND cl.merged_into_call_id IS NULL
+      AND cl.started_at >= $2 AND cl.started_at < $3
+      ${sourceFilter}
+  )`;
+  const outcomeColumns = `COUNT(*)::int AS leads,
+            COUNT(*) FILTER (WHERE ps.is_won_stage)::int AS won,
+            COUNT(*) FILTER (WHERE ps.is_lost_stage)::int AS lost`;
+
+  const [stagesRes, furthestRes, currentRes, timeRes, sourceRes, monthRes] = await Promise.all([
+    query(
+      `SELECT id, name, color, position, is_won_stage, is_lost_stage
+       FROM lead_pipeline_stages WHERE owner_user_id = $1 ORDER BY position ASC`,
+      [ownerId]
+    ),
+    // Furthest non-lost stage each lead ever reached
+    query(
+      `WITH ${leadsCte},
+       reached AS (
+         SELECT l.call_id, t.to_stage_id AS stage_id
+         FROM leads l
+         JOIN lead_stage_transitions t ON t.call_id = l.call_id AND t.owner_user_id = $1
+         UNION
+         SELECT call_id, pipeline_stage_id FROM leads
+       ),
+       per_lead AS (
+         SELECT r.call_id, MAX(ps.position) FILTER (WHERE NOT ps.is_lost_stage) AS furthest_position
+         FROM reached r
+         LEFT JOIN lead_pipeline_stages ps ON ps.id = r.stage_id
+         GROUP BY r.call_id
+       )
+       SELECT furthest_position, COUNT(*)::int AS leads FROM per_lead GROUP BY furthest_position`,
+      params
+    ),
+    query(`WITH ${leadsCte} SELECT pipeline_stage_id AS stage_id, COUNT(*)::int AS leads FROM leads GROUP BY pipeline_stage_id`, params),
+    // Completed stays only; a lead still sitting in a stage has no exit yet
+    query(
+      `WITH ${leadsCte},
+       spans AS (
+         SELECT t.to_stage_id, t.changed_at,
+                LEAD(t.changed_at) OVER (PARTITION BY t.call_id ORDER BY t.changed_at) AS left_at
+         FROM lead_stage_transitions t
+         JOIN leads l ON l.call_id = t.call_id
+         WHERE t.owner_user_id = $1
+       )
+       SELECT to_stage_id AS stage_id, COUNT(*)::int AS exits,
+              percentile_cont(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM left_at - changed_at)) AS median_seconds
+       FROM spans
+       WHERE to_stage_id IS NOT NULL AND left_at IS NOT NULL
+       GROUP BY to_stage_id`,
+      params
+    ),
+    query(
+      `WITH ${leadsCte}
+       SELECT l.source, ${outcomeColumns}
+       FROM leads l LEFT JOIN lead_pipeline_stages ps ON ps.id = l.pipeline_stage_id
+       GROUP BY l.source
+       ORDER BY leads DESC, l.source ASC`,
+      params
+    ),
+    query(
+      `WITH ${leadsCte}
+       SELECT TO_CHAR(DATE_TRUNC('month', l.started_at), 'YYYY-MM') AS month, ${outcomeColumns}
+       FROM leads l LEFT JOIN lead_pipeline_stages ps ON ps.id = l.pipeline_stage_id
+       GROUP BY 1
+       ORDER BY 1 ASC`,
+      params
+    )
+  ]);
+
+  const stages = stagesRes.rows;
+  const currentByStage = new Map(currentRes.rows.map((row) => [row.stage_id, row.leads]));
+  const timeByStage = new Map(timeRes.rows.map((row) => [row.stage_id, row]));
+  const totalLeads = currentRes.rows.reduce((sum, row) => sum + row.leads, 0);
+
+  const withOutcomeRates = (row) => ({ ...row, win_rate: ratio(row.won, row.leads), close_rate: ratio(row.won, row.won + row.lost) });
+
+  let previousReached = totalLeads;
+  const funnel = stages
+    .filter((stage) => !stage.is_lost_stage)
+    .map((stage) => {
+      const reached = furthestRes.rows
+        .filter((row) => row.furthest_position !== null && row.furthest_position >= stage.position)
+        .reduce((sum, row) => sum + row.leads, 0);
+      const time = timeByStage.get(stage.id);
+      const step = {
+        stage_id: stage.id,
+        name: stage.name,
+        color: stage.color,
+        is_won_stage: stage.is_won_stage,
+        reached,
+        current: currentByStage.get(stage.id) || 0,
+        conversion_rate: ratio(reached, previousReached),
+        median_hours: time ? Math.round((Number(time.median_seconds) / 3600) * 10) / 10 : null,
+        exits: time?.exits || 0
+      };
+      previousReached = reached;
+      return step;
+    });
+
+  const lost = stages
+    .filter((stage) => stage.is_lost_stage)
+    .map((stage) => ({ stage_id: stage.id, name: stage.name, color: stage.color, current: currentByStage.get(stage.id) || 0 }));
+
+  const bySource = sourceRes.rows.map(withOutcomeRates);
+  const won = bySource.reduce((sum, row) => sum + row.won, 0);
+  const lostCount = bySource.reduce((sum, row) => sum + row.lost, 0);
+
+  return {
+    range: { from: fromDate.toISOString(), to: toDate.toISOString(), source: source || null },
+    summary: withOutcomeRates({ leads: totalLeads, won, lost: lostCount, unstaged: currentByStage.get(null) || 0 }),
+    funnel,
+    lost,
+    by_source: bySource,
+    by_month: monthRes.rows.map(withOutcomeRates)
+  };
+}
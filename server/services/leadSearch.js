@@ -0,0 +1,194 @@
+/**
+ * Lead Search Service
+ *
+ * Full-text search over call_logs.search_vector (caller name, AI summary, transcript/message)
+ * and lead_notes.search_vector (note bodies), both generated columns with GIN indexes.
+ * - Queries use websearch_to_tsquery: plain words, "quoted phrases", OR and -exclusions
+ * - A lead matches on its own text or any of its notes; ranks add up
+ * - Snippets come from ts_headline and are returned as segments ({ text, match }) so the
+ *   client can highlight matches without rendering HTML from transcripts
+ */
+
+import { query } from '../db.js';
+import { buildCallsFromCache } from './ctm.js';
+import { httpError } from '../utils/httpError.js';
+import { parseDateParam } from '../utils/reports.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TS_CONFIG = 'english';
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const NOTES_PER_LEAD = 2;
+const HL_START = '[[hl]]';
+const HL_STOP = '[[/hl]]';
+const HEADLINE_OPTIONS = `StartSel="${HL_START}", StopSel="${HL_STOP}", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Same text the generated columns index (see migrate_leads_platform.sql)
+const TRANSCRIPT_SQL = `COALESCE(cl.meta->>'transcript', '') || ' ' || COALESCE(cl.meta->>'message', '')`;
+const SUMMARY_SQL = `COALESCE(cl.meta->>'classification_summary', '')`;
+
+/**
+ * Split a ts_headline result into plain and highlighted segments.
+ */
+export function toSegments(headline) {
+  if (!headline) return [];
+  const segments = [];
+  let rest = headline;
+  while (rest) {
+    const start = rest.indexOf(HL_START);
+    if (start === -1) {
+      segments.push({ text: rest, match: false });
+      break;
+    }
+    const stop = rest.indexOf(HL_STOP, start + HL_START.length);
+    if (stop === -1) {
+      segments.push({ text: rest.replace(HL_START, ''), match: false });
+      break;
+    }
+    if (start > 0) segments.push({ text: rest.slice(0, start), match: false });
+    segments.push({ text: rest.slice(start + HL_START.length, stop), match: true });
+    rest = rest.slice(stop + HL_STOP.length);
+  }
+  return segments;
+}
+
+// ============================================================================
+// Search
+// ============================================================================
+
+/**
+ * Search a client's leads. Merged duplicates are excluded (their notes moved to the survivor).
+ * @param {Object} options
+ * @param {string} options.q - Search text (websearch syntax)
+ * @param {string} [options.date_from] - ISO date on call start
+ * @param {string} [options.date_to]
+ * @param {string} [options.category] - meta.category
+ * @param {string} [options.tag] - lead_tags.id
+ * @returns {Promise<{results: Object[], total: number, limit: number, offset: number}>}
+ *   results are buildCallsFromCache leads with a `search` object: rank, matched_in, snippets
+ */
+export async function searchLeads(ownerId, { q, date_from: dateFrom, date_to: dateTo, category, tag, limit, offset } = {}) {
+  const text = String(q || '').trim();
+  if (text.length < MIN_QUERY_LENGTH) throw httpError(400, `Search text must be at least ${MIN_QUERY_LENGTH} characters`);
+  if (text.length > MAX_QUERY_LENGTH) throw httpError(400, `Search text must be at most ${MAX_QUERY_LENGTH} characters`);
+  if (tag && !UUID_PATTERN.test(String(tag))) throw httpError(400, 'Invalid tag');
+
+  const pageSize = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+  const pageOffset = Math.max(0, parseInt(offset, 10) || 0);
+
+  const params = [ownerId, text];
+  const conditions = ['(cl.owner_user_id = $1 OR cl.user_id = $1)', 'cl.merged_into_call_id IS NULL'];
+  const from = parseDateParam(dateFrom, 'from');
+  const to = parseDateParam(dateTo, 'to');
+  if (from) {
+    params.push(from);
+    conditions.push(`cl.started_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`cl.started_at <= $${params.length}`);
+  }
+  if (category) {
+    params.push(String(category));
+    conditions.push(`cl.meta->>'category' = $${params.length}`);
+  }
+  if (tag) {
+    params.push(String(tag));
+    conditions.push(`EXISTS (SELECT 1 FROM call_log_tags ct WHERE ct.call_id = cl.call_id AND ct.tag_id = $${params.length})`);
+  }
+  params.push(pageSize, pageOffset);
+  const limitParam = `$${params.length - 1}`;
+  const offsetParam = `$${params.length}`;
+
+  const { rows } = await query(
+    `WITH q AS (SELECT websearch_to_tsquery('${TS_CONFIG}', $2) AS query),
+     note_hits AS (
+       SELECT n.call_id, MAX(ts_rank(n.search_vector, q.query)) AS rank
+       FROM lead_notes n, q
+       WHERE n.owner_user_id = $1 AND n.search_vector @@ q.query
+       GROUP BY n.call_id
+     )
+     SELECT cl.*,
+            (cl.search_vector @@ q.query) AS text_match,
+            (nh.call_id IS NOT NULL) AS note_match,
+            CASE WHEN cl.search_vector @@ q.query THEN ts_rank(cl.search_vector, q.query) ELSE 0 END + COALESCE(nh.rank, 0) AS search_rank,
+            COUNT(*) OVER () AS total_count
+     FROM call_logs cl
+     CROSS JOIN q
+     LEFT JOIN note_hits nh ON nh.call_id = cl.call_id
+     WHERE ${conditions.join(' AND ')}
+       AND (cl.search_vector @@ q.query OR nh.call_id IS NOT NULL)
+     ORDER BY search_rank DESC, cl.started_at DESC NULLS LAST
+     LIMIT ${limitParam} OFFSET ${offsetParam}`,
+    params
+  );
+  if (!rows.length) return { results: [], total: 0, limit: pageSize, offset: pageOffset };
+
+  const callIds = rows.map((row) => row.call_id);
+  const [{ rows: textSnippets }, { rows: noteSnippets }] = await Promise.all([
+    query(
+      `WITH q AS (SELECT websearch_to_tsquery('${TS_CONFIG}', $2) AS query)
+       SELECT cl.call_id,
+              CASE WHEN to_tsvector('${TS_CONFIG}', ${SUMMARY_SQL}) @@ q.query
+                   THEN ts_headline('${TS_CONFIG}', ${SUMMARY_SQL}, q.query, $3) END AS summary,
+              CASE WHEN to_tsvector('${TS_CONFIG}', ${TRANSCRIPT_SQL}) @@ q.query
+                   THEN ts_headline('${TS_CONFIG}', ${TRANSCRIPT_SQL}, q.query, $3) END AS transcript
+       FROM call_logs cl, q
+       WHERE cl.call_id = ANY($1::text[])`,
+      [callIds, text, HEADLINE_OPTIONS]
+    ),
+    query(
+      `WITH q AS (SELECT websearch_to_tsquery('${TS_CONFIG}', $3) AS query)
+       SELECT ranked.* FROM (
+         SELECT n.id, n.call_id, n.note_type, n.created_at,
+                ts_headline('${TS_CONFIG}', n.body, q.query, $4) AS headline,
+                ROW_NUMBER() OVER (PARTITION BY n.call_id ORDER BY ts_rank(n.search_vector, q.query) DESC, n.created_at DESC) AS position
+         FROM lead_notes n, q
+         WHERE n.owner_user_id = $1 AND n.call_id = ANY($2::text[]) AND n.search_vector @@ q.query
+       ) ranked
+       WHERE ranked.position <= ${NOTES_PER_LEAD}`,
+      [ownerId, callIds, text, HEADLINE_OPTIONS]
+    )
+  ]);
+
+  const textById = new Map(textSnippets.map((row) => [row.call_id, row]));
+  const notesById = new Map();
+  for (const note of noteSnippets) {
+    if (!notesById.has(note.call_id)) notesById.set(note.call_id, []);
+    notesById.get(note.call_id).push(note);
+  }
+
+  // One row at a time: buildCallsFromCache re-sorts by time and would lose the ranking
+  const results = rows.map((row) => {
+    const [lead] = buildCallsFromCache([row]);
+    const snippetRow = textById.get(row.call_id) || {};
+    const snippets = [];
+    if (snippetRow.summary) snippets.push({ field: 'summary', segments: toSegments(snippetRow.summary) });
+    if (snippetRow.transcript) snippets.push({ field: 'transcript', segments: toSegments(snippetRow.transcript) });
+    for (const note of notesById.get(row.call_id) || []) {
+      snippets.push({
+        field: 'note',
+        note_id: note.id,
+        note_type: note.note_type,
+        created_at: note.created_at,
+        segments: toSegments(note.headline)
+      });
+    }
+    const matchedIn = [...new Set(snippets.map((snippet) => snippet.field))];
+    if (row.text_match && !snippetRow.summary && !snippetRow.transcript) matchedIn.unshift('caller_name');
+
+    return {
+      ...lead,
+      pipeline_stage_id: row.pipeline_stage_id || null,
+      search: { rank: Number(row.search_rank) || 0, matched_in: matchedIn, snippets }
+    };
+  });
+
+  return { results, total: Number(rows[0].total_count) || 0, limit: pageSize, offset: pageOffset };
+}
@@ -0,0 +1,686 @@
+/**
+ * Lead SLA Service
+ *
+ * Follow-up timers for new leads, opt-in per client (lead_sla_settings):
+ * - Inbound calls that CTM processing flagged needs_callback (missed or voicemail) get a
+ *   callback item on the client's task board, due callback_minutes after the call
+ * - Leads left in the first pipeline stage longer than first_stage_hours get a follow-up item
+ * - A task is met when its board item reaches a done status, the caller is reached on a later
+ *   call, or (stale-stage tasks) the lead leaves the first stage
+ * - Past due: the board item is flagged needs_attention and the assignee and client are
+ *   notified; escalation_minutes later the admins are notified too
+ * - Repeat missed calls from a number that already has an open callback are noted on that
+ *   task instead of opening another one
+ *
+ * runLeadSlaSweep() runs every step on a cron. openCallbackTasks() is also called right after
+ * a sync so callbacks do not wait for the next sweep; both are idempotent.
+ */
+
+import { query } from '../db.js';
+import { createNotification, createNotificationsForAdmins } from './notifications.js';
+import { httpError } from '../utils/httpError.js';
+import { ratio, median, parseDateParam } from '../utils/reports.js';
+import { phoneKeySql } from '../utils/sql.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const SLA_REASONS = ['missed_call', 'voicemail', 'stale_stage'];
+const REASON_LABELS = { missed_call: 'Missed call', voicemail: 'Voicemail', stale_stage: 'No follow-up' };
+const CALLBACK_REASONS = ['missed_call', 'voicemail'];
+
+const DEFAULT_CALLBACK_MINUTES = parseInt(process.env.LEAD_SLA_CALLBACK_MINUTES || '30', 10);
+const DEFAULT_FIRST_STAGE_HOURS = parseInt(process.env.LEAD_SLA_FIRST_STAGE_HOURS || '24', 10);
+const DEFAULT_ESCALATION_MINUTES = parseInt(process.env.LEAD_SLA_ESCALATION_MINUTES || '60', 10);
+const MAX_SETTING_MINUTES = 7 * 24 * 60;
+const MAX_TASKS_PER_SWEEP = 200;
+const DEFAULT_REPORT_DAYS = 30;
+const LEADS_LINK = '/portal?tab=leads';
+
+// A board item is done when its status is a done label of its board or a global done label
+const ITEM_DONE_SQL = `(
+  i.status = 'Done'
+  OR EXISTS (SELECT 1 FROM task_board_status_labels l WHERE l.board_id = g.board_id AND l.label = i.status AND l.is_done_state)
+  OR EXISTS (SELECT 1 FROM task_global_status_labels l WHERE l.label = i.status AND l.is_done_state)
+)`;
+
+let sweepRunning = false;
+
+function leadLabel(lead) {
+  return lead.caller_name || lead.from_number || 'Unknown caller';
+}
+
+function itemLink(boardId, itemId) {
+  return `/tasks?pane=boards&board=${encodeURIComponent(boardId)}&item=${encodeURIComponent(itemId)}`;
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+function defaultSettings(ownerId) {
+  return {
+    owner_user_id: ownerId,
+    enabled: false,
+    enabled_at: null,
+    callback_minutes: DEFAULT_CALLBACK_MINUTES,
+    first_stage_hours: DEFAULT_FIRST_STAGE_HOURS,
+    escalation_minutes: DEFAULT_ESCALATION_MINUTES,
+    assignee_user_id: null,
+    updated_by: null,
+    updated_at: null
+  };
+}
+
+function parseLimit(value, label, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw httpError(400, `${label} must be a whole number between 1 and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * SLA settings for a client; defaults (disabled) when none were saved.
+ */
+export async function getSlaSettings(ownerId) {
+  const { rows } = await query('SELECT * FROM lead_sla_settings WHERE owner_user_id = $1', [ownerId]);
+  return rows[0] || defaultSettings(ownerId);
+}
+
+/**
+ * Users who can be assigned callback tasks: staff (implicit members of every board) and
+ * members of the workspace that holds the client's task board.
+ */
+export async function listSlaAssignees(ownerId) {
+  const { rows } = await query(
+    `SELECT u.id, u.first_name, u.last_name, u.email, u.role
+     FROM users u
+     WHERE u.role IN ('superadmin', 'admin', 'team')
+        OR u.id IN (
+          SELECT m.user_id
+          FROM client_profiles cp
+          JOIN task_boards b ON b.id = cp.task_board_id
+          JOIN task_workspace_memberships m ON m.workspace_id = b.workspace_id
+          WHERE cp.user_id = $1
+        )
+     ORDER BY u.first_name NULLS LAST, u.last_name NULLS LAST, u.email`,
+    [ownerId]
+  );
+  return rows;
+}
+
+/**
+ * Save SLA settings. Only provided fields change; first_stage_hours null turns stale-stage
+ * tasks off. Enabling starts the clock for leads from now on; disabling cancels open tasks.
+ */
+export async function updateSlaSettings(ownerId, input = {}, userId) {
+  const current = await getSlaSettings(ownerId);
+  const enabled = input.enabled === undefined ? current.enabled : Boolean(input.enabled);
+  const callbackMinutes =
+    input.callback_minutes === undefined
+      ? current.callback_minutes
+      : parseLimit(input.callback_minutes, 'Callback time', MAX_SETTING_MINUTES);
+  const escalationMinutes =
+    input.escalation_minutes === undefined
+      ? current.escalation_minutes
+      : parseLimit(input.escalation_minutes, 'Escalation time', MAX_SETTING_MINUTES);
+  let firstStageHours = current.first_stage_hours;
+  if (input.first_stage_hours !== undefined) {
+    firstStageHours =
+      input.first_stage_hours === null || input.first_stage_hours === ''
+        ? null
+        : parseLimit(input.first_stage_hours, 'First stage limit', MAX_SETTING_MINUTES / 60);
+  }
+  let assigneeId = current.assignee_user_id;
+  if (input.assignee_user_id !== undefined) {
+    assigneeId = input.assignee_user_id || null;
+    if (assigneeId) {
+      const assignees = await listSlaAssignees(ownerId);
+      if (!assignees.some((user) => user.id === assigneeId)) {
+        throw httpError(400, "Assignee does not have access to this client's task board");
+      }
+    }
+  }
+
+  const { rows } = await query(
+    `INSERT INTO lead_sla_settings
+       (owner_user_id, enabled, enabled_at, callback_minutes, first_stage_hours, escalation_minutes, assignee_user_id, updated_by, updated_at)
+     VALUES ($1, $2::boolean, CASE WHEN $2::boolean THEN NOW() END, $3, $4, $5, $6, $7, NOW())
+     ON CONFLICT (owner_user_id) DO UPDATE SET
+       enabled = EXCLUDED.enabled,
+       enabled_at = CASE
+         WHEN EXCLUDED.enabled AND NOT lead_sla_settings.enabled THEN NOW()
+         ELSE lead_sla_settings.enabled_at
+       END,
+       callback_minutes = EXCLUDED.callback_minutes,
+       first_stage_hours = EXCLUDED.first_stage_hours,
+       escalation_minutes = EXCLUDED.escalation_minutes,
+       assignee_user_id = EXCLUDED.assignee_user_id,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [ownerId, enabled, callbackMinutes, firstStageHours, escalationMinutes, assigneeId, userId || null]
+  );
+
+  if (current.enabled && !enabled) {
+    await query(
+      `UPDATE lead_sla_tasks SET status = 'cancelled', completed_at = NOW(), completed_via = 'sla_disabled'
+       WHERE owner_user_id = $1 AND status = 'open'`,
+      [ownerId]
+    );
+  }
+  return rows[0];
+}
+
+// ============================================================================
+// Task Creation
+// ============================================================================
+
+async function loadBoardTarget(ownerId) {
+  const { rows } = await query(
+    `SELECT b.id AS board_id, b.board_prefix, g.id AS group_id
+     FROM client_profiles cp
+     JOIN task_boards b ON b.id = cp.task_board_id
+     JOIN task_groups g ON g.board_id = b.id
+     WHERE cp.user_id = $1
+     ORDER BY g.order_index ASC
+     LIMIT 1`,
+    [ownerId]
+  );
+  return rows[0] || null;
+}
+
+function describeTask(reason, lead, dueAt) {
+  const due = dueAt.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+  const lines =
+    reason === 'stale_stage'
+      ? [`${leadLabel(lead)} has not moved past the first pipeline stage.`]
+      : [`${REASON_LABELS[reason]} from ${leadLabel(lead)}${lead.from_number ? ` (${lead.from_number})` : ''}.`];
+  if (lead.summary) lines.push(`Summary: ${lead.summary}`);
+  lines.push(`Follow up by ${due}.`);
+  return lines.join('\n');
+}
+
+/**
+ * Record an SLA task and put a matching item on the client's board.
+ * Returns null when the lead already has a task for this reason.
+ */
+async function createSlaTask({ ownerId, settings, board, lead, reason, clockStartedAt, dueAt }) {
+  const { rows } = await query(
+    `INSERT INTO lead_sla_tasks (owner_user_id, call_id, reason, assignee_user_id, clock_started_at, due_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (call_id, reason) DO NOTHING
+     RETURNING *`,
+    [ownerId, lead.call_id, reason, settings.assignee_user_id || null, clockStartedAt, dueAt]
+  );
+  const task = rows[0];
+  if (!task || !board) return task || null;
+
+  try {
+    const title = `${reason === 'stale_stage' ? 'Follow up' : 'Call back'}: ${leadLabel(lead)}`;
+    const {
+      rows: [item]
+    } = await query(
+      `INSERT INTO task_items (group_id, name, status, due_date, is_voicemail)
+       VALUES ($1, $2, 'To Do', ($3::timestamptz)::date, $4)
+       RETURNING id`,
+      [board.group_id, board.board_prefix ? `${board.board_prefix} ${title}` : title, dueAt, reason === 'voicemail']
+    );
+    await query('UPDATE lead_sla_tasks SET task_item_id = $1 WHERE id = $2', [item.id, task.id]);
+    await query('INSERT INTO task_updates (item_id, content) VALUES ($1, $2)', [item.id, describeTask(reason, lead, dueAt)]);
+
+    if (settings.assignee_user_id) {
+      await query('INSERT INTO task_item_assignees (item_id, user_id) VALUES ($1, $2) ON CONFLICT (item_id, user_id) DO NOTHING', [
+        item.id,
+        settings.assignee_user_id
+      ]);
+      await createNotification({
+        userId: settings.assignee_user_id,
+        title: reason === 'stale_stage' ? 'Lead needs a follow-up' : 'Callback needed',
+        body: describeTask(reason, lead, dueAt),
+        linkUrl: itemLink(board.board_id, item.id),
+        meta: { source: 'lead_sla', sla_task_id: task.id, call_id: lead.call_id, reason }
+      });
+    }
+    return { ...task, task_item_id: item.id };
+  } catch (err) {
+    // The SLA clock still runs without a board item; it just has nothing to tick off
+    console.error('[lead-sla:task-item]', { taskId: task.id, error: err.message });
+    return task;
+  }
+}
+
+/**
+ * Open callback tasks for flagged calls that arrived since the SLA was enabled.
+ * @param {Object} [settings] - Already loaded lead_sla_settings row
+ * @returns {Promise<number>} Tasks created
+ */
+export async function openCallbackTasks(ownerId, settings = null) {
+  const sla = settings || (await getSlaSettings(ownerId));
+  if (!sla.enabled || !sla.enabled_at) return 0;
+
+  const { rows: leads } = await query(
+    `SELECT cl.call_id, cl.from_number, cl.started_at,
+            cl.meta->>'caller_name' AS caller_name,
+            cl.meta->>'classification_summary' AS summary,
+            COALESCE((cl.meta->>'is_voicemail')::boolean, FALSE) AS is_voicemail,
+            ${phoneKeySql('cl.from_number')} AS phone_key
+     FROM call_logs cl
+     WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+       AND cl.merged_into_call_id IS NULL
+       AND cl.meta->>'needs_callback' = 'true'
+       AND cl.started_at >= $2
+       AND NOT EXISTS (
+         SELECT 1 FROM lead_sla_tasks t WHERE t.call_id = cl.call_id AND t.reason = ANY($3::text[])
+       )
+     ORDER BY cl.started_at ASC
+     LIMIT ${MAX_TASKS_PER_SWEEP}`,
+    [ownerId, sla.enabled_at, CALLBACK_REASONS]
+  );
+  if (!leads.length) return 0;
+
+  const { rows: openRows } = await query(
+    `SELECT t.id, t.task_item_id, ${phoneKeySql('cl.from_number')} AS phone_key
+     FROM lead_sla_tasks t
+     JOIN call_logs cl ON cl.call_id = t.call_id
+     WHERE t.owner_user_id = $1 AND t.status = 'open' AND t.reason = ANY($2::text[])`,
+    [ownerId, CALLBACK_REASONS]
+  );
+  const openByPhone = new Map(openRows.filter((row) => row.phone_key.length >= 7).map((row) => [row.phone_key, row]));
+  const board = await loadBoardTarget(ownerId);
+
+  let created = 0;
+  for (const lead of leads) {
+    const reason = lead.is_voicemail ? 'voicemail' : 'missed_call';
+    const clockStartedAt = new Date(lead.started_at);
+    const open = lead.phone_key.length >= 7 ? openByPhone.get(lead.phone_key) : null;
+
+    if (open) {
+      // Same caller again before anyone called back: one task, with a note
+      const { rowCount } = await query(
+        `INSERT INTO lead_sla_tasks
+           (owner_user_id, call_id, reason, status, clock_started_at, due_at, completed_at, completed_via)
+         VALUES ($1, $2, $3, 'cancelled', $4, $4, NOW(), 'repeat_call')
+         ON CONFLICT (call_id, reason) DO NOTHING`,
+        [ownerId, lead.call_id, reason, clockStartedAt]
+      );
+      if (rowCount && open.task_item_id) {
+        await query('INSERT INTO task_updates (item_id, content) VALUES ($1, $2)', [
+          open.task_item_id,
+          `${REASON_LABELS[reason]} again at ${clockStartedAt.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })}.`
+        ]);
+      }
+      continue;
+    }
+
+    const dueAt = new Date(clockStartedAt.getTime() + sla.callback_minutes * 60 * 1000);
+    const task = await createSlaTask({ ownerId, settings: sla, board, lead, reason, clockStartedAt, dueAt });
+    if (task) {
+      created++;
+      if (lead.phone_key.length >= 7) openByPhone.set(lead.phone_key, task);
+    }
+  }
+  return created;
+}
+
+/**
+ * Open follow-up tasks for leads that have sat in the first (non won/lost) stage longer than
+ * first_stage_hours. Time in stage counts from the last move into it, else the call itself.
+ */
+async function openStaleStageTasks(ownerId, sla) {
+  if (!sla.first_stage_hours) return 0;
+
+  const { rows: leads } = await query(
+    `WITH first_stage AS (
+       SELECT id FROM lead_pipeline_stages
+       WHERE owner_user_id = $1 AND NOT is_won_stage AND NOT is_lost_stage
+       ORDER BY position ASC
+       LIMIT 1
+     ),
+     staged AS (
+       SELECT cl.call_id, cl.from_number,
+              cl.meta->>'caller_name' AS caller_name,
+              cl.meta->>'classification_summary' AS summary,
+              COALESCE(
+                (SELECT MAX(t.changed_at) FROM lead_stage_transitions t
+                 WHERE t.call_id = cl.call_id AND t.to_stage_id = cl.pipeline_stage_id),
+                cl.started_at
+              ) AS entered_at
+       FROM call_logs cl
+       JOIN first_stage fs ON fs.id = cl.pipeline_stage_id
+       WHERE (cl.owner_user_id = $1 OR cl.user_id = $1)
+         AND cl.merged_into_call_id IS NULL
+         AND cl.started_at >= $2
+     )
+     SELECT s.*, s.entered_at + make_interval(hours => $3::int) AS stale_at
+     FROM staged s
+     WHERE s.entered_at + make_interval(hours => $3::int) < NOW()
+       AND NOT EXISTS (SELECT 1 FROM lead_sla_tasks t WHERE t.call_id = s.call_id AND t.reason = 'stale_stage')
+     ORDER BY s.entered_at ASC
+     LIMIT ${MAX_TASKS_PER_SWEEP}`,
+    [ownerId, sla.enabled_at, sla.first_stage_hours]
+  );
+  if (!leads.length) return 0;
+
+  const board = await loadBoardTarget(ownerId);
+  let created = 0;
+  for (const lead of leads) {
+    const clockStartedAt = new Date(lead.stale_at);
+    const dueAt = new Date(clockStartedAt.getTime() + sla.callback_minutes * 60 * 1000);
+    const task = await createSlaTask({ ownerId, settings: sla, board, lead, reason: 'stale_stage', clockStartedAt, dueAt });
+    if (task) created++;
+  }
+  return created;
+}
+
+// ============================================================================
+// Completion & Escalation
+// ============================================================================
+
+/**
+ * Close open tasks whose follow-up happened. Items closed by a call or stage change are
+ * moved to the board's done status so the board matches.
+ * @returns {Promise<number>} Tasks completed
+ */
+async function completeSlaTasks(ownerId) {
+  await query(
+    `UPDATE lead_sla_tasks t
+     SET status = 'cancelled', completed_at = NOW(), completed_via = 'merged'
+     FROM call_logs cl
+     WHERE cl.call_id = t.call_id AND t.owner_user_id = $1 AND t.status = 'open' AND cl.merged_into_call_id IS NOT NULL`,
+    [ownerId]
+  );
+
+  const { rows: byItem } = await query(
+    `UPDATE lead_sla_tasks t
+     SET status = 'completed', completed_at = LEAST(i.updated_at, NOW()), completed_via = 'task'
+     FROM task_items i
+     JOIN task_groups g ON g.id = i.group_id
+     WHERE i.id = t.task_item_id AND t.owner_user_id = $1 AND t.status = 'open' AND ${ITEM_DONE_SQL}
+     RETURNING t.id`,
+    [ownerId]
+  );
+
+  // Any later call with the same number that was not itself missed: the caller was reached
+  const { rows: byCall } = await query(
+    `UPDATE lead_sla_tasks t
+     SET status = 'completed', completed_at = reached.started_at, completed_via = 'call'
+     FROM call_logs cl,
+     LATERAL (
+       SELECT MIN(r.started_at) AS started_at
+       FROM call_logs r
+       WHERE (r.owner_user_id = $1 OR r.user_id = $1)
+         AND r.call_id <> cl.call_id
+         AND r.started_at > cl.started_at
+         AND COALESCE(r.meta->>'needs_callback', 'false') <> 'true'
+         AND COALESCE(r.meta->>'activity_type', 'call') = 'call'
+         AND ${phoneKeySql('cl.from_number')} IN (${phoneKeySql('r.from_number')}, ${phoneKeySql('r.to_number')})
+     ) reached
+     WHERE cl.call_id = t.call_id
+       AND t.owner_user_id = $1 AND t.status = 'open' AND t.reason = ANY($2::text[])
+       AND LENGTH(${phoneKeySql('cl.from_number')}) >= 7
+       AND reached.started_at IS NOT NULL
+     RETURNING t.id, t.task_item_id`,
+    [ownerId, CALLBACK_REASONS]
+  );
+
+  const { rows: byStage } = await query(
+    `UPDATE lead_sla_tasks t
+     SET status = 'completed',
+         completed_at = COALESCE(
+           (SELECT MAX(st.changed_at) FROM lead_stage_transitions st WHERE st.call_id = t.call_id AND st.changed_at >= t.created_at),
+           NOW()
+         ),
+         completed_via = 'stage_change'
+     FROM call_logs cl
+     WHERE cl.call_id = t.call_id
+       AND t.owner_user_id = $1 AND t.status = 'open' AND t.reason = 'stale_stage'
+       AND cl.pipeline_stage_id IS DISTINCT FROM (
+         SELECT id FROM lead_pipeline_stages
+         WHERE owner_user_id = $1 AND NOT is_won_stage AND NOT is_lost_stage
+         ORDER BY position ASC
+         LIMIT 1
+       )
+     RETURNING t.id, t.task_item_id`,
+    [ownerId]
+  );
+
+  const itemIds = [...byCall, ...byStage].map((row) => row.task_item_id).filter(Boolean);
+  if (itemIds.length) {
+    await query(
+      `UPDATE task_items i
+       SET status = COALESCE(
+             (SELECT l.label FROM task_board_status_labels l WHERE l.board_id = g.board_id AND l.is_done_state ORDER BY l.order_index LIMIT 1),
+             (SELECT l.label FROM task_global_status_labels l WHERE l.is_done_state ORDER BY l.order_index LIMIT 1),
+             'Done'
+           ),
+           needs_attention = FALSE,
+           updated_at = NOW()
+       FROM task_groups g
+       WHERE g.id = i.group_id AND i.id = ANY($1::uuid[]) AND NOT ${ITEM_DONE_SQL}`,
+      [itemIds]
+    );
+  }
+  return byItem.length + byCall.length + byStage.length;
+}
+
+/**
+ * Level 1 when a task passes its due time (flag the item, notify the assignee and client);
+ * level 2 escalation_minutes later (notify admins).
+ * @returns {Promise<number>} Escalations sent
+ */
+async function escalateSlaTasks(ownerId, sla) {
+  const returning = `RETURNING t.id, t.call_id, t.reason, t.due_at, t.task_item_id, t.assignee_user_id,
+                               cl.from_number, cl.meta->>'caller_name' AS caller_name,
+                               (SELECT g.board_id FROM task_items i JOIN task_groups g ON g.id = i.group_id WHERE i.id = t.task_item_id) AS board_id`;
+
+  const { rows: breached } = await query(
+    `UPDATE lead_sla_tasks t
+     SET breached_at = NOW(), escalation_level = 1
+     FROM call_logs cl
+     WHERE cl.call_id = t.call_id AND t.owner_user_id = $1 AND t.status = 'open' AND t.escalation_level = 0 AND t.due_at < NOW()
+     ${returning}`,
+    [ownerId]
+  );
+  for (const task of breached) {
+    const body = `${REASON_LABELS[task.reason]} from ${leadLabel(task)} was due ${new Date(task.due_at).toLocaleString('en-US', {
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })}.`;
+    const meta = { source: 'lead_sla', sla_task_id: task.id, call_id: task.call_id, reason: task.reason, level: 1 };
+    if (task.task_item_id) {
+      await query('UPDATE task_items SET needs_attention = TRUE WHERE id = $1', [task.task_item_id]);
+    }
+    if (task.assignee_user_id) {
+      await createNotification({
+        userId: task.assignee_user_id,
+        title: 'Lead follow-up overdue',
+        body,
+        linkUrl: task.board_id ? itemLink(task.board_id, task.task_item_id) : LEADS_LINK,
+        meta
+      }).catch((err) => console.error('[lead-sla:notify]', err));
+    }
+    await createNotification({ userId: ownerId, title: 'Lead follow-up overdue', body, linkUrl: LEADS_LINK, meta }).catch((err) =>
+      console.error('[lead-sla:notify]', err)
+    );
+  }
+
+  const { rows: escalated } = await query(
+    `UPDATE lead_sla_tasks t
+     SET escalation_level = 2
+     FROM call_logs cl
+     WHERE cl.call_id = t.call_id AND t.owner_user_id = $1 AND t.status = 'open' AND t.escalation_level = 1
+       AND t.breached_at < NOW() - make_interval(mins => $2::int)
+     ${returning}`,
+    [ownerId, sla.escalation_minutes]
+  );
+  if (escalated.length) {
+    const { rows: ownerRows } = await query(
+      `SELECT COALESCE(NULLIF(cp.client_identifier_value, ''), NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS name
+       FROM users u LEFT JOIN client_profiles cp ON cp.user_id = u.id
+       WHERE u.id = $1`,
+      [ownerId]
+    );
+    const clientName = ownerRows[0]?.name || 'A client';
+    await createNotificationsForAdmins({
+      title: 'Lead follow-up SLA breached',
+      body: `${clientName}: ${escalated.length} lead follow-up(s) still open ${sla.escalation_minutes} minutes past due (${escalated
+        .slice(0, 3)
+        .map(leadLabel)
+        .join(', ')}${escalated.length > 3 ? ', …' : ''}).`,
+      linkUrl: escalated[0].board_id ? itemLink(escalated[0].board_id, escalated[0].task_item_id) : null,
+      meta: { source: 'lead_sla', owner_user_id: ownerId, sla_task_ids: escalated.map((task) => task.id), level: 2 }
+    }).catch((err) => console.error('[lead-sla:notify-admins]', err));
+  }
+
+  return breached.length + escalated.length;
+}
+
+/**
+ * One pass over every client with the SLA enabled: close finished tasks, open new ones,
+ * escalate overdue ones. Overlapping runs in the same process are skipped.
+ */
+export async function runLeadSlaSweep() {
+  if (sweepRunning) return { skipped: true };
+  sweepRunning = true;
+  const totals = { accounts: 0, created: 0, completed: 0, escalated: 0, failed: 0 };
+  try {
+    const { rows: settingsRows } = await query('SELECT * FROM lead_sla_settings WHERE enabled = TRUE AND enabled_at IS NOT NULL');
+    for (const sla of settingsRows) {
+      const ownerId = sla.owner_user_id;
+      try {
+        totals.completed += await completeSlaTasks(ownerId);
+        totals.created += await openCallbackTasks(ownerId, sla);
+        totals.created += await openStaleStageTasks(ownerId, sla);
+        totals.escalated += await escalateSlaTasks(ownerId, sla);
+        totals.accounts++;
+      } catch (err) {
+        totals.failed++;
+        console.error('[lead-sla:sweep]', { ownerId, error: err.message });
+      }
+    }
+    return totals;
+  } finally {
+    sweepRunning = false;
+  }
+}
+
+// ============================================================================
+// Listing & Compliance Report
+// ============================================================================
+
+const TASK_SELECT = `
+  SELECT t.id, t.call_id, t.reason, t.status, t.clock_started_at, t.due_at, t.completed_at, t.completed_via,
+         t.breached_at, t.escalation_level, t.task_item_id, t.assignee_user_id, t.created_at,
+         cl.from_number, cl.meta->>'caller_name' AS caller_name,
+         i.status AS item_status, g.board_id,
+         COALESCE(NULLIF(TRIM(CONCAT(u.first_name, ' ', u.last_name)), ''), u.email) AS assignee_name
+  FROM lead_sla_tasks t
+  JOIN call_logs cl ON cl.call_id = t.call_id
+  LEFT JOIN task_items i ON i.id = t.task_item_id
+  LEFT JOIN task_groups g ON g.id = i.group_id
+  LEFT JOIN users u ON u.id = t.assignee_user_id`;
+
+/**
+ * SLA tasks for a client, soonest due first for open ones, newest first otherwise.
+ * @param {Object} [options]
+ * @param {'open'|'completed'|'all'} [options.status='open']
+ */
+export async function listSlaTasks(ownerId, { status = 'open', limit = 100 } = {}) {
+  if (!['open', 'completed', 'all'].includes(status)) throw httpError(400, 'Invalid status');
+  const params = [ownerId, Math.min(500, Math.max(1, Number(limit) || 100))];
+  let statusFilter = "AND t.status <> 'cancelled'";
+  if (status !== 'all') {
+    params.push(status);
+    statusFilter = 'AND t.status = $3';
+  }
+  const { rows } = await query(
+    `${TASK_SELECT}
+     WHERE t.owner_user_id = $1 ${statusFilter}
+     ORDER BY ${status === 'open' ? 't.due_at ASC' : 't.created_at DESC'}
+     LIMIT $2`,
+    params
+  );
+  return rows;
+}
+
+function taskOutcome(task, now) {
+  if (task.status === 'completed') return new Date(task.completed_at) <= new Date(task.due_at) ? 'on_time' : 'late';
+  return new Date(task.due_at) < now ? 'overdue' : 'pending';
+}
+
+function summarize(tasks) {
+  const counts = { tasks: tasks.length, on_time: 0, late: 0, overdue: 0, pending: 0 };
+  const responseMinutes = [];
+  for (const task of tasks) {
+    counts[task.outcome]++;
+    if (task.status === 'completed') {
+      responseMinutes.push(Math.max(0, (new Date(task.completed_at) - new Date(task.clock_started_at)) / 60000));
+    }
+  }
+  const decided = counts.on_time + counts.late + counts.overdue;
+  const medianMinutes = median(responseMinutes);
+  return {
+    ...counts,
+    completed: counts.on_time + counts.late,
+    compliance_rate: ratio(counts.on_time, decided),
+    median_response_minutes: medianMinutes === null ? null : Math.round(medianMinutes)
+  };
+}
+
+function groupSummaries(tasks, keyFn) {
+  const groups = new Map();
+  for (const task of tasks) {
+    const key = keyFn(task);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task);
+  }
+  return [...groups.entries()].map(([key, items]) => ({ key, ...summarize(items) }));
+}
+
+function weekStart(date) {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Compliance over tasks whose clock started between from and to. A task is on time when it
+ * was completed by its due time; late and still-open overdue tasks count against compliance,
+ * open tasks not yet due do not count either way. Cancelled tasks are left out.
+ * @param {Object} [options]
+ * @param {string} [options.from] - ISO date, default: 30 days ago
+ * @param {string} [options.to] - ISO date, default: now
+ */
+export async function getSlaReport(ownerId, { from, to } = {}) {
+  const now = new Date();
+  const toDate = parseDateParam(to, 'to') || now;
+  const fromDate = parseDateParam(from, 'from') || new Date(toDate.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+  if (fromDate >= toDate) throw httpError(400, '"from" must be before "to"');
+
+  const { rows } = await query(
+    `${TASK_SELECT}
+     WHERE t.owner_user_id = $1 AND t.status <> 'cancelled'
+       AND t.clock_started_at >= $2 AND t.clock_started_at < $3
+     ORDER BY t.clock_started_at ASC`,
+    [ownerId, fromDate.toISOString(), toDate.toISOString()]
+  );
+  const tasks = rows.map((task) => ({ ...task, outcome: taskOutcome(task, now) }));
+  const namesById = new Map(tasks.map((task) => [task.assignee_user_id, task.assignee_name]));
+
+  return {
+    range: { from: fromDate.toISOString(), to: toDate.toISOString() },
+    summary: summarize(tasks),
+    by_reason: groupSummaries(tasks, (task) => task.reason).map(({ key, ...row }) => ({ reason: key, ...row })),
+    by_assignee: groupSummaries(tasks, (task) => task.assignee_user_id || null).map(({ key, ...row }) => ({
+      assignee_user_id: key,
+      name: key ? namesById.get(key) || 'Unknown user' : 'Unassigned',
+      ...row
+    })),
+    by_week: groupSummaries(tasks, (task) => weekStart(new Date(task.clock_started_at)))
+      .map(({ key, ...row }) => ({ week: key, ...row }))
+      .sort((a, b) => a.week.localeCompare(b.week))
+  };
+}
@@ -0,0 +1,451 @@
+/**
+ * Offline Conversions Service
+ *
+ * Closed-loop conversion data for ad platforms. When a lead reaches a won pipeline stage or
+ * agrees to a service, captureOfflineConversion() records the conversion time, the agreed
+ * value and the ad click ids (gclid / fbclid from the lead's CTM activity or a matching form
+ * submission), plus hashed email/phone for Meta matching.
+ *
+ * runOfflineConversionExports() turns pending conversions into files on a schedule:
+ * - Google Ads: click conversion import CSV (rows with a gclid, clicks under 90 days old)
+ * - Meta: Conversions API payload JSON ({ data: [...] }, events under 7 days old)
+ * Each export claims its rows (google_export_id / meta_export_id) in the same transaction
+ * that stores the file, so a conversion is never exported twice to the same destination.
+ */
+
+import crypto from 'crypto';
+
+import { getClient, query } from '../db.js';
+import { normalizeEmailKey } from './leadIdentity.js';
+import { httpError } from '../utils/httpError.js';
+import { escapeCsv } from '../utils/csv.js';
+import { phoneKeySql } from '../utils/sql.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const EXPORT_DESTINATIONS = ['google_ads', 'meta'];
+export const CONVERSION_TRIGGERS = ['won_stage', 'agree_to_service'];
+const GOOGLE_MAX_AGE_DAYS = 90;
+const META_MAX_AGE_DAYS = 7;
+const CLICK_LOOKBACK_DAYS = 90;
+const MAX_ROWS_PER_EXPORT = 1000;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const DEFAULT_META_EVENT = 'Purchase';
+const DEFAULT_CURRENCY = 'USD';
+
+const DESTINATION_FILES = {
+  google_ads: { prefix: 'google-ads-offline-conversions', extension: 'csv', contentType: 'text/csv' },
+  meta: { prefix: 'meta-capi-events', extension: 'json', contentType: 'application/json' }
+};
+
+let exportRunning = false;
+
+function sha256(value) {
+  return value ? crypto.createHash('sha256').update(value).digest('hex') : null;
+}
+
+/**
+ * Meta wants digits with country code; 10-digit numbers are assumed to be US.
+ */
+function normalizePhoneForMeta(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 7) return null;
+  return digits.length === 10 ? `1${digits}` : digits;
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+function defaultSettings(ownerId) {
+  return {
+    owner_user_id: ownerId,
+    enabled: false,
+    google_conversion_name: null,
+    meta_event_name: DEFAULT_META_EVENT,
+    currency: DEFAULT_CURRENCY,
+    updated_at: null
+  };
+}
+
+export async function getOfflineConversionSettings(ownerId) {
+  const { rows } = await query('SELECT * FROM offline_conversion_settings WHERE owner_user_id = $1', [ownerId]);
+  return rows[0] || defaultSettings(ownerId);
+}
+
+/**
+ * Save export settings. Only provided fields change. Google Ads exports need
+ * google_conversion_name to match a conversion action in the ads account.
+ */
+export async function updateOfflineConversionSettings(ownerId, input = {}, userId) {
+  const current = await getOfflineConversionSettings(ownerId);
+  const enabled = input.enabled === undefined ? current.enabled : Boolean(input.enabled);
+  const googleName =
+    input.google_conversion_name === undefined ? current.google_conversion_name : String(input.google_conversion_name || '').trim() || null;
+  const metaEvent = input.meta_event_name === undefined ? current.meta_event_name : String(input.meta_event_name || '').trim();
+  const currency =
+    input.currency === undefined
+      ? current.currency
+      : String(input.currency || '')
+          .trim()
+          .toUpperCase();
+
+  if (googleName && googleName.length > 100) throw httpError(400, 'Google conversion name must be at most 100 characters');
+  if (!metaEvent || metaEvent.length > 50) throw httpError(400, 'Meta event name is required (at most 50 characters)');
+  if (!/^[A-Z]{3}$/.test(currency)) throw httpError(400, 'Currency must be a 3-letter code');
+
+  const { rows } = await query(
+    `INSERT INTO offline_conversion_settings
+       (owner_user_id, enabled, google_conversion_name, meta_event_name, currency, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())
+     ON CONFLICT (owner_user_id) DO UPDATE SET
+       enabled = EXCLUDED.enabled,
+       google_conversion_name = EXCLUDED.google_conversion_name,
+       meta_event_name = EXCLUDED.meta_event_name,
+       currency = EXCLUDED.currency,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [ownerId, enabled, googleName, metaEvent, currency, userId || null]
+  );
+  return rows[0];
+}
+
+// ============================================================================
+// Capture
+// ============================================================================
+
+/**
+ * Most recent click ids for the lead: its own CTM activity and calls from the same number
+ * first, then conversion form submissions with the same email or phone.
+ */
+async function findClickIds(ownerId, lead, email) {
+  const phoneKey =
+    String(lead.from_number || '')
+      .replace(/\D/g, '')
+      .slice(-10) || null;
+  const { rows: callRows } = await query(
+    `SELECT NULLIF(meta->>'gclid', '') AS gclid, NULLIF(meta->>'fbclid', '') AS fbclid, started_at AS clicked_at
+     FROM call_logs
+     WHERE (owner_user_id = $1 OR user_id = $1)
+       AND (call_id = $2 OR merged_into_call_id = $2 OR ($3::text IS NOT NULL AND ${phoneKeySql('from_number')} = $3))
+       AND started_at >= NOW() - INTERVAL '${CLICK_LOOKBACK_DAYS} days'
+       AND (NULLIF(meta->>'gclid', '') IS NOT NULL OR NULLIF(meta->>'fbclid', '') IS NOT NULL)
+     ORDER BY (call_id = $2) DESC, started_at DESC
+     LIMIT 1`,
+    [ownerId, lead.call_id, phoneKey]
+  );
+  if (callRows[0]) return { ...callRows[0], click_source: 'call' };
+
+  if (!email && !phoneKey) return null;
+  const { rows: formRows } = await query(
+    `SELECT NULLIF(fs.attribution_json->>'gclid', '') AS gclid, NULLIF(fs.attribution_json->>'fbclid', '') AS fbclid,
+            fs.created_at AS clicked_at
+     FROM form_submissions fs
+     JOIN forms f ON f.id = fs.form_id
+     WHERE f.org_id = $1
+       AND fs.submission_kind = 'conversion'
+       AND fs.created_at >= NOW() - INTERVAL '${CLICK_LOOKBACK_DAYS} days'
+       AND (NULLIF(fs.attribution_json->>'gclid', '') IS NOT NULL OR NULLIF(fs.attribution_json->>'fbclid', '') IS NOT NULL)
+       AND (
+         ($2::text IS NOT NULL AND LOWER(TRIM(fs.non_phi_payload->>'email')) = $2)
+         OR ($3::text IS NOT NULL AND ${phoneKeySql("COALESCE(fs.non_phi_payload->>'phone_number', fs.non_phi_payload->>'phone')")} = $3)
+       )
+     ORDER BY fs.created_at DESC
+     LIMIT 1`,
+    [ownerId, email, phoneKey]
+  );
+  return formRows[0] ? { ...formRows[0], click_source: 'form' } : null;
+}
+
+/**
+ * Record (or refresh) the conversion for a won lead. Conversions already exported to either
+ * platform are left untouched so both platforms get the same value.
+ * @param {Object} options
+ * @param {string} options.trigger - won_stage | agree_to_service
+ * @param {string} [options.activeClientId] - Active client the lead became, when known
+ * @returns {Promise<Object|null>} the conversion row, or null when the lead is missing or already exported
+ */
+export async function captureOfflineConversion(ownerId, callId, { trigger, activeClientId } = {}) {
+  if (!CONVERSION_TRIGGERS.includes(trigger)) throw httpError(400, 'Invalid conversion trigger');
+
+  const { rows: leadRows } = await query(
+    `SELECT cl.call_id, cl.from_number, cl.active_client_id, cl.meta->>'caller_email' AS caller_email
+     FROM call_logs cl
+     WHERE cl.call_id = $1 AND (cl.owner_user_id = $2 OR cl.user_id = $2)`,
+    [callId, ownerId]
+  );
+  const lead = leadRows[0];
+  if (!lead) return null;
+
+  let clientId = activeClientId || lead.active_client_id || null;
+  if (!clientId) {
+    const { rows } = await query(
+      `SELECT active_client_id FROM client_journeys
+       WHERE owner_user_id = $1 AND lead_call_key = $2 AND active_client_id IS NOT NULL
+       ORDER BY updated_at DESC LIMIT 1`,
+      [ownerId, callId]
+    );
+    clientId = rows[0]?.active_client_id || null;
+  }
+
+  let client = null;
+  if (clientId) {
+    const { rows } = await query(
+      `SELECT ac.id, ac.client_phone, ac.client_email,
+              (SELECT SUM(cs.agreed_price) FROM client_services cs WHERE cs.active_client_id = ac.id) AS value
+       FROM active_clients ac
+       WHERE ac.id = $1 AND ac.owner_user_id = $2`,
+      [clientId, ownerId]
+    );
+    client = rows[0] || null;
+  }
+
+  const email = normalizeEmailKey(lead.caller_email) || normalizeEmailKey(client?.client_email);
+  const phone = normalizePhoneForMeta(lead.from_number) || normalizePhoneForMeta(client?.client_phone);
+  const [clicks, settings] = await Promise.all([findClickIds(ownerId, lead, email), getOfflineConversionSettings(ownerId)]);
+
+  const { rows } = await query(
+    `INSERT INTO offline_conversions
+       (owner_user_id, call_id, active_client_id, trigger, gclid, fbclid, click_source, clicked_at,
+        email_sha256, phone_sha256, conversion_time, value, currency)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), $11, $12)
+     ON CONFLICT (owner_user_id, call_id) DO UPDATE SET
+       active_client_id = COALESCE(EXCLUDED.active_client_id, offline_conversions.active_client_id),
+       gclid = COALESCE(offline_conversions.gclid, EXCLUDED.gclid),
+       fbclid = COALESCE(offline_conversions.fbclid, EXCLUDED.fbclid),
+       click_source = COALESCE(offline_conversions.click_source, EXCLUDED.click_source),
+       clicked_at = COALESCE(offline_conversions.clicked_at, EXCLUDED.clicked_at),
+       email_sha256 = COALESCE(offline_conversions.email_sha256, EXCLUDED.email_sha256),
+       phone_sha256 = COALESCE(offline_conversions.phone_sha256, EXCLUDED.phone_sha256),
+       value = COALESCE(EXCLUDED.value, offline_conversions.value),
+       updated_at = NOW()
+     WHERE offline_conversions.google_export_id IS NULL AND offline_conversions.meta_export_id IS NULL
+     RETURNING *`,
+    [
+      ownerId,
+      callId,
+      client?.id || null,
+      trigger,
+      clicks?.gclid || null,
+      clicks?.fbclid || null,
+      clicks?.click_source || null,
+      clicks?.clicked_at || null,
+      sha256(email),
+      sha256(phone),
+      client?.value ?? null,
+      settings.currency
+    ]
+  );
+  return rows[0] || null;
+}
+
+// ============================================================================
+// File Builders
+// ============================================================================
+
+// yyyy-MM-dd HH:mm:ss+0000, the Google Ads import format with an explicit offset
+function formatGoogleTime(date) {
+  return `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')}+0000`;
+}
+
+export function buildGoogleAdsCsv(conversions, settings) {
+  const headers = ['Google Click ID', 'Conversion Name', 'Conversion Time', 'Conversion Value', 'Conversion Currency'];
+  const lines = conversions.map((row) => [
+    row.gclid,
+    settings.google_conversion_name,
+    formatGoogleTime(row.conversion_time),
+    row.value === null || row.value === undefined ? '' : Number(row.value).toFixed(2),
+    row.currency
+  ]);
+  return [headers.map(escapeCsv).join(','), ...lines.map((line) => line.map(escapeCsv).join(','))].join('\n');
+}
+
+export function buildMetaPayload(conversions, settings) {
+  const data = conversions.map((row) => {
+    const userData = {};
+    if (row.email_sha256) userData.em = [row.email_sha256];
+    if (row.phone_sha256) userData.ph = [row.phone_sha256];
+    if (row.fbclid) userData.fbc = `fb.1.${new Date(row.clicked_at || row.conversion_time).getTime()}.${row.fbclid}`;
+    const event = {
+      event_name: settings.meta_event_name,
+      event_time: Math.floor(new Date(row.conversion_time).getTime() / 1000),
+      // Same id on a re-upload lets Meta deduplicate
+      event_id: `offline-${row.id}`,
+      action_source: 'system_generated',
+      user_data: userData
+    };
+    if (row.value !== null && row.value !== undefined) event.custom_data = { value: Number(row.value), currency: row.currency };
+    return event;
+  });
+  return JSON.stringify({ data }, null, 2);
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+const PENDING_CONDITIONS = {
+  google_ads: `c.google_export_id IS NULL AND c.gclid IS NOT NULL
+    AND c.conversion_time >= NOW() - INTERVAL '${GOOGLE_MAX_AGE_DAYS} days'`,
+  meta: `c.meta_export_id IS NULL
+    AND (c.fbclid IS NOT NULL OR c.email_sha256 IS NOT NULL OR c.phone_sha256 IS NOT NULL)
+    AND c.conversion_time >= NOW() - INTERVAL '${META_MAX_AGE_DAYS} days'`
+};
+const EXPORT_COLUMN = { google_ads: 'google_export_id', meta: 'meta_export_id' };
+
+/**
+ * Build one export file from pending conversions and claim them.
+ * @returns {Promise<Object|null>} export row (without content), or null when nothing is pending
+ */
+export async function createOfflineConversionExport(ownerId, destination, { trigger = 'manual', userId, settings } = {}) {
+  if (!EXPORT_DESTINATIONS.includes(destination)) throw httpError(400, `destination must be one of: ${EXPORT_DESTINATIONS.join(', ')}`);
+  const config = settings || (await getOfflineConversionSettings(ownerId));
+  if (destination === 'google_ads' && !config.google_conversion_name) {
+    throw httpError(400, 'Set the Google Ads conversion name before exporting');
+  }
+
+  const client = await getClient();
+  try {
+    await client.query('BEGIN');
+    // SKIP LOCKED: a concurrent export of the same destination takes the other rows
+    const { rows: pending } = await client.query(
+      `SELECT c.* FROM offline_conversions c
+       WHERE c.owner_user_id = $1 AND ${PENDING_CONDITIONS[destination]}
+       ORDER BY c.conversion_time ASC
+       LIMIT ${MAX_ROWS_PER_EXPORT}
+       FOR UPDATE SKIP LOCKED`,
+      [ownerId]
+    );
+    if (!pending.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const file = DESTINATION_FILES[destination];
+    const content = destination === 'google_ads' ? buildGoogleAdsCsv(pending, config) : buildMetaPayload(pending, config);
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    const { rows: exportRows } = await client.query(
+      `INSERT INTO offline_conversion_exports
+         (owner_user_id, destination, trigger, file_name, content_type, content, row_count, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, destination, trigger, file_name, row_count, created_at, downloaded_at`,
+      [
+        ownerId,
+        destination,
+        trigger,
+        `${file.prefix}-${stamp}.${file.extension}`,
+        file.contentType,
+        content,
+        pending.length,
+        userId || null
+      ]
+    );
+    await client.query(`UPDATE offline_conversions SET ${EXPORT_COLUMN[destination]} = $1 WHERE id = ANY($2::uuid[])`, [
+      exportRows[0].id,
+      pending.map((row) => row.id)
+    ]);
+
+    await client.query('COMMIT');
+    return exportRows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Scheduled run: one file per destination for every client with exports enabled.
+ * Google Ads is skipped for clients without a conversion name.
+ */
+export async function runOfflineConversionExports() {
+  if (exportRunning) return { skipped: true };
+  exportRunning = true;
+  const totals = { accounts: 0, exports: 0, conversions: 0, failed: 0 };
+  try {
+    const { rows: settingsRows } = await query('SELECT * FROM offline_conversion_settings WHERE enabled = TRUE');
+    for (const settings of settingsRows) {
+      const ownerId = settings.owner_user_id;
+      try {
+        for (const destination of EXPORT_DESTINATIONS) {
+          if (destination === 'google_ads' && !settings.google_conversion_name) continue;
+          const created = await createOfflineConversionExport(ownerId, destination, { trigger: 'scheduled', settings });
+          if (created) {
+            totals.exports++;
+            totals.conversions += created.row_count;
+          }
+        }
+        totals.accounts++;
+      } catch (err) {
+        totals.failed++;
+        console.error('[offline-conversions:export]', { ownerId, error: err.message });
+      }
+    }
+    return totals;
+  } finally {
+    exportRunning = false;
+  }
+}
+
+// ============================================================================
+// Listing & Download
+// ============================================================================
+
+function parseListLimit(limit) {
+  return Math.min(MAX_LIST_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIST_LIMIT));
+}
+
+/**
+ * Captured conversions, newest first, with where they have been exported.
+ */
+export async function listOfflineConversions(ownerId, { limit } = {}) {
+  const { rows } = await query(
+    `SELECT c.id, c.call_id, c.trigger, c.conversion_time, c.value::float AS value, c.currency,
+            c.gclid IS NOT NULL AS has_gclid, c.fbclid IS NOT NULL AS has_fbclid, c.click_source,
+            (c.email_sha256 IS NOT NULL OR c.phone_sha256 IS NOT NULL) AS has_contact_hash,
+            c.google_export_id, c.meta_export_id, c.created_at,
+            cl.meta->>'caller_name' AS caller_name, cl.from_number,
+            COALESCE(NULLIF(cl.meta->>'source', ''), 'Unknown') AS source
+     FROM offline_conversions c
+     JOIN call_logs cl ON cl.call_id = c.call_id
+     WHERE c.owner_user_id = $1
+     ORDER BY c.conversion_time DESC
+     LIMIT $2`,
+    [ownerId, parseListLimit(limit)]
+  );
+  return rows;
+}
+
+export async function listOfflineConversionExports(ownerId, { limit } = {}) {
+  const { rows } = await query(
+    `SELECT id, destination, trigger, file_name, row_count, created_at, downloaded_at
+     FROM offline_conversion_exports
+     WHERE owner_user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [ownerId, parseListLimit(limit)]
+  );
+  return rows;
+}
+
+/**
+ * Export file for download; the first download is recorded.
+ * @returns {Promise<{file_name: string, content_type: string, content: string}>}
+ */
+export async function getOfflineConversionExportFile(ownerId, exportId) {
+  if (!/^[0-9a-f-]{36}$/i.test(String(exportId))) throw httpError(404, 'Export not found');
+  const { rows } = await query(
+    `UPDATE offline_conversion_exports
+     SET downloaded_at = COALESCE(downloaded_at, NOW())
+     WHERE id = $1 AND owner_user_id = $2
+     RETURNING file_name, content_type, content`,
+    [exportId, ownerId]
+  );
+  if (!rows.length) throw httpError(404, 'Export not found');
+  return rows[0];
+}
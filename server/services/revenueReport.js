@@ -0,0 +1,260 @@
+/**
+ * Revenue Report Service
+ *
+ * Revenue from agreed services (client_services.agreed_price) of a client's active clients:
+ * - By month, service and lead source over a date range (client_services.agreed_date).
+ *   Source is active_clients.source, else funnel_data.source. Redacted services keep their
+ *   price but are grouped as "Redacted" instead of by service.
+ * - Lifetime value per active client: every agreed service, all time.
+ * - Repeat business: follow-on journeys (client_journeys.parent_journey_id) and services agreed
+ *   on a later day than the client's first agreement. Monthly revenue is split into new
+ *   (the first agreement day) and repeat.
+ */
+
+import { query } from '../db.js';
+import { httpError } from '../utils/httpError.js';
+import { ratio, median, parseDateParam, defaultFromDate } from '../utils/reports.js';
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const TOP_CLIENT_LIMIT = 10;
+const UNKNOWN_SOURCE = 'Unknown';
+const REDACTED_SERVICE = 'Redacted';
+
+function money(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function monthKey(date) {
+  return new Date(date).toISOString().slice(0, 7);
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Every YYYY-MM from `from` through `to`, so months without revenue still chart
+function monthsBetween(fromDate, toDate) {
+  const months = [];
+  const cursor = new Date(Date.UTC(fromDate.getUTCFullYear(), fromDate.getUTCMonth(), 1));
+  while (cursor < toDate) {
+    months.push(monthKey(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+// ============================================================================
+// Data
+// ============================================================================
+
+async function loadClients(ownerId) {
+  const { rows } = await query(
+    `SELECT ac.id, ac.client_name, ac.status, ac.archived_at,
+            COALESCE(NULLIF(TRIM(ac.source), ''), NULLIF(TRIM(ac.funnel_data->>'source'), ''), $2) AS source,
+            COALESCE(j.journeys, 0) AS journeys, COALESCE(j.repeat_journeys, 0) AS repeat_journeys
+     FROM active_clients ac
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*)::int AS journeys, COUNT(*) FILTER (WHERE cj.parent_journey_id IS NOT NULL)::int AS repeat_journeys
+       FROM client_journeys cj
+       WHERE cj.active_client_id = ac.id
+     ) j ON TRUE
+     WHERE ac.owner_user_id = $1`,
+    [ownerId, UNKNOWN_SOURCE]
+  );
+  return rows;
+}
+
+async function loadServices(ownerId) {
+  const { rows } = await query(
+    `SELECT cs.active_client_id, cs.agreed_date, COALESCE(cs.agreed_price, 0)::float AS price,
+            CASE WHEN cs.redacted_at IS NULL THEN cs.service_id END AS service_id,
+            CASE WHEN cs.redacted_at IS NULL THEN s.name END AS service_name
+     FROM client_services cs
+     JOIN active_clients ac ON ac.id = cs.active_client_id
+     LEFT JOIN services s ON s.id = cs.service_id
+     WHERE ac.owner_user_id = $1
+     ORDER BY cs.agreed_date ASC`,
+    [ownerId]
+  );
+  return rows;
+}
+
+// ============================================================================
+// Aggregation
+// ============================================================================
+
+/**
+ * Lifetime totals per client; marks each service new (first agreement day) or repeat.
+ */
+function buildClientLifetimes(clients, services) {
+  const byId = new Map(
+    clients.map((client) => [
+      client.id,
+      { ...client, ltv: 0, services: 0, repeat_services: 0, first_agreed_at: null, last_agreed_at: null }
+    ])
+  );
+  services.forEach((service) => {
+    const client = byId.get(service.active_client_id);
+    if (!client) return;
+    if (!client.first_agreed_at) client.first_agreed_at = service.agreed_date;
+    service.repeat = dayKey(service.agreed_date) !== dayKey(client.first_agreed_at);
+    client.last_agreed_at = service.agreed_date;
+    client.ltv += service.price;
+    client.services++;
+    if (service.repeat) client.repeat_services++;
+  });
+  return [...byId.values()]
+    .filter((client) => client.services > 0)
+    .map((client) => ({
+      ...client,
+      ltv: money(client.ltv),
+      is_repeat: client.repeat_journeys > 0 || client.repeat_services > 0
+    }));
+}
+
+function addToGroup(map, key, fields, service) {
+  if (!map.has(key)) map.set(key, { ...fields, revenue: 0, services: 0, clientIds: new Set() });
+  const group = map.get(key);
+  group.revenue += service.price;
+  group.services++;
+  group.clientIds.add(service.active_client_id);
+}
+
+function finishGroups(map) {
+  return [...map.values()]
+    .map(({ clientIds, ...group }) => ({ ...group, revenue: money(group.revenue), clients: clientIds.size }))
+    .sort((a, b) => b.revenue - a.revenue);
+}
+
+function summarizeLifetimes(lifetimes) {
+  const repeatClients = lifetimes.filter((client) => client.is_repeat).length;
+  const total = lifetimes.reduce((sum, client) => sum + client.ltv, 0);
+  const bySource = new Map();
+  lifetimes.forEach((client) => {
+    if (!bySource.has(client.source)) bySource.set(client.source, { source: client.source, clients: 0, total: 0 });
+    const group = bySource.get(client.source);
+    group.clients++;
+    group.total += client.ltv;
+  });
+  return {
+    clients: lifetimes.length,
+    total_revenue: money(total),
+    avg_ltv: lifetimes.length ? money(total / lifetimes.length) : null,
+    median_ltv: lifetimes.length ? money(median(lifetimes.map((client) => client.ltv))) : null,
+    repeat_clients: repeatClients,
+    repeat_rate: ratio(repeatClients, lifetimes.length),
+    repeat_journeys: lifetimes.reduce((sum, client) => sum + client.repeat_journeys, 0),
+    avg_services_per_client: lifetimes.length
+      ? Math.round((lifetimes.reduce((sum, client) => sum + client.services, 0) / lifetimes.length) * 10) / 10
+      : null,
+    by_source: [...bySource.values()]
+      .map(({ total: sourceTotal, ...group }) => ({ ...group, avg_ltv: money(sourceTotal / group.clients) }))
+      .sort((a, b) => b.avg_ltv - a.avg_ltv),
+    top_clients: [...lifetimes]
+      .sort((a, b) => b.ltv - a.ltv)
+      .slice(0, TOP_CLIENT_LIMIT)
+      .map((client) => ({
+        id: client.id,
+        client_name: client.client_name,
+        source: client.source,
+        status: client.status,
+        archived: Boolean(client.archived_at),
+        ltv: client.ltv,
+        services: client.services,
+        repeat_services: client.repeat_services,
+        journeys: client.journeys,
+        repeat_journeys: client.repeat_journeys,
+        first_agreed_at: client.first_agreed_at,
+        last_agreed_at: client.last_agreed_at
+      }))
+  };
+}
+
+// ============================================================================
+// Report
+// ============================================================================
+
+/**
+ * Revenue for services agreed between from and to, plus lifetime value over all time.
+ * @param {Object} [options]
+ * @param {string} [options.from] - ISO date, default: start of the month 11 months ago
+ * @param {string} [options.to] - ISO date, default: now
+ */
+export async function getRevenueReport(ownerId, { from, to } = {}) {
+  const toDate = parseDateParam(to, 'to') || new Date();
+  const fromDate = parseDateParam(from, 'from') || defaultFromDate(toDate);
+  if (fromDate >= toDate) throw httpError(400, '"from" must be before "to"');
+  // The same length of time just before the range, for the change figure
+  const previousFrom = new Date(fromDate.getTime() - (toDate.getTime() - fromDate.getTime()));
+
+  const [clients, services] = await Promise.all([loadClients(ownerId), loadServices(ownerId)]);
+  const lifetimes = buildClientLifetimes(clients, services);
+  const sourceByClient = new Map(lifetimes.map((client) => [client.id, client.source]));
+  const firstAgreedByClient = new Map(lifetimes.map((client) => [client.id, new Date(client.first_agreed_at)]));
+
+  const months = new Map(
+    monthsBetween(fromDate, toDate).map((month) => [
+      month,
+      { month, revenue: 0, services: 0, new_revenue: 0, repeat_revenue: 0, by_service: {}, by_source: {} }
+    ])
+  );
+  const byService = new Map();
+  const bySource = new Map();
+  const rangeClients = new Set();
+  let revenue = 0;
+  let previousRevenue = 0;
+  let rangeServices = 0;
+
+  services.forEach((service) => {
+    const agreedAt = new Date(service.agreed_date);
+    if (agreedAt >= previousFrom && agreedAt < fromDate) previousRevenue += service.price;
+    if (agreedAt < fromDate || agreedAt >= toDate) return;
+
+    const serviceName = service.service_id ? service.service_name : REDACTED_SERVICE;
+    const source = sourceByClient.get(service.active_client_id) || UNKNOWN_SOURCE;
+    revenue += service.price;
+    rangeServices++;
+    rangeClients.add(service.active_client_id);
+
+    const month = months.get(monthKey(agreedAt));
+    if (month) {
+      month.revenue += service.price;
+      month.services++;
+      month[service.repeat ? 'repeat_revenue' : 'new_revenue'] += service.price;
+      month.by_service[serviceName] = (month.by_service[serviceName] || 0) + service.price;
+      month.by_source[source] = (month.by_source[source] || 0) + service.price;
+    }
+    addToGroup(byService, service.service_id || REDACTED_SERVICE, { service_id: service.service_id, service_name: serviceName }, service);
+    addToGroup(bySource, source, { source }, service);
+  });
+
+  const newClients = [...rangeClients].filter((id) => firstAgreedByClient.get(id) >= fromDate).length;
+  const roundValues = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [key, money(value)]));
+
+  return {
+    range: { from: fromDate.toISOString(), to: toDate.toISOString() },
+    summary: {
+      revenue: money(revenue),
+      services: rangeServices,
+      clients: rangeClients.size,
+      new_clients: newClients,
+      avg_service_value: rangeServices ? money(revenue / rangeServices) : null,
+      previous_revenue: money(previousRevenue),
+      revenue_change: previousRevenue ? Math.round(((revenue - previousRevenue) / previousRevenue) * 1000) / 1000 : null
+    },
+    by_month: [...months.values()].map((month) => ({
+      ...month,
+      revenue: money(month.revenue),
+      new_revenue: money(month.new_revenue),
+      repeat_revenue: money(month.repeat_revenue),
+      by_service: roundValues(month.by_service),
+      by_source: roundValues(month.by_source)
+    })),
+    by_service: finishGroups(byService),
+    by_source: finishGroups(bySource),
+    lifetime: summarizeLifetimes(lifetimes)
+  };
+}
@@ -30,6 +30,16 @@ const RATE_LIMIT_CONFIG = {
     maxAttempts: 5,
     windowMinutes: 60,
     lockoutMinutes: 60
+  },
+  form_submit_ip: {
+    maxAttempts: parseInt(process.env.FORM_SUBMIT_RATE_LIMIT_IP_MAX || '20', 10),
+    windowMinutes: 10,
+    lockoutMinutes: 15
+  },
+  form_draft_ip: {
+    maxAttempts: parseInt(process.env.FORM_DRAFT_RATE_LIMIT_IP_MAX || '30', 10),
+    windowMinutes: 10,
+    lockoutMinutes: 15
   }
 };
 
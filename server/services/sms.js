@@ -0,0 +1,80 @@
+/**
+ * SMS Service
+ *
+ * Small provider interface so text messages can go through any gateway. A provider is an
+ * object with `send({ to, body }) => Promise<{ id }>`. SMS_PROVIDER picks the active one.
+ * The built-in `stub` provider only logs that a message was sent, and is the fallback
+ * outside production; it never counts as configured, so nothing treats its texts as delivered.
+ */
+
+import crypto from 'crypto';
+
+// ============================================================================
+// Providers
+// ============================================================================
+
+const stubProvider = {
+  async send({ body }) {
+    const id = `stub-${crypto.randomUUID()}`;
+    console.log('[sms:stub]', { id, length: body.length });
+    return { id };
+  }
+};
+
+const providers = new Map([['stub', stubProvider]]);
+
+/**
+ * Register an SMS gateway under a name usable in SMS_PROVIDER.
+ * @param {string} name
+ * @param {{ send: (message: { to: string, body: string }) => Promise<{ id: string }> }} provider
+ */
+export function registerSmsProvider(name, provider) {
+  if (!name || typeof provider?.send !== 'function') {
+    throw new Error('SMS provider needs a name and a send() function');
+  }
+  providers.set(name, provider);
+}
+
+export function getSmsProviderName() {
+  if (process.env.SMS_PROVIDER) return process.env.SMS_PROVIDER;
+  return process.env.NODE_ENV === 'production' ? null : 'stub';
+}
+
+/**
+ * Whether texts are actually delivered: a registered provider other than the stub.
+ */
+export function isSmsConfigured() {
+  const name = getSmsProviderName();
+  return Boolean(name) && name !== 'stub' && providers.has(name);
+}
+
+// ============================================================================
+// Sending
+// ============================================================================
+
+/**
+ * E.164-style number; 10-digit numbers are assumed to be US.
+ */
+export function normalizeSmsNumber(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length >= 11 && digits.length <= 15) return `+${digits}`;
+  return null;
+}
+
+/**
+ * Send a text through the configured provider.
+ * @returns {Promise<{ id: string, provider: string, to: string }>}
+ */
+export async function sendSms({ to, body }) {
+  const providerName = getSmsProviderName();
+  const provider = providers.get(providerName);
+  if (!providerName) throw new Error('Text messaging is not configured');
+  if (!provider) throw new Error(`SMS provider "${providerName}" is not registered`);
+  const number = normalizeSmsNumber(to);
+  if (!number) throw new Error('A valid phone number is required');
+  if (!body || !String(body).trim()) throw new Error('Message body is required');
+
+  const result = await provider.send({ to: number, body: String(body) });
+  return { id: result?.id || null, provider: providerName, to: number };
+}
@@ -567,6 +567,7 @@ ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'client';
 ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
 ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
 ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS ctm_account_number TEXT;
+CREATE INDEX IF NOT EXISTS idx_client_profiles_ctm_account ON client_profiles(ctm_account_number);
 ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS ctm_api_key TEXT;
 ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS ctm_api_secret TEXT;
 ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS ai_prompt TEXT;
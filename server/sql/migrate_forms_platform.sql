@@ -155,6 +155,8 @@ CREATE TABLE IF NOT EXISTS form_pdf_artifacts (
 );
 
 CREATE INDEX IF NOT EXISTS idx_form_pdf_artifacts_submission ON form_pdf_artifacts(submission_id);
+-- Key used to encrypt the stored file (NULL = stored unencrypted)
+ALTER TABLE form_pdf_artifacts ADD COLUMN IF NOT EXISTS encryption_key_id TEXT;
 
 -- Audit logs for compliance
 CREATE TABLE IF NOT EXISTS form_audit_logs (
@@ -242,7 +244,18 @@ INSERT INTO form_ctm_allowed_fields (field_name, description) VALUES
   ('submission_id', 'Submission identifier'),
   ('timestamp', 'Submission timestamp'),
   ('page_url', 'Page URL where form was embedded'),
-  ('conversion_type', 'Type of conversion (contact, intake, etc.)')
+  ('conversion_type', 'Type of conversion (contact, intake, etc.)'),
+  ('gclid', 'Google Ads click ID'),
+  ('fbclid', 'Meta click ID'),
+  ('msclkid', 'Microsoft Ads click ID'),
+  -- Lead contact details (only conversion forms are forwarded to CTM)
+  ('caller_name', 'Lead name'),
+  ('name', 'Lead name'),
+  ('first_name', 'Lead first name'),
+  ('last_name', 'Lead last name'),
+  ('phone_number', 'Lead phone number'),
+  ('phone', 'Lead phone number'),
+  ('email', 'Lead email address')
 ON CONFLICT (field_name) DO NOTHING;
 
 -- Trigger to update updated_at on forms
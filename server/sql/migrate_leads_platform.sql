@@ -0,0 +1,376 @@
+-- ============================================================================
+-- Leads Platform - Database Migration
+-- ============================================================================
+-- Idempotent (IF NOT EXISTS); runs on every server start.
+-- 1. Scheduled CTM sync: per-account backoff state and run history
+-- 2. Classifier evaluation: human category labels and prompt sandbox runs
+-- 3. Lead identity: duplicate merges (undoable) and dismissed suggestions
+-- 4. Pipeline stage history: every stage transition, for the conversion funnel
+-- 5. Lead SLA: per-client follow-up timers and the callback tasks they generate
+-- 6. Full-text search over call transcripts, summaries and lead notes
+-- 7. Marketing attribution: monthly ad spend per channel (cost per lead)
+-- 8. Offline conversions: won leads with click ids, and the Google Ads / Meta export log
+-- 9. Journey automation: due journey steps sent by email / SMS
+-- 10. Journey template library: named templates per service, with branching steps
+-- 11. Data retention: per-client retention policies and the retention audit log
+-- ============================================================================
+
+-- ============================================================================
+-- Scheduled CTM Sync
+-- client_profiles.ctm_sync_cursor is shared with manual sync; the columns below
+-- only track the background loop's per-account backoff.
+-- ============================================================================
+ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS ctm_sync_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE client_profiles ADD COLUMN IF NOT EXISTS ctm_sync_backoff_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS ctm_sync_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  trigger TEXT NOT NULL DEFAULT 'scheduled' CHECK (trigger IN ('scheduled', 'manual')),
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'success', 'failed', 'rate_limited')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  calls_fetched INTEGER NOT NULL DEFAULT 0,
+  new_calls INTEGER NOT NULL DEFAULT 0,
+  updated_calls INTEGER NOT NULL DEFAULT 0,
+  cursor_before TIMESTAMPTZ,
+  cursor_after TIMESTAMPTZ,
+  error TEXT,
+  backoff_until TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_ctm_sync_runs_user_started ON ctm_sync_runs(user_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ctm_sync_runs_started ON ctm_sync_runs(started_at DESC);
+
+-- ============================================================================
+-- Classifier Evaluation
+-- call_category_labels records every category a person sets (PUT /calls/:id/category)
+-- so prompts can be scored against human judgement; classifier_eval_runs stores
+-- sandbox replays of a draft prompt over stored transcripts.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS call_category_labels (
+  call_id TEXT PRIMARY KEY REFERENCES call_logs(call_id) ON DELETE CASCADE,
+  owner_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  previous_category TEXT,
+  labeled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  labeled_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_call_category_labels_owner ON call_category_labels(owner_user_id);
+
+CREATE TABLE IF NOT EXISTS classifier_eval_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  prompt TEXT NOT NULL,
+  sample TEXT NOT NULL CHECK (sample IN ('labeled', 'recent', 'selected')),
+  requested_limit INTEGER,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  total_calls INTEGER NOT NULL DEFAULT 0,
+  processed_calls INTEGER NOT NULL DEFAULT 0,
+  metrics_json JSONB NOT NULL DEFAULT '{}'::jsonb,
+  results_json JSONB NOT NULL DEFAULT '[]'::jsonb,
+  error TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  applied_at TIMESTAMPTZ,
+  applied_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_classifier_eval_runs_client ON classifier_eval_runs(client_id, created_at DESC);
+
+-- ============================================================================
+-- Lead Identity
+-- A merged call_logs row points at the surviving lead and drops out of lead lists;
+-- the survivor gets merged_at, so CTM upserts keep its merged caller type, client link
+-- and call sequence.
+-- lead_merges.snapshot holds everything needed to undo the merge (moved notes,
+-- tags, journeys and the survivor's previous stage/link).
+-- ============================================================================
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS merged_into_call_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_call_logs_merged_into ON call_logs(merged_into_call_id) WHERE merged_into_call_id IS NOT NULL;
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS merged_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS lead_merges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  survivor_call_id TEXT NOT NULL,
+  merged_call_ids TEXT[] NOT NULL,
+  match_reasons TEXT[] NOT NULL DEFAULT '{}',
+  snapshot JSONB NOT NULL DEFAULT '{}'::jsonb,
+  merged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  undone_at TIMESTAMPTZ,
+  undone_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_lead_merges_owner ON lead_merges(owner_user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS lead_duplicate_dismissals (
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  cluster_key TEXT NOT NULL,
+  dismissed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  dismissed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (owner_user_id, cluster_key)
+);
+
+-- ============================================================================
+-- Pipeline Stage History
+-- One row per change of call_logs.pipeline_stage_id (manual move, merge, undo,
+-- stage deletion). Stage names are copied so history survives stage deletion.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS lead_stage_transitions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  call_id TEXT NOT NULL REFERENCES call_logs(call_id) ON DELETE CASCADE,
+  from_stage_id UUID REFERENCES lead_pipeline_stages(id) ON DELETE SET NULL,
+  to_stage_id UUID REFERENCES lead_pipeline_stages(id) ON DELETE SET NULL,
+  from_stage_name TEXT,
+  to_stage_name TEXT,
+  source TEXT NOT NULL DEFAULT 'manual',
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_lead_stage_transitions_call ON lead_stage_transitions(call_id, changed_at);
+CREATE INDEX IF NOT EXISTS idx_lead_stage_transitions_owner ON lead_stage_transitions(owner_user_id, changed_at DESC);
+
+-- ============================================================================
+-- Lead SLA
+-- Opt-in per client. Missed/voicemail calls and leads left in the first pipeline
+-- stage get a callback item on the client's task board; lead_sla_tasks tracks the
+-- deadline, completion and escalation of each one. Only leads that arrive after
+-- the SLA was enabled are tracked.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS lead_sla_settings (
+  owner_user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  enabled_at TIMESTAMPTZ,
+  callback_minutes INTEGER NOT NULL DEFAULT 30 CHECK (callback_minutes > 0),
+  -- NULL turns off tasks for leads left in the first stage
+  first_stage_hours INTEGER CHECK (first_stage_hours > 0),
+  escalation_minutes INTEGER NOT NULL DEFAULT 60 CHECK (escalation_minutes > 0),
+  assignee_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS lead_sla_tasks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  call_id TEXT NOT NULL REFERENCES call_logs(call_id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (reason IN ('missed_call', 'voicemail', 'stale_stage')),
+  task_item_id UUID REFERENCES task_items(id) ON DELETE SET NULL,
+  assignee_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed', 'cancelled')),
+  -- When the clock started: the missed call, or the lead going stale in the first stage
+  clock_started_at TIMESTAMPTZ NOT NULL,
+  due_at TIMESTAMPTZ NOT NULL,
+  completed_at TIMESTAMPTZ,
+  completed_via TEXT,
+  breached_at TIMESTAMPTZ,
+  escalation_level INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (call_id, reason)
+);
+CREATE INDEX IF NOT EXISTS idx_lead_sla_tasks_owner ON lead_sla_tasks(owner_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lead_sla_tasks_open ON lead_sla_tasks(due_at) WHERE status = 'open';
+
+-- ============================================================================
+-- Full-Text Search
+-- Generated tsvectors (English config) kept in sync by Postgres; GIN indexed.
+-- Caller name weighs most, then the AI summary, then transcript/message text.
+-- ============================================================================
+ALTER TABLE call_logs ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(meta->>'caller_name', '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(meta->>'classification_summary', '')), 'B') ||
+  setweight(to_tsvector('english', COALESCE(meta->>'transcript', '') || ' ' || COALESCE(meta->>'message', '')), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_call_logs_search ON call_logs USING GIN (search_vector);
+
+ALTER TABLE lead_notes ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  to_tsvector('english', COALESCE(body, ''))
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_lead_notes_search ON lead_notes USING GIN (search_vector);
+
+-- ============================================================================
+-- Marketing Attribution
+-- Spend entered per channel and month; channel names match the attribution
+-- report (CTM source, or the form channel derived from UTMs / click ids).
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS marketing_spend (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  channel TEXT NOT NULL,
+  -- First day of the month
+  month DATE NOT NULL CHECK (EXTRACT(DAY FROM month) = 1),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount >= 0),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (owner_user_id, channel, month)
+);
+CREATE INDEX IF NOT EXISTS idx_marketing_spend_owner ON marketing_spend(owner_user_id, month);
+
+-- ============================================================================
+-- Offline Conversions
+-- One row per won lead (won stage or agree-to-service). Each export claims its
+-- rows through google_export_id / meta_export_id, so nothing is sent twice.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS offline_conversion_settings (
+  owner_user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  google_conversion_name TEXT,
+  meta_event_name TEXT NOT NULL DEFAULT 'Purchase',
+  currency TEXT NOT NULL DEFAULT 'USD',
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS offline_conversion_exports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  destination TEXT NOT NULL CHECK (destination IN ('google_ads', 'meta')),
+  trigger TEXT NOT NULL DEFAULT 'scheduled' CHECK (trigger IN ('scheduled', 'manual')),
+  file_name TEXT NOT NULL,
+  content_type TEXT NOT NULL,
+  content TEXT NOT NULL,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  downloaded_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_offline_conversion_exports_owner ON offline_conversion_exports(owner_user_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS offline_conversions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  call_id TEXT NOT NULL REFERENCES call_logs(call_id) ON DELETE CASCADE,
+  active_client_id UUID REFERENCES active_clients(id) ON DELETE SET NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('won_stage', 'agree_to_service')),
+  gclid TEXT,
+  fbclid TEXT,
+  -- Where the click ids came from: 'call', 'form' or null
+  click_source TEXT,
+  -- When the call or form that carried the click id happened (Meta fbc)
+  clicked_at TIMESTAMPTZ,
+  -- SHA-256 of the normalized email / phone (Meta user_data); raw values are not stored
+  email_sha256 TEXT,
+  phone_sha256 TEXT,
+  conversion_time TIMESTAMPTZ NOT NULL,
+  value NUMERIC(12, 2),
+  currency TEXT NOT NULL DEFAULT 'USD',
+  google_export_id UUID REFERENCES offline_conversion_exports(id),
+  meta_export_id UUID REFERENCES offline_conversion_exports(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (owner_user_id, call_id)
+);
+CREATE INDEX IF NOT EXISTS idx_offline_conversions_google_pending ON offline_conversions(owner_user_id)
+  WHERE google_export_id IS NULL AND gclid IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_offline_conversions_meta_pending ON offline_conversions(owner_user_id)
+  WHERE meta_export_id IS NULL;
+
+-- ============================================================================
+-- Journey Automation
+-- Due client_journey_steps are sent through their channel (email, text/SMS).
+-- Steps due before automation was enabled are left for manual follow-up.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS journey_automation_settings (
+  owner_user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  enabled_at TIMESTAMPTZ,
+  -- Merge variables allowed, e.g. 'A quick follow-up from {{business_name}}'
+  email_subject TEXT NOT NULL DEFAULT 'Following up from {{business_name}}',
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE client_journey_steps
+  -- NULL until the scheduler finishes with the step
+  ADD COLUMN IF NOT EXISTS send_status TEXT CHECK (send_status IN ('sent', 'failed', 'skipped')),
+  ADD COLUMN IF NOT EXISTS send_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS sent_via TEXT[],
+  ADD COLUMN IF NOT EXISTS send_error TEXT;
+CREATE INDEX IF NOT EXISTS idx_client_journey_steps_due ON client_journey_steps(due_at)
+  WHERE completed_at IS NULL AND send_status IS NULL;
+
+-- ============================================================================
+-- Journey Template Library
+-- Named follow-up templates, at most one per service plus one default. Steps are
+-- stored as JSON ({ id, label, channel, message, offset_weeks, offset_days, branches }).
+-- Journey steps copied from a template keep their step_key and branches.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS journey_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  service_id UUID REFERENCES services(id) ON DELETE SET NULL,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  steps JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_templates_service ON journey_templates(owner_user_id, service_id)
+  WHERE service_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_journey_templates_default ON journey_templates(owner_user_id)
+  WHERE is_default;
+
+-- The single template previously kept in app_settings becomes each owner's default
+INSERT INTO journey_templates (owner_user_id, name, is_default, steps)
+SELECT u.id, 'Default follow-up', TRUE,
+       CASE WHEN jsonb_typeof(a.value) = 'array' THEN a.value ELSE COALESCE(a.value->'steps', '[]'::jsonb) END
+FROM app_settings a
+JOIN users u ON u.id::text = substring(a.key FROM length('journey_template:') + 1)
+WHERE a.key LIKE 'journey_template:%'
+ON CONFLICT (owner_user_id) WHERE is_default DO NOTHING;
+
+ALTER TABLE client_journeys
+  ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES journey_templates(id) ON DELETE SET NULL;
+
+ALTER TABLE client_journey_steps
+  -- Template step id, the target of branch 'goto' actions
+  ADD COLUMN IF NOT EXISTS step_key TEXT,
+  ADD COLUMN IF NOT EXISTS branches JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- Set when a branch jumped past the step or stopped the journey
+  ADD COLUMN IF NOT EXISTS skipped_at TIMESTAMPTZ,
+  -- Set when one of the step's branches was taken
+  ADD COLUMN IF NOT EXISTS branch_taken JSONB,
+  ADD COLUMN IF NOT EXISTS branch_resolved_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- Data Retention
+-- Per-client policy per entity (services, symptoms, transcripts, form PHI, lead
+-- notes): enabled, retain_days and redact or delete. Owners without a row use the
+-- defaults in server/services/dataRetention.js. Every run and policy change is
+-- written to retention_audit_log.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS retention_policies (
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  entity TEXT NOT NULL CHECK (entity IN ('services', 'symptoms', 'transcripts', 'form_phi', 'lead_notes')),
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  retain_days INTEGER NOT NULL CHECK (retain_days > 0),
+  action TEXT NOT NULL DEFAULT 'redact' CHECK (action IN ('redact', 'delete')),
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (owner_user_id, entity)
+);
+
+CREATE TABLE IF NOT EXISTS retention_audit_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- Groups the entries of one run
+  run_id UUID,
+  entity TEXT NOT NULL,
+  event TEXT NOT NULL CHECK (event IN ('redact', 'delete', 'policy_updated')),
+  retain_days INTEGER,
+  cutoff TIMESTAMPTZ,
+  affected_count INTEGER NOT NULL DEFAULT 0,
+  dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+  triggered_by TEXT NOT NULL CHECK (triggered_by IN ('schedule', 'manual')),
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_retention_audit_log_owner ON retention_audit_log(owner_user_id, created_at DESC);
+
+ALTER TABLE form_submissions ADD COLUMN IF NOT EXISTS phi_redacted_at TIMESTAMPTZ;
+ALTER TABLE lead_notes ADD COLUMN IF NOT EXISTS redacted_at TIMESTAMPTZ;
@@ -0,0 +1,10 @@
+/**
+ * Quote one CSV cell when it holds a comma, quote or line break; null/undefined become empty.
+ */
+export function escapeCsv(value) {
+  const str = String(value ?? '');
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
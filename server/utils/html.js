@@ -0,0 +1,11 @@
+/**
+ * Escape text for HTML bodies and quoted attributes; null/undefined become empty.
+ */
+export function escapeHtml(s) {
+  return String(s || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
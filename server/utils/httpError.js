@@ -0,0 +1,8 @@
+/**
+ * Error carrying an HTTP status; routes answer err.status with { message: err.message }.
+ */
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,38 @@
+import { httpError } from './httpError.js';
+
+// Report ranges without a `from` cover this many calendar months, the current one included
+const DEFAULT_REPORT_MONTHS = 12;
+
+/**
+ * Parse a ?from= / ?to= query value; empty is null, anything unparseable is a 400.
+ */
+export function parseDateParam(value, label) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `Invalid ${label} date`);
+  return date;
+}
+
+/**
+ * First day (UTC) of the month DEFAULT_REPORT_MONTHS - 1 months before `toDate`.
+ */
+export function defaultFromDate(toDate) {
+  return new Date(Date.UTC(toDate.getUTCFullYear(), toDate.getUTCMonth() - (DEFAULT_REPORT_MONTHS - 1), 1));
+}
+
+/**
+ * part / whole to three decimals, or null when there is nothing to divide by.
+ */
+export function ratio(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+/**
+ * Middle value of a list of numbers (mean of the two middle ones for even lengths), or null when empty.
+ */
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,6 @@
+/**
+ * Last 10 digits of a phone column, so +1 (555) 123-4567 and 5551234567 match.
+ */
+export function phoneKeySql(column) {
+  return `RIGHT(regexp_replace(COALESCE(${column}, ''), '\\D', '', 'g'), 10)`;
+}
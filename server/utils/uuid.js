@@ -0,0 +1,8 @@
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * True for a canonical UUID string; check ids before they reach a uuid column, where Postgres would throw.
+ */
+export function isUuid(value) {
+  return typeof value === 'string' && UUID_RE.test(value);
+}
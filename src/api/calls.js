@@ -58,11 +58,88 @@ export function exportLeadsCsv() {
   return client.get('/hub/calls/export', { responseType: 'blob' }).then((res) => res.data);
 }
 
+// Marketing attribution by channel (first and last touch)
+export function fetchAttributionReport(params = {}) {
+  return client.get('/hub/calls/attribution', { params }).then((res) => res.data.report);
+}
+
+// Attribution report CSV (returns blob); params: from, to, model, group
+export function exportAttributionCsv(params = {}) {
+  return client.get('/hub/calls/attribution/export', { params, responseType: 'blob' }).then((res) => res.data);
+}
+
+export function fetchMarketingSpend(params = {}) {
+  return client.get('/hub/calls/attribution/spend', { params }).then((res) => res.data.spend);
+}
+
+// amount null removes the entry
+export function saveMarketingSpend({ channel, month, amount }) {
+  return client.put('/hub/calls/attribution/spend', { channel, month, amount }).then((res) => res.data.entry);
+}
+
+export function fetchOfflineConversionSettings() {
+  return client.get('/hub/offline-conversions/settings').then((res) => res.data.settings);
+}
+
+export function saveOfflineConversionSettings(settings) {
+  return client.put('/hub/offline-conversions/settings', settings).then((res) => res.data.settings);
+}
+
+export function fetchOfflineConversions(params = {}) {
+  return client.get('/hub/offline-conversions', { params }).then((res) => res.data.conversions);
+}
+
+export function fetchOfflineConversionExports(params = {}) {
+  return client.get('/hub/offline-conversions/exports', { params }).then((res) => res.data.exports);
+}
+
+// Export pending conversions now; destination: google_ads | meta. Resolves { export, message }
+export function createOfflineConversionExport(destination) {
+  return client.post('/hub/offline-conversions/exports', { destination }).then((res) => res.data);
+}
+
+// Export file (returns blob)
+export function downloadOfflineConversionExport(exportId) {
+  return client.get(`/hub/offline-conversions/exports/${exportId}/download`, { responseType: 'blob' }).then((res) => res.data);
+}
+
 // Move lead to pipeline stage
 export function moveLeadToStage(callId, stageId) {
   return client.put(`/hub/calls/${callId}/stage`, { stage_id: stageId }).then((res) => res.data);
 }
 
+// Conversion funnel over pipeline stage history
+export function fetchLeadFunnel(params = {}) {
+  return client.get('/hub/leads/funnel', { params }).then((res) => res.data.report);
+}
+
+// Full-text search over transcripts, summaries and notes: { results, total, limit, offset }
+export function searchLeads(params = {}) {
+  return client.get('/hub/leads/search', { params }).then((res) => res.data);
+}
+
+// Lead SLA: settings (+ assignable users), follow-up tasks, compliance report
+export function fetchLeadSlaSettings() {
+  return client.get('/hub/leads/sla/settings').then((res) => res.data);
+}
+
+export function updateLeadSlaSettings(payload) {
+  return client.put('/hub/leads/sla/settings', payload).then((res) => res.data.settings);
+}
+
+export function fetchLeadSlaTasks(params = {}) {
+  return client.get('/hub/leads/sla/tasks', { params }).then((res) => res.data.tasks);
+}
+
+export function fetchLeadSlaReport(params = {}) {
+  return client.get('/hub/leads/sla/report', { params }).then((res) => res.data.report);
+}
+
+// Kanban board: leads grouped by pipeline stage, filtered like the list
+export function fetchLeadBoard(params = {}) {
+  return client.get('/hub/leads/board', { params }).then((res) => res.data);
+}
+
 // Link lead to active client
 export function linkLeadToClient(callId, activeClientId) {
   return client.post(`/hub/calls/${callId}/link-client`, { activeClientId }).then((res) => res.data);
@@ -156,3 +233,65 @@ export function removeTagFromCall(callId, tagId) {
 export function updateCallCategory(callId, category) {
   return client.put(`/hub/calls/${callId}/category`, { category }).then((res) => res.data);
 }
+
+// Scheduled CTM sync status (admin)
+export const CTM_SYNC_STATUS_COLORS = {
+  success: 'success',
+  running: 'info',
+  failed: 'error',
+  rate_limited: 'warning'
+};
+
+export function fetchCtmSyncStatus() {
+  return client.get('/hub/admin/ctm-sync').then((res) => res.data.clients || []);
+}
+
+export function fetchCtmSyncRuns(clientId, limit = 20) {
+  return client.get(`/hub/admin/ctm-sync/${clientId}/runs`, { params: { limit } }).then((res) => res.data.runs || []);
+}
+
+export function runCtmSyncNow(clientId) {
+  return client.post(`/hub/admin/ctm-sync/${clientId}/run`).then((res) => res.data.run);
+}
+
+// AI classifier prompt sandbox (admin)
+export function fetchClassifierOverview(clientId) {
+  return client.get(`/hub/admin/classifier/clients/${clientId}`).then((res) => res.data);
+}
+
+export function fetchClassifierEvals(clientId, limit = 20) {
+  return client.get('/hub/admin/classifier/evals', { params: { client_id: clientId, limit } }).then((res) => res.data.runs || []);
+}
+
+export function startClassifierEval(payload) {
+  return client.post('/hub/admin/classifier/evals', payload).then((res) => res.data.run);
+}
+
+export function fetchClassifierEval(runId) {
+  return client.get(`/hub/admin/classifier/evals/${runId}`).then((res) => res.data.run);
+}
+
+export function applyClassifierEvalPrompt(runId) {
+  return client.post(`/hub/admin/classifier/evals/${runId}/apply`).then((res) => res.data.run);
+}
+
+// Lead deduplication
+export function fetchDuplicateLeads() {
+  return client.get('/hub/leads/duplicates').then((res) => res.data.clusters || []);
+}
+
+export function dismissDuplicateLeads(key) {
+  return client.post('/hub/leads/duplicates/dismiss', { key }).then((res) => res.data);
+}
+
+export function mergeLeads({ survivorCallId, callIds, reasons = [] }) {
+  return client.post('/hub/leads/merge', { survivor_call_id: survivorCallId, call_ids: callIds, reasons }).then((res) => res.data.merge);
+}
+
+export function fetchLeadMerges(limit = 50) {
+  return client.get('/hub/leads/merges', { params: { limit } }).then((res) => res.data.merges || []);
+}
+
+export function undoLeadMerge(mergeId) {
+  return client.post(`/hub/leads/merges/${mergeId}/undo`).then((res) => res.data.merge);
+}
@@ -61,6 +61,9 @@ export const EMAIL_TYPE_LABELS = {
   blog_notification: 'Blog Notification',
   rush_job: 'Rush Job',
   form_submission: 'Form Submission',
+  form_draft_link: 'Form Resume Link',
+  form_draft_otp: 'Form Resume Code',
+  form_draft_resumed: 'Form Draft Resumed',
   unknown: 'Other'
 };
 
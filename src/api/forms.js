@@ -0,0 +1,182 @@
+import client from './client';
+
+// ============================================================================
+// Forms
+// ============================================================================
+
+/**
+ * Fetch forms. Staff see every form (optionally filtered by org_id); clients see their own.
+ * @param {Object} params - { status, org_id }
+ */
+export function fetchForms(params = {}) {
+  return client.get('/forms', { params }).then((res) => res.data.forms || []);
+}
+
+/**
+ * Fetch a form with its active_version and draft_version
+ */
+export function fetchForm(formId) {
+  return client.get(`/forms/${formId}`).then((res) => res.data.form);
+}
+
+// ============================================================================
+// Versions
+// ============================================================================
+
+/**
+ * Version history, newest first (no code or schema)
+ */
+export function fetchFormVersions(formId) {
+  return client.get(`/forms/${formId}/versions`).then((res) => res.data.versions || []);
+}
+
+export function fetchFormVersion(formId, versionId) {
+  return client.get(`/forms/${formId}/versions/${versionId}`).then((res) => res.data.version);
+}
+
+/**
+ * Save the draft version (created from the active version when there is no open draft)
+ * @param {Object} draft - { schema_json, react_code, css_code }
+ */
+export function saveFormDraft(formId, draft) {
+  return client.post(`/forms/${formId}/versions`, draft).then((res) => res.data.version);
+}
+
+/**
+ * @returns {Promise<{form: Object, version: Object}>}
+ */
+export function publishFormVersion(formId, versionId) {
+  return client.post(`/forms/${formId}/versions/${versionId}/publish`).then((res) => res.data);
+}
+
+/**
+ * Build a new draft version from a paper PDF (Document AI)
+ * @returns {Promise<{version: Object, field_count: number, section_count: number, page_count: number}>}
+ */
+export function importFormPdf(formId, file, instructions = '') {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (instructions) formData.append('instructions', instructions);
+  return client
+    .post(`/forms/${formId}/versions/import-pdf`, formData, { headers: { 'Content-Type': 'multipart/form-data' } })
+    .then((res) => res.data);
+}
+
+// ============================================================================
+// Submissions Inbox
+// ============================================================================
+
+function submissionParams(filters = {}) {
+  const params = {};
+  if (filters.kind && filters.kind !== 'all') params.kind = filters.kind;
+  if (filters.dateFrom) params.date_from = filters.dateFrom;
+  if (filters.dateTo) params.date_to = filters.dateTo;
+  if (filters.emailStatus && filters.emailStatus !== 'all') params.email_status = filters.emailStatus;
+  if (filters.ctmStatus && filters.ctmStatus !== 'all') params.ctm_status = filters.ctmStatus;
+  if (filters.embedDomain && filters.embedDomain !== 'all') params.embed_domain = filters.embedDomain;
+  return params;
+}
+
+/**
+ * Fetch a page of submissions (non-PHI values only)
+ * @param {string} formId
+ * @param {Object} filters - { kind, dateFrom, dateTo, emailStatus, ctmStatus, embedDomain }
+ * @param {Object} paging - { page, limit }
+ * @returns {Promise<{submissions: Array, fields: Array, embedDomains: Array, pagination: Object}>}
+ */
+export function fetchFormSubmissions(formId, filters = {}, { page = 1, limit = 25 } = {}) {
+  return client.get(`/forms/${formId}/submissions`, { params: { ...submissionParams(filters), page, limit } }).then((res) => ({
+    submissions: res.data.submissions || [],
+    fields: res.data.fields || [],
+    embedDomains: res.data.embed_domains || [],
+    pagination: res.data.pagination || null
+  }));
+}
+
+/**
+ * Download the filtered submissions as CSV (non-PHI fields only)
+ * @returns {Promise<Blob>}
+ */
+export function exportFormSubmissionsCsv(formId, filters = {}) {
+  return client
+    .get(`/forms/${formId}/submissions/export`, { params: submissionParams(filters), responseType: 'blob' })
+    .then((res) => res.data);
+}
+
+/**
+ * Fetch a single submission. Protected fields are decrypted and the view is audited (admins only).
+ */
+export function fetchFormSubmission(formId, submissionId) {
+  return client.get(`/forms/${formId}/submissions/${submissionId}`).then((res) => res.data.submission);
+}
+
+/**
+ * Fetch the audit timeline and jobs for a submission (admins only)
+ * @returns {Promise<{entries: Array, jobs: Array}>}
+ */
+export function fetchSubmissionTimeline(formId, submissionId) {
+  return client.get(`/forms/${formId}/submissions/${submissionId}/timeline`).then((res) => ({
+    entries: res.data.entries || [],
+    jobs: res.data.jobs || []
+  }));
+}
+
+/**
+ * Send the notification email or the CTM lead again
+ * @param {string} jobType - 'email_notification' | 'ctm_conversion'
+ */
+export function resendSubmissionJob(formId, submissionId, jobType) {
+  return client.post(`/forms/${formId}/submissions/${submissionId}/resend`, { job_type: jobType }).then((res) => res.data.job);
+}
+
+/**
+ * Requeue a failed job (e.g. PDF generation)
+ */
+export function retrySubmissionJob(formId, submissionId, jobId) {
+  return client.post(`/forms/${formId}/submissions/${submissionId}/jobs/${jobId}/retry`).then((res) => res.data.job);
+}
+
+// ============================================================================
+// Display Helpers
+// ============================================================================
+
+export const SUBMISSION_KIND_LABELS = {
+  conversion: 'Conversion',
+  intake: 'Intake',
+  draft: 'Draft'
+};
+
+export const DELIVERY_STATUS_COLORS = {
+  sent: 'success',
+  failed: 'error',
+  pending: 'default'
+};
+
+export const JOB_TYPE_LABELS = {
+  email_notification: 'Notification email',
+  ctm_conversion: 'CTM lead',
+  pdf_generation: 'PDF copy'
+};
+
+/**
+ * Human-readable labels for form_audit_logs actions
+ */
+export const FORM_AUDIT_ACTION_LABELS = {
+  'submission.created': 'Submitted',
+  'submission.viewed': 'Viewed',
+  'submission.ctm_sent': 'Sent to CTM',
+  'submission.job_failed': 'Job failed',
+  'submission.job_retried': 'Job retried',
+  'submission.job_resent': 'Resend requested',
+  'pdf.generated': 'PDF generated',
+  'pdf.downloaded': 'PDF downloaded',
+  'pdf.integrity_failed': 'PDF checksum mismatch'
+};
+
+/**
+ * Email/CTM delivery status from the submission's sent flag and error
+ */
+export function getDeliveryStatus(sent, error) {
+  if (sent) return 'sent';
+  return error ? 'failed' : 'pending';
+}
@@ -26,6 +26,11 @@ export function deleteJourneyStep(journeyId, stepId) {
   return client.delete(`/hub/journeys/${journeyId}/steps/${stepId}`).then((res) => res.data.journey);
 }
 
+// Send a step's message now (email / text); resolves the updated journey
+export function sendJourneyStep(journeyId, stepId) {
+  return client.post(`/hub/journeys/${journeyId}/steps/${stepId}/send`).then((res) => res.data.journey);
+}
+
 export function addJourneyNote(journeyId, body) {
   return client.post(`/hub/journeys/${journeyId}/notes`, { body }).then((res) => res.data.journey);
 }
@@ -38,8 +43,42 @@ export function saveJourneyTemplate(steps) {
   return client.put('/hub/journey-template', { steps }).then((res) => res.data.template || []);
 }
 
-export function applyJourneyTemplate(journeyId) {
-  return client.post(`/hub/journeys/${journeyId}/apply-template`).then((res) => res.data.journey);
+// Template library: the default template plus one per service
+export function fetchJourneyTemplates() {
+  return client.get('/hub/journey-templates').then((res) => res.data.templates || []);
+}
+
+export function createJourneyTemplate(payload) {
+  return client.post('/hub/journey-templates', payload).then((res) => res.data.template);
+}
+
+export function updateJourneyTemplate(id, payload) {
+  return client.put(`/hub/journey-templates/${id}`, payload).then((res) => res.data.template);
+}
+
+export function deleteJourneyTemplate(id) {
+  return client.delete(`/hub/journey-templates/${id}`).then((res) => res.data);
+}
+
+// Follow-up performance per template; params: from, to
+export function fetchJourneyAnalytics(params = {}) {
+  return client.get('/hub/journey-analytics', { params }).then((res) => res.data.report);
+}
+
+// Resolves { settings, merge_variables }
+export function fetchJourneyAutomation() {
+  return client.get('/hub/journey-automation').then((res) => res.data);
+}
+
+export function saveJourneyAutomation(settings) {
+  return client.put('/hub/journey-automation', settings).then((res) => res.data);
+}
+
+// Seeds steps from the journey's service template (or templateId when given)
+export function applyJourneyTemplate(journeyId, templateId = null) {
+  return client
+    .post(`/hub/journeys/${journeyId}/apply-template`, templateId ? { template_id: templateId } : {})
+    .then((res) => res.data.journey);
 }
 
 export function archiveJourney(journeyId) {
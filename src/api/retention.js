@@ -0,0 +1,24 @@
+import client from './client';
+
+// Effective retention policy per entity (services, symptoms, transcripts, form_phi, lead_notes)
+export function fetchRetentionPolicies() {
+  return client.get('/hub/retention/policies').then((res) => res.data.policies || []);
+}
+
+export function saveRetentionPolicies(policies) {
+  return client.put('/hub/retention/policies', { policies }).then((res) => res.data.policies || []);
+}
+
+// Rows each policy would redact or delete if applied now
+export function fetchRetentionPreview() {
+  return client.get('/hub/retention/preview').then((res) => res.data.preview || []);
+}
+
+// Apply enabled policies now; dryRun only counts (the run is still audited)
+export function runRetention({ dryRun = false } = {}) {
+  return client.post('/hub/retention/run', { dry_run: dryRun }).then((res) => res.data.run);
+}
+
+export function fetchRetentionAudit(params = {}) {
+  return client.get('/hub/retention/audit', { params }).then((res) => res.data.entries || []);
+}
@@ -0,0 +1,6 @@
+import client from './client';
+
+// Agreed-service revenue by month, service and source plus client lifetime value; params: from, to
+export function fetchRevenueReport(params = {}) {
+  return client.get('/hub/revenue', { params }).then((res) => res.data.report);
+}
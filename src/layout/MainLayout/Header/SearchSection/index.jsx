@@ -1,25 +1,74 @@
 import PropTypes from 'prop-types';
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 
 // material-ui
 import { useTheme } from '@mui/material/styles';
 import Avatar from '@mui/material/Avatar';
 import Card from '@mui/material/Card';
+import ClickAwayListener from '@mui/material/ClickAwayListener';
+import Divider from '@mui/material/Divider';
 import Grid from '@mui/material/Grid';
 import InputAdornment from '@mui/material/InputAdornment';
+import LinearProgress from '@mui/material/LinearProgress';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
 import OutlinedInput from '@mui/material/OutlinedInput';
+import Paper from '@mui/material/Paper';
 import Popper from '@mui/material/Popper';
+import Typography from '@mui/material/Typography';
 import Box from '@mui/material/Box';
 
 // third party
 import PopupState, { bindPopper, bindToggle } from 'material-ui-popup-state';
 
 // project imports
+import HighlightedSnippet from 'ui-component/extended/HighlightedSnippet';
 import Transitions from 'ui-component/extended/Transitions';
+import { searchLeads } from 'api/calls';
 
 // assets
 import { IconAdjustmentsHorizontal, IconSearch, IconX } from '@tabler/icons-react';
 
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+const PREVIEW_LIMIT = 5;
+
+// Full results live in the portal Leads tab; `lead` also opens that lead's drawer
+function leadSearchUrl(text, leadId) {
+  const params = new URLSearchParams({ tab: 'leads', q: text.trim() });
+  if (leadId) params.set('lead', leadId);
+  return `/portal?${params.toString()}`;
+}
+
+// Debounced preview search over transcripts, summaries and lead notes
+function useLeadSearchPreview(value) {
+  const [state, setState] = useState({ results: [], total: 0, loading: false, error: false });
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const text = value.trim();
+    const current = ++requestId.current;
+    if (text.length < MIN_QUERY_LENGTH) {
+      setState({ results: [], total: 0, loading: false, error: false });
+      return undefined;
+    }
+    setState((prev) => ({ ...prev, loading: true, error: false }));
+    const timer = setTimeout(() => {
+      searchLeads({ q: text, limit: PREVIEW_LIMIT })
+        .then((data) => {
+          if (current === requestId.current) setState({ results: data.results, total: data.total, loading: false, error: false });
+        })
+        .catch(() => {
+          if (current === requestId.current) setState({ results: [], total: 0, loading: false, error: true });
+        });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [value]);
+
+  return state;
+}
+
 function HeaderAvatar({ children, ref, ...others }) {
   const theme = useTheme();
 
@@ -44,9 +93,50 @@ function HeaderAvatar({ children, ref, ...others }) {
   );
 }
 
+// ==============================|| SEARCH RESULTS ||============================== //
+
+function SearchResults({ value, preview, onSelect }) {
+  const { results, total, loading, error } = preview;
+
+  return (
+    <Box sx={{ maxHeight: 420, overflowY: 'auto' }}>
+      {loading && <LinearProgress />}
+      {!loading && (error || !results.length) && (
+        <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+          {error ? 'Search failed' : 'No matching leads'}
+        </Typography>
+      )}
+      <List disablePadding>
+        {results.map((lead) => {
+          const snippet = lead.search?.snippets?.[0];
+          return (
+            <ListItemButton key={lead.id} onClick={() => onSelect(lead.id)} sx={{ display: 'block', py: 1 }}>
+              <Typography variant="subtitle2" noWrap>
+                {lead.caller_name || 'Unknown Caller'}
+                {lead.from_number ? ` · ${lead.from_number}` : ''}
+              </Typography>
+              {snippet && <HighlightedSnippet segments={snippet.segments} variant="caption" sx={{ display: 'block' }} />}
+            </ListItemButton>
+          );
+        })}
+      </List>
+      {total > 0 && (
+        <>
+          <Divider />
+          <ListItemButton onClick={() => onSelect(null)} sx={{ py: 1 }}>
+            <Typography variant="body2" color="secondary">
+              See all {total} result{total === 1 ? '' : 's'} for &quot;{value.trim()}&quot;
+            </Typography>
+          </ListItemButton>
+        </>
+      )}
+    </Box>
+  );
+}
+
 // ==============================|| SEARCH INPUT - MOBILE||============================== //
 
-function MobileSearch({ value, setValue, popupState }) {
+function MobileSearch({ value, setValue, popupState, onSubmit }) {
   const theme = useTheme();
 
   return (
@@ -54,7 +144,8 @@ function MobileSearch({ value, setValue, popupState }) {
       id="input-search-header"
       value={value}
       onChange={(e) => setValue(e.target.value)}
-      placeholder="Search"
+      onKeyDown={(e) => e.key === 'Enter' && onSubmit()}
+      placeholder="Search leads, transcripts & notes"
       startAdornment={
         <InputAdornment position="start">
           <IconSearch stroke={1.5} size="16px" />
@@ -62,7 +153,7 @@ function MobileSearch({ value, setValue, popupState }) {
       }
       endAdornment={
         <InputAdornment position="end">
-          <HeaderAvatar>
+          <HeaderAvatar title="Open in Leads" onClick={onSubmit}>
             <IconAdjustmentsHorizontal stroke={1.5} size="20px" />
           </HeaderAvatar>
           <Box sx={{ ml: 2 }}>
@@ -83,7 +174,7 @@ function MobileSearch({ value, setValue, popupState }) {
         </InputAdornment>
       }
       aria-describedby="search-helper-text"
-      slotProps={{ input: { 'aria-label': 'weight', sx: { bgcolor: 'transparent', pl: 0.5 } } }}
+      slotProps={{ input: { 'aria-label': 'search leads', sx: { bgcolor: 'transparent', pl: 0.5 } } }}
       sx={{ width: '100%', ml: 0.5, px: 2, bgcolor: 'background.paper' }}
     />
   );
@@ -92,7 +183,19 @@ function MobileSearch({ value, setValue, popupState }) {
 // ==============================|| SEARCH INPUT ||============================== //
 
 export default function SearchSection() {
+  const navigate = useNavigate();
   const [value, setValue] = useState('');
+  const [open, setOpen] = useState(false);
+  const anchorRef = useRef(null);
+  const preview = useLeadSearchPreview(value);
+  const hasQuery = value.trim().length >= MIN_QUERY_LENGTH;
+
+  // leadId null opens the full result list in the Leads tab
+  const handleSelect = (leadId) => {
+    if (!hasQuery) return;
+    setOpen(false);
+    navigate(leadSearchUrl(value, leadId));
+  };
 
   return (
     <>
@@ -117,9 +220,29 @@ export default function SearchSection() {
                         <Box sx={{ p: 2 }}>
                           <Grid container sx={{ alignItems: 'center', justifyContent: 'space-between' }}>
                             <Grid size="grow">
-                              <MobileSearch value={value} setValue={setValue} popupState={popupState} />
+                              <MobileSearch
+                                value={value}
+                                setValue={setValue}
+                                popupState={popupState}
+                                onSubmit={() => {
+                                  popupState.close();
+                                  handleSelect(null);
+                                }}
+                              />
                             </Grid>
                           </Grid>
+                          {hasQuery && (
+                            <Paper variant="outlined" sx={{ mt: 1 }}>
+                              <SearchResults
+                                value={value}
+                                preview={preview}
+                                onSelect={(leadId) => {
+                                  popupState.close();
+                                  handleSelect(leadId);
+                                }}
+                              />
+                            </Paper>
+                          )}
                         </Box>
                       </Card>
                     </Transitions>
@@ -130,33 +253,56 @@ export default function SearchSection() {
           )}
         </PopupState>
       </Box>
-      <Box sx={{ display: { xs: 'none', md: 'block' } }}>
-        <OutlinedInput
-          id="input-search-header"
-          value={value}
-          onChange={(e) => setValue(e.target.value)}
-          placeholder="Search"
-          startAdornment={
-            <InputAdornment position="start">
-              <IconSearch stroke={1.5} size="16px" />
-            </InputAdornment>
-          }
-          endAdornment={
-            <InputAdornment position="end">
-              <HeaderAvatar>
-                <IconAdjustmentsHorizontal stroke={1.5} size="20px" />
-              </HeaderAvatar>
-            </InputAdornment>
-          }
-          aria-describedby="search-helper-text"
-          slotProps={{ input: { 'aria-label': 'weight', sx: { bgcolor: 'transparent', pl: 0.5 } } }}
-          sx={{ width: { md: 250, lg: 434 }, ml: 2, px: 2 }}
-        />
-      </Box>
+      <ClickAwayListener onClickAway={() => setOpen(false)}>
+        <Box ref={anchorRef} sx={{ display: { xs: 'none', md: 'block' } }}>
+          <OutlinedInput
+            id="input-search-header"
+            value={value}
+            onChange={(e) => {
+              setValue(e.target.value);
+              setOpen(true);
+            }}
+            onFocus={() => setOpen(true)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSelect(null);
+              if (e.key === 'Escape') setOpen(false);
+            }}
+            placeholder="Search leads, transcripts & notes"
+            startAdornment={
+              <InputAdornment position="start">
+                <IconSearch stroke={1.5} size="16px" />
+              </InputAdornment>
+            }
+            endAdornment={
+              <InputAdornment position="end">
+                <HeaderAvatar title="Open in Leads" onClick={() => handleSelect(null)}>
+                  <IconAdjustmentsHorizontal stroke={1.5} size="20px" />
+                </HeaderAvatar>
+              </InputAdornment>
+            }
+            aria-describedby="search-helper-text"
+            slotProps={{ input: { 'aria-label': 'search leads', sx: { bgcolor: 'transparent', pl: 0.5 } } }}
+            sx={{ width: { md: 250, lg: 434 }, ml: 2, px: 2 }}
+          />
+          <Popper
+            open={open && hasQuery}
+            anchorEl={anchorRef.current}
+            placement="bottom-start"
+            sx={{ zIndex: 1100, width: { md: 250, lg: 434 } }}
+            modifiers={[{ name: 'offset', options: { offset: [16, 8] } }]}
+          >
+            <Paper elevation={8}>
+              <SearchResults value={value} preview={preview} onSelect={handleSelect} />
+            </Paper>
+          </Popper>
+        </Box>
+      </ClickAwayListener>
     </>
   );
 }
 
 HeaderAvatar.propTypes = { children: PropTypes.node, ref: PropTypes.any, others: PropTypes.any };
 
-MobileSearch.propTypes = { value: PropTypes.string, setValue: PropTypes.func, popupState: PropTypes.any };
+MobileSearch.propTypes = { value: PropTypes.string, setValue: PropTypes.func, popupState: PropTypes.any, onSubmit: PropTypes.func };
+
+SearchResults.propTypes = { value: PropTypes.string, preview: PropTypes.object, onSelect: PropTypes.func };
@@ -5,6 +5,7 @@ import Avatar from '@mui/material/Avatar';
 import Box from '@mui/material/Box';
 // project imports
 import LogoSection from '../LogoSection';
+import SearchSection from './SearchSection';
 import ProfileSection from './ProfileSection';
 import NotificationSection from './NotificationSection';
 
@@ -22,7 +23,9 @@ export default function Header() {
   const theme = useTheme();
   const downMD = useMediaQuery(theme.breakpoints.down('md'));
   const navigate = useNavigate();
-  const { actingClientId, clearActingClient } = useAuth();
+  const { user, actingClientId, clearActingClient } = useAuth();
+  // Lead search is scoped to a client's portal data
+  const showSearch = Boolean(actingClientId) || (user?.effective_role || user?.role) === 'client';
 
   const { menuMaster } = useGetMenuMaster();
   const drawerOpen = menuMaster.isDashboardDrawerOpened;
@@ -60,7 +63,7 @@ export default function Header() {
       </Box>
 
       {/* header search */}
-      {/* Disabled for now (currently no-op). Re-enable when wired to real search behavior. */}
+      {showSearch && <SearchSection />}
       <Box sx={{ flexGrow: 1 }} />
       <Box sx={{ flexGrow: 1 }} />
 
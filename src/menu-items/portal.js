@@ -10,7 +10,9 @@ import {
   IconUsers,
   IconArticle,
   IconArchive,
-  IconStar
+  IconStar,
+  IconForms,
+  IconReportMoney
 } from '@tabler/icons-react';
 
 const portalGroup = {
@@ -32,6 +34,13 @@ const portalGroup = {
       url: '/portal?tab=analytics',
       icon: IconChartInfographic
     },
+    {
+      id: 'portal-revenue',
+      title: 'Revenue',
+      type: 'item',
+      url: '/dashboard',
+      icon: IconReportMoney
+    },
     {
       id: 'portal-brand',
       title: 'Brand Assets',
@@ -53,6 +62,13 @@ const portalGroup = {
       url: '/portal?tab=documents',
       icon: IconFolder
     },
+    {
+      id: 'portal-forms',
+      title: 'Form Submissions',
+      type: 'item',
+      url: '/portal?tab=forms',
+      icon: IconForms
+    }
     // {
     //   id: 'portal-reviews',
     //   title: 'Reviews',
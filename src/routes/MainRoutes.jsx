@@ -16,7 +16,9 @@ const ProfileSettings = Loadable(lazy(() => import('views/admin/ProfileSettings'
 const ServicesManagement = Loadable(lazy(() => import('views/admin/ServicesManagement')));
 const ActiveClients = Loadable(lazy(() => import('views/admin/ActiveClients')));
 const SharedDocuments = Loadable(lazy(() => import('views/admin/SharedDocuments')));
+const FormBuilder = Loadable(lazy(() => import('views/forms/FormBuilder')));
 const ClientPortal = Loadable(lazy(() => import('views/client/ClientPortal')));
+const RevenueDashboard = Loadable(lazy(() => import('views/dashboard/Default')));
 const BlogEditor = Loadable(lazy(() => import('views/client/BlogEditor')));
 const TaskManager = Loadable(lazy(() => import('views/tasks/TaskManager')));
 const ClientOnboarding = Loadable(lazy(() => import('views/pages/onboarding/ClientOnboarding')));
@@ -129,6 +131,14 @@ const MainRoutes = {
       path: 'active-clients',
       element: <ActiveClients />
     },
+    {
+      path: 'forms/:formId/builder',
+      element: (
+        <AdminRoute>
+          <FormBuilder />
+        </AdminRoute>
+      )
+    },
     {
       path: 'portal',
       element: (
@@ -137,6 +147,14 @@ const MainRoutes = {
         </PortalRoute>
       )
     },
+    {
+      path: 'dashboard',
+      element: (
+        <PortalRoute>
+          <RevenueDashboard />
+        </PortalRoute>
+      )
+    },
     {
       path: 'onboarding',
       element: <ClientOnboarding />
@@ -144,8 +162,7 @@ const MainRoutes = {
     {
       path: 'blogs',
       element: <BlogEditor />
-    }
-    ,
+    },
     {
       path: 'tasks',
       element: (
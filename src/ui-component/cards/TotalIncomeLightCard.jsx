@@ -68,7 +68,7 @@ export default function TotalIncomeLightCard({ isLoading, total, icon, label })
                 </ListItemAvatar>
                 <ListItemText
                   sx={{ py: 0, mt: 0.45, mb: 0.45 }}
-                  primary={<Typography variant="h4">${total}k</Typography>}
+                  primary={<Typography variant="h4">{total}</Typography>}
                   secondary={
                     <Typography variant="subtitle2" sx={{ color: 'grey.500', mt: 0.5 }}>
                       {label}
@@ -84,4 +84,9 @@ export default function TotalIncomeLightCard({ isLoading, total, icon, label })
   );
 }
 
-TotalIncomeLightCard.propTypes = { isLoading: PropTypes.bool, total: PropTypes.number, icon: PropTypes.node, label: PropTypes.string };
+TotalIncomeLightCard.propTypes = {
+  isLoading: PropTypes.bool,
+  total: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  icon: PropTypes.node,
+  label: PropTypes.string
+};
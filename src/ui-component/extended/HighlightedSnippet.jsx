@@ -0,0 +1,37 @@
+import PropTypes from 'prop-types';
+
+// material-ui
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+// ==============================|| HIGHLIGHTED SNIPPET ||============================== //
+
+// Renders search snippet segments ({ text, match }) with matches marked, without injecting HTML
+export default function HighlightedSnippet({ segments, variant = 'body2', color = 'text.secondary', sx }) {
+  if (!segments?.length) return null;
+
+  return (
+    <Typography variant={variant} color={color} sx={sx}>
+      {segments.map((segment, index) =>
+        segment.match ? (
+          <Box
+            key={index}
+            component="mark"
+            sx={{ bgcolor: 'warning.light', color: 'text.primary', fontWeight: 600, borderRadius: 0.5, px: 0.25 }}
+          >
+            {segment.text}
+          </Box>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </Typography>
+  );
+}
+
+HighlightedSnippet.propTypes = {
+  segments: PropTypes.arrayOf(PropTypes.shape({ text: PropTypes.string, match: PropTypes.bool })),
+  variant: PropTypes.string,
+  color: PropTypes.string,
+  sx: PropTypes.object
+};
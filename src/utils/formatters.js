@@ -0,0 +1,30 @@
+// Number and date formatting shared by the reports, dashboards and lead views; empty values render as an em dash
+
+export function formatMoney(value, { compact = false, currency = 'USD' } = {}) {
+  if (value === null || value === undefined) return '—';
+  const options = compact ? { notation: 'compact', maximumFractionDigits: 1 } : { minimumFractionDigits: 0, maximumFractionDigits: 2 };
+  return Number(value).toLocaleString('en-US', { style: 'currency', currency: currency || 'USD', ...options });
+}
+
+// A ratio (0–1) as a percentage with one decimal
+export function formatPercent(value) {
+  return value === null || value === undefined ? '—' : `${Math.round(value * 1000) / 10}%`;
+}
+
+// "2026-10" -> "Oct 26"
+export function formatMonth(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+}
+
+// "Oct 19, 2026"
+export function formatDate(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// "Oct 19, 2026, 3:04 PM"
+export function formatDateTime(value) {
+  if (!value) return '—';
+  return new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
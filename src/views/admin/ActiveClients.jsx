@@ -246,7 +246,7 @@ export default function ActiveClients() {
   }, [loadClients, loadProfile]);
 
   const handleRedactOldServices = async () => {
-    if (!window.confirm('Redact all services older than 90 days? This will preserve revenue data but hide service details.')) {
+    if (!window.confirm('Redact services past their retention period? This will preserve revenue data but hide service details.')) {
       return;
     }
     try {
@@ -254,7 +254,7 @@ export default function ActiveClients() {
       const result = await redactOldServices();
       setMessage({
         type: 'success',
-        text: `Successfully redacted ${result.redacted_count} service(s)`
+        text: `Successfully redacted ${result.services_redacted} service(s)`
       });
       await loadClients();
     } catch (err) {
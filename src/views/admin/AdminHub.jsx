@@ -61,6 +61,9 @@ import ReportIcon from '@mui/icons-material/Report';
 import SecurityIcon from '@mui/icons-material/Security';
 import VerifiedIcon from '@mui/icons-material/Verified';
 import CancelIcon from '@mui/icons-material/Cancel';
+import AssignmentOutlinedIcon from '@mui/icons-material/AssignmentOutlined';
+import PhoneInTalkOutlinedIcon from '@mui/icons-material/PhoneInTalkOutlined';
+import PsychologyOutlinedIcon from '@mui/icons-material/PsychologyOutlined';
 import Accordion from '@mui/material/Accordion';
 import AccordionSummary from '@mui/material/AccordionSummary';
 import AccordionDetails from '@mui/material/AccordionDetails';
@@ -113,6 +116,9 @@ import { fetchClientServices, saveClientServices } from 'api/services';
 import { useToast } from 'contexts/ToastContext';
 import { getErrorMessage } from 'utils/errors';
 import AnchorStepIcon from 'ui-component/extended/AnchorStepIcon';
+import FormSubmissionsInbox from 'views/forms/FormSubmissionsInbox';
+import CtmSyncStatus from 'views/admin/CtmSyncStatus';
+import ClassifierSandbox from 'views/admin/ClassifierSandbox';
 import Button from '@mui/material/Button';
 
 // OAuth provider icons
@@ -1987,6 +1993,9 @@ export default function AdminHub() {
         <Tabs value={hubSection} onChange={(e, v) => setHubSection(v)} sx={{ borderBottom: 1, borderColor: 'divider' }}>
           <Tab icon={<PeopleOutlineIcon />} iconPosition="start" label="Users & Clients" />
           <Tab icon={<MailOutlineIcon />} iconPosition="start" label="Email Logs" />
+          <Tab icon={<AssignmentOutlinedIcon />} iconPosition="start" label="Form Submissions" />
+          <Tab icon={<PhoneInTalkOutlinedIcon />} iconPosition="start" label="CTM Sync" />
+          <Tab icon={<PsychologyOutlinedIcon />} iconPosition="start" label="AI Classifier" />
         </Tabs>
 
         {/* Users & Clients Section */}
@@ -2566,6 +2575,13 @@ export default function AdminHub() {
             </Box>
           </Stack>
         )}
+
+        {/* Form Submissions Section */}
+        {hubSection === 2 && <FormSubmissionsInbox canManage />}
+
+        {hubSection === 3 && <CtmSyncStatus />}
+
+        {hubSection === 4 && <ClassifierSandbox />}
       </Stack>
 
       {/* Email Detail Dialog */}
@@ -0,0 +1,524 @@
+/**
+ * ClassifierSandbox - Prompt sandbox for the CTM AI classifier (Client Hub)
+ *
+ * Replays a client's stored transcripts against a draft prompt and shows, per call, the
+ * current category, the human label (set from the Leads tab) and what the draft predicts,
+ * plus accuracy and a confusion matrix against the human labels. A completed run's prompt
+ * can then be applied as the client's AI prompt.
+ */
+
+import { Fragment, useCallback, useEffect, useMemo, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Grid from '@mui/material/Grid';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+import {
+  applyClassifierEvalPrompt,
+  fetchClassifierEval,
+  fetchClassifierEvals,
+  fetchClassifierOverview,
+  startClassifierEval
+} from 'api/calls';
+import { fetchClients } from 'api/clients';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatDateTime, formatPercent } from 'utils/formatters';
+
+const SAMPLE_OPTIONS = [
+  { value: 'labeled', label: 'Human-labelled calls' },
+  { value: 'recent', label: 'Most recent calls' },
+  { value: 'selected', label: 'Specific call IDs' }
+];
+const RUN_STATUS_COLORS = { running: 'info', completed: 'success', failed: 'error' };
+const POLL_INTERVAL_MS = 2000;
+
+function clientLabel(client) {
+  const name = `${client.first_name || ''} ${client.last_name || ''}`.trim();
+  return client.business_name || name || client.email;
+}
+
+function CategoryChip({ category, highlight = false }) {
+  if (!category) return <Typography variant="caption">—</Typography>;
+  return <Chip size="small" label={category} color={highlight ? 'warning' : 'default'} variant={highlight ? 'filled' : 'outlined'} />;
+}
+
+function MetricCard({ label, value, caption }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+      <Typography variant="h4">{value}</Typography>
+      {caption && (
+        <Typography variant="caption" color="text.secondary">
+          {caption}
+        </Typography>
+      )}
+    </Paper>
+  );
+}
+
+function ConfusionMatrix({ metrics }) {
+  if (!metrics?.labels?.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No human-labelled calls in this run. Re-categorize calls from the Leads tab to score prompts against them.
+      </Typography>
+    );
+  }
+  return (
+    <TableContainer sx={{ border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Human label \ predicted</TableCell>
+            {metrics.labels.map((label) => (
+              <TableCell key={label} align="center">
+                {label}
+              </TableCell>
+            ))}
+            <TableCell align="right">Recall</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {metrics.labels.map((expected) => (
+            <TableRow key={expected}>
+              <TableCell>{expected}</TableCell>
+              {metrics.labels.map((predicted) => {
+                const count = metrics.matrix[expected]?.[predicted] || 0;
+                return (
+                  <TableCell
+                    key={predicted}
+                    align="center"
+                    sx={{
+                      fontWeight: count ? 600 : 400,
+                      color: count ? (expected === predicted ? 'success.main' : 'error.main') : 'text.disabled'
+                    }}
+                  >
+                    {count || '·'}
+                  </TableCell>
+                );
+              })}
+              <TableCell align="right">{formatPercent(metrics.perCategory[expected]?.recall)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default function ClassifierSandbox() {
+  const toast = useToast();
+  const [clients, setClients] = useState([]);
+  const [clientId, setClientId] = useState('');
+  const [overview, setOverview] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [sample, setSample] = useState('labeled');
+  const [limit, setLimit] = useState(25);
+  const [callIdsText, setCallIdsText] = useState('');
+  const [runs, setRuns] = useState([]);
+  const [activeRun, setActiveRun] = useState(null);
+  const [onlyChanges, setOnlyChanges] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchClients()
+      .then((rows) => setClients(rows.filter((row) => row.role === 'client')))
+      .catch((err) => setError(getErrorMessage(err, 'Unable to load clients')));
+  }, []);
+
+  const loadRuns = useCallback(async (id) => {
+    try {
+      setRuns(await fetchClassifierEvals(id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Unable to load evaluation runs'));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!clientId) return;
+    setOverview(null);
+    setActiveRun(null);
+    setError('');
+    fetchClassifierOverview(clientId)
+      .then((data) => {
+        setOverview(data);
+        setDraft(data.ai_prompt || data.default_prompt || '');
+      })
+      .catch((err) => setError(getErrorMessage(err, 'Unable to load classifier settings')));
+    loadRuns(clientId);
+  }, [clientId, loadRuns]);
+
+  // Poll the active run until the background replay finishes
+  const activeRunId = activeRun?.id;
+  const activeRunning = activeRun?.status === 'running';
+  useEffect(() => {
+    if (!activeRunId || !activeRunning) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        const run = await fetchClassifierEval(activeRunId);
+        setActiveRun(run);
+        if (run.status !== 'running') loadRuns(run.client_id);
+      } catch (err) {
+        setError(getErrorMessage(err, 'Unable to load evaluation run'));
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [activeRunId, activeRunning, loadRuns]);
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError('');
+    try {
+      const callIds = callIdsText
+        .split(/[\s,]+/)
+        .map((value) => value.trim())
+        .filter(Boolean);
+      const run = await startClassifierEval({ client_id: clientId, prompt: draft, sample, limit, call_ids: callIds });
+      setActiveRun({ ...run, results: [] });
+      loadRuns(clientId);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to start evaluation'));
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleOpenRun = async (runId) => {
+    try {
+      const run = await fetchClassifierEval(runId);
+      setActiveRun(run);
+      setDraft(run.prompt);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to load evaluation run'));
+    }
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm('Use this prompt for all future classifications of this client?')) return;
+    setApplying(true);
+    try {
+      const applied = await applyClassifierEvalPrompt(activeRun.id);
+      setActiveRun((prev) => ({ ...prev, applied_at: applied.applied_at }));
+      setOverview((prev) => (prev ? { ...prev, ai_prompt: activeRun.prompt } : prev));
+      toast.success('Prompt applied');
+      loadRuns(clientId);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to apply prompt'));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const results = useMemo(() => {
+    const rows = activeRun?.results || [];
+    return onlyChanges
+      ? rows.filter(
+          (row) => row.predicted_category !== row.current_category || (row.human_category && row.predicted_category !== row.human_category)
+        )
+      : rows;
+  }, [activeRun, onlyChanges]);
+
+  const metrics = activeRun?.metrics_json || {};
+  const progress = activeRun?.total_calls ? (activeRun.processed_calls / activeRun.total_calls) * 100 : 0;
+
+  return (
+    <Stack spacing={2}>
+      <Box>
+        <Typography variant="h5">AI Classifier</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Measure a prompt against stored calls before it changes live classifications. Runs never modify the calls themselves.
+        </Typography>
+      </Box>
+
+      {error && <Alert severity="error">{error}</Alert>}
+
+      <TextField select label="Client" value={clientId} onChange={(e) => setClientId(e.target.value)} sx={{ maxWidth: 420 }} size="small">
+        {clients.map((client) => (
+          <MenuItem key={client.id} value={client.id}>
+            {clientLabel(client)}
+          </MenuItem>
+        ))}
+      </TextField>
+
+      {clientId && !overview && !error && <LinearProgress />}
+
+      {overview && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Stack spacing={2}>
+            <Typography variant="body2" color="text.secondary">
+              {overview.calls_with_content} stored calls with a transcript or message · {overview.labeled_calls} human-labelled
+            </Typography>
+            <TextField
+              label="Draft prompt"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              multiline
+              minRows={4}
+              maxRows={12}
+              fullWidth
+              helperText="Category definitions are appended automatically, exactly as in production."
+            />
+            <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+              <TextField
+                select
+                size="small"
+                label="Sample"
+                value={sample}
+                onChange={(e) => setSample(e.target.value)}
+                sx={{ minWidth: 220 }}
+              >
+                {SAMPLE_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              {sample === 'selected' ? (
+                <TextField
+                  size="small"
+                  label="Call IDs"
+                  value={callIdsText}
+                  onChange={(e) => setCallIdsText(e.target.value)}
+                  placeholder="Comma or space separated"
+                  sx={{ flex: 1 }}
+                />
+              ) : (
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Calls"
+                  value={limit}
+                  onChange={(e) => setLimit(Number(e.target.value))}
+                  inputProps={{ min: 1, max: 100 }}
+                  sx={{ width: 120 }}
+                />
+              )}
+              <Box sx={{ flex: sample === 'selected' ? 0 : 1 }} />
+              <Button size="small" onClick={() => setDraft(overview.ai_prompt || overview.default_prompt)}>
+                Reset to current
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<PlayArrowIcon />}
+                onClick={handleStart}
+                disabled={starting || activeRunning || !draft.trim()}
+              >
+                Run evaluation
+              </Button>
+            </Stack>
+          </Stack>
+        </Paper>
+      )}
+
+      {activeRun && (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <Stack spacing={2}>
+            <Stack direction="row" alignItems="center" justifyContent="space-between">
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="h6">Run {formatDateTime(activeRun.created_at)}</Typography>
+                <Chip size="small" label={activeRun.status} color={RUN_STATUS_COLORS[activeRun.status] || 'default'} />
+                {activeRun.applied_at && <Chip size="small" label={`Applied ${formatDateTime(activeRun.applied_at)}`} variant="outlined" />}
+              </Stack>
+              {activeRun.status === 'completed' && !activeRun.applied_at && (
+                <Button variant="outlined" onClick={handleApply} disabled={applying}>
+                  Apply this prompt
+                </Button>
+              )}
+            </Stack>
+
+            {activeRunning && (
+              <Box>
+                <LinearProgress variant="determinate" value={progress} />
+                <Typography variant="caption" color="text.secondary">
+                  {activeRun.processed_calls} of {activeRun.total_calls} calls classified
+                </Typography>
+              </Box>
+            )}
+            {activeRun.error && <Alert severity="error">{activeRun.error}</Alert>}
+
+            {activeRun.status === 'completed' && (
+              <Fragment>
+                <Grid container spacing={2}>
+                  <Grid item xs={12} sm={4}>
+                    <MetricCard
+                      label="Accuracy vs human labels"
+                      value={formatPercent(metrics.vs_human?.accuracy)}
+                      caption={`${metrics.vs_human?.correct || 0} of ${metrics.vs_human?.total || 0} labelled calls`}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <MetricCard
+                      label="Agreement with current categories"
+                      value={formatPercent(metrics.vs_current?.accuracy)}
+                      caption={`${metrics.vs_current?.total || 0} calls compared`}
+                    />
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <MetricCard label="Would change" value={metrics.changed ?? 0} caption="calls re-categorized by this prompt" />
+                  </Grid>
+                </Grid>
+
+                <Typography variant="subtitle1">Confusion matrix (human labels)</Typography>
+                <ConfusionMatrix metrics={metrics.vs_human} />
+              </Fragment>
+            )}
+
+            {!!activeRun.results?.length && (
+              <Fragment>
+                <Stack direction="row" alignItems="center" justifyContent="space-between">
+                  <Typography variant="subtitle1">Per-call results</Typography>
+                  <FormControlLabel
+                    control={<Switch size="small" checked={onlyChanges} onChange={(e) => setOnlyChanges(e.target.checked)} />}
+                    label="Only differences"
+                  />
+                </Stack>
+                <TableContainer sx={{ border: '1px solid', borderColor: 'divider', borderRadius: 2, maxHeight: 520 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Call</TableCell>
+                        <TableCell>Transcript</TableCell>
+                        <TableCell>Current</TableCell>
+                        <TableCell>Human label</TableCell>
+                        <TableCell>Draft prediction</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {results.map((row) => {
+                        const wrong = row.human_category ? row.predicted_category !== row.human_category : false;
+                        return (
+                          <TableRow key={row.call_id} hover>
+                            <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                              <Typography variant="subtitle2">{row.caller_name || row.from_number || row.call_id}</Typography>
+                              <Typography variant="caption" color="text.secondary">
+                                {formatDateTime(row.started_at)}
+                              </Typography>
+                            </TableCell>
+                            <TableCell sx={{ maxWidth: 420 }}>
+                              <Typography variant="caption" sx={{ display: 'block' }}>
+                                {row.snippet}
+                              </Typography>
+                              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                                {row.summary}
+                              </Typography>
+                            </TableCell>
+                            <TableCell>
+                              <CategoryChip category={row.current_category} />
+                            </TableCell>
+                            <TableCell>
+                              <CategoryChip category={row.human_category} />
+                            </TableCell>
+                            <TableCell>
+                              <CategoryChip
+                                category={row.predicted_category}
+                                highlight={wrong || row.predicted_category !== row.current_category}
+                              />
+                            </TableCell>
+                          </TableRow>
+                        );
+                      })}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+              </Fragment>
+            )}
+          </Stack>
+        </Paper>
+      )}
+
+      {clientId && (
+        <Box>
+          <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+            <Typography variant="subtitle1">Past runs</Typography>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={() => loadRuns(clientId)}>
+              Refresh
+            </Button>
+          </Stack>
+          <TableContainer sx={{ border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Started</TableCell>
+                  <TableCell>Prompt</TableCell>
+                  <TableCell>Sample</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Calls</TableCell>
+                  <TableCell align="right">Accuracy</TableCell>
+                  <TableCell align="right">Would change</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {!runs.length && (
+                  <TableRow>
+                    <TableCell colSpan={7}>
+                      <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                        No evaluations yet.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+                {runs.map((run) => (
+                  <TableRow
+                    key={run.id}
+                    hover
+                    selected={activeRun?.id === run.id}
+                    onClick={() => handleOpenRun(run.id)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {formatDateTime(run.created_at)}
+                      <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                        {run.created_by_email || ''}
+                      </Typography>
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 360 }}>
+                      <Typography variant="caption" noWrap sx={{ display: 'block' }}>
+                        {run.prompt_preview}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{SAMPLE_OPTIONS.find((option) => option.value === run.sample)?.label || run.sample}</TableCell>
+                    <TableCell>
+                      <Stack direction="row" spacing={0.5}>
+                        <Chip size="small" label={run.status} color={RUN_STATUS_COLORS[run.status] || 'default'} />
+                        {run.applied_at && <Chip size="small" label="Applied" variant="outlined" />}
+                      </Stack>
+                    </TableCell>
+                    <TableCell align="right">
+                      {run.processed_calls}/{run.total_calls}
+                    </TableCell>
+                    <TableCell align="right">{formatPercent(run.metrics_json?.vs_human?.accuracy)}</TableCell>
+                    <TableCell align="right">{run.metrics_json?.changed ?? '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Box>
+      )}
+    </Stack>
+  );
+}
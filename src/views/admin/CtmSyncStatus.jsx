@@ -0,0 +1,264 @@
+/**
+ * CtmSyncStatus - Background CTM sync overview (Client Hub)
+ *
+ * One row per CTM-connected client: last run, last successful sync, error,
+ * 24h call counts and backoff. Rows expand to the recent run history, and
+ * "Sync now" runs an incremental sync for that client immediately.
+ */
+
+import { Fragment, useCallback, useEffect, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import CircularProgress from '@mui/material/CircularProgress';
+import Collapse from '@mui/material/Collapse';
+import IconButton from '@mui/material/IconButton';
+import LinearProgress from '@mui/material/LinearProgress';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import SyncIcon from '@mui/icons-material/Sync';
+
+import { CTM_SYNC_STATUS_COLORS, fetchCtmSyncRuns, fetchCtmSyncStatus, runCtmSyncNow } from 'api/calls';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatDateTime } from 'utils/formatters';
+
+const STATUS_LABELS = { success: 'Success', running: 'Running', failed: 'Failed', rate_limited: 'Rate limited' };
+
+function clientLabel(row) {
+  const name = `${row.first_name || ''} ${row.last_name || ''}`.trim();
+  return name || row.email;
+}
+
+function StatusChip({ status }) {
+  if (!status) return <Chip size="small" label="Never synced" variant="outlined" />;
+  return <Chip size="small" label={STATUS_LABELS[status] || status} color={CTM_SYNC_STATUS_COLORS[status] || 'default'} />;
+}
+
+function RunHistory({ clientId }) {
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchCtmSyncRuns(clientId)
+      .then(setRuns)
+      .catch((err) => setError(getErrorMessage(err, 'Unable to load sync history')));
+  }, [clientId]);
+
+  if (error) return <Alert severity="error">{error}</Alert>;
+  if (!runs) return <LinearProgress />;
+  if (!runs.length) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No runs recorded yet.
+      </Typography>
+    );
+  }
+
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Started</TableCell>
+          <TableCell>Trigger</TableCell>
+          <TableCell>Status</TableCell>
+          <TableCell align="right">Fetched</TableCell>
+          <TableCell align="right">New</TableCell>
+          <TableCell align="right">Updated</TableCell>
+          <TableCell>Error</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {runs.map((run) => (
+          <TableRow key={run.id}>
+            <TableCell>{formatDateTime(run.started_at)}</TableCell>
+            <TableCell sx={{ textTransform: 'capitalize' }}>{run.trigger}</TableCell>
+            <TableCell>
+              <StatusChip status={run.status} />
+            </TableCell>
+            <TableCell align="right">{run.calls_fetched}</TableCell>
+            <TableCell align="right">{run.new_calls}</TableCell>
+            <TableCell align="right">{run.updated_calls}</TableCell>
+            <TableCell sx={{ maxWidth: 360, wordBreak: 'break-word' }}>
+              <Typography variant="caption" color="error.main">
+                {run.error || ''}
+              </Typography>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+export default function CtmSyncStatus() {
+  const toast = useToast();
+  const [clients, setClients] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [syncingId, setSyncingId] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setClients(await fetchCtmSyncStatus());
+    } catch (err) {
+      setError(getErrorMessage(err, 'Unable to load CTM sync status'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleSyncNow = async (row) => {
+    setSyncingId(row.user_id);
+    try {
+      const run = await runCtmSyncNow(row.user_id);
+      if (run?.status === 'success') {
+        toast.success(`${clientLabel(row)}: ${run.new_calls} new, ${run.updated_calls} updated`);
+      } else {
+        toast.warning(`${clientLabel(row)}: ${run?.error || 'Sync failed'}`);
+      }
+      // Collapse so the history reloads with the new run
+      setExpandedId(null);
+      await loadStatus();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to run CTM sync'));
+    } finally {
+      setSyncingId(null);
+    }
+  };
+
+  const failing = clients.filter((row) => ['failed', 'rate_limited'].includes(row.last_run_status)).length;
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between">
+        <Box>
+          <Typography variant="h5">CTM Sync</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Calls are pulled from CallTrackingMetrics in the background for every connected client.
+            {failing ? ` ${failing} client(s) failing.` : ''}
+          </Typography>
+        </Box>
+        <Button variant="outlined" size="small" startIcon={<RefreshIcon />} onClick={loadStatus} disabled={loading}>
+          Refresh
+        </Button>
+      </Stack>
+
+      {error && <Alert severity="error">{error}</Alert>}
+      {loading && <LinearProgress />}
+
+      <TableContainer sx={{ border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell padding="checkbox" />
+              <TableCell>Client</TableCell>
+              <TableCell>CTM account</TableCell>
+              <TableCell>Last run</TableCell>
+              <TableCell>Last successful sync</TableCell>
+              <TableCell align="right">New (24h)</TableCell>
+              <TableCell align="right">Updated (24h)</TableCell>
+              <TableCell>Error</TableCell>
+              <TableCell align="right" />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {!loading && !clients.length && (
+              <TableRow>
+                <TableCell colSpan={9}>
+                  <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+                    No clients have CTM credentials configured.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {clients.map((row) => {
+              const expanded = expandedId === row.user_id;
+              const backingOff = row.ctm_sync_backoff_until && new Date(row.ctm_sync_backoff_until) > new Date();
+              return (
+                <Fragment key={row.user_id}>
+                  <TableRow hover>
+                    <TableCell padding="checkbox">
+                      <IconButton size="small" onClick={() => setExpandedId(expanded ? null : row.user_id)}>
+                        {expanded ? <KeyboardArrowUpIcon fontSize="small" /> : <KeyboardArrowDownIcon fontSize="small" />}
+                      </IconButton>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="subtitle2">{clientLabel(row)}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {row.email}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>{row.ctm_account_number}</TableCell>
+                    <TableCell>
+                      <Stack spacing={0.5} alignItems="flex-start">
+                        <StatusChip status={row.last_run_status} />
+                        <Typography variant="caption" color="text.secondary">
+                          {formatDateTime(row.last_run_started_at)}
+                        </Typography>
+                      </Stack>
+                    </TableCell>
+                    <TableCell>{formatDateTime(row.last_success_at)}</TableCell>
+                    <TableCell align="right">{row.new_calls_24h}</TableCell>
+                    <TableCell align="right">{row.updated_calls_24h}</TableCell>
+                    <TableCell sx={{ maxWidth: 280 }}>
+                      {['failed', 'rate_limited'].includes(row.last_run_status) && (
+                        <Typography variant="caption" color="error.main" sx={{ display: 'block', wordBreak: 'break-word' }}>
+                          {row.last_run_error}
+                        </Typography>
+                      )}
+                      {backingOff && (
+                        <Typography variant="caption" color="text.secondary">
+                          Next attempt after {formatDateTime(row.ctm_sync_backoff_until)} ({row.ctm_sync_failures} failure
+                          {row.ctm_sync_failures === 1 ? '' : 's'})
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Sync now">
+                        <span>
+                          <IconButton size="small" onClick={() => handleSyncNow(row)} disabled={Boolean(syncingId)}>
+                            {syncingId === row.user_id ? <CircularProgress size={18} /> : <SyncIcon fontSize="small" />}
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell colSpan={9} sx={{ py: 0, borderBottom: expanded ? undefined : 'none' }}>
+                      <Collapse in={expanded} timeout="auto" unmountOnExit>
+                        <Box sx={{ py: 2 }}>
+                          <RunHistory clientId={row.user_id} />
+                        </Box>
+                      </Collapse>
+                    </TableCell>
+                  </TableRow>
+                </Fragment>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Stack>
+  );
+}
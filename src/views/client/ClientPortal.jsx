@@ -26,6 +26,7 @@ import MenuItem from '@mui/material/MenuItem';
 import Paper from '@mui/material/Paper';
 import Skeleton from '@mui/material/Skeleton';
 import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
 import Table from '@mui/material/Table';
 import TableBody from '@mui/material/TableBody';
 import TableCell from '@mui/material/TableCell';
@@ -63,6 +64,7 @@ import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import SearchIcon from '@mui/icons-material/Search';
 import ViewListIcon from '@mui/icons-material/ViewList';
 import ViewModuleIcon from '@mui/icons-material/ViewModule';
+import ViewKanbanIcon from '@mui/icons-material/ViewKanban';
 import DownloadIcon from '@mui/icons-material/Download';
 import TrendingUpIcon from '@mui/icons-material/TrendingUp';
 import PeopleIcon from '@mui/icons-material/People';
@@ -76,6 +78,17 @@ import PersonIcon from '@mui/icons-material/Person';
 import MainCard from 'ui-component/cards/MainCard';
 import FireworksCanvas from 'ui-component/FireworksCanvas';
 import ReviewsPanel from './ReviewsPanel';
+import LeadMergeReview from './LeadMergeReview';
+import LeadFunnelReport from './LeadFunnelReport';
+import LeadSlaPanel from './LeadSlaPanel';
+import OfflineConversionsPanel from './OfflineConversionsPanel';
+import JourneyPerformanceReport from './JourneyPerformanceReport';
+import RetentionPolicyPanel from './RetentionPolicyPanel';
+import JourneyTemplateLibrary, { describeJourneyBranch } from './JourneyTemplateLibrary';
+import LeadAttributionReport from './LeadAttributionReport';
+import LeadPipelineBoard from './LeadPipelineBoard';
+import LeadSearchResults from './LeadSearchResults';
+import FormSubmissionsInbox from 'views/forms/FormSubmissionsInbox';
 import useAuth from 'hooks/useAuth';
 import { fetchAnalyticsUrl } from 'api/analytics';
 import { fetchProfile, updateProfile, uploadAvatar } from 'api/profile';
@@ -112,8 +125,7 @@ import {
   addJourneyStep,
   updateJourneyStep,
   deleteJourneyStep,
-  fetchJourneyTemplate,
-  saveJourneyTemplate,
+  sendJourneyStep,
   applyJourneyTemplate,
   archiveJourney,
   restoreJourney
@@ -130,7 +142,8 @@ const SECTION_CONFIG = [
   { value: 'journey', label: 'Client Journey' },
   { value: 'archive', label: 'Archive' },
   { value: 'brand', label: 'Brand Assets' },
-  { value: 'documents', label: 'Documents' }
+  { value: 'documents', label: 'Documents' },
+  { value: 'forms', label: 'Form Submissions' }
 ];
 
 const JOURNEY_STATUS_OPTIONS = ['pending', 'in_progress', 'active_client', 'won', 'lost', 'archived'];
@@ -244,6 +257,7 @@ export default function ClientPortal() {
   const [callsLoading, setCallsLoading] = useState(false);
   const [callFilters, setCallFilters] = useState({ type: 'all', source: 'all', category: 'all', callerType: 'all' });
   const [clearCallsDialogOpen, setClearCallsDialogOpen] = useState(false);
+  const [mergeReviewOpen, setMergeReviewOpen] = useState(false);
   const [ratingPending, setRatingPending] = useState({});
   const [reclassifyDialog, setReclassifyDialog] = useState({ open: false, loading: false, limit: 200 });
 
@@ -251,8 +265,9 @@ export default function ClientPortal() {
   const [leadStats, setLeadStats] = useState(null);
   const [leadStatsLoading, setLeadStatsLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [transcriptSearch, setTranscriptSearch] = useState(false); // full-text search over transcripts, summaries and notes
   const [dateRange, setDateRange] = useState({ from: '', to: '' });
-  const [viewMode, setViewMode] = useState('card'); // 'card' or 'table'
+  const [viewMode, setViewMode] = useState('card'); // 'card', 'table' or 'board' (leads); 'kanban' (journeys)
   const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0 });
   const [leadDetailDrawer, setLeadDetailDrawer] = useState({ open: false, lead: null, detail: null, loading: false, tab: 0 });
   const [pipelineStages, setPipelineStages] = useState([]);
@@ -295,9 +310,7 @@ export default function ClientPortal() {
     form: { label: '', channel: '', message: '', offset_weeks: 0, due_at: '' }
   });
   const [templateDialogOpen, setTemplateDialogOpen] = useState(false);
-  const [templateDraft, setTemplateDraft] = useState([]);
-  const [templateLoading, setTemplateLoading] = useState(false);
-  const [templateSaving, setTemplateSaving] = useState(false);
+  const [showJourneyPerformance, setShowJourneyPerformance] = useState(false);
   const [noteDialog, setNoteDialog] = useState({ open: false, journeyId: null, stepId: null, value: '' });
   const [timelineDialog, setTimelineDialog] = useState({ open: false, journey: null });
   const [journeyDrawer, setJourneyDrawer] = useState({ open: false, journey: null });
@@ -517,6 +530,21 @@ export default function ClientPortal() {
     [triggerMessage]
   );
 
+  // Header search links here with ?q= (show full-text results) and optionally &lead= (open that lead)
+  const searchQueryParam = searchParams.get('q');
+  const leadParam = searchParams.get('lead');
+  useEffect(() => {
+    if (!searchQueryParam) return;
+    setSearchQuery(searchQueryParam);
+    setTranscriptSearch(true);
+  }, [searchQueryParam]);
+  useEffect(() => {
+    if (!leadParam) return;
+    fetchLeadDetail(leadParam)
+      .then((detail) => handleOpenLeadDetail(detail.lead))
+      .catch(() => triggerMessage('error', 'Failed to load lead details'));
+  }, [leadParam, handleOpenLeadDetail, triggerMessage]);
+
   const handleCloseLeadDetail = useCallback(() => {
     setLeadDetailDrawer({ open: false, lead: null, detail: null, loading: false, tab: 0 });
     setNewNoteText('');
@@ -1356,7 +1384,8 @@ export default function ClientPortal() {
 
   const getJourneyCurrentStep = (journey) => {
     const sorted = (journey.steps || []).slice().sort((a, b) => a.position - b.position);
-    return sorted.find((step) => !step.completed_at) || null;
+    // Steps skipped by a template branch are never current
+    return sorted.find((step) => !step.completed_at && !step.skipped_at) || null;
   };
 
   const handleMarkCurrentStepComplete = (journey) => {
@@ -1448,69 +1477,25 @@ export default function ClientPortal() {
     }
   };
 
-  const handleDeleteStep = async (journeyId, stepId) => {
-    if (!window.confirm('Remove this step from the journey?')) return;
+  const handleSendStepNow = async (journeyId, step) => {
     try {
-      const journey = await deleteJourneyStep(journeyId, stepId);
+      const journey = await sendJourneyStep(journeyId, step.id);
       upsertJourney(journey);
       updateDrawerJourney(journey);
+      triggerMessage('success', `"${step.label}" sent`);
     } catch (err) {
-      triggerMessage('error', err.message || 'Unable to delete step');
-    }
-  };
-
-  const handleOpenTemplateDialog = async () => {
-    setTemplateDialogOpen(true);
-    if (templateDraft.length === 0 && !templateLoading) {
-      setTemplateLoading(true);
-      try {
-        const template = await fetchJourneyTemplate();
-        setTemplateDraft(Array.isArray(template) ? template : []);
-      } catch (err) {
-        triggerMessage('error', err.message || 'Unable to load template');
-      } finally {
-        setTemplateLoading(false);
-      }
+      triggerMessage('error', err.message || 'Unable to send step');
     }
   };
 
-  const handleTemplateFieldChange = (index, field) => (event) => {
-    const value = field === 'offset_weeks' ? Number(event.target.value) : event.target.value;
-    setTemplateDraft((prev) => {
-      const clone = [...prev];
-      clone[index] = {
-        ...clone[index],
-        [field]: field === 'offset_weeks' ? (Number.isNaN(value) ? 0 : value) : value
-      };
-      return clone;
-    });
-  };
-
-  const handleAddTemplateStep = () => {
-    setTemplateDraft((prev) => [...prev, { id: `template-${prev.length + 1}`, label: '', channel: '', message: '', offset_weeks: 0 }]);
-  };
-
-  const handleRemoveTemplateStep = (index) => {
-    setTemplateDraft((prev) => prev.filter((_, idx) => idx !== index));
-  };
-
-  const handleTemplateSave = async () => {
-    setTemplateSaving(true);
+  const handleDeleteStep = async (journeyId, stepId) => {
+    if (!window.confirm('Remove this step from the journey?')) return;
     try {
-      const sanitized = templateDraft
-        .map((step) => ({
-          ...step,
-          label: (step.label || '').trim()
-        }))
-        .filter((step) => step.label);
-      const template = await saveJourneyTemplate(sanitized);
-      setTemplateDraft(Array.isArray(template) ? template : []);
-      triggerMessage('success', 'Journey template saved');
-      setTemplateDialogOpen(false);
+      const journey = await deleteJourneyStep(journeyId, stepId);
+      upsertJourney(journey);
+      updateDrawerJourney(journey);
     } catch (err) {
-      triggerMessage('error', err.message || 'Unable to save template');
-    } finally {
-      setTemplateSaving(false);
+      triggerMessage('error', err.message || 'Unable to delete step');
     }
   };
 
@@ -1533,6 +1518,29 @@ export default function ClientPortal() {
     }, {});
   }, [calls]);
 
+  // Pipeline board filters the server-side equivalent of the list filters
+  const boardFilters = useMemo(() => {
+    const params = {};
+    if (searchQuery) params.search = searchQuery;
+    if (dateRange.from) params.date_from = dateRange.from;
+    if (dateRange.to) params.date_to = dateRange.to;
+    if (callFilters.callerType && callFilters.callerType !== 'all') params.caller_type = callFilters.callerType;
+    if (callFilters.category && callFilters.category !== 'all') params.category = callFilters.category;
+    if (callFilters.type && callFilters.type !== 'all') params.type = callFilters.type;
+    if (callFilters.source && callFilters.source !== 'all') params.source = callFilters.source;
+    return params;
+  }, [searchQuery, dateRange, callFilters]);
+
+  // Full-text search replaces the list/board once there is something to search for
+  const fullTextActive = transcriptSearch && searchQuery.trim().length >= 2;
+  const fullTextFilters = useMemo(() => {
+    const params = {};
+    if (dateRange.from) params.date_from = dateRange.from;
+    if (dateRange.to) params.date_to = dateRange.to;
+    if (callFilters.category && callFilters.category !== 'all') params.category = callFilters.category;
+    return params;
+  }, [dateRange, callFilters.category]);
+
   const filteredCalls = useMemo(() => {
     if (!calls) return [];
     return calls.filter((call) => {
@@ -1657,20 +1665,26 @@ export default function ClientPortal() {
         <Typography variant="h4">{currentSection.label}</Typography>
 
         {activeTab === 'analytics' && (
-          <Box>
-            {analyticsLoading && <LinearProgress />}
-            {analyticsUrl ? (
-              <Box sx={{ borderRadius: 2, overflow: 'hidden', border: '1px solid', borderColor: 'divider' }}>
-                <Box component="iframe" src={analyticsUrl} title="Analytics" sx={{ width: '100%', height: 600, border: 'none' }} />
-              </Box>
-            ) : (
-              !analyticsLoading && (
-                <Typography variant="body2" color="text.secondary">
-                  Analytics dashboard is not configured yet.
-                </Typography>
-              )
-            )}
-          </Box>
+          <Stack spacing={3}>
+            <Box>
+              {analyticsLoading && <LinearProgress />}
+              {analyticsUrl ? (
+                <Box sx={{ borderRadius: 2, overflow: 'hidden', border: '1px solid', borderColor: 'divider' }}>
+                  <Box component="iframe" src={analyticsUrl} title="Analytics" sx={{ width: '100%', height: 600, border: 'none' }} />
+                </Box>
+              ) : (
+                !analyticsLoading && (
+                  <Typography variant="body2" color="text.secondary">
+                    Analytics dashboard is not configured yet.
+                  </Typography>
+                )
+              )}
+            </Box>
+            <LeadAttributionReport />
+            <LeadFunnelReport />
+            <LeadSlaPanel />
+            <OfflineConversionsPanel />
+          </Stack>
         )}
 
         {activeTab === 'tasks' && (
@@ -2128,10 +2142,14 @@ export default function ClientPortal() {
                   placeholder="Search leads..."
                   value={searchQuery}
                   onChange={(e) => setSearchQuery(e.target.value)}
-                  onKeyDown={(e) => e.key === 'Enter' && loadCalls()}
+                  onKeyDown={(e) => e.key === 'Enter' && !transcriptSearch && loadCalls()}
                   sx={{ flex: 1 }}
                 />
               </Box>
+              <FormControlLabel
+                control={<Switch size="small" checked={transcriptSearch} onChange={(e) => setTranscriptSearch(e.target.checked)} />}
+                label={<Typography variant="body2">Search transcripts &amp; notes</Typography>}
+              />
 
               {/* View Toggle */}
               <ToggleButtonGroup value={viewMode} exclusive onChange={(e, val) => val && setViewMode(val)} size="small">
@@ -2145,6 +2163,11 @@ export default function ClientPortal() {
                     <ViewListIcon />
                   </Tooltip>
                 </ToggleButton>
+                <ToggleButton value="board">
+                  <Tooltip title="Pipeline Board">
+                    <ViewKanbanIcon />
+                  </Tooltip>
+                </ToggleButton>
               </ToggleButtonGroup>
 
               <Box sx={{ flex: 1 }} />
@@ -2160,6 +2183,9 @@ export default function ClientPortal() {
                   <DownloadIcon />
                 </IconButton>
               </Tooltip>
+              <Button variant="outlined" onClick={() => setMergeReviewOpen(true)} size="small">
+                Duplicates
+              </Button>
               <Button variant="outlined" color="error" onClick={() => setClearCallsDialogOpen(true)} size="small">
                 Clear All
               </Button>
@@ -2370,8 +2396,19 @@ export default function ClientPortal() {
               ))}
             </Box>
             <Divider />
+            {/* Full-text Search Results */}
+            {fullTextActive && (
+              <LeadSearchResults
+                query={searchQuery}
+                filters={fullTextFilters}
+                tags={allTags}
+                getCategoryColor={getCategoryColor}
+                onOpenLead={handleOpenLeadDetail}
+              />
+            )}
+
             {/* Card View */}
-            <Stack spacing={2} sx={{ display: viewMode === 'card' ? 'flex' : 'none' }}>
+            <Stack spacing={2} sx={{ display: viewMode === 'card' && !fullTextActive ? 'flex' : 'none' }}>
               {callsLoading && !filteredCalls.length && (
                 <>
                   {[1, 2, 3, 4, 5].map((idx) => (
@@ -2597,7 +2634,7 @@ export default function ClientPortal() {
             </Stack>
 
             {/* Table View */}
-            {viewMode === 'table' && !callsLoading && filteredCalls.length > 0 && (
+            {viewMode === 'table' && !fullTextActive && !callsLoading && filteredCalls.length > 0 && (
               <TableContainer component={Paper} variant="outlined">
                 <Table size="small">
                   <TableHead>
@@ -2706,8 +2743,18 @@ export default function ClientPortal() {
               </TableContainer>
             )}
 
+            {/* Pipeline Board View */}
+            {viewMode === 'board' && !fullTextActive && (
+              <LeadPipelineBoard
+                filters={boardFilters}
+                reloadKey={calls}
+                getCategoryColor={getCategoryColor}
+                onOpenLead={handleOpenLeadDetail}
+              />
+            )}
+
             {/* Pagination */}
-            {pagination.totalPages > 1 && (
+            {viewMode !== 'board' && !fullTextActive && pagination.totalPages > 1 && (
               <Stack direction="row" justifyContent="center" alignItems="center" spacing={2} sx={{ mt: 2 }}>
                 <Button size="small" disabled={pagination.page <= 1} onClick={() => loadCalls({ page: pagination.page - 1 })}>
                   Previous
@@ -2725,14 +2772,22 @@ export default function ClientPortal() {
 
         {activeTab === 'reviews' && <ReviewsPanel triggerMessage={triggerMessage} />}
 
+        {activeTab === 'forms' && <FormSubmissionsInbox />}
+
         {activeTab === 'journey' && (
           <Stack spacing={2}>
             <Stack direction={{ xs: 'column', md: 'row' }} spacing={1} alignItems="center">
               <Button variant="contained" onClick={loadJourneys} disabled={journeysLoading}>
                 Refresh
               </Button>
-              <Button variant="outlined" onClick={handleOpenTemplateDialog}>
-                Edit Follow-Up Template
+              <Button variant="outlined" onClick={() => setTemplateDialogOpen(true)}>
+                Follow-Up Templates
+              </Button>
+              <Button
+                variant={showJourneyPerformance ? 'contained' : 'outlined'}
+                onClick={() => setShowJourneyPerformance((prev) => !prev)}
+              >
+                Performance
               </Button>
               {/* Kanban / List View Toggle */}
               <ToggleButtonGroup
@@ -2758,6 +2813,7 @@ export default function ClientPortal() {
                 {Array.isArray(journeys) ? `${journeys.length} active journey${journeys.length !== 1 ? 's' : ''}` : ''}
               </Typography>
             </Stack>
+            {showJourneyPerformance && <JourneyPerformanceReport />}
             {journeysLoading && <LinearProgress />}
             {!journeysLoading && Array.isArray(journeys) && journeys.length === 0 && (
               <Alert severity="info">Start a journey for a lead from the Leads tab to begin tracking their progress.</Alert>
@@ -2941,7 +2997,7 @@ export default function ClientPortal() {
                           )}
                           {journey.symptoms_redacted && (
                             <Typography variant="caption" color="text.secondary">
-                              Concerns redacted after 90 days.
+                              Concerns redacted by the retention policy.
                             </Typography>
                           )}
                         </Box>
@@ -3185,6 +3241,8 @@ export default function ClientPortal() {
                 </Stack>
               </CardContent>
             </Card>
+
+            <RetentionPolicyPanel />
           </Stack>
         )}
 
@@ -3607,63 +3665,10 @@ export default function ClientPortal() {
         </DialogActions>
       </Dialog>
 
-      <Dialog open={templateDialogOpen} onClose={() => setTemplateDialogOpen(false)} maxWidth="md" fullWidth>
-        <DialogTitle>Client Journey Template</DialogTitle>
-        <DialogContent dividers>
-          {templateLoading ? (
-            <LinearProgress />
-          ) : (
-            <Stack spacing={2}>
-              <Typography variant="body2" color="text.secondary">
-                Edit the default follow-up steps that are applied whenever you assign a lead to the Client Journey.
-              </Typography>
-              {templateDraft.map((step, index) => (
-                <Paper key={step.id || index} variant="outlined" sx={{ p: 2 }}>
-                  <Stack spacing={1}>
-                    <Stack direction="row" spacing={1} alignItems="center">
-                      <Typography variant="subtitle2">Step {index + 1}</Typography>
-                      <Button size="small" color="error" onClick={() => handleRemoveTemplateStep(index)}>
-                        Remove
-                      </Button>
-                    </Stack>
-                    <TextField label="Label" value={step.label} onChange={handleTemplateFieldChange(index, 'label')} fullWidth />
-                    <TextField
-                      label="Channel"
-                      value={step.channel || ''}
-                      onChange={handleTemplateFieldChange(index, 'channel')}
-                      fullWidth
-                    />
-                    <TextField
-                      label="Message"
-                      value={step.message || ''}
-                      onChange={handleTemplateFieldChange(index, 'message')}
-                      multiline
-                      minRows={2}
-                      fullWidth
-                    />
-                    <TextField
-                      label="Offset Weeks"
-                      type="number"
-                      value={step.offset_weeks ?? 0}
-                      onChange={handleTemplateFieldChange(index, 'offset_weeks')}
-                      fullWidth
-                    />
-                  </Stack>
-                </Paper>
-              ))}
-              <Button variant="outlined" onClick={handleAddTemplateStep}>
-                Add Template Step
-              </Button>
-            </Stack>
-          )}
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setTemplateDialogOpen(false)}>Cancel</Button>
-          <Button variant="contained" onClick={handleTemplateSave} disabled={templateSaving}>
-            {templateSaving ? 'Saving…' : 'Save Template'}
-          </Button>
-        </DialogActions>
-      </Dialog>
+      <JourneyTemplateLibrary open={templateDialogOpen} onClose={() => setTemplateDialogOpen(false)} services={services} />
+
+      {/* Duplicate Leads Review */}
+      <LeadMergeReview open={mergeReviewOpen} onClose={() => setMergeReviewOpen(false)} onChanged={() => loadCalls()} />
 
       {/* Clear Calls Confirmation Dialog */}
       <Dialog open={clearCallsDialogOpen} onClose={() => setClearCallsDialogOpen(false)} maxWidth="sm" fullWidth>
@@ -3916,6 +3921,28 @@ export default function ClientPortal() {
                       </Stack>
                     )}
                   </Stack>
+                  <Stack direction="row" spacing={1} alignItems="center" sx={{ mt: 1.5 }}>
+                    <TextField
+                      select
+                      size="small"
+                      label="Service"
+                      value={journey.service_id || ''}
+                      onChange={(e) => handleJourneyStatusChange(journey.id, { service_id: e.target.value || null })}
+                      sx={{ minWidth: 200 }}
+                    >
+                      <MenuItem value="">None</MenuItem>
+                      {services.map((service) => (
+                        <MenuItem key={service.id} value={service.id}>
+                          {service.name}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                    {journey.template_name && (
+                      <Typography variant="caption" color="text.secondary">
+                        Template: {journey.template_name}
+                      </Typography>
+                    )}
+                  </Stack>
                   {journey.symptoms?.length > 0 && (
                     <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap sx={{ mt: 1.5 }}>
                       {journey.symptoms.map((concern) => (
@@ -4004,6 +4031,7 @@ export default function ClientPortal() {
                         const isExpanded = expandedSteps[step.id];
                         const isCurrent = currentStep?.id === step.id;
                         const isComplete = Boolean(step.completed_at);
+                        const isSkipped = !isComplete && Boolean(step.skipped_at);
 
                         return (
                           <Box key={step.id}>
@@ -4024,7 +4052,8 @@ export default function ClientPortal() {
                                 p: 1.5,
                                 borderColor: isCurrent ? 'primary.main' : 'divider',
                                 borderWidth: isCurrent ? 2 : 1,
-                                bgcolor: isComplete ? 'success.50' : isCurrent ? 'primary.50' : 'background.paper'
+                                bgcolor: isComplete ? 'success.50' : isCurrent ? 'primary.50' : 'background.paper',
+                                opacity: isSkipped ? 0.6 : 1
                               }}
                             >
                               <Stack direction="row" alignItems="flex-start" spacing={1.5}>
@@ -4076,6 +4105,44 @@ export default function ClientPortal() {
                                         ✓ {formatDateDisplay(step.completed_at)}
                                       </Typography>
                                     )}
+                                    {step.send_status === 'sent' && (
+                                      <Chip
+                                        label={`Sent by ${step.sent_via.map((via) => (via === 'sms' ? 'text' : via)).join(' & ')}`}
+                                        size="small"
+                                        color="success"
+                                        variant="outlined"
+                                        sx={{ fontSize: '0.7rem', height: 20 }}
+                                      />
+                                    )}
+                                    {(step.send_status === 'failed' || step.send_status === 'skipped') && (
+                                      <Tooltip title={step.send_error || ''}>
+                                        <Chip
+                                          label={step.send_status === 'failed' ? 'Send failed' : 'Not sent'}
+                                          size="small"
+                                          color="warning"
+                                          variant="outlined"
+                                          sx={{ fontSize: '0.7rem', height: 20 }}
+                                        />
+                                      </Tooltip>
+                                    )}
+                                    {isSkipped && (
+                                      <Chip label="Skipped" size="small" variant="outlined" sx={{ fontSize: '0.7rem', height: 20 }} />
+                                    )}
+                                    {step.branch_taken ? (
+                                      <Chip
+                                        label={`Branched: ${describeJourneyBranch(step.branch_taken, steps)}`}
+                                        size="small"
+                                        color="info"
+                                        variant="outlined"
+                                        sx={{ fontSize: '0.7rem', height: 20 }}
+                                      />
+                                    ) : (
+                                      step.branches?.length > 0 && (
+                                        <Tooltip title={step.branches.map((branch) => describeJourneyBranch(branch, steps)).join('; ')}>
+                                          <Chip label="Branches" size="small" variant="outlined" sx={{ fontSize: '0.7rem', height: 20 }} />
+                                        </Tooltip>
+                                      )
+                                    )}
                                   </Stack>
 
                                   {/* Expanded Content */}
@@ -4105,6 +4172,11 @@ export default function ClientPortal() {
                                         >
                                           {isComplete ? 'Mark Incomplete' : 'Mark Complete'}
                                         </Button>
+                                        {!isComplete && !isSkipped && /email|text|sms/i.test(step.channel || '') && (
+                                          <Button size="small" variant="outlined" onClick={() => handleSendStepNow(journey.id, step)}>
+                                            Send Now
+                                          </Button>
+                                        )}
                                         <Button size="small" variant="outlined" onClick={() => handleOpenNoteDialog(journey, step.id)}>
                                           {step.notes ? 'Edit Note' : 'Add Note'}
                                         </Button>
@@ -4668,6 +4740,31 @@ export default function ClientPortal() {
                         </Box>
                       )}
 
+                      {/* Pipeline Stage History */}
+                      {detail?.stageHistory?.length > 0 && (
+                        <Box sx={{ mt: 2 }}>
+                          <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                            Stage History
+                          </Typography>
+                          <Paper variant="outlined" sx={{ p: 1.5 }}>
+                            <Stack spacing={0.75}>
+                              {detail.stageHistory.map((change) => (
+                                <Stack key={change.id} direction="row" justifyContent="space-between" spacing={1}>
+                                  <Typography variant="caption">
+                                    {change.from_stage_name || 'No stage'} → {change.to_stage_name || 'No stage'}
+                                    {change.source !== 'manual' && ` (${change.source.replace('_', ' ')})`}
+                                  </Typography>
+                                  <Typography variant="caption" color="text.secondary">
+                                    {new Date(change.changed_at).toLocaleDateString()}
+                                    {change.changed_by_email && ` · ${change.changed_by_email}`}
+                                  </Typography>
+                                </Stack>
+                              ))}
+                            </Stack>
+                          </Paper>
+                        </Box>
+                      )}
+
                       {/* Call History in Transcript Tab */}
                       {detail?.callHistory?.length > 0 && (
                         <Box sx={{ mt: 2 }}>
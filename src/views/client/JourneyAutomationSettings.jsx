@@ -0,0 +1,105 @@
+/**
+ * JourneyAutomationSettings - automatic sending of journey steps (Follow-Up Templates dialog)
+ *
+ * When on, each journey step with an email or text channel is sent to the client when it
+ * falls due, merged with the client's name and service, then marked complete with a journey
+ * note. Call steps, paused and lost journeys are left alone.
+ */
+
+import { useEffect, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Button from '@mui/material/Button';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import LinearProgress from '@mui/material/LinearProgress';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import { fetchJourneyAutomation, saveJourneyAutomation } from 'api/journeys';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+
+export default function JourneyAutomationSettings() {
+  const toast = useToast();
+  const [settings, setSettings] = useState(null);
+  const [variables, setVariables] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    fetchJourneyAutomation()
+      .then((data) => {
+        if (cancelled) return;
+        setSettings(data.settings);
+        setVariables(data.merge_variables || []);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load automation settings'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const data = await saveJourneyAutomation({ enabled: settings.enabled, email_subject: settings.email_subject });
+      setSettings(data.settings);
+      toast.success(data.settings.enabled ? 'Journey automation on' : 'Journey automation saved');
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save automation settings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack spacing={1.5}>
+        <Typography variant="subtitle1">Automatic follow-ups</Typography>
+        {loading && <LinearProgress />}
+        {error && <Alert severity="error">{error}</Alert>}
+        {settings && (
+          <>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={Boolean(settings.enabled)}
+                  onChange={(e) => setSettings((prev) => ({ ...prev, enabled: e.target.checked }))}
+                />
+              }
+              label="Send email and text steps automatically when they are due"
+            />
+            <TextField
+              size="small"
+              label="Email subject"
+              value={settings.email_subject}
+              onChange={(e) => setSettings((prev) => ({ ...prev, email_subject: e.target.value }))}
+              fullWidth
+            />
+            <Typography variant="caption" color="text.secondary">
+              Step messages are sent to the client as written. Use {variables.map((name) => `{{${name}}}`).join(', ')} in messages and the
+              subject. Steps that were already due when automation is turned on stay manual.
+            </Typography>
+            <Stack direction="row">
+              <Button size="small" variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving…' : 'Save Automation'}
+              </Button>
+            </Stack>
+          </>
+        )}
+      </Stack>
+    </Paper>
+  );
+}
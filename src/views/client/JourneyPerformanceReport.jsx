@@ -0,0 +1,263 @@
+/**
+ * JourneyPerformanceReport - follow-up program performance for the Journey tab
+ *
+ * Built from GET /hub/journey-analytics over journeys started in the range: outcome per
+ * template (active, paused, converted, lost, archived), average days to conversion, the
+ * share that became active clients with services, and the step unconverted journeys stall on.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+
+import { useTheme } from '@mui/material/styles';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import Chart from 'react-apexcharts';
+
+import MainCard from 'ui-component/cards/MainCard';
+import { fetchJourneyAnalytics } from 'api/journeys';
+import { getErrorMessage } from 'utils/errors';
+import { formatPercent } from 'utils/formatters';
+
+const RANGE_OPTIONS = [
+  { value: 3, label: 'Last 3 months' },
+  { value: 6, label: 'Last 6 months' },
+  { value: 12, label: 'Last 12 months' },
+  { value: 24, label: 'Last 24 months' }
+];
+
+const OUTCOMES = [
+  { key: 'active', label: 'Active' },
+  { key: 'paused', label: 'Paused' },
+  { key: 'converted', label: 'Converted' },
+  { key: 'lost', label: 'Lost' },
+  { key: 'archived', label: 'Archived' }
+];
+
+function rangeStart(months) {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() - (months - 1), 1).toISOString();
+}
+
+function formatDays(days) {
+  return days === null || days === undefined ? '—' : `${days} d`;
+}
+
+function SummaryTile({ label, value, detail }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="h4" fontWeight={600} noWrap>
+        {value}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+        {detail ? ` · ${detail}` : ''}
+      </Typography>
+    </Paper>
+  );
+}
+
+export default function JourneyPerformanceReport() {
+  const theme = useTheme();
+  const [months, setMonths] = useState(12);
+  const [report, setReport] = useState(null);
+  const [templateKey, setTemplateKey] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    fetchJourneyAnalytics({ from: rangeStart(months) })
+      .then((data) => {
+        if (!cancelled) setReport(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load journey performance'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [months]);
+
+  const groupKey = (group) => group.template_id || 'none';
+  const selectedGroup = report?.by_template.find((group) => groupKey(group) === templateKey) || report?.by_template[0] || null;
+
+  const outcomeChart = useMemo(() => {
+    if (!report?.by_template.length) return null;
+    return {
+      series: OUTCOMES.map((outcome) => ({ name: outcome.label, data: report.by_template.map((group) => group[outcome.key]) })),
+      options: {
+        chart: { type: 'bar', stacked: true, toolbar: { show: false } },
+        plotOptions: { bar: { horizontal: true, borderRadius: 2, barHeight: '60%' } },
+        colors: [
+          theme.palette.primary.main,
+          theme.palette.warning.main,
+          theme.palette.success.main,
+          theme.palette.error.main,
+          theme.palette.grey[400]
+        ],
+        xaxis: { categories: report.by_template.map((group) => group.template_name) },
+        legend: { position: 'top' },
+        grid: { borderColor: theme.palette.divider }
+      }
+    };
+  }, [report, theme]);
+
+  const dropOffChart = useMemo(() => {
+    if (!selectedGroup?.steps.length) return null;
+    return {
+      series: [
+        { name: 'Reached', data: selectedGroup.steps.map((step) => step.reached) },
+        { name: 'Stalled here', data: selectedGroup.steps.map((step) => step.stalled) }
+      ],
+      options: {
+        chart: { type: 'bar', toolbar: { show: false } },
+        plotOptions: { bar: { borderRadius: 2, columnWidth: '55%' } },
+        colors: [theme.palette.primary.light, theme.palette.error.main],
+        xaxis: { categories: selectedGroup.steps.map((step) => step.label) },
+        legend: { position: 'top' },
+        grid: { borderColor: theme.palette.divider }
+      }
+    };
+  }, [selectedGroup, theme]);
+
+  return (
+    <MainCard
+      title="Follow-Up Performance"
+      secondary={
+        <TextField select size="small" value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+          {RANGE_OPTIONS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>
+              {option.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      }
+    >
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {report && report.summary.journeys === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No journeys started in this period.
+        </Typography>
+      )}
+
+      {report && report.summary.journeys > 0 && (
+        <Stack spacing={3}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(5, 1fr)' }, gap: 2 }}>
+            <SummaryTile label="Journeys started" value={report.summary.journeys} detail={`${report.summary.active} active`} />
+            <SummaryTile label="Converted" value={formatPercent(report.summary.conversion_rate)} detail={report.summary.converted} />
+            <SummaryTile
+              label="Active clients with services"
+              value={formatPercent(report.summary.services_rate)}
+              detail={report.summary.with_services}
+            />
+            <SummaryTile label="Avg days to conversion" value={formatDays(report.summary.avg_days_to_conversion)} />
+            <SummaryTile
+              label="Most journeys stall on"
+              value={report.summary.stall_step?.label || '—'}
+              detail={report.summary.stall_step ? report.summary.stall_step.journeys : null}
+            />
+          </Box>
+
+          {outcomeChart && (
+            <Chart
+              options={outcomeChart.options}
+              series={outcomeChart.series}
+              type="bar"
+              height={Math.max(200, report.by_template.length * 56 + 60)}
+            />
+          )}
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Template</TableCell>
+                <TableCell align="right">Journeys</TableCell>
+                {OUTCOMES.map((outcome) => (
+                  <TableCell key={outcome.key} align="right">
+                    {outcome.label}
+                  </TableCell>
+                ))}
+                <TableCell align="right">Conversion</TableCell>
+                <TableCell align="right">With services</TableCell>
+                <TableCell align="right">Avg days</TableCell>
+                <TableCell>Stalls most on</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {report.by_template.map((group) => (
+                <TableRow key={groupKey(group)}>
+                  <TableCell>{group.template_name}</TableCell>
+                  <TableCell align="right">{group.journeys}</TableCell>
+                  {OUTCOMES.map((outcome) => (
+                    <TableCell key={outcome.key} align="right">
+                      {group[outcome.key]}
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">{formatPercent(group.conversion_rate)}</TableCell>
+                  <TableCell align="right">{formatPercent(group.services_rate)}</TableCell>
+                  <TableCell align="right">{formatDays(group.avg_days_to_conversion)}</TableCell>
+                  <TableCell>{group.stall_step ? `${group.stall_step.label} (${group.stall_step.journeys})` : '—'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {selectedGroup && (
+            <Box>
+              <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1 }}>
+                <Typography variant="subtitle1">Step drop-off</Typography>
+                <TextField
+                  select
+                  size="small"
+                  value={groupKey(selectedGroup)}
+                  onChange={(e) => setTemplateKey(e.target.value)}
+                  sx={{ minWidth: 200 }}
+                >
+                  {report.by_template.map((group) => (
+                    <MenuItem key={groupKey(group)} value={groupKey(group)}>
+                      {group.template_name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Stack>
+              {dropOffChart ? (
+                <Chart options={dropOffChart.options} series={dropOffChart.series} type="bar" height={280} />
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  These journeys have no steps.
+                </Typography>
+              )}
+              <Typography variant="caption" color="text.secondary">
+                Stalled: journeys that did not convert and whose next open step is this one. Steps skipped by a template branch are left
+                out.
+              </Typography>
+            </Box>
+          )}
+        </Stack>
+      )}
+    </MainCard>
+  );
+}
@@ -0,0 +1,390 @@
+/**
+ * JourneyTemplateLibrary - follow-up template library for the Journey tab
+ *
+ * One default template plus at most one template per service; a new journey is seeded from
+ * its service's template, else the default. Steps can branch: "if no reply in 7 days, go to
+ * step X", "if the lead is won, stop". Automatic sending settings sit at the top.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Grid from '@mui/material/Grid';
+import LinearProgress from '@mui/material/LinearProgress';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+import ListItemText from '@mui/material/ListItemText';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import { createJourneyTemplate, deleteJourneyTemplate, fetchJourneyTemplates, updateJourneyTemplate } from 'api/journeys';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+
+import JourneyAutomationSettings from './JourneyAutomationSettings';
+
+const CONDITION_OPTIONS = [
+  { value: 'no_reply', label: 'No reply within' },
+  { value: 'replied', label: 'Client replied' },
+  { value: 'stage_won', label: 'Lead won' },
+  { value: 'stage_lost', label: 'Lead lost' }
+];
+
+const EMPTY_DRAFT = { id: null, name: '', service_id: '', is_default: false, steps: [] };
+
+function nextStepId(steps) {
+  const used = new Set(steps.map((step) => step.id));
+  let n = steps.length + 1;
+  while (used.has(`step-${n}`)) n++;
+  return `step-${n}`;
+}
+
+/**
+ * Short text for a branch, e.g. "No reply within 7 days → Check-in call".
+ * `steps` are template steps (id) or journey steps (step_key).
+ */
+export function describeJourneyBranch(branch, steps = []) {
+  const label = CONDITION_OPTIONS.find((option) => option.value === branch.condition)?.label || branch.condition;
+  const condition = branch.condition === 'no_reply' ? `${label} ${branch.days} day${branch.days === 1 ? '' : 's'}` : label;
+  if (branch.action === 'stop') return `${condition} → stop`;
+  const target = steps.find((step) => (step.step_key || step.id) === branch.target);
+  return `${condition} → ${target?.label || 'later step'}`;
+}
+
+function toDraft(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    service_id: template.service_id || '',
+    is_default: template.is_default,
+    steps: (template.steps || []).map((step) => ({ ...step, branches: step.branches || [] }))
+  };
+}
+
+function BranchRow({ branch, laterSteps, onChange, onRemove }) {
+  return (
+    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems={{ sm: 'center' }}>
+      <TextField
+        select
+        size="small"
+        label="If"
+        value={branch.condition}
+        onChange={(e) => onChange({ ...branch, condition: e.target.value })}
+        sx={{ minWidth: 170 }}
+      >
+        {CONDITION_OPTIONS.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </TextField>
+      {branch.condition === 'no_reply' && (
+        <TextField
+          size="small"
+          type="number"
+          label="Days"
+          value={branch.days ?? ''}
+          onChange={(e) => onChange({ ...branch, days: Number(e.target.value) })}
+          sx={{ width: 90 }}
+        />
+      )}
+      <TextField
+        select
+        size="small"
+        label="Then"
+        value={branch.action}
+        onChange={(e) => onChange({ ...branch, action: e.target.value })}
+        sx={{ minWidth: 130 }}
+      >
+        <MenuItem value="goto" disabled={!laterSteps.length}>
+          Go to step
+        </MenuItem>
+        <MenuItem value="stop">Stop journey</MenuItem>
+      </TextField>
+      {branch.action === 'goto' && (
+        <TextField
+          select
+          size="small"
+          label="Step"
+          value={branch.target || ''}
+          onChange={(e) => onChange({ ...branch, target: e.target.value })}
+          sx={{ minWidth: 180 }}
+        >
+          {laterSteps.map((step) => (
+            <MenuItem key={step.id} value={step.id}>
+              {step.label || 'Untitled step'}
+            </MenuItem>
+          ))}
+        </TextField>
+      )}
+      <Button size="small" color="error" onClick={onRemove}>
+        Remove
+      </Button>
+    </Stack>
+  );
+}
+
+export default function JourneyTemplateLibrary({ open, onClose, services = [] }) {
+  const toast = useToast();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+
+  const loadTemplates = useCallback(async (selectId) => {
+    setLoading(true);
+    setError('');
+    try {
+      const list = await fetchJourneyTemplates();
+      setTemplates(list);
+      const selected = list.find((template) => template.id === selectId) || list.find((template) => template.is_default) || list[0];
+      setDraft(selected ? toDraft(selected) : EMPTY_DRAFT);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load journey templates'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) loadTemplates();
+  }, [open, loadTemplates]);
+
+  // A service can have only one template
+  const serviceOptions = useMemo(() => {
+    const taken = new Set(templates.filter((template) => template.id !== draft.id && template.service_id).map((t) => t.service_id));
+    return services.filter((service) => !taken.has(service.id));
+  }, [services, templates, draft.id]);
+
+  const updateStep = (index, changes) => {
+    setDraft((prev) => ({ ...prev, steps: prev.steps.map((step, idx) => (idx === index ? { ...step, ...changes } : step)) }));
+  };
+
+  const handleAddStep = () => {
+    setDraft((prev) => ({
+      ...prev,
+      steps: [
+        ...prev.steps,
+        { id: nextStepId(prev.steps), label: '', channel: '', message: '', offset_weeks: 0, offset_days: 0, branches: [] }
+      ]
+    }));
+  };
+
+  // Branches that pointed at a removed step go with it
+  const handleRemoveStep = (index) => {
+    setDraft((prev) => {
+      const removedId = prev.steps[index].id;
+      return {
+        ...prev,
+        steps: prev.steps
+          .filter((_, idx) => idx !== index)
+          .map((step) => ({ ...step, branches: step.branches.filter((branch) => branch.target !== removedId) }))
+      };
+    });
+  };
+
+  const handleAddBranch = (index) => {
+    const step = draft.steps[index];
+    updateStep(index, { branches: [...step.branches, { condition: 'no_reply', days: 7, action: 'stop' }] });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const payload = {
+        name: draft.name,
+        service_id: draft.service_id || null,
+        is_default: draft.is_default,
+        steps: draft.steps
+      };
+      const saved = draft.id ? await updateJourneyTemplate(draft.id, payload) : await createJourneyTemplate(payload);
+      toast.success('Journey template saved');
+      await loadTemplates(saved.id);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save journey template'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${draft.name}"? Journeys already using it keep their steps.`)) return;
+    setSaving(true);
+    try {
+      await deleteJourneyTemplate(draft.id);
+      toast.success('Journey template deleted');
+      await loadTemplates();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to delete journey template'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Follow-Up Templates</DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={2}>
+          <JourneyAutomationSettings />
+          {loading && <LinearProgress />}
+          {error && <Alert severity="error">{error}</Alert>}
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12, md: 4 }}>
+              <Paper variant="outlined">
+                <List dense disablePadding>
+                  {templates.map((template) => (
+                    <ListItemButton key={template.id} selected={template.id === draft.id} onClick={() => setDraft(toDraft(template))}>
+                      <ListItemText
+                        primary={template.name}
+                        secondary={template.is_default ? 'Default' : template.service_name || 'No service'}
+                      />
+                    </ListItemButton>
+                  ))}
+                  <ListItemButton selected={!draft.id} onClick={() => setDraft({ ...EMPTY_DRAFT, steps: [] })}>
+                    <ListItemText primary="+ New template" />
+                  </ListItemButton>
+                </List>
+              </Paper>
+            </Grid>
+            <Grid size={{ xs: 12, md: 8 }}>
+              <Stack spacing={2}>
+                <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems={{ sm: 'center' }}>
+                  <TextField
+                    size="small"
+                    label="Template name"
+                    value={draft.name}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    sx={{ flex: 1 }}
+                  />
+                  <TextField
+                    select
+                    size="small"
+                    label="Service"
+                    value={draft.service_id}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, service_id: e.target.value }))}
+                    sx={{ minWidth: 200 }}
+                  >
+                    <MenuItem value="">None</MenuItem>
+                    {serviceOptions.map((service) => (
+                      <MenuItem key={service.id} value={service.id}>
+                        {service.name}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={Boolean(draft.is_default)}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, is_default: e.target.checked }))}
+                      />
+                    }
+                    label="Default"
+                  />
+                </Stack>
+                <Typography variant="body2" color="text.secondary">
+                  Journeys for the selected service start with these steps; the default covers every other journey. Branches are checked
+                  while the journey is at that step.
+                </Typography>
+                {draft.steps.map((step, index) => (
+                  <Paper key={step.id} variant="outlined" sx={{ p: 2 }}>
+                    <Stack spacing={1}>
+                      <Stack direction="row" spacing={1} alignItems="center">
+                        <Typography variant="subtitle2">Step {index + 1}</Typography>
+                        {step.branches.length > 0 && <Chip size="small" label={`${step.branches.length} branch(es)`} />}
+                        <Button size="small" color="error" onClick={() => handleRemoveStep(index)}>
+                          Remove
+                        </Button>
+                      </Stack>
+                      <TextField
+                        size="small"
+                        label="Label"
+                        value={step.label}
+                        onChange={(e) => updateStep(index, { label: e.target.value })}
+                      />
+                      <TextField
+                        size="small"
+                        label="Channel"
+                        helperText="e.g. call, text, email"
+                        value={step.channel || ''}
+                        onChange={(e) => updateStep(index, { channel: e.target.value })}
+                      />
+                      <TextField
+                        size="small"
+                        label="Message"
+                        value={step.message || ''}
+                        onChange={(e) => updateStep(index, { message: e.target.value })}
+                        multiline
+                        minRows={2}
+                      />
+                      <Stack direction="row" spacing={1}>
+                        <TextField
+                          size="small"
+                          type="number"
+                          label="Offset weeks"
+                          value={step.offset_weeks ?? 0}
+                          onChange={(e) => updateStep(index, { offset_weeks: Number(e.target.value) || 0 })}
+                        />
+                        <TextField
+                          size="small"
+                          type="number"
+                          label="Offset days"
+                          value={step.offset_days ?? 0}
+                          onChange={(e) => updateStep(index, { offset_days: Number(e.target.value) || 0 })}
+                        />
+                      </Stack>
+                      {step.branches.map((branch, branchIndex) => (
+                        <BranchRow
+                          key={branchIndex}
+                          branch={branch}
+                          laterSteps={draft.steps.slice(index + 1)}
+                          onChange={(next) =>
+                            updateStep(index, { branches: step.branches.map((item, idx) => (idx === branchIndex ? next : item)) })
+                          }
+                          onRemove={() => updateStep(index, { branches: step.branches.filter((_, idx) => idx !== branchIndex) })}
+                        />
+                      ))}
+                      <Stack direction="row">
+                        <Button size="small" onClick={() => handleAddBranch(index)}>
+                          Add Branch
+                        </Button>
+                      </Stack>
+                    </Stack>
+                  </Paper>
+                ))}
+                <Stack direction="row">
+                  <Button variant="outlined" onClick={handleAddStep}>
+                    Add Step
+                  </Button>
+                </Stack>
+              </Stack>
+            </Grid>
+          </Grid>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        {draft.id && !draft.is_default && (
+          <Button color="error" onClick={handleDelete} disabled={saving}>
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !draft.name.trim()}>
+          {saving ? 'Saving…' : 'Save Template'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,366 @@
+/**
+ * LeadAttributionReport - Marketing attribution for the Analytics tab
+ *
+ * Leads, qualified leads, conversions, revenue and cost per lead by channel
+ * (GET /hub/calls/attribution), under a first-touch or last-touch model. Calls are credited to
+ * their CTM source, forms to the channel their UTMs / click ids point at, and revenue comes
+ * from services agreed by the active clients those leads became. Spend is entered per channel
+ * and month in the "Ad spend" dialog.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import InputAdornment from '@mui/material/InputAdornment';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Typography from '@mui/material/Typography';
+import DownloadIcon from '@mui/icons-material/Download';
+
+import MainCard from 'ui-component/cards/MainCard';
+import { exportAttributionCsv, fetchAttributionReport, fetchMarketingSpend, saveMarketingSpend } from 'api/calls';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatMoney, formatPercent } from 'utils/formatters';
+
+const RANGE_OPTIONS = [
+  { value: 'this_month', label: 'This month' },
+  { value: 'last_month', label: 'Last month' },
+  { value: '3', label: 'Last 3 months' },
+  { value: '12', label: 'Last 12 months' }
+];
+
+function rangeParams(range) {
+  const now = new Date();
+  const monthStart = (offset) => new Date(now.getFullYear(), now.getMonth() + offset, 1).toISOString();
+  if (range === 'this_month') return { from: monthStart(0) };
+  if (range === 'last_month') return { from: monthStart(-1), to: monthStart(0) };
+  return { from: monthStart(-(Number(range) - 1)) };
+}
+
+function currentMonth() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function SummaryTile({ label, value }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="h4" fontWeight={600}>
+        {value}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+    </Paper>
+  );
+}
+
+function SpendDialog({ open, channels, onClose, onSaved }) {
+  const toast = useToast();
+  const [month, setMonth] = useState(currentMonth());
+  const [amounts, setAmounts] = useState({});
+  const [saved, setSaved] = useState({});
+  const [newChannel, setNewChannel] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !month) return;
+    let cancelled = false;
+    setLoading(true);
+    setLoadError('');
+    fetchMarketingSpend({ from: month, to: month })
+      .then((rows) => {
+        if (cancelled) return;
+        const values = Object.fromEntries(rows.map((row) => [row.channel, String(row.amount)]));
+        setSaved(values);
+        setAmounts(values);
+      })
+      .catch((err) => {
+        if (!cancelled) setLoadError(getErrorMessage(err, 'Failed to load spend'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, month]);
+
+  const rows = useMemo(() => [...new Set([...channels, ...Object.keys(amounts)])].sort(), [channels, amounts]);
+
+  const handleAddChannel = () => {
+    const name = newChannel.trim();
+    if (!name) return;
+    setAmounts((prev) => ({ ...prev, [name]: prev[name] ?? '' }));
+    setNewChannel('');
+  };
+
+  const handleSave = async () => {
+    const changed = rows.filter((channel) => (amounts[channel] ?? '') !== (saved[channel] ?? ''));
+    setSaving(true);
+    try {
+      for (const channel of changed) {
+        const value = (amounts[channel] ?? '').trim();
+        await saveMarketingSpend({ channel, month, amount: value === '' ? null : Number(value) });
+      }
+      toast.success(changed.length ? 'Spend saved' : 'No changes');
+      onSaved();
+      onClose();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save spend'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Ad spend</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <TextField
+            type="month"
+            label="Month"
+            size="small"
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          {loading && <LinearProgress />}
+          {loadError && <Alert severity="error">{loadError}</Alert>}
+          <Typography variant="caption" color="text.secondary">
+            Channel names must match the report (e.g. the CTM source). Clear an amount to remove it.
+          </Typography>
+          {rows.map((channel) => (
+            <TextField
+              key={channel}
+              size="small"
+              label={channel}
+              type="number"
+              value={amounts[channel] ?? ''}
+              onChange={(e) => setAmounts((prev) => ({ ...prev, [channel]: e.target.value }))}
+              slotProps={{ input: { startAdornment: <InputAdornment position="start">$</InputAdornment> }, htmlInput: { min: 0 } }}
+            />
+          ))}
+          <Stack direction="row" spacing={1}>
+            <TextField
+              size="small"
+              label="Other channel"
+              value={newChannel}
+              onChange={(e) => setNewChannel(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAddChannel()}
+              sx={{ flex: 1 }}
+            />
+            <Button onClick={handleAddChannel} disabled={!newChannel.trim()}>
+              Add
+            </Button>
+          </Stack>
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || loading || Boolean(loadError) || !month}>
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default function LeadAttributionReport() {
+  const toast = useToast();
+  const [range, setRange] = useState('this_month');
+  const [model, setModel] = useState('first_touch');
+  const [group, setGroup] = useState('channel');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [spendOpen, setSpendOpen] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    fetchAttributionReport(rangeParams(range))
+      .then((data) => {
+        if (!cancelled) setReport(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load attribution report'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [range, reloadKey]);
+
+  const handleExport = async () => {
+    try {
+      const blob = await exportAttributionCsv({ ...rangeParams(range), model, group });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `attribution-${model.replace(/_/g, '-')}-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to export attribution report'));
+    }
+  };
+
+  const modelReport = report?.models[model];
+  const rows = group === 'campaign' ? modelReport?.by_campaign || [] : modelReport?.by_channel || [];
+  const channels = useMemo(() => (report ? report.models.first_touch.by_channel.map((row) => row.channel) : []), [report]);
+  const summary = report?.summary;
+
+  return (
+    <MainCard
+      title="Marketing Attribution"
+      secondary={
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField select size="small" value={range} onChange={(e) => setRange(e.target.value)}>
+            {RANGE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button size="small" variant="outlined" onClick={() => setSpendOpen(true)}>
+            Ad spend
+          </Button>
+          <Button size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={handleExport} disabled={!report}>
+            CSV
+          </Button>
+        </Stack>
+      }
+    >
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {summary && (
+        <Stack spacing={3}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(5, 1fr)' }, gap: 2 }}>
+            <SummaryTile label="Leads" value={summary.leads} />
+            <SummaryTile label="Qualified leads" value={summary.qualified} />
+            <SummaryTile label="Conversions" value={summary.conversions} />
+            <SummaryTile label="Revenue" value={formatMoney(summary.revenue)} />
+            <SummaryTile label="Cost per lead" value={formatMoney(summary.cost_per_lead)} />
+          </Box>
+
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+            <ToggleButtonGroup size="small" exclusive value={model} onChange={(e, value) => value && setModel(value)}>
+              <ToggleButton value="first_touch">First touch</ToggleButton>
+              <ToggleButton value="last_touch">Last touch</ToggleButton>
+            </ToggleButtonGroup>
+            <ToggleButtonGroup size="small" exclusive value={group} onChange={(e, value) => value && setGroup(value)}>
+              <ToggleButton value="channel">By channel</ToggleButton>
+              <ToggleButton value="campaign">By campaign</ToggleButton>
+            </ToggleButtonGroup>
+            <Typography variant="caption" color="text.secondary">
+              {model === 'first_touch'
+                ? 'Credit goes to how each contact first reached you.'
+                : 'Credit goes to the last touch before the contact became a client.'}
+            </Typography>
+          </Stack>
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Channel</TableCell>
+                {group === 'campaign' && <TableCell>Campaign / tracking number</TableCell>}
+                <TableCell align="right">Leads</TableCell>
+                <TableCell align="right">Qualified</TableCell>
+                <TableCell align="right">Conversions</TableCell>
+                <TableCell align="right">Revenue</TableCell>
+                {group === 'channel' && (
+                  <>
+                    <TableCell align="right">Spend</TableCell>
+                    <TableCell align="right">Cost / lead</TableCell>
+                    <TableCell align="right">Cost / conversion</TableCell>
+                    <TableCell align="right">ROAS</TableCell>
+                  </>
+                )}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((row) => (
+                <TableRow key={`${row.channel}|${row.campaign || ''}`}>
+                  <TableCell>{row.channel}</TableCell>
+                  {group === 'campaign' && <TableCell>{row.campaign || '—'}</TableCell>}
+                  <TableCell align="right">{row.leads}</TableCell>
+                  <TableCell align="right">
+                    {row.qualified}{' '}
+                    <Typography component="span" variant="caption" color="text.secondary">
+                      ({formatPercent(row.qualified_rate)})
+                    </Typography>
+                  </TableCell>
+                  <TableCell align="right">{row.conversions}</TableCell>
+                  <TableCell align="right">{formatMoney(row.revenue)}</TableCell>
+                  {group === 'channel' && (
+                    <>
+                      <TableCell align="right">{row.spend ? formatMoney(row.spend) : '—'}</TableCell>
+                      <TableCell align="right">{formatMoney(row.cost_per_lead)}</TableCell>
+                      <TableCell align="right">{formatMoney(row.cost_per_conversion)}</TableCell>
+                      <TableCell align="right">{row.roas === null ? '—' : `${row.roas}x`}</TableCell>
+                    </>
+                  )}
+                </TableRow>
+              ))}
+              {!rows.length && (
+                <TableRow>
+                  <TableCell colSpan={group === 'channel' ? 9 : 6}>
+                    <Typography variant="body2" color="text.secondary">
+                      No leads in this period.
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+
+          {summary.unattributed_revenue > 0 && (
+            <Typography variant="caption" color="text.secondary">
+              {formatMoney(summary.unattributed_revenue)} of revenue came from clients with no matching call or form and is not included
+              above.
+            </Typography>
+          )}
+        </Stack>
+      )}
+
+      <SpendDialog
+        open={spendOpen}
+        channels={channels}
+        onClose={() => setSpendOpen(false)}
+        onSaved={() => setReloadKey((key) => key + 1)}
+      />
+    </MainCard>
+  );
+}
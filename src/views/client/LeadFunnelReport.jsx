@@ -0,0 +1,277 @@
+/**
+ * LeadFunnelReport - Conversion funnel for the Analytics tab
+ *
+ * Built from pipeline stage history (GET /hub/leads/funnel): how many leads reached each
+ * stage, stage-to-stage conversion, median time spent in a stage, and win rate by lead
+ * source and by month. Won/lost come from the stages flagged as won/lost in the pipeline.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+
+import { useTheme } from '@mui/material/styles';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import Chart from 'react-apexcharts';
+
+import MainCard from 'ui-component/cards/MainCard';
+import { fetchLeadFunnel } from 'api/calls';
+import { getErrorMessage } from 'utils/errors';
+import { formatPercent, formatMonth } from 'utils/formatters';
+
+const RANGE_OPTIONS = [
+  { value: 3, label: 'Last 3 months' },
+  { value: 6, label: 'Last 6 months' },
+  { value: 12, label: 'Last 12 months' },
+  { value: 24, label: 'Last 24 months' }
+];
+
+function rangeStart(months) {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() - (months - 1), 1).toISOString();
+}
+
+function formatDuration(hours) {
+  if (hours === null || hours === undefined) return '—';
+  if (hours < 48) return `${hours} h`;
+  return `${Math.round((hours / 24) * 10) / 10} d`;
+}
+
+function SummaryTile({ label, value }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="h4" fontWeight={600}>
+        {value}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+    </Paper>
+  );
+}
+
+function OutcomeTable({ rows, labelHeader, renderLabel }) {
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>{labelHeader}</TableCell>
+          <TableCell align="right">Leads</TableCell>
+          <TableCell align="right">Won</TableCell>
+          <TableCell align="right">Lost</TableCell>
+          <TableCell align="right">Win rate</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.map((row) => (
+          <TableRow key={renderLabel(row)}>
+            <TableCell>{renderLabel(row)}</TableCell>
+            <TableCell align="right">{row.leads}</TableCell>
+            <TableCell align="right">{row.won}</TableCell>
+            <TableCell align="right">{row.lost}</TableCell>
+            <TableCell align="right">{formatPercent(row.win_rate)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+export default function LeadFunnelReport() {
+  const theme = useTheme();
+  const [months, setMonths] = useState(12);
+  const [source, setSource] = useState('all');
+  const [sourceOptions, setSourceOptions] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    fetchLeadFunnel({ from: rangeStart(months), source: source === 'all' ? undefined : source })
+      .then((data) => {
+        if (cancelled) return;
+        setReport(data);
+        if (source === 'all') setSourceOptions(data.by_source.map((row) => row.source));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load funnel report'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [months, source]);
+
+  const funnelChart = useMemo(() => {
+    if (!report?.funnel.length) return null;
+    return {
+      series: [{ name: 'Leads reached', data: report.funnel.map((step) => step.reached) }],
+      options: {
+        chart: { type: 'bar', toolbar: { show: false } },
+        plotOptions: { bar: { horizontal: true, distributed: true, borderRadius: 4, barHeight: '70%' } },
+        colors: report.funnel.map((step) => step.color || theme.palette.primary.main),
+        xaxis: { categories: report.funnel.map((step) => step.name) },
+        legend: { show: false },
+        dataLabels: {
+          enabled: true,
+          formatter: (value, { dataPointIndex }) => `${value} (${formatPercent(report.funnel[dataPointIndex].conversion_rate)})`
+        },
+        grid: { borderColor: theme.palette.divider }
+      }
+    };
+  }, [report, theme]);
+
+  const monthChart = useMemo(() => {
+    if (!report?.by_month.length) return null;
+    return {
+      series: [
+        { name: 'Leads', type: 'column', data: report.by_month.map((row) => row.leads) },
+        { name: 'Won', type: 'column', data: report.by_month.map((row) => row.won) },
+        { name: 'Win rate', type: 'line', data: report.by_month.map((row) => Math.round((row.win_rate || 0) * 1000) / 10) }
+      ],
+      options: {
+        chart: { type: 'line', toolbar: { show: false } },
+        colors: [theme.palette.primary.light, theme.palette.success.main, theme.palette.secondary.main],
+        stroke: { width: [0, 0, 3] },
+        xaxis: { categories: report.by_month.map((row) => formatMonth(row.month)) },
+        yaxis: [
+          { title: { text: 'Leads' } },
+          { show: false, seriesName: 'Leads' },
+          { opposite: true, max: 100, title: { text: 'Win rate %' } }
+        ],
+        grid: { borderColor: theme.palette.divider }
+      }
+    };
+  }, [report, theme]);
+
+  return (
+    <MainCard
+      title="Lead Conversion Funnel"
+      secondary={
+        <Stack direction="row" spacing={1}>
+          <TextField select size="small" value={source} onChange={(e) => setSource(e.target.value)} sx={{ minWidth: 160 }}>
+            <MenuItem value="all">All sources</MenuItem>
+            {sourceOptions.map((option) => (
+              <MenuItem key={option} value={option}>
+                {option}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TextField select size="small" value={months} onChange={(e) => setMonths(Number(e.target.value))}>
+            {RANGE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Stack>
+      }
+    >
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {report && (
+        <Stack spacing={3}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(4, 1fr)' }, gap: 2 }}>
+            <SummaryTile label="Leads" value={report.summary.leads} />
+            <SummaryTile label="Won" value={report.summary.won} />
+            <SummaryTile label="Win rate" value={formatPercent(report.summary.win_rate)} />
+            <SummaryTile label="Won of closed" value={formatPercent(report.summary.close_rate)} />
+          </Box>
+
+          {funnelChart ? (
+            <Chart options={funnelChart.options} series={funnelChart.series} type="bar" height={Math.max(200, report.funnel.length * 56)} />
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              No pipeline stages yet.
+            </Typography>
+          )}
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Stage</TableCell>
+                <TableCell align="right">Reached</TableCell>
+                <TableCell align="right">From previous step</TableCell>
+                <TableCell align="right">In stage now</TableCell>
+                <TableCell align="right">Median time in stage</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              <TableRow>
+                <TableCell>All leads</TableCell>
+                <TableCell align="right">{report.summary.leads}</TableCell>
+                <TableCell align="right">—</TableCell>
+                <TableCell align="right">{report.summary.unstaged}</TableCell>
+                <TableCell align="right">—</TableCell>
+              </TableRow>
+              {report.funnel.map((step) => (
+                <TableRow key={step.stage_id}>
+                  <TableCell>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: step.color }} />
+                      <span>{step.name}</span>
+                    </Stack>
+                  </TableCell>
+                  <TableCell align="right">{step.reached}</TableCell>
+                  <TableCell align="right">{formatPercent(step.conversion_rate)}</TableCell>
+                  <TableCell align="right">{step.current}</TableCell>
+                  <TableCell align="right">{step.is_won_stage ? '—' : formatDuration(step.median_hours)}</TableCell>
+                </TableRow>
+              ))}
+              {report.lost.map((stage) => (
+                <TableRow key={stage.stage_id}>
+                  <TableCell>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: stage.color }} />
+                      <span>{stage.name}</span>
+                    </Stack>
+                  </TableCell>
+                  <TableCell align="right">—</TableCell>
+                  <TableCell align="right">—</TableCell>
+                  <TableCell align="right">{stage.current}</TableCell>
+                  <TableCell align="right">—</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          <Box>
+            <Typography variant="subtitle1" gutterBottom>
+              Win rate by month
+            </Typography>
+            {monthChart && <Chart options={monthChart.options} series={monthChart.series} type="line" height={300} />}
+            <OutcomeTable rows={report.by_month} labelHeader="Month" renderLabel={(row) => formatMonth(row.month)} />
+          </Box>
+
+          <Box>
+            <Typography variant="subtitle1" gutterBottom>
+              Win rate by source
+            </Typography>
+            <OutcomeTable rows={report.by_source} labelHeader="Source" renderLabel={(row) => row.source} />
+          </Box>
+        </Stack>
+      )}
+    </MainCard>
+  );
+}
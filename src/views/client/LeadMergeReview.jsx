@@ -0,0 +1,339 @@
+/**
+ * LeadMergeReview - Duplicate lead review for the Leads tab
+ *
+ * Lists groups of leads that look like the same person (same phone, same email or a
+ * near-identical name, plus any matching journey/active client). The user picks which lead
+ * survives and which ones to fold into it; notes, tags, pipeline stage and journeys move to
+ * the survivor. Every merge is logged and can be undone from the history tab.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Checkbox from '@mui/material/Checkbox';
+import Chip from '@mui/material/Chip';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import LinearProgress from '@mui/material/LinearProgress';
+import Paper from '@mui/material/Paper';
+import Radio from '@mui/material/Radio';
+import Stack from '@mui/material/Stack';
+import Tab from '@mui/material/Tab';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Tabs from '@mui/material/Tabs';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+
+import { dismissDuplicateLeads, fetchDuplicateLeads, fetchLeadMerges, mergeLeads, undoLeadMerge } from 'api/calls';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatDateTime } from 'utils/formatters';
+
+const REASON_LABELS = { phone: 'Same phone', email: 'Same email', name: 'Similar name', linked: 'Linked record' };
+
+function DuplicateGroup({ cluster, onMerged, onDismissed }) {
+  const toast = useToast();
+  const [survivorId, setSurvivorId] = useState(cluster.suggested_survivor);
+  const [selected, setSelected] = useState(() => new Set(cluster.calls.map((call) => call.call_id)));
+  const [busy, setBusy] = useState(false);
+
+  const toMerge = cluster.calls.filter((call) => call.call_id !== survivorId && selected.has(call.call_id));
+  const nameOnly = cluster.reasons.length === 1 && cluster.reasons[0] === 'name';
+
+  const toggle = (callId) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(callId)) next.delete(callId);
+      else next.add(callId);
+      return next;
+    });
+  };
+
+  const handleMerge = async () => {
+    const survivor = cluster.calls.find((call) => call.call_id === survivorId);
+    if (
+      !window.confirm(
+        `Merge ${toMerge.length} lead(s) into ${survivor?.caller_name || 'the kept lead'}? You can undo this from Merge history.`
+      )
+    ) {
+      return;
+    }
+    setBusy(true);
+    try {
+      await mergeLeads({ survivorCallId: survivorId, callIds: toMerge.map((call) => call.call_id), reasons: cluster.reasons });
+      toast.success(`Merged ${toMerge.length} lead${toMerge.length === 1 ? '' : 's'}`);
+      onMerged();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to merge leads'));
+      setBusy(false);
+    }
+  };
+
+  const handleDismiss = async () => {
+    setBusy(true);
+    try {
+      await dismissDuplicateLeads(cluster.key);
+      onDismissed(cluster.key);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to dismiss suggestion'));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" sx={{ mb: 1 }}>
+        {cluster.reasons.map((reason) => (
+          <Chip key={reason} size="small" label={REASON_LABELS[reason] || reason} color={reason === 'name' ? 'default' : 'primary'} />
+        ))}
+        {nameOnly && (
+          <Typography variant="caption" color="warning.main">
+            Matched by name only — check before merging
+          </Typography>
+        )}
+      </Stack>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell padding="checkbox">
+              <Tooltip title="Surviving lead">
+                <span>Keep</span>
+              </Tooltip>
+            </TableCell>
+            <TableCell padding="checkbox">Merge</TableCell>
+            <TableCell>Caller</TableCell>
+            <TableCell>Phone / Email</TableCell>
+            <TableCell>Date</TableCell>
+            <TableCell>Type</TableCell>
+            <TableCell>Category</TableCell>
+            <TableCell>Stage</TableCell>
+            <TableCell align="right">Notes / Tags</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {cluster.calls.map((call) => {
+            const isSurvivor = call.call_id === survivorId;
+            return (
+              <TableRow key={call.call_id} selected={isSurvivor}>
+                <TableCell padding="checkbox">
+                  <Radio size="small" checked={isSurvivor} onChange={() => setSurvivorId(call.call_id)} />
+                </TableCell>
+                <TableCell padding="checkbox">
+                  <Checkbox
+                    size="small"
+                    checked={isSurvivor || selected.has(call.call_id)}
+                    disabled={isSurvivor}
+                    onChange={() => toggle(call.call_id)}
+                  />
+                </TableCell>
+                <TableCell>{call.caller_name || 'Unknown'}</TableCell>
+                <TableCell>
+                  <Typography variant="body2">{call.from_number || '—'}</Typography>
+                  {call.caller_email && (
+                    <Typography variant="caption" color="text.secondary">
+                      {call.caller_email}
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDateTime(call.started_at)}</TableCell>
+                <TableCell sx={{ textTransform: 'capitalize' }}>{call.activity_type || 'call'}</TableCell>
+                <TableCell>{call.category || 'unreviewed'}</TableCell>
+                <TableCell>{call.stage_name || '—'}</TableCell>
+                <TableCell align="right">
+                  {call.note_count} / {call.tag_count}
+                </TableCell>
+              </TableRow>
+            );
+          })}
+        </TableBody>
+      </Table>
+
+      {(cluster.active_clients.length > 0 || cluster.journeys.length > 0) && (
+        <Stack direction="row" spacing={1} flexWrap="wrap" sx={{ mt: 1.5 }}>
+          {cluster.active_clients.map((activeClient) => (
+            <Chip
+              key={activeClient.id}
+              size="small"
+              variant="outlined"
+              color="success"
+              label={`Client: ${activeClient.client_name || 'Unnamed'}${activeClient.archived_at ? ' (archived)' : ''}`}
+            />
+          ))}
+          {cluster.journeys.map((journey) => (
+            <Chip
+              key={journey.id}
+              size="small"
+              variant="outlined"
+              label={`Journey: ${journey.client_name || 'Unnamed'} (${journey.status})`}
+            />
+          ))}
+        </Stack>
+      )}
+
+      <Stack direction="row" spacing={1} justifyContent="flex-end" sx={{ mt: 2 }}>
+        <Button size="small" onClick={handleDismiss} disabled={busy}>
+          Not duplicates
+        </Button>
+        <Button size="small" variant="contained" onClick={handleMerge} disabled={busy || !toMerge.length}>
+          Merge {toMerge.length} into kept lead
+        </Button>
+      </Stack>
+    </Paper>
+  );
+}
+
+export default function LeadMergeReview({ open, onClose, onChanged }) {
+  const toast = useToast();
+  const [tab, setTab] = useState('suggested');
+  const [clusters, setClusters] = useState(null);
+  const [merges, setMerges] = useState(null);
+  const [error, setError] = useState('');
+  const [undoingId, setUndoingId] = useState(null);
+
+  const loadClusters = useCallback(async () => {
+    setError('');
+    setClusters(null);
+    try {
+      setClusters(await fetchDuplicateLeads());
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to find duplicate leads'));
+      setClusters([]);
+    }
+  }, []);
+
+  const loadMerges = useCallback(async () => {
+    setError('');
+    setMerges(null);
+    try {
+      setMerges(await fetchLeadMerges());
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load merge history'));
+      setMerges([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    if (tab === 'suggested') loadClusters();
+    else loadMerges();
+  }, [open, tab, loadClusters, loadMerges]);
+
+  const handleMerged = () => {
+    loadClusters();
+    onChanged?.();
+  };
+
+  const handleUndo = async (merge) => {
+    setUndoingId(merge.id);
+    try {
+      await undoLeadMerge(merge.id);
+      toast.success('Merge undone');
+      await loadMerges();
+      onChanged?.();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to undo merge'));
+    } finally {
+      setUndoingId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Duplicate Leads</DialogTitle>
+      <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ px: 3, borderBottom: 1, borderColor: 'divider' }}>
+        <Tab value="suggested" label={`Suggested${clusters ? ` (${clusters.length})` : ''}`} />
+        <Tab value="history" label="Merge history" />
+      </Tabs>
+      <DialogContent sx={{ minHeight: 320 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {tab === 'suggested' && (
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            {!clusters && <LinearProgress />}
+            {clusters && !clusters.length && !error && (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+                No duplicate leads found.
+              </Typography>
+            )}
+            {clusters?.map((cluster) => (
+              <DuplicateGroup
+                key={cluster.key}
+                cluster={cluster}
+                onMerged={handleMerged}
+                onDismissed={(key) => setClusters((prev) => prev.filter((item) => item.key !== key))}
+              />
+            ))}
+          </Stack>
+        )}
+
+        {tab === 'history' && (
+          <Box sx={{ pt: 1 }}>
+            {!merges && <LinearProgress />}
+            {merges && !merges.length && !error && (
+              <Typography variant="body2" color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+                No merges yet.
+              </Typography>
+            )}
+            {merges?.length > 0 && (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Date</TableCell>
+                    <TableCell>Kept lead</TableCell>
+                    <TableCell align="right">Merged</TableCell>
+                    <TableCell>Matched by</TableCell>
+                    <TableCell>By</TableCell>
+                    <TableCell align="right" />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {merges.map((merge) => (
+                    <TableRow key={merge.id} sx={{ opacity: merge.undone_at ? 0.6 : 1 }}>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDateTime(merge.created_at)}</TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{merge.survivor_name || 'Unknown'}</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {merge.survivor_number || merge.survivor_call_id}
+                        </Typography>
+                      </TableCell>
+                      <TableCell align="right">{merge.merged_call_ids.length}</TableCell>
+                      <TableCell>{merge.match_reasons.map((reason) => REASON_LABELS[reason] || reason).join(', ') || 'Manual'}</TableCell>
+                      <TableCell>{merge.merged_by_email || '—'}</TableCell>
+                      <TableCell align="right">
+                        {merge.undone_at ? (
+                          <Typography variant="caption" color="text.secondary">
+                            Undone {formatDateTime(merge.undone_at)}
+                          </Typography>
+                        ) : (
+                          <Button size="small" onClick={() => handleUndo(merge)} disabled={undoingId === merge.id}>
+                            Undo
+                          </Button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
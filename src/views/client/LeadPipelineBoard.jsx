@@ -0,0 +1,249 @@
+/**
+ * LeadPipelineBoard - Kanban view of the Leads tab
+ *
+ * One column per pipeline stage (plus "No stage"), filtered with the same filters as the
+ * list, including saved views. Dragging a card moves the lead through PUT /calls/:id/stage,
+ * so the change shows up in stage history and the funnel. Column headers show the lead count
+ * and the agreed service value of linked active clients.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import LinearProgress from '@mui/material/LinearProgress';
+import Paper from '@mui/material/Paper';
+import Rating from '@mui/material/Rating';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+
+import { fetchLeadBoard, moveLeadToStage } from 'api/calls';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+
+const NO_STAGE = { name: 'No stage', color: '#9ca3af' };
+const FILTER_DEBOUNCE_MS = 300;
+
+function formatValue(value) {
+  return `$${Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
+
+function LeadCard({ lead, getCategoryColor, onOpen, onDragStart }) {
+  const categoryColor = getCategoryColor(lead.category);
+  const tags = lead.tags || [];
+
+  return (
+    <Paper
+      variant="outlined"
+      draggable
+      onDragStart={(e) => onDragStart(e, lead)}
+      onClick={() => onOpen(lead)}
+      sx={{
+        p: 1.5,
+        cursor: 'grab',
+        borderLeft: `4px solid ${categoryColor.border}`,
+        '&:hover': { boxShadow: 1 }
+      }}
+    >
+      <Typography variant="subtitle2" fontWeight={600} noWrap>
+        {lead.caller_name || 'Unknown Caller'}
+      </Typography>
+      {lead.from_number && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+          {lead.from_number}
+        </Typography>
+      )}
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mt: 1 }}>
+        <Chip
+          label={(lead.category || 'unreviewed').replace(/_/g, ' ').toUpperCase()}
+          size="small"
+          sx={{
+            bgcolor: categoryColor.bg,
+            color: categoryColor.text,
+            border: `1px solid ${categoryColor.border}`,
+            fontSize: '0.65rem',
+            height: 20,
+            fontWeight: 600
+          }}
+        />
+        <Rating value={lead.rating || 0} size="small" readOnly />
+      </Stack>
+      {(tags.length > 0 || lead.client_value > 0) && (
+        <Stack direction="row" spacing={0.5} alignItems="center" flexWrap="wrap" useFlexGap sx={{ mt: 1 }}>
+          {tags.slice(0, 3).map((tag) => (
+            <Chip
+              key={tag.id}
+              label={tag.name}
+              size="small"
+              sx={{ bgcolor: tag.color || '#6366f1', color: 'white', fontSize: '0.6rem', height: 18 }}
+            />
+          ))}
+          {tags.length > 3 && (
+            <Typography variant="caption" color="text.secondary">
+              +{tags.length - 3}
+            </Typography>
+          )}
+          {lead.client_value > 0 && (
+            <Typography variant="caption" color="success.main" fontWeight={600} sx={{ ml: 'auto' }}>
+              {formatValue(lead.client_value)}
+            </Typography>
+          )}
+        </Stack>
+      )}
+    </Paper>
+  );
+}
+
+export default function LeadPipelineBoard({ filters, reloadKey, getCategoryColor, onOpenLead }) {
+  const toast = useToast();
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [dropTarget, setDropTarget] = useState(undefined);
+  const draggedLead = useRef(null);
+  const requestId = useRef(0);
+
+  const loadBoard = useCallback(async () => {
+    const current = ++requestId.current;
+    setLoading(true);
+    setError('');
+    try {
+      const data = await fetchLeadBoard(filters);
+      if (current === requestId.current) setBoard(data);
+    } catch (err) {
+      if (current === requestId.current) setError(getErrorMessage(err, 'Failed to load pipeline board'));
+    } finally {
+      if (current === requestId.current) setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadBoard, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [loadBoard, reloadKey]);
+
+  const handleDragStart = (e, lead) => {
+    draggedLead.current = lead;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', lead.id);
+  };
+
+  const handleDrop = async (e, stageId) => {
+    e.preventDefault();
+    setDropTarget(undefined);
+    const lead = draggedLead.current;
+    draggedLead.current = null;
+    if (!lead || (lead.pipeline_stage_id || null) === stageId) return;
+
+    // Move the card right away; counts and value totals are refreshed from the server after the save
+    const moved = { ...lead, pipeline_stage_id: stageId };
+    setBoard((prev) => ({
+      ...prev,
+      columns: prev.columns.map((column) => {
+        if (column.stage_id === (lead.pipeline_stage_id || null)) {
+          return { ...column, count: column.count - 1, leads: column.leads.filter((item) => item.id !== lead.id) };
+        }
+        if (column.stage_id === stageId) {
+          return { ...column, count: column.count + 1, leads: [moved, ...column.leads] };
+        }
+        return column;
+      })
+    }));
+
+    try {
+      await moveLeadToStage(lead.id, stageId);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to move lead'));
+    }
+    loadBoard();
+  };
+
+  if (!board) {
+    if (error) return <Alert severity="error">{error}</Alert>;
+    return loading ? <LinearProgress /> : null;
+  }
+
+  const stagesById = new Map(board.stages.map((stage) => [stage.id, stage]));
+
+  return (
+    <Box>
+      {loading && <LinearProgress sx={{ mb: 1 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      )}
+      <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 2, minHeight: 500 }}>
+        {board.columns.map((column) => {
+          const stage = column.stage_id ? stagesById.get(column.stage_id) : NO_STAGE;
+          const isTarget = dropTarget === column.stage_id;
+          return (
+            <Box
+              key={column.stage_id || 'none'}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                if (!isTarget) setDropTarget(column.stage_id);
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(undefined);
+              }}
+              onDrop={(e) => handleDrop(e, column.stage_id)}
+              sx={{
+                minWidth: 280,
+                maxWidth: 320,
+                flexShrink: 0,
+                bgcolor: isTarget ? 'action.selected' : 'grey.50',
+                borderRadius: 2,
+                border: '1px solid',
+                borderColor: 'divider',
+                borderTop: `4px solid ${stage.color}`,
+                display: 'flex',
+                flexDirection: 'column'
+              }}
+            >
+              {/* Column Header */}
+              <Box sx={{ p: 1.5, borderBottom: '1px solid', borderColor: 'divider' }}>
+                <Stack direction="row" justifyContent="space-between" alignItems="center">
+                  <Typography variant="subtitle2" fontWeight={600}>
+                    {stage.name}
+                  </Typography>
+                  <Chip label={column.count} size="small" sx={{ minWidth: 28 }} />
+                </Stack>
+                <Typography variant="caption" color="text.secondary">
+                  {formatValue(column.value_total)} agreed
+                </Typography>
+              </Box>
+
+              {/* Column Content */}
+              <Box sx={{ p: 1, flex: 1, overflow: 'auto', maxHeight: 640 }}>
+                <Stack spacing={1}>
+                  {column.leads.map((lead) => (
+                    <LeadCard
+                      key={lead.id}
+                      lead={lead}
+                      getCategoryColor={getCategoryColor}
+                      onOpen={onOpenLead}
+                      onDragStart={handleDragStart}
+                    />
+                  ))}
+                  {column.leads.length === 0 && (
+                    <Typography variant="caption" color="text.secondary" sx={{ textAlign: 'center', py: 3 }}>
+                      No leads
+                    </Typography>
+                  )}
+                  {column.count > column.leads.length && (
+                    <Typography variant="caption" color="text.secondary" sx={{ textAlign: 'center', py: 1 }}>
+                      Showing newest {column.leads.length} of {column.count}
+                    </Typography>
+                  )}
+                </Stack>
+              </Box>
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,157 @@
+/**
+ * LeadSearchResults - full-text results for the Leads tab
+ *
+ * Shown instead of the list when "Search transcripts & notes" is on. Searches caller names,
+ * AI summaries, transcripts and lead notes via GET /hub/leads/search, using the tab's date range
+ * and category filter plus an optional tag. Each result shows where it matched with the
+ * matching words highlighted; clicking a result opens the lead drawer.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import HighlightedSnippet from 'ui-component/extended/HighlightedSnippet';
+import { searchLeads } from 'api/calls';
+import { getErrorMessage } from 'utils/errors';
+import { formatDate } from 'utils/formatters';
+
+const SEARCH_DEBOUNCE_MS = 350;
+const PAGE_SIZE = 20;
+const FIELD_LABELS = { summary: 'Summary', transcript: 'Transcript', note: 'Note', caller_name: 'Caller name' };
+
+function ResultCard({ lead, getCategoryColor, onOpen }) {
+  const categoryColor = getCategoryColor(lead.category);
+  const { matched_in: matchedIn = [], snippets = [] } = lead.search || {};
+
+  return (
+    <Paper
+      variant="outlined"
+      onClick={() => onOpen(lead)}
+      sx={{ p: 2, cursor: 'pointer', borderLeft: `4px solid ${categoryColor.border}`, '&:hover': { boxShadow: 1 } }}
+    >
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems={{ sm: 'center' }}>
+        <Typography variant="subtitle1" fontWeight={600}>
+          {lead.caller_name || 'Unknown Caller'}
+        </Typography>
+        {lead.from_number && (
+          <Typography variant="body2" color="text.secondary">
+            {lead.from_number}
+          </Typography>
+        )}
+        <Chip
+          label={(lead.category || 'unreviewed').replace(/_/g, ' ').toUpperCase()}
+          size="small"
+          sx={{
+            bgcolor: categoryColor.bg,
+            color: categoryColor.text,
+            border: `1px solid ${categoryColor.border}`,
+            fontSize: '0.65rem',
+            height: 20,
+            fontWeight: 600
+          }}
+        />
+        <Box sx={{ flex: 1 }} />
+        <Typography variant="caption" color="text.secondary">
+          {formatDate(lead.started_at)}
+        </Typography>
+      </Stack>
+      <Stack direction="row" spacing={0.5} sx={{ mt: 1 }}>
+        {matchedIn.map((field) => (
+          <Chip key={field} label={`Matched in ${FIELD_LABELS[field] || field}`} size="small" variant="outlined" />
+        ))}
+      </Stack>
+      <Stack spacing={1} sx={{ mt: 1.5 }}>
+        {snippets.map((snippet) => (
+          <Box key={snippet.note_id || snippet.field}>
+            <Typography variant="caption" color="text.secondary" fontWeight={600}>
+              {FIELD_LABELS[snippet.field]}
+              {snippet.field === 'note' && snippet.created_at ? ` · ${formatDate(snippet.created_at)}` : ''}
+            </Typography>
+            <HighlightedSnippet segments={snippet.segments} />
+          </Box>
+        ))}
+      </Stack>
+    </Paper>
+  );
+}
+
+export default function LeadSearchResults({ query, filters, tags, getCategoryColor, onOpenLead }) {
+  const [tagId, setTagId] = useState('');
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const requestId = useRef(0);
+
+  const runSearch = useCallback(
+    async (offset = 0) => {
+      const current = ++requestId.current;
+      setLoading(true);
+      setError('');
+      try {
+        const params = { ...filters, q: query.trim(), limit: PAGE_SIZE, offset };
+        if (tagId) params.tag = tagId;
+        const data = await searchLeads(params);
+        if (current !== requestId.current) return;
+        setResults((prev) => (offset ? [...prev, ...data.results] : data.results));
+        setTotal(data.total);
+      } catch (err) {
+        if (current === requestId.current) setError(getErrorMessage(err, 'Search failed'));
+      } finally {
+        if (current === requestId.current) setLoading(false);
+      }
+    },
+    [query, filters, tagId]
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => runSearch(0), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [runSearch]);
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }}>
+        <Typography variant="body2" color="text.secondary">
+          {loading && !results.length ? 'Searching…' : `${total} lead${total === 1 ? '' : 's'} matching "${query.trim()}"`}
+        </Typography>
+        <Box sx={{ flex: 1 }} />
+        <TextField select size="small" label="Tag" value={tagId} onChange={(e) => setTagId(e.target.value)} sx={{ minWidth: 180 }}>
+          <MenuItem value="">All tags</MenuItem>
+          {(tags || []).map((tag) => (
+            <MenuItem key={tag.id} value={tag.id}>
+              {tag.name}
+            </MenuItem>
+          ))}
+        </TextField>
+      </Stack>
+      {loading && <LinearProgress />}
+      {error && <Alert severity="error">{error}</Alert>}
+      {results.map((lead) => (
+        <ResultCard key={lead.id} lead={lead} getCategoryColor={getCategoryColor} onOpen={onOpenLead} />
+      ))}
+      {!loading && !error && !results.length && (
+        <Typography variant="body2" color="text.secondary">
+          No transcripts, summaries or notes match this search.
+        </Typography>
+      )}
+      {results.length < total && (
+        <Box sx={{ textAlign: 'center' }}>
+          <Button size="small" onClick={() => runSearch(results.length)} disabled={loading}>
+            Load more
+          </Button>
+        </Box>
+      )}
+    </Stack>
+  );
+}
@@ -0,0 +1,384 @@
+/**
+ * LeadSlaPanel - Lead follow-up SLA for the Analytics tab
+ *
+ * Settings for the per-client SLA (callback time, first-stage limit, escalation, assignee),
+ * the compliance report (GET /hub/leads/sla/report) and the follow-ups still open. Callback
+ * items themselves live on the client's task board; rows link there.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import MainCard from 'ui-component/cards/MainCard';
+import { fetchLeadSlaReport, fetchLeadSlaSettings, fetchLeadSlaTasks, updateLeadSlaSettings } from 'api/calls';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatDateTime, formatPercent } from 'utils/formatters';
+
+const RANGE_OPTIONS = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' }
+];
+
+const REASON_LABELS = { missed_call: 'Missed call', voicemail: 'Voicemail', stale_stage: 'No follow-up' };
+
+function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '—';
+  if (minutes < 120) return `${minutes} min`;
+  if (minutes < 48 * 60) return `${Math.round((minutes / 60) * 10) / 10} h`;
+  return `${Math.round((minutes / 1440) * 10) / 10} d`;
+}
+
+function assigneeLabel(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.email;
+}
+
+function SummaryTile({ label, value, color }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Typography variant="h4" fontWeight={600} color={color}>
+        {value}
+      </Typography>
+      <Typography variant="caption" color="text.secondary">
+        {label}
+      </Typography>
+    </Paper>
+  );
+}
+
+function ComplianceTable({ rows, labelHeader, renderLabel }) {
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>{labelHeader}</TableCell>
+          <TableCell align="right">Tasks</TableCell>
+          <TableCell align="right">On time</TableCell>
+          <TableCell align="right">Late</TableCell>
+          <TableCell align="right">Overdue</TableCell>
+          <TableCell align="right">Compliance</TableCell>
+          <TableCell align="right">Median response</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rows.map((row) => (
+          <TableRow key={renderLabel(row)}>
+            <TableCell>{renderLabel(row)}</TableCell>
+            <TableCell align="right">{row.tasks}</TableCell>
+            <TableCell align="right">{row.on_time}</TableCell>
+            <TableCell align="right">{row.late}</TableCell>
+            <TableCell align="right">{row.overdue}</TableCell>
+            <TableCell align="right">{formatPercent(row.compliance_rate)}</TableCell>
+            <TableCell align="right">{formatMinutes(row.median_response_minutes)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+function SlaSettingsDialog({ open, settings, assignees, onClose, onSaved }) {
+  const toast = useToast();
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && settings) {
+      setForm({
+        enabled: settings.enabled,
+        callback_minutes: String(settings.callback_minutes),
+        first_stage_hours: settings.first_stage_hours ? String(settings.first_stage_hours) : '',
+        escalation_minutes: String(settings.escalation_minutes),
+        assignee_user_id: settings.assignee_user_id || ''
+      });
+    }
+  }, [open, settings]);
+
+  const handleChange = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await updateLeadSlaSettings({
+        enabled: form.enabled,
+        callback_minutes: Number(form.callback_minutes),
+        first_stage_hours: form.first_stage_hours === '' ? null : Number(form.first_stage_hours),
+        escalation_minutes: Number(form.escalation_minutes),
+        assignee_user_id: form.assignee_user_id || null
+      });
+      toast.success('SLA settings saved');
+      onSaved(saved);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save SLA settings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>Lead Follow-up SLA</DialogTitle>
+      <DialogContent>
+        {form && (
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <FormControlLabel
+              control={<Switch checked={form.enabled} onChange={(e) => setForm((prev) => ({ ...prev, enabled: e.target.checked }))} />}
+              label="Create callback tasks for new leads"
+            />
+            <Typography variant="caption" color="text.secondary">
+              Applies to leads that arrive after the SLA is turned on. Tasks go on the client&apos;s task board.
+            </Typography>
+            <TextField
+              label="Call back missed calls within (minutes)"
+              type="number"
+              size="small"
+              value={form.callback_minutes}
+              onChange={handleChange('callback_minutes')}
+              inputProps={{ min: 1 }}
+            />
+            <TextField
+              label="Follow up leads left in the first stage after (hours)"
+              type="number"
+              size="small"
+              value={form.first_stage_hours}
+              onChange={handleChange('first_stage_hours')}
+              helperText="Leave empty to turn off"
+              inputProps={{ min: 1 }}
+            />
+            <TextField
+              label="Escalate to admins after (minutes overdue)"
+              type="number"
+              size="small"
+              value={form.escalation_minutes}
+              onChange={handleChange('escalation_minutes')}
+              inputProps={{ min: 1 }}
+            />
+            <TextField
+              select
+              label="Assign tasks to"
+              size="small"
+              value={form.assignee_user_id}
+              onChange={handleChange('assignee_user_id')}
+            >
+              <MenuItem value="">Unassigned</MenuItem>
+              {assignees.map((user) => (
+                <MenuItem key={user.id} value={user.id}>
+                  {assigneeLabel(user)}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!form || saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default function LeadSlaPanel() {
+  const navigate = useNavigate();
+  const [days, setDays] = useState(30);
+  const [settings, setSettings] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [report, setReport] = useState(null);
+  const [openTasks, setOpenTasks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const [settingsData, reportData, tasks] = await Promise.all([
+        fetchLeadSlaSettings(),
+        fetchLeadSlaReport({ from }),
+        fetchLeadSlaTasks({ status: 'open' })
+      ]);
+      setSettings(settingsData.settings);
+      setAssignees(settingsData.assignees);
+      setReport(reportData);
+      setOpenTasks(tasks);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load SLA report'));
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSaved = (saved) => {
+    setSettingsOpen(false);
+    setSettings(saved);
+    load();
+  };
+
+  const now = Date.now();
+
+  return (
+    <MainCard
+      title="Lead Follow-up SLA"
+      secondary={
+        <Stack direction="row" spacing={1} alignItems="center">
+          {settings && (
+            <Chip
+              label={settings.enabled ? 'On' : 'Off'}
+              color={settings.enabled ? 'success' : 'default'}
+              size="small"
+              variant={settings.enabled ? 'filled' : 'outlined'}
+            />
+          )}
+          <TextField select size="small" value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {RANGE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button size="small" variant="outlined" onClick={() => setSettingsOpen(true)} disabled={!settings}>
+            Settings
+          </Button>
+        </Stack>
+      }
+    >
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {settings && !settings.enabled && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The follow-up SLA is off. Turn it on in Settings to get callback tasks for missed calls, voicemails and leads that sit in the
+          first pipeline stage.
+        </Alert>
+      )}
+
+      {report && (
+        <Stack spacing={3}>
+          <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr 1fr', md: 'repeat(5, 1fr)' }, gap: 2 }}>
+            <SummaryTile label="Compliance" value={formatPercent(report.summary.compliance_rate)} />
+            <SummaryTile label="On time" value={report.summary.on_time} color="success.main" />
+            <SummaryTile label="Late" value={report.summary.late} color="warning.main" />
+            <SummaryTile label="Overdue now" value={report.summary.overdue} color="error.main" />
+            <SummaryTile label="Median response" value={formatMinutes(report.summary.median_response_minutes)} />
+          </Box>
+
+          {report.summary.tasks > 0 && (
+            <>
+              <ComplianceTable
+                rows={report.by_reason}
+                labelHeader="Reason"
+                renderLabel={(row) => REASON_LABELS[row.reason] || row.reason}
+              />
+              <ComplianceTable rows={report.by_assignee} labelHeader="Assignee" renderLabel={(row) => row.name} />
+            </>
+          )}
+
+          <Box>
+            <Typography variant="subtitle1" gutterBottom>
+              Open follow-ups
+            </Typography>
+            {openTasks.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Nothing waiting for a callback.
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Lead</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell>Due</TableCell>
+                    <TableCell>Assignee</TableCell>
+                    <TableCell align="right" />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {openTasks.map((task) => {
+                    const overdue = new Date(task.due_at).getTime() < now;
+                    return (
+                      <TableRow key={task.id}>
+                        <TableCell>
+                          <Typography variant="body2">{task.caller_name || task.from_number || 'Unknown caller'}</Typography>
+                          {task.caller_name && task.from_number && (
+                            <Typography variant="caption" color="text.secondary">
+                              {task.from_number}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell>{REASON_LABELS[task.reason] || task.reason}</TableCell>
+                        <TableCell>
+                          <Stack direction="row" spacing={1} alignItems="center">
+                            <span>{formatDateTime(task.due_at)}</span>
+                            {overdue && <Chip label="Overdue" color="error" size="small" />}
+                          </Stack>
+                        </TableCell>
+                        <TableCell>{task.assignee_name || 'Unassigned'}</TableCell>
+                        <TableCell align="right">
+                          {task.board_id && (
+                            <Button
+                              size="small"
+                              onClick={() =>
+                                navigate(
+                                  `/tasks?pane=boards&board=${encodeURIComponent(task.board_id)}&item=${encodeURIComponent(task.task_item_id)}`
+                                )
+                              }
+                            >
+                              Open task
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            )}
+          </Box>
+        </Stack>
+      )}
+
+      <SlaSettingsDialog
+        open={settingsOpen}
+        settings={settings}
+        assignees={assignees}
+        onClose={() => setSettingsOpen(false)}
+        onSaved={handleSaved}
+      />
+    </MainCard>
+  );
+}
@@ -0,0 +1,309 @@
+/**
+ * OfflineConversionsPanel - Google Ads / Meta offline conversion exports for the Analytics tab
+ *
+ * Leads moved to a won stage or signed up for services are captured with their click ids and
+ * agreed value. With scheduled exports on, a Google Ads import CSV and a Meta Conversions API
+ * payload are generated daily from conversions not yet exported; "Export now" does the same on
+ * demand. Every file is kept in the export log for download and no conversion goes out twice.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import Grid from '@mui/material/Grid';
+import LinearProgress from '@mui/material/LinearProgress';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import DownloadIcon from '@mui/icons-material/Download';
+
+import MainCard from 'ui-component/cards/MainCard';
+import {
+  createOfflineConversionExport,
+  downloadOfflineConversionExport,
+  fetchOfflineConversionExports,
+  fetchOfflineConversions,
+  fetchOfflineConversionSettings,
+  saveOfflineConversionSettings
+} from 'api/calls';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatDateTime, formatMoney } from 'utils/formatters';
+
+const DESTINATION_LABELS = { google_ads: 'Google Ads', meta: 'Meta' };
+const TRIGGER_LABELS = { won_stage: 'Won stage', agree_to_service: 'Agreed to service' };
+const LIST_LIMIT = 20;
+
+function ExportStatus({ conversion }) {
+  return (
+    <Stack direction="row" spacing={0.5}>
+      {conversion.has_gclid && (
+        <Chip size="small" label="Google" color={conversion.google_export_id ? 'success' : 'default'} variant="outlined" />
+      )}
+      {(conversion.has_fbclid || conversion.has_contact_hash) && (
+        <Chip size="small" label="Meta" color={conversion.meta_export_id ? 'success' : 'default'} variant="outlined" />
+      )}
+    </Stack>
+  );
+}
+
+export default function OfflineConversionsPanel() {
+  const toast = useToast();
+  const [settings, setSettings] = useState(null);
+  const [conversions, setConversions] = useState([]);
+  const [exports, setExports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState('');
+
+  const loadLists = useCallback(async () => {
+    const [conversionRows, exportRows] = await Promise.all([
+      fetchOfflineConversions({ limit: LIST_LIMIT }),
+      fetchOfflineConversionExports({ limit: LIST_LIMIT })
+    ]);
+    setConversions(conversionRows);
+    setExports(exportRows);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    Promise.all([fetchOfflineConversionSettings(), loadLists()])
+      .then(([data]) => {
+        if (!cancelled) setSettings(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load offline conversions'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadLists]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const saved = await saveOfflineConversionSettings({
+        enabled: settings.enabled,
+        google_conversion_name: settings.google_conversion_name || '',
+        meta_event_name: settings.meta_event_name,
+        currency: settings.currency
+      });
+      setSettings(saved);
+      toast.success('Export settings saved');
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save export settings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleExport = async (destination) => {
+    setExporting(destination);
+    try {
+      const result = await createOfflineConversionExport(destination);
+      if (result.export) {
+        toast.success(result.message);
+        await loadLists();
+      } else {
+        toast.info(result.message);
+      }
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to export conversions'));
+    } finally {
+      setExporting('');
+    }
+  };
+
+  const handleDownload = async (file) => {
+    try {
+      const blob = await downloadOfflineConversionExport(file.id);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = file.file_name;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      setExports((prev) => prev.map((row) => (row.id === file.id ? { ...row, downloaded_at: row.downloaded_at || new Date() } : row)));
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to download export'));
+    }
+  };
+
+  const updateSetting = (field, value) => setSettings((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <MainCard
+      title="Offline Conversions"
+      secondary={
+        <Stack direction="row" spacing={1}>
+          <Button
+            size="small"
+            variant="outlined"
+            onClick={() => handleExport('google_ads')}
+            disabled={!settings?.google_conversion_name || Boolean(exporting)}
+          >
+            {exporting === 'google_ads' ? 'Exporting...' : 'Export Google Ads'}
+          </Button>
+          <Button size="small" variant="outlined" onClick={() => handleExport('meta')} disabled={!settings || Boolean(exporting)}>
+            {exporting === 'meta' ? 'Exporting...' : 'Export Meta'}
+          </Button>
+        </Stack>
+      }
+    >
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {settings && (
+        <Stack spacing={3}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid size={{ xs: 12, md: 3 }}>
+              <FormControlLabel
+                control={<Switch checked={Boolean(settings.enabled)} onChange={(e) => updateSetting('enabled', e.target.checked)} />}
+                label="Daily scheduled export"
+              />
+            </Grid>
+            <Grid size={{ xs: 12, md: 3 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Google Ads conversion name"
+                value={settings.google_conversion_name || ''}
+                onChange={(e) => updateSetting('google_conversion_name', e.target.value)}
+                helperText="Must match the conversion action in Google Ads"
+              />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Meta event name"
+                value={settings.meta_event_name}
+                onChange={(e) => updateSetting('meta_event_name', e.target.value)}
+              />
+            </Grid>
+            <Grid size={{ xs: 6, md: 2 }}>
+              <TextField
+                fullWidth
+                size="small"
+                label="Currency"
+                value={settings.currency}
+                onChange={(e) => updateSetting('currency', e.target.value.toUpperCase())}
+                slotProps={{ htmlInput: { maxLength: 3 } }}
+              />
+            </Grid>
+            <Grid size={{ xs: 12, md: 2 }}>
+              <Button variant="contained" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </Grid>
+          </Grid>
+
+          <Stack spacing={1}>
+            <Typography variant="subtitle1">Export log</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Created</TableCell>
+                  <TableCell>Destination</TableCell>
+                  <TableCell>Trigger</TableCell>
+                  <TableCell align="right">Conversions</TableCell>
+                  <TableCell>Downloaded</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {exports.map((file) => (
+                  <TableRow key={file.id}>
+                    <TableCell>{formatDateTime(file.created_at)}</TableCell>
+                    <TableCell>{DESTINATION_LABELS[file.destination]}</TableCell>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{file.trigger}</TableCell>
+                    <TableCell align="right">{file.row_count}</TableCell>
+                    <TableCell>{formatDateTime(file.downloaded_at)}</TableCell>
+                    <TableCell align="right">
+                      <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownload(file)}>
+                        {file.destination === 'google_ads' ? 'CSV' : 'JSON'}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {!exports.length && (
+                  <TableRow>
+                    <TableCell colSpan={6}>
+                      <Typography variant="body2" color="text.secondary">
+                        No exports yet.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </Stack>
+
+          <Stack spacing={1}>
+            <Typography variant="subtitle1">Recent conversions</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Converted</TableCell>
+                  <TableCell>Lead</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Trigger</TableCell>
+                  <TableCell align="right">Value</TableCell>
+                  <TableCell>Click ids</TableCell>
+                  <TableCell>Exported to</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {conversions.map((conversion) => (
+                  <TableRow key={conversion.id}>
+                    <TableCell>{formatDateTime(conversion.conversion_time)}</TableCell>
+                    <TableCell>{conversion.caller_name || conversion.from_number || 'Unknown'}</TableCell>
+                    <TableCell>{conversion.source}</TableCell>
+                    <TableCell>{TRIGGER_LABELS[conversion.trigger]}</TableCell>
+                    <TableCell align="right">{formatMoney(conversion.value, { currency: conversion.currency })}</TableCell>
+                    <TableCell>
+                      {[conversion.has_gclid && 'gclid', conversion.has_fbclid && 'fbclid'].filter(Boolean).join(', ') || '—'}
+                    </TableCell>
+                    <TableCell>
+                      <ExportStatus conversion={conversion} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+                {!conversions.length && (
+                  <TableRow>
+                    <TableCell colSpan={7}>
+                      <Typography variant="body2" color="text.secondary">
+                        No conversions captured yet. Leads are captured when moved to a won stage or signed up for services.
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </Stack>
+        </Stack>
+      )}
+    </MainCard>
+  );
+}
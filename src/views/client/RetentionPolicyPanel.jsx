@@ -0,0 +1,248 @@
+/**
+ * RetentionPolicyPanel - data retention settings for the Archive tab
+ *
+ * One policy per kind of data (services, journey symptoms, call transcripts, intake form PHI,
+ * lead notes): keep for N days, then redact or delete. Enabled policies run nightly; the
+ * preview counts what each saved policy would affect today and the audit log lists every
+ * run and policy change.
+ */
+
+import { useEffect, useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import MainCard from 'ui-component/cards/MainCard';
+import { fetchRetentionAudit, fetchRetentionPolicies, fetchRetentionPreview, runRetention, saveRetentionPolicies } from 'api/retention';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+
+const ACTION_LABELS = { redact: 'Redact', delete: 'Delete' };
+const EVENT_LABELS = { redact: 'Redacted', delete: 'Deleted', policy_updated: 'Policy changed' };
+
+function policyPayload(policy) {
+  return { entity: policy.entity, enabled: policy.enabled, retain_days: Number(policy.retain_days), action: policy.action };
+}
+
+function describePolicy(policy) {
+  return policy ? `${policy.enabled ? 'on' : 'off'}, ${policy.retain_days} days, ${policy.action}` : '—';
+}
+
+function describePdfs(count) {
+  return count ? ` + ${count} PDF(s)` : '';
+}
+
+function auditDetail(entry) {
+  if (entry.event === 'policy_updated') {
+    return `${describePolicy(entry.details?.before)} → ${describePolicy(entry.details?.after)}`;
+  }
+  const cutoff = entry.cutoff ? new Date(entry.cutoff).toLocaleDateString() : '—';
+  return `${entry.affected_count} row(s)${describePdfs(entry.details?.pdf_artifacts)} older than ${cutoff}`;
+}
+
+export default function RetentionPolicyPanel() {
+  const toast = useToast();
+  const [policies, setPolicies] = useState([]);
+  const [saved, setSaved] = useState([]);
+  const [preview, setPreview] = useState({});
+  const [audit, setAudit] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+    Promise.all([fetchRetentionPolicies(), fetchRetentionPreview(), fetchRetentionAudit({ limit: 20 })])
+      .then(([policyList, previewList, entries]) => {
+        if (cancelled) return;
+        setPolicies(policyList);
+        setSaved(policyList);
+        setPreview(Object.fromEntries(previewList.map((item) => [item.entity, item])));
+        setAudit(entries);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load retention policies'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  const dirty = JSON.stringify(policies.map(policyPayload)) !== JSON.stringify(saved.map(policyPayload));
+
+  const updatePolicy = (entity, changes) => {
+    setPolicies((prev) => prev.map((policy) => (policy.entity === entity ? { ...policy, ...changes } : policy)));
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      await saveRetentionPolicies(policies.map(policyPayload));
+      toast.success('Retention policies saved');
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save retention policies'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRun = async (dryRun) => {
+    if (!dryRun && !window.confirm('Apply the enabled policies now? Redacted and deleted data cannot be recovered.')) return;
+    setBusy(true);
+    try {
+      const run = await runRetention({ dryRun });
+      toast.success(dryRun ? `Dry run: ${run.affected} row(s) would be affected` : `${run.affected} row(s) redacted or deleted`);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to run retention policies'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <MainCard
+      title="Data Retention"
+      secondary={
+        <Stack direction="row" spacing={1}>
+          <Button size="small" variant="outlined" disabled={busy || dirty} onClick={() => handleRun(true)}>
+            Dry run
+          </Button>
+          <Button size="small" variant="outlined" color="error" disabled={busy || dirty} onClick={() => handleRun(false)}>
+            Run now
+          </Button>
+          <Button size="small" variant="contained" disabled={busy || !dirty} onClick={handleSave}>
+            Save
+          </Button>
+        </Stack>
+      }
+    >
+      {(loading || busy) && <LinearProgress sx={{ mb: 2 }} />}
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Enabled policies run every night. Redacting keeps the record (dates, amounts, status) and clears the sensitive content; deleting
+        removes the record. Both remove the PDFs generated from intake forms.
+      </Typography>
+
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Data</TableCell>
+            <TableCell>Keep for (days)</TableCell>
+            <TableCell>Then</TableCell>
+            <TableCell>Enabled</TableCell>
+            <TableCell align="right">Due now</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {policies.map((policy) => (
+            <TableRow key={policy.entity}>
+              <TableCell>
+                {policy.label}
+                {policy.is_default && <Chip label="Default" size="small" sx={{ ml: 1 }} />}
+              </TableCell>
+              <TableCell>
+                <TextField
+                  type="number"
+                  size="small"
+                  value={policy.retain_days}
+                  onChange={(e) => updatePolicy(policy.entity, { retain_days: e.target.value })}
+                  slotProps={{ htmlInput: { min: 1, max: 3650 } }}
+                  sx={{ width: 110 }}
+                />
+              </TableCell>
+              <TableCell>
+                <TextField
+                  select
+                  size="small"
+                  value={policy.action}
+                  disabled={policy.actions.length < 2}
+                  onChange={(e) => updatePolicy(policy.entity, { action: e.target.value })}
+                  sx={{ minWidth: 110 }}
+                >
+                  {policy.actions.map((action) => (
+                    <MenuItem key={action} value={action}>
+                      {ACTION_LABELS[action]}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </TableCell>
+              <TableCell>
+                <Switch checked={policy.enabled} onChange={(e) => updatePolicy(policy.entity, { enabled: e.target.checked })} />
+              </TableCell>
+              <TableCell align="right">
+                {preview[policy.entity] ? `${preview[policy.entity].affected}${describePdfs(preview[policy.entity].pdf_artifacts)}` : '—'}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <Typography variant="caption" color="text.secondary">
+        Due now: rows the saved policy would redact or delete today, whether or not it is enabled.
+        {dirty ? ' Save to update.' : ''}
+      </Typography>
+
+      <Box sx={{ mt: 3 }}>
+        <Typography variant="subtitle1" sx={{ mb: 1 }}>
+          Audit log
+        </Typography>
+        {audit.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No retention activity yet.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>When</TableCell>
+                <TableCell>Data</TableCell>
+                <TableCell>Event</TableCell>
+                <TableCell>Detail</TableCell>
+                <TableCell>By</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {audit.map((entry) => (
+                <TableRow key={entry.id}>
+                  <TableCell>{new Date(entry.created_at).toLocaleString()}</TableCell>
+                  <TableCell>{policies.find((policy) => policy.entity === entry.entity)?.label || entry.entity}</TableCell>
+                  <TableCell>
+                    {EVENT_LABELS[entry.event] || entry.event}
+                    {entry.dry_run && <Chip label="Dry run" size="small" variant="outlined" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  <TableCell>{auditDetail(entry)}</TableCell>
+                  <TableCell>{entry.triggered_by === 'schedule' ? 'Schedule' : entry.actor_name || 'Manual'}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Box>
+    </MainCard>
+  );
+}
@@ -0,0 +1,123 @@
+import PropTypes from 'prop-types';
+import { useMemo, useState } from 'react';
+
+// material-ui
+import { useTheme } from '@mui/material/styles';
+import MenuItem from '@mui/material/MenuItem';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+// third party
+import Chart from 'react-apexcharts';
+
+// project imports
+import useConfig from 'hooks/useConfig';
+import SkeletonTotalGrowthBarChart from 'ui-component/cards/Skeleton/TotalGrowthBarChart';
+import MainCard from 'ui-component/cards/MainCard';
+import { gridSpacing } from 'store/constant';
+import { formatMoney, formatMonth } from 'utils/formatters';
+
+// chart data
+import barChartOptions from './chart-data/revenue-bar-chart';
+
+const BREAKDOWNS = [
+  { value: 'repeat', label: 'New vs repeat' },
+  { value: 'service', label: 'By service' },
+  { value: 'source', label: 'By lead source' }
+];
+// Services / sources beyond this many are stacked as "Other"
+const MAX_SERIES = 5;
+
+function groupSeries(months, groups, key, field) {
+  const names = groups.slice(0, MAX_SERIES).map((group) => group[field]);
+  const series = names.map((name) => ({ name, data: months.map((month) => month[key][name] || 0) }));
+  if (groups.length > MAX_SERIES) {
+    const other = months.map((month) =>
+      Object.entries(month[key]).reduce((sum, [name, value]) => (names.includes(name) ? sum : sum + value), 0)
+    );
+    series.push({ name: 'Other', data: other.map((value) => Math.round(value * 100) / 100) });
+  }
+  return series;
+}
+
+// ==============================|| DASHBOARD - REVENUE BAR CHART ||============================== //
+
+// Monthly agreed-service revenue, stacked by new vs repeat business, service or lead source
+export default function RevenueBarChart({ isLoading, report }) {
+  const theme = useTheme();
+  const {
+    state: { fontFamily }
+  } = useConfig();
+
+  const [breakdown, setBreakdown] = useState('repeat');
+
+  const textPrimary = theme.vars.palette.text.primary;
+  const divider = theme.vars.palette.divider;
+  const grey500 = theme.vars.palette.grey[500];
+
+  const primary200 = theme.vars.palette.primary[200];
+  const primaryDark = theme.vars.palette.primary.dark;
+  const secondaryMain = theme.vars.palette.secondary.main;
+  const secondaryLight = theme.vars.palette.secondary.light;
+  const successMain = theme.vars.palette.success.main;
+  const warningMain = theme.vars.palette.warning.main;
+
+  const months = useMemo(() => report?.by_month || [], [report]);
+
+  const series = useMemo(() => {
+    if (breakdown === 'service') return groupSeries(months, report?.by_service || [], 'by_service', 'service_name');
+    if (breakdown === 'source') return groupSeries(months, report?.by_source || [], 'by_source', 'source');
+    return [
+      { name: 'New clients', data: months.map((month) => month.new_revenue) },
+      { name: 'Repeat business', data: months.map((month) => month.repeat_revenue) }
+    ];
+  }, [breakdown, months, report]);
+
+  const chartOptions = useMemo(
+    () => ({
+      ...barChartOptions,
+      chart: { ...barChartOptions.chart, fontFamily: fontFamily },
+      colors: [primary200, primaryDark, secondaryMain, secondaryLight, successMain, warningMain],
+      xaxis: {
+        ...barChartOptions.xaxis,
+        categories: months.map((month) => formatMonth(month.month)),
+        labels: { style: { colors: textPrimary } }
+      },
+      yaxis: { labels: { style: { colors: textPrimary }, formatter: (value) => formatMoney(value, { compact: true }) } },
+      grid: { borderColor: divider },
+      tooltip: { theme: 'light', y: { formatter: (value) => formatMoney(value) } },
+      legend: { ...(barChartOptions.legend ?? {}), labels: { ...(barChartOptions.legend?.labels ?? {}), colors: grey500 } }
+    }),
+    [fontFamily, months, primary200, primaryDark, secondaryMain, secondaryLight, successMain, warningMain, textPrimary, grey500, divider]
+  );
+
+  return (
+    <>
+      {isLoading ? (
+        <SkeletonTotalGrowthBarChart />
+      ) : (
+        <MainCard>
+          <Stack sx={{ gap: gridSpacing }}>
+            <Stack direction="row" sx={{ alignItems: 'center', justifyContent: 'space-between' }}>
+              <Stack sx={{ gap: 1 }}>
+                <Typography variant="subtitle2">Revenue by month</Typography>
+                <Typography variant="h3">{formatMoney(report?.summary.revenue ?? 0)}</Typography>
+              </Stack>
+              <TextField select value={breakdown} onChange={(e) => setBreakdown(e.target.value)}>
+                {BREAKDOWNS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Stack>
+            <Chart options={chartOptions} series={series} type="bar" height={480} />
+          </Stack>
+        </MainCard>
+      )}
+    </>
+  );
+}
+
+RevenueBarChart.propTypes = { isLoading: PropTypes.bool, report: PropTypes.object };
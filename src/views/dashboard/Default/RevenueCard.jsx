@@ -0,0 +1,108 @@
+import PropTypes from 'prop-types';
+
+// material-ui
+import { useTheme } from '@mui/material/styles';
+import Avatar from '@mui/material/Avatar';
+import CardMedia from '@mui/material/CardMedia';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Box from '@mui/material/Box';
+
+// project imports
+import MainCard from 'ui-component/cards/MainCard';
+import SkeletonEarningCard from 'ui-component/cards/Skeleton/EarningCard';
+import { formatMoney, formatPercent } from 'utils/formatters';
+
+// assets
+import EarningIcon from 'assets/images/icons/earning.svg';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+
+// ==============================|| DASHBOARD - REVENUE CARD ||============================== //
+
+// Agreed-service revenue for the range, with the change against the period before it
+export default function RevenueCard({ isLoading, summary }) {
+  const theme = useTheme();
+  const change = summary?.revenue_change ?? null;
+  const ChangeIcon = change !== null && change < 0 ? ArrowDownwardIcon : ArrowUpwardIcon;
+
+  return (
+    <>
+      {isLoading ? (
+        <SkeletonEarningCard />
+      ) : (
+        <MainCard
+          border={false}
+          content={false}
+          sx={{
+            bgcolor: 'secondary.dark',
+            color: '#fff',
+            overflow: 'hidden',
+            position: 'relative',
+            '&:after': {
+              content: '""',
+              position: 'absolute',
+              width: 210,
+              height: 210,
+              background: theme.vars.palette.secondary[800],
+              borderRadius: '50%',
+              top: { xs: -85 },
+              right: { xs: -95 }
+            },
+            '&:before': {
+              content: '""',
+              position: 'absolute',
+              width: 210,
+              height: 210,
+              background: theme.vars.palette.secondary[800],
+              borderRadius: '50%',
+              top: { xs: -125 },
+              right: { xs: -15 },
+              opacity: 0.5
+            }
+          }}
+        >
+          <Box sx={{ p: 2.25 }}>
+            <Avatar
+              variant="rounded"
+              sx={{
+                ...theme.typography.largeAvatar,
+                borderRadius: 2,
+                bgcolor: 'secondary.800',
+                mt: 1
+              }}
+            >
+              <CardMedia sx={{ width: 30, height: 30 }} component="img" src={EarningIcon} alt="Revenue" />
+            </Avatar>
+            <Stack direction="row" sx={{ alignItems: 'center' }}>
+              <Typography sx={{ fontSize: '2.125rem', fontWeight: 500, mr: 1, mt: 1.75, mb: 0.75 }}>
+                {formatMoney(summary?.revenue ?? 0)}
+              </Typography>
+              {change !== null && (
+                <Avatar sx={{ ...theme.typography.smallAvatar, bgcolor: 'secondary.200', color: 'secondary.dark' }}>
+                  <ChangeIcon fontSize="inherit" sx={{ transform: 'rotate3d(1, 1, 1, 45deg)' }} />
+                </Avatar>
+              )}
+            </Stack>
+            <Typography
+              sx={{
+                fontSize: '1rem',
+                fontWeight: 500,
+                color: 'secondary.200'
+              }}
+            >
+              Revenue, last 12 months
+            </Typography>
+            <Typography variant="caption" sx={{ display: 'block', mb: 1.25, color: 'secondary.200' }}>
+              {change === null
+                ? `${summary?.new_clients ?? 0} new client(s)`
+                : `${change > 0 ? '+' : ''}${formatPercent(change)} vs the 12 months before · ${summary.new_clients} new client(s)`}
+            </Typography>
+          </Box>
+        </MainCard>
+      )}
+    </>
+  );
+}
+
+RevenueCard.propTypes = { isLoading: PropTypes.bool, summary: PropTypes.object };
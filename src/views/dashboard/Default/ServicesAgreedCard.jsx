@@ -1,9 +1,10 @@
 import PropTypes from 'prop-types';
-import React, { useState } from 'react';
+import { useState } from 'react';
 
 // material-ui
 import { useTheme } from '@mui/material/styles';
 import Avatar from '@mui/material/Avatar';
+import Button from '@mui/material/Button';
 import Grid from '@mui/material/Grid';
 import Stack from '@mui/material/Stack';
 import Typography from '@mui/material/Typography';
@@ -13,32 +14,28 @@ import Box from '@mui/material/Box';
 import Chart from 'react-apexcharts';
 
 // project imports
-import chartOptions from './chart-data/total-order-line-chart';
+import chartOptions from './chart-data/services-line-chart';
 import MainCard from 'ui-component/cards/MainCard';
 import SkeletonTotalOrderCard from 'ui-component/cards/Skeleton/EarningCard';
+import { formatMoney, formatMonth } from 'utils/formatters';
 
 // assets
 import LocalMallOutlinedIcon from '@mui/icons-material/LocalMallOutlined';
-import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
-import Button from '@mui/material/Button';
 
-// data
-const monthlyData = [{ data: [45, 66, 41, 89, 25, 44, 9, 54] }];
-const yearlyData = [{ data: [35, 44, 9, 54, 45, 66, 41, 69] }];
+// ==============================|| DASHBOARD - SERVICES AGREED CARD ||============================== //
 
-export default function TotalOrderLineChartCard({ isLoading }) {
+// Services agreed this month or over the last 12 months, with the monthly trend
+export default function ServicesAgreedCard({ isLoading, months = [], summary }) {
   const theme = useTheme();
+  const [monthView, setMonthView] = useState(false);
 
-  const [timeValue, setTimeValue] = React.useState(false);
-  const [series, setSeries] = useState(yearlyData);
-
-  const handleChangeTime = (_event, newValue) => {
-    setTimeValue(newValue);
-    if (newValue) {
-      setSeries(monthlyData);
-    } else {
-      setSeries(yearlyData);
-    }
+  const current = months[months.length - 1];
+  const count = monthView ? current?.services || 0 : summary?.services || 0;
+  const revenue = monthView ? current?.revenue || 0 : summary?.revenue || 0;
+  const series = [{ name: 'Services agreed', data: (monthView ? months.slice(-6) : months).map((month) => month.services) }];
+  const options = {
+    ...chartOptions,
+    xaxis: { categories: (monthView ? months.slice(-6) : months).map((month) => formatMonth(month.month)) }
   };
 
   return (
@@ -98,19 +95,19 @@ export default function TotalOrderLineChartCard({ isLoading }) {
               <Box>
                 <Button
                   disableElevation
-                  variant={timeValue ? 'contained' : 'text'}
+                  variant={monthView ? 'contained' : 'text'}
                   size="small"
                   sx={{ color: 'inherit' }}
-                  onClick={(e) => handleChangeTime(e, true)}
+                  onClick={() => setMonthView(true)}
                 >
                   Month
                 </Button>
                 <Button
                   disableElevation
-                  variant={!timeValue ? 'contained' : 'text'}
+                  variant={!monthView ? 'contained' : 'text'}
                   size="small"
                   sx={{ color: 'inherit' }}
-                  onClick={(e) => handleChangeTime(e, false)}
+                  onClick={() => setMonthView(false)}
                 >
                   Year
                 </Button>
@@ -121,14 +118,7 @@ export default function TotalOrderLineChartCard({ isLoading }) {
               <Grid container sx={{ alignItems: 'center' }}>
                 <Grid size={6}>
                   <Box>
-                    <Stack direction="row" sx={{ alignItems: 'center' }}>
-                      <Typography sx={{ fontSize: '2.125rem', fontWeight: 500, mr: 1, mt: 1.75, mb: 0.75 }}>
-                        {timeValue ? '$108' : '$961'}
-                      </Typography>
-                      <Avatar sx={{ ...theme.typography.smallAvatar, bgcolor: 'primary.200', color: 'primary.dark' }}>
-                        <ArrowDownwardIcon fontSize="inherit" sx={{ transform: 'rotate3d(1, 1, 1, 45deg)' }} />
-                      </Avatar>
-                    </Stack>
+                    <Typography sx={{ fontSize: '2.125rem', fontWeight: 500, mt: 1.75, mb: 0.75 }}>{count}</Typography>
                     <Typography
                       sx={{
                         fontSize: '1rem',
@@ -136,7 +126,10 @@ export default function TotalOrderLineChartCard({ isLoading }) {
                         color: 'primary.200'
                       }}
                     >
-                      Total Order
+                      Services agreed
+                    </Typography>
+                    <Typography variant="caption" sx={{ color: 'primary.200' }}>
+                      {monthView ? 'This month' : 'Last 12 months'} · {formatMoney(revenue)}
                     </Typography>
                   </Box>
                 </Grid>
@@ -149,7 +142,7 @@ export default function TotalOrderLineChartCard({ isLoading }) {
                     }
                   }}
                 >
-                  <Chart options={chartOptions} series={series} type="line" height={90} />
+                  <Chart options={options} series={series} type="line" height={90} />
                 </Grid>
               </Grid>
             </Grid>
@@ -160,4 +153,4 @@ export default function TotalOrderLineChartCard({ isLoading }) {
   );
 }
 
-TotalOrderLineChartCard.propTypes = { isLoading: PropTypes.bool };
+ServicesAgreedCard.propTypes = { isLoading: PropTypes.bool, months: PropTypes.array, summary: PropTypes.object };
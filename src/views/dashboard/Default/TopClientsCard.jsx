@@ -0,0 +1,102 @@
+import PropTypes from 'prop-types';
+import { Fragment } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+
+// material-ui
+import CardActions from '@mui/material/CardActions';
+import CardContent from '@mui/material/CardContent';
+import Chip from '@mui/material/Chip';
+import Divider from '@mui/material/Divider';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+
+// project imports
+import MainCard from 'ui-component/cards/MainCard';
+import SkeletonPopularCard from 'ui-component/cards/Skeleton/PopularCard';
+import { gridSpacing } from 'store/constant';
+import { formatMoney } from 'utils/formatters';
+
+// assets
+import ChevronRightOutlinedIcon from '@mui/icons-material/ChevronRightOutlined';
+
+// ==============================|| DASHBOARD - TOP CLIENTS CARD ||============================== //
+
+// Active clients with the highest lifetime value, and lifetime value by lead source
+export default function TopClientsCard({ isLoading, lifetime }) {
+  const clients = lifetime?.top_clients || [];
+  const sources = (lifetime?.by_source || []).slice(0, 3);
+
+  return (
+    <>
+      {isLoading ? (
+        <SkeletonPopularCard />
+      ) : (
+        <MainCard content={false}>
+          <CardContent>
+            <Stack sx={{ gap: gridSpacing }}>
+              <Stack direction="row" sx={{ alignItems: 'baseline', justifyContent: 'space-between' }}>
+                <Typography variant="h4">Top Clients by Lifetime Value</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Median {formatMoney(lifetime?.median_ltv)}
+                </Typography>
+              </Stack>
+
+              {clients.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No services agreed yet.
+                </Typography>
+              ) : (
+                <div>
+                  {clients.map((client, index) => (
+                    <Fragment key={client.id}>
+                      {index > 0 && <Divider sx={{ my: 1.5 }} />}
+                      <Stack direction="row" sx={{ alignItems: 'center', justifyContent: 'space-between' }}>
+                        <Typography variant="subtitle1" noWrap sx={{ color: 'inherit', mr: 1 }}>
+                          {client.client_name || 'Unknown'}
+                        </Typography>
+                        <Typography variant="subtitle1" sx={{ color: 'inherit' }}>
+                          {formatMoney(client.ltv)}
+                        </Typography>
+                      </Stack>
+                      <Stack direction="row" spacing={1} sx={{ alignItems: 'center' }}>
+                        <Typography variant="subtitle2" color="text.secondary">
+                          {client.source} · {client.services} service{client.services === 1 ? '' : 's'}
+                        </Typography>
+                        {(client.repeat_journeys > 0 || client.repeat_services > 0) && (
+                          <Chip label="Repeat" size="small" color="success" variant="outlined" sx={{ height: 20 }} />
+                        )}
+                      </Stack>
+                    </Fragment>
+                  ))}
+                </div>
+              )}
+
+              {sources.length > 0 && (
+                <Stack sx={{ gap: 0.5 }}>
+                  <Typography variant="subtitle2">Average lifetime value by source</Typography>
+                  {sources.map((source) => (
+                    <Stack key={source.source} direction="row" sx={{ justifyContent: 'space-between' }}>
+                      <Typography variant="body2" color="text.secondary">
+                        {source.source} ({source.clients})
+                      </Typography>
+                      <Typography variant="body2">{formatMoney(source.avg_ltv)}</Typography>
+                    </Stack>
+                  ))}
+                </Stack>
+              )}
+            </Stack>
+          </CardContent>
+          <CardActions sx={{ p: 1.25, pt: 0, justifyContent: 'center' }}>
+            <Button size="small" disableElevation component={RouterLink} to="/active-clients">
+              View All
+              <ChevronRightOutlinedIcon />
+            </Button>
+          </CardActions>
+        </MainCard>
+      )}
+    </>
+  );
+}
+
+TopClientsCard.propTypes = { isLoading: PropTypes.bool, lifetime: PropTypes.object };
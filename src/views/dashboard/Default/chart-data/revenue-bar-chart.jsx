@@ -1,12 +1,12 @@
-// ==============================|| DASHBOARD - TOTAL GROWTH BAR CHART ||============================== //
+// ==============================|| DASHBOARD - REVENUE BAR CHART ||============================== //
 
 const chartOptions = {
   chart: {
     type: 'bar',
     height: 480,
     stacked: true,
-    toolbar: { show: true },
-    zoom: { enabled: true }
+    toolbar: { show: false },
+    zoom: { enabled: false }
   },
   plotOptions: {
     bar: {
@@ -17,7 +17,7 @@ const chartOptions = {
   dataLabels: { enabled: false },
   xaxis: {
     type: 'category',
-    categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+    categories: []
   },
   fill: { type: 'solid' },
   legend: {
@@ -1,4 +1,4 @@
-// ==============================|| DASHBOARD - TOTAL ORDER LINE CHART ||============================== //
+// ==============================|| DASHBOARD - SERVICES LINE CHART ||============================== //
 
 const chartOptions = {
   chart: {
@@ -20,10 +20,9 @@ const chartOptions = {
   },
   yaxis: {
     min: 0,
-    max: 100,
     labels: { show: false }
   },
-  tooltip: { fixed: { enabled: false }, x: { show: false }, y: { title: { formatter: () => 'Total Order' } }, marker: { show: false } }
+  tooltip: { fixed: { enabled: false }, x: { show: false }, y: { title: { formatter: () => 'Services agreed' } }, marker: { show: false } }
 };
 
 export default chartOptions;
@@ -1,53 +1,84 @@
 import { useEffect, useState } from 'react';
 
 // material-ui
+import Alert from '@mui/material/Alert';
 import Grid from '@mui/material/Grid';
 
 // project imports
-import EarningCard from './EarningCard';
-import PopularCard from './PopularCard';
-import TotalOrderLineChartCard from './TotalOrderLineChartCard';
+import RevenueCard from './RevenueCard';
+import ServicesAgreedCard from './ServicesAgreedCard';
+import RevenueBarChart from './RevenueBarChart';
+import TopClientsCard from './TopClientsCard';
 import TotalIncomeDarkCard from '../../../ui-component/cards/TotalIncomeDarkCard';
 import TotalIncomeLightCard from '../../../ui-component/cards/TotalIncomeLightCard';
-import TotalGrowthBarChart from './TotalGrowthBarChart';
+import { fetchRevenueReport } from 'api/revenue';
+import { getErrorMessage } from 'utils/errors';
+import { formatMoney, formatPercent } from 'utils/formatters';
 
 import { gridSpacing } from 'store/constant';
 
 // assets
-import StorefrontTwoToneIcon from '@mui/icons-material/StorefrontTwoTone';
+import PeopleAltTwoToneIcon from '@mui/icons-material/PeopleAltTwoTone';
+import RepeatTwoToneIcon from '@mui/icons-material/RepeatTwoTone';
 
 // ==============================|| DEFAULT DASHBOARD ||============================== //
 
+// Revenue home: agreed-service revenue for the last 12 months and client lifetime value
 export default function Dashboard() {
+  const [report, setReport] = useState(null);
   const [isLoading, setLoading] = useState(true);
+  const [error, setError] = useState('');
 
   useEffect(() => {
-    setLoading(false);
+    let cancelled = false;
+    fetchRevenueReport()
+      .then((data) => {
+        if (!cancelled) setReport(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load revenue'));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
+  const lifetime = report?.lifetime;
+
   return (
     <Grid container spacing={gridSpacing}>
+      {error && (
+        <Grid size={12}>
+          <Alert severity="error">{error}</Alert>
+        </Grid>
+      )}
       <Grid size={12}>
         <Grid container spacing={gridSpacing}>
           <Grid size={{ lg: 4, md: 6, sm: 6, xs: 12 }}>
-            <EarningCard isLoading={isLoading} />
+            <RevenueCard isLoading={isLoading} summary={report?.summary} />
           </Grid>
           <Grid size={{ lg: 4, md: 6, sm: 6, xs: 12 }}>
-            <TotalOrderLineChartCard isLoading={isLoading} />
+            <ServicesAgreedCard isLoading={isLoading} months={report?.by_month} summary={report?.summary} />
           </Grid>
           <Grid size={{ lg: 4, md: 12, sm: 12, xs: 12 }}>
             <Grid container spacing={gridSpacing}>
               <Grid size={{ sm: 6, xs: 12, md: 6, lg: 12 }}>
-                <TotalIncomeDarkCard isLoading={isLoading} />
+                <TotalIncomeDarkCard
+                  isLoading={isLoading}
+                  total={formatMoney(lifetime?.avg_ltv)}
+                  label={`Average lifetime value · ${lifetime?.clients ?? 0} client(s)`}
+                  icon={<PeopleAltTwoToneIcon fontSize="inherit" />}
+                />
               </Grid>
               <Grid size={{ sm: 6, xs: 12, md: 6, lg: 12 }}>
                 <TotalIncomeLightCard
-                  {...{
-                    isLoading: isLoading,
-                    total: 203,
-                    label: 'Total Income',
-                    icon: <StorefrontTwoToneIcon fontSize="inherit" />
-                  }}
+                  isLoading={isLoading}
+                  total={formatPercent(lifetime?.repeat_rate)}
+                  label={`Repeat clients · ${lifetime?.repeat_clients ?? 0} of ${lifetime?.clients ?? 0}`}
+                  icon={<RepeatTwoToneIcon fontSize="inherit" />}
                 />
               </Grid>
             </Grid>
@@ -57,10 +88,10 @@ export default function Dashboard() {
       <Grid size={12}>
         <Grid container spacing={gridSpacing}>
           <Grid size={{ xs: 12, md: 8 }}>
-            <TotalGrowthBarChart isLoading={isLoading} />
+            <RevenueBarChart isLoading={isLoading} report={report} />
           </Grid>
           <Grid size={{ xs: 12, md: 4 }}>
-            <PopularCard isLoading={isLoading} />
+            <TopClientsCard isLoading={isLoading} lifetime={lifetime} />
           </Grid>
         </Grid>
       </Grid>
@@ -0,0 +1,652 @@
+/**
+ * FormBuilder - Visual editor for form versions
+ *
+ * Edits the draft version's schema_json (fields, sections, PHI flags, visibleWhen rules)
+ * with drag and drop, previews it with the public embed renderer and exposes
+ * react_code / css_code / raw schema in Monaco for power users.
+ *
+ * Saving writes the open draft (POST /forms/:id/versions); publishing makes it the active version.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Editor from '@monaco-editor/react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import CircularProgress from '@mui/material/CircularProgress';
+import FormControl from '@mui/material/FormControl';
+import IconButton from '@mui/material/IconButton';
+import InputBase from '@mui/material/InputBase';
+import InputLabel from '@mui/material/InputLabel';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Select from '@mui/material/Select';
+import Stack from '@mui/material/Stack';
+import Tab from '@mui/material/Tab';
+import Tabs from '@mui/material/Tabs';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+
+import AddIcon from '@mui/icons-material/Add';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import DragIndicatorIcon from '@mui/icons-material/DragIndicator';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import PictureAsPdfOutlinedIcon from '@mui/icons-material/PictureAsPdfOutlined';
+import PublishIcon from '@mui/icons-material/Publish';
+import SaveIcon from '@mui/icons-material/Save';
+
+import MainCard from 'ui-component/cards/MainCard';
+import { fetchForm, fetchFormVersions, fetchFormVersion, saveFormDraft, publishFormVersion, importFormPdf } from 'api/forms';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+
+import FieldInspector from './builder/FieldInspector';
+import FormPreview from './builder/FormPreview';
+import {
+  FIELD_TYPES,
+  VISIBILITY_OPERATORS,
+  DRAG_TYPE_NEW,
+  DRAG_TYPE_MOVE,
+  copyField,
+  createField,
+  createSection,
+  getFieldTypeLabel,
+  groupFieldsBySection,
+  isInputField,
+  normalizeBuilderSchema,
+  placeField,
+  toPreviewPayload
+} from './builder/schema';
+
+const EMPTY_SCHEMA = { sections: [], fields: [] };
+const CODE_LANGUAGES = { css: 'css', markup: 'html', schema: 'json' };
+
+function describeRule(rule) {
+  const operator = VISIBILITY_OPERATORS.find((item) => item.value === rule.operator);
+  return `Shown when ${rule.field} ${operator?.label || rule.operator}${operator?.needsValue ? ` "${rule.value ?? ''}"` : ''}`;
+}
+
+function formatVersionDate(dateStr) {
+  if (!dateStr) return '';
+  return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+export default function FormBuilder() {
+  const { formId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+  const fileInputRef = useRef(null);
+
+  const [form, setForm] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [schema, setSchema] = useState(EMPTY_SCHEMA);
+  const [reactCode, setReactCode] = useState('');
+  const [cssCode, setCssCode] = useState('');
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [view, setView] = useState('build');
+  const [selectedId, setSelectedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [codeFile, setCodeFile] = useState('css');
+  const [schemaText, setSchemaText] = useState('');
+  const [schemaTextError, setSchemaTextError] = useState('');
+
+  const applyVersion = (version) => {
+    setSchema(normalizeBuilderSchema(version?.schema_json));
+    setReactCode(version?.react_code || '');
+    setCssCode(version?.css_code || '');
+    setSelectedId(null);
+  };
+
+  const loadForm = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [formData, versionList] = await Promise.all([fetchForm(formId), fetchFormVersions(formId)]);
+      setForm(formData);
+      setVersions(versionList);
+      applyVersion(formData.draft_version || formData.active_version);
+      setDirty(false);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to load form'));
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [formId]);
+
+  useEffect(() => {
+    loadForm();
+  }, [loadForm]);
+
+  useEffect(() => {
+    if (!dirty) return undefined;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [dirty]);
+
+  const groups = useMemo(() => groupFieldsBySection(schema), [schema]);
+  const selectedField = schema.fields.find((field) => field.id === selectedId) || null;
+  const previewPayload = useMemo(() => toPreviewPayload(form, schema, cssCode), [form, schema, cssCode]);
+  const editingVersion = form?.draft_version || form?.active_version || null;
+
+  // ============================================================================
+  // Schema edits
+  // ============================================================================
+
+  const updateSchema = (updater) => {
+    setSchema((prev) => updater(prev));
+    setDirty(true);
+  };
+
+  const updateField = (fieldId, patch) => {
+    updateSchema((prev) => {
+      const current = prev.fields.find((field) => field.id === fieldId);
+      const renamed = current && patch.name !== undefined && patch.name !== current.name ? current.name : null;
+      return {
+        ...prev,
+        fields: prev.fields.map((field) => {
+          if (field.id === fieldId) {
+            const next = { ...field, ...patch };
+            Object.keys(patch).forEach((key) => patch[key] === undefined && delete next[key]);
+            return next;
+          }
+          // Keep visibility rules pointing at a renamed field
+          if (renamed && field.visibleWhen?.field === renamed)
+            return { ...field, visibleWhen: { ...field.visibleWhen, field: patch.name } };
+          return field;
+        })
+      };
+    });
+  };
+
+  const addField = (typeKey, sectionId = null, beforeId = null) => {
+    const field = createField(typeKey, schema.fields, sectionId);
+    updateSchema((prev) => ({ ...prev, fields: placeField(prev.fields, field, sectionId, beforeId) }));
+    setSelectedId(field.id);
+  };
+
+  const moveField = (fieldId, sectionId, beforeId) => {
+    if (fieldId === beforeId) return;
+    updateSchema((prev) => {
+      const field = prev.fields.find((item) => item.id === fieldId);
+      return field ? { ...prev, fields: placeField(prev.fields, field, sectionId, beforeId) } : prev;
+    });
+  };
+
+  const deleteField = (fieldId) => {
+    updateSchema((prev) => {
+      const removed = prev.fields.find((field) => field.id === fieldId);
+      return {
+        ...prev,
+        fields: prev.fields
+          .filter((field) => field.id !== fieldId)
+          .map((field) => {
+            if (!removed?.name || field.visibleWhen?.field !== removed.name) return field;
+            return { ...field, visibleWhen: undefined };
+          })
+      };
+    });
+    setSelectedId(null);
+  };
+
+  const duplicateField = (fieldId) => {
+    const source = schema.fields.find((field) => field.id === fieldId);
+    if (!source) return;
+    const duplicate = copyField(source, schema.fields);
+    updateSchema((prev) => {
+      const index = prev.fields.findIndex((field) => field.id === fieldId);
+      return { ...prev, fields: [...prev.fields.slice(0, index + 1), duplicate, ...prev.fields.slice(index + 1)] };
+    });
+    setSelectedId(duplicate.id);
+  };
+
+  const addSection = () => {
+    updateSchema((prev) => ({ ...prev, sections: [...prev.sections, createSection()] }));
+  };
+
+  const renameSection = (sectionId, title) => {
+    updateSchema((prev) => ({
+      ...prev,
+      sections: prev.sections.map((section) => (section.id === sectionId ? { ...section, title } : section))
+    }));
+  };
+
+  const moveSection = (sectionId, direction) => {
+    updateSchema((prev) => {
+      const index = prev.sections.findIndex((section) => section.id === sectionId);
+      const target = index + direction;
+      if (index === -1 || target < 0 || target >= prev.sections.length) return prev;
+      const sections = [...prev.sections];
+      [sections[index], sections[target]] = [sections[target], sections[index]];
+      return { ...prev, sections };
+    });
+  };
+
+  // Fields in a removed section move to the top of the form rather than disappearing
+  const deleteSection = (sectionId) => {
+    updateSchema((prev) => ({
+      ...prev,
+      sections: prev.sections.filter((section) => section.id !== sectionId),
+      fields: prev.fields.map((field) => (field.section_id === sectionId ? { ...field, section_id: null } : field))
+    }));
+  };
+
+  // ============================================================================
+  // Drag and drop
+  // ============================================================================
+
+  const handleDragOver = (e, sectionId, beforeId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = e.dataTransfer.types.includes(DRAG_TYPE_NEW) ? 'copy' : 'move';
+    if (dropTarget?.sectionId !== sectionId || dropTarget?.beforeId !== beforeId) setDropTarget({ sectionId, beforeId });
+  };
+
+  const handleDrop = (e, sectionId, beforeId = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+    const newType = e.dataTransfer.getData(DRAG_TYPE_NEW);
+    const movedId = e.dataTransfer.getData(DRAG_TYPE_MOVE);
+    if (newType) addField(newType, sectionId, beforeId);
+    else if (movedId) moveField(movedId, sectionId, beforeId);
+  };
+
+  const isDropTarget = (sectionId, beforeId) => dropTarget && dropTarget.sectionId === sectionId && dropTarget.beforeId === beforeId;
+
+  // ============================================================================
+  // Save / publish / import
+  // ============================================================================
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const version = await saveFormDraft(formId, { schema_json: schema, react_code: reactCode, css_code: cssCode });
+      setForm((prev) => ({ ...prev, draft_version: version }));
+      setDirty(false);
+      toast.success(`Draft v${version.version_number} saved`);
+      fetchFormVersions(formId)
+        .then(setVersions)
+        .catch(() => {});
+      return version;
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to save draft'));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    const draft = dirty || !form?.draft_version ? await handleSave() : form.draft_version;
+    if (!draft) return;
+    setPublishing(true);
+    try {
+      const result = await publishFormVersion(formId, draft.id);
+      setForm((prev) => ({ ...prev, ...result.form, active_version: result.version, draft_version: null }));
+      toast.success(`Version ${result.version.version_number} is live`);
+      fetchFormVersions(formId)
+        .then(setVersions)
+        .catch(() => {});
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to publish'));
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleLoadVersion = async (versionId) => {
+    if (dirty && !window.confirm('Discard unsaved changes and load this version?')) return;
+    try {
+      const version = await fetchFormVersion(formId, versionId);
+      applyVersion(version);
+      setDirty(true);
+      toast.info(`Loaded v${version.version_number}. Save to make it the draft.`);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to load version'));
+    }
+  };
+
+  const handleImportPdf = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (dirty && !window.confirm('Importing creates a new draft version. Discard unsaved changes?')) return;
+    setImporting(true);
+    try {
+      const result = await importFormPdf(formId, file);
+      toast.success(`Imported ${result.field_count} fields into draft v${result.version.version_number}`);
+      await loadForm();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to import PDF'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  // ============================================================================
+  // Code editors
+  // ============================================================================
+
+  const handleCodeFileChange = (value) => {
+    if (!value) return;
+    if (value === 'schema') {
+      setSchemaText(JSON.stringify(schema, null, 2));
+      setSchemaTextError('');
+    }
+    setCodeFile(value);
+  };
+
+  const handleCodeChange = (value = '') => {
+    if (codeFile === 'css') {
+      setCssCode(value);
+      setDirty(true);
+      return;
+    }
+    if (codeFile === 'markup') {
+      setReactCode(value);
+      setDirty(true);
+      return;
+    }
+    setSchemaText(value);
+    try {
+      const parsed = JSON.parse(value);
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !Array.isArray(parsed.fields)) {
+        throw new Error('The schema must be an object with a "fields" array');
+      }
+      setSchema(normalizeBuilderSchema(parsed));
+      setDirty(true);
+      setSchemaTextError('');
+    } catch (err) {
+      setSchemaTextError(err.message);
+    }
+  };
+
+  // ============================================================================
+  // Render
+  // ============================================================================
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!form) {
+    return <Alert severity="error">Form not found.</Alert>;
+  }
+
+  const renderFieldRow = (field, sectionId) => (
+    <Box
+      key={field.id}
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.setData(DRAG_TYPE_MOVE, field.id);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onDragEnd={() => setDropTarget(null)}
+      onDragOver={(e) => handleDragOver(e, sectionId, field.id)}
+      onDrop={(e) => handleDrop(e, sectionId, field.id)}
+      onClick={() => setSelectedId(field.id)}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 1,
+        p: 1.25,
+        mb: 1,
+        borderRadius: 1.5,
+        cursor: 'pointer',
+        bgcolor: 'background.paper',
+        border: '1px solid',
+        borderColor: selectedId === field.id ? 'primary.main' : 'divider',
+        borderTop: isDropTarget(sectionId, field.id) ? '3px solid' : undefined,
+        borderTopColor: isDropTarget(sectionId, field.id) ? 'primary.main' : undefined
+      }}
+    >
+      <DragIndicatorIcon fontSize="small" sx={{ color: 'text.disabled', cursor: 'grab' }} />
+      <Box sx={{ flex: 1, minWidth: 0 }}>
+        <Typography variant={field.type === 'heading' ? 'h5' : 'body2'} fontWeight={500} noWrap>
+          {field.label || field.name || 'Untitled'}
+          {field.required && (
+            <Box component="span" sx={{ color: 'error.main', ml: 0.5 }}>
+              *
+            </Box>
+          )}
+        </Typography>
+        {isInputField(field) && (
+          <Typography variant="caption" color="text.secondary" noWrap>
+            {field.name}
+          </Typography>
+        )}
+      </Box>
+      {field.visibleWhen && (
+        <Tooltip title={describeRule(field.visibleWhen)}>
+          <CallSplitIcon fontSize="small" color="action" />
+        </Tooltip>
+      )}
+      {field.phi === true && (
+        <Tooltip title="Protected health information">
+          <LockOutlinedIcon fontSize="small" color="warning" />
+        </Tooltip>
+      )}
+      <Chip label={getFieldTypeLabel(field)} size="small" variant="outlined" />
+    </Box>
+  );
+
+  const renderGroup = ({ section, fields }, index) => {
+    const sectionId = section?.id || null;
+    return (
+      <Paper
+        key={sectionId || 'unsectioned'}
+        variant="outlined"
+        onDragOver={(e) => handleDragOver(e, sectionId)}
+        onDrop={(e) => handleDrop(e, sectionId)}
+        sx={{ p: 1.5, bgcolor: 'grey.50', borderColor: isDropTarget(sectionId, null) ? 'primary.main' : 'divider' }}
+      >
+        {section ? (
+          <Stack direction="row" alignItems="center" spacing={0.5} sx={{ mb: 1 }}>
+            <InputBase
+              value={section.title || ''}
+              placeholder="Section title"
+              onChange={(e) => renameSection(section.id, e.target.value)}
+              sx={{ flex: 1, fontWeight: 600, fontSize: '1rem' }}
+            />
+            <IconButton size="small" disabled={index <= 1} onClick={() => moveSection(section.id, -1)}>
+              <ArrowUpwardIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" disabled={index >= groups.length - 1} onClick={() => moveSection(section.id, 1)}>
+              <ArrowDownwardIcon fontSize="small" />
+            </IconButton>
+            <Tooltip title="Remove section (its fields move to the top)">
+              <IconButton size="small" onClick={() => deleteSection(section.id)}>
+                <DeleteOutlineIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </Stack>
+        ) : (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+            Top of form
+          </Typography>
+        )}
+        {fields.map((field) => renderFieldRow(field, sectionId))}
+        {!fields.length && (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 2, textAlign: 'center' }}>
+            Drag fields here
+          </Typography>
+        )}
+      </Paper>
+    );
+  };
+
+  return (
+    <MainCard
+      title={
+        <Stack direction="row" spacing={1} alignItems="center">
+          <IconButton size="small" onClick={() => navigate('/client-hub')}>
+            <ArrowBackIcon fontSize="small" />
+          </IconButton>
+          <Typography variant="h3">{form.name}</Typography>
+          <Chip label={form.form_type} size="small" variant="outlined" />
+          <Chip label={form.status} size="small" color={form.status === 'published' ? 'success' : 'default'} />
+          {dirty && <Chip label="Unsaved changes" size="small" color="warning" />}
+        </Stack>
+      }
+      secondary={
+        <Stack direction="row" spacing={1} alignItems="center">
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Version</InputLabel>
+            <Select value={editingVersion?.id || ''} label="Version" onChange={(e) => handleLoadVersion(e.target.value)}>
+              {versions.map((version) => (
+                <MenuItem key={version.id} value={version.id}>
+                  v{version.version_number}
+                  {version.id === form.active_version_id ? ' · live' : version.published_at ? '' : ' · draft'}
+                  {` · ${formatVersionDate(version.created_at)}`}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <input ref={fileInputRef} type="file" accept="application/pdf" hidden onChange={handleImportPdf} />
+          <Button
+            variant="outlined"
+            startIcon={importing ? <CircularProgress size={16} /> : <PictureAsPdfOutlinedIcon />}
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+          >
+            Import PDF
+          </Button>
+          <Button variant="outlined" startIcon={<SaveIcon />} onClick={handleSave} disabled={saving || !dirty}>
+            {saving ? 'Saving...' : 'Save draft'}
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<PublishIcon />}
+            onClick={handlePublish}
+            disabled={publishing || saving || (!dirty && !form.draft_version)}
+          >
+            {publishing ? 'Publishing...' : 'Publish'}
+          </Button>
+        </Stack>
+      }
+    >
+      <Tabs value={view} onChange={(_e, value) => setView(value)} sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
+        <Tab value="build" label="Build" />
+        <Tab value="preview" label="Preview" />
+        <Tab value="code" label="Code" />
+      </Tabs>
+
+      {view === 'build' && (
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '200px minmax(0, 1fr) 340px' }, gap: 2, alignItems: 'start' }}>
+          {/* Palette */}
+          <Stack spacing={0.75}>
+            <Typography variant="subtitle2" color="text.secondary">
+              Drag or click to add
+            </Typography>
+            {FIELD_TYPES.map((type) => (
+              <Box
+                key={type.key}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(DRAG_TYPE_NEW, type.key);
+                  e.dataTransfer.effectAllowed = 'copy';
+                }}
+                onDragEnd={() => setDropTarget(null)}
+                onClick={() => addField(type.key, selectedField?.section_id || null)}
+                sx={{
+                  px: 1.5,
+                  py: 1,
+                  border: '1px dashed',
+                  borderColor: 'divider',
+                  borderRadius: 1.5,
+                  cursor: 'grab',
+                  typography: 'body2',
+                  '&:hover': { borderColor: 'primary.main', bgcolor: 'action.hover' }
+                }}
+              >
+                {type.label}
+              </Box>
+            ))}
+            <Button size="small" startIcon={<AddIcon />} onClick={addSection} sx={{ alignSelf: 'flex-start' }}>
+              Add section
+            </Button>
+          </Stack>
+
+          {/* Canvas */}
+          <Stack spacing={1.5}>
+            {!schema.fields.length && (
+              <Alert severity="info">Start by dragging a field type onto the form, or import a paper form as a PDF.</Alert>
+            )}
+            {groups.map(renderGroup)}
+          </Stack>
+
+          {/* Inspector */}
+          <Paper variant="outlined" sx={{ p: 2, position: { lg: 'sticky' }, top: { lg: 88 } }}>
+            {selectedField ? (
+              <FieldInspector
+                key={selectedField.id}
+                field={selectedField}
+                fields={schema.fields}
+                sections={schema.sections}
+                isIntake={form.form_type === 'intake'}
+                onChange={(patch) => updateField(selectedField.id, patch)}
+                onDelete={() => deleteField(selectedField.id)}
+                onDuplicate={() => duplicateField(selectedField.id)}
+              />
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                Select a field to edit its label, options, PHI flag and visibility rules.
+              </Typography>
+            )}
+          </Paper>
+        </Box>
+      )}
+
+      {view === 'preview' && <FormPreview payload={previewPayload} />}
+
+      {view === 'code' && (
+        <Stack spacing={1.5}>
+          <Stack direction="row" spacing={2} alignItems="center">
+            <ToggleButtonGroup size="small" exclusive value={codeFile} onChange={(_e, value) => handleCodeFileChange(value)}>
+              <ToggleButton value="css">CSS</ToggleButton>
+              <ToggleButton value="markup">Markup</ToggleButton>
+              <ToggleButton value="schema">Schema JSON</ToggleButton>
+            </ToggleButtonGroup>
+            <Typography variant="caption" color="text.secondary">
+              {codeFile === 'css' && 'Applied to the embed after the base styles (css_code).'}
+              {codeFile === 'markup' && 'Stored with the version (react_code). The embed renders from the schema.'}
+              {codeFile === 'schema' && 'Edits apply as soon as the JSON is valid.'}
+            </Typography>
+          </Stack>
+          {codeFile === 'schema' && schemaTextError && <Alert severity="warning">{schemaTextError}</Alert>}
+          <Box sx={{ border: '1px solid', borderColor: 'divider', borderRadius: 1, overflow: 'hidden' }}>
+            <Editor
+              height="65vh"
+              language={CODE_LANGUAGES[codeFile]}
+              path={`form-${formId}.${CODE_LANGUAGES[codeFile]}`}
+              value={codeFile === 'css' ? cssCode : codeFile === 'markup' ? reactCode : schemaText}
+              onChange={handleCodeChange}
+              options={{ minimap: { enabled: false }, fontSize: 13, wordWrap: 'on', scrollBeyondLastLine: false }}
+            />
+          </Box>
+        </Stack>
+      )}
+    </MainCard>
+  );
+}
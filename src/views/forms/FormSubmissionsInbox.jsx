@@ -0,0 +1,620 @@
+/**
+ * FormSubmissionsInbox - Form submissions inbox
+ *
+ * Used by the admin Client Hub (every form, with management actions) and the client
+ * portal (the client's own forms, read-only).
+ *
+ * Features:
+ * - Submissions per form with kind, date, email/CTM delivery and embed domain filters
+ * - CSV export of non-PHI fields
+ * - Submission drawer with answers and attribution
+ * - Admins: protected fields (audited), audit timeline, job status, resend email / retry CTM
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import CircularProgress from '@mui/material/CircularProgress';
+import Divider from '@mui/material/Divider';
+import Drawer from '@mui/material/Drawer';
+import FormControl from '@mui/material/FormControl';
+import IconButton from '@mui/material/IconButton';
+import InputLabel from '@mui/material/InputLabel';
+import LinearProgress from '@mui/material/LinearProgress';
+import MenuItem from '@mui/material/MenuItem';
+import Select from '@mui/material/Select';
+import Stack from '@mui/material/Stack';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TablePagination from '@mui/material/TablePagination';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+
+import CloseIcon from '@mui/icons-material/Close';
+import DownloadIcon from '@mui/icons-material/Download';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+
+import {
+  fetchForms,
+  fetchFormSubmissions,
+  exportFormSubmissionsCsv,
+  fetchFormSubmission,
+  fetchSubmissionTimeline,
+  resendSubmissionJob,
+  retrySubmissionJob,
+  SUBMISSION_KIND_LABELS,
+  DELIVERY_STATUS_COLORS,
+  JOB_TYPE_LABELS,
+  FORM_AUDIT_ACTION_LABELS,
+  getDeliveryStatus
+} from 'api/forms';
+import { useToast } from 'contexts/ToastContext';
+import { getErrorMessage } from 'utils/errors';
+import { formatDateTime } from 'utils/formatters';
+
+const DEFAULT_FILTERS = { kind: 'all', dateFrom: '', dateTo: '', emailStatus: 'all', ctmStatus: 'all', embedDomain: 'all' };
+const EMPTY_DRAWER = { open: false, submission: null, entries: [], jobs: [], loading: false, phi: null, phiLoading: false };
+
+function formatValue(value) {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+}
+
+function DeliveryChip({ label, sent, error }) {
+  const status = getDeliveryStatus(sent, error);
+  const chip = <Chip label={`${label}: ${status}`} size="small" color={DELIVERY_STATUS_COLORS[status]} variant="outlined" />;
+  return error && !sent ? <Tooltip title={error}>{chip}</Tooltip> : chip;
+}
+
+/**
+ * Jobs the form queues for each submission (mirrors getJobTypesForSubmission on the server)
+ */
+function getDeliveryOptions(form) {
+  const settings = form?.settings_json || {};
+  const recipients = Array.isArray(settings.email_recipients) ? settings.email_recipients.filter(Boolean) : [];
+  return {
+    email: settings.email_on_submission !== false && recipients.length > 0,
+    ctm: Boolean(settings.ctm_enabled) && form?.form_type === 'conversion'
+  };
+}
+
+export default function FormSubmissionsInbox({ canManage = false }) {
+  const toast = useToast();
+  const navigate = useNavigate();
+
+  const [forms, setForms] = useState([]);
+  const [formsLoading, setFormsLoading] = useState(false);
+  const [formId, setFormId] = useState('');
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [data, setData] = useState({ submissions: [], fields: [], embedDomains: [] });
+  const [pagination, setPagination] = useState({ page: 1, limit: 25, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [drawer, setDrawer] = useState(EMPTY_DRAWER);
+  const [actionBusy, setActionBusy] = useState('');
+
+  const selectedForm = useMemo(() => forms.find((form) => form.id === formId) || null, [forms, formId]);
+  const deliveryOptions = useMemo(() => getDeliveryOptions(selectedForm), [selectedForm]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFormsLoading(true);
+    fetchForms()
+      .then((rows) => {
+        if (cancelled) return;
+        setForms(rows);
+        setFormId((current) => current || rows[0]?.id || '');
+      })
+      .catch((err) => toast.error(getErrorMessage(err, 'Unable to load forms')))
+      .finally(() => !cancelled && setFormsLoading(false));
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const loadSubmissions = useCallback(async () => {
+    if (!formId) return;
+    setLoading(true);
+    try {
+      const result = await fetchFormSubmissions(formId, filters, { page: pagination.page, limit: pagination.limit });
+      setData({ submissions: result.submissions, fields: result.fields, embedDomains: result.embedDomains });
+      if (result.pagination) setPagination((prev) => ({ ...prev, total: result.pagination.total }));
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to load submissions'));
+    } finally {
+      setLoading(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [formId, filters, pagination.page, pagination.limit]);
+
+  useEffect(() => {
+    loadSubmissions();
+  }, [loadSubmissions]);
+
+  const handleFormChange = (value) => {
+    setFormId(value);
+    setFilters(DEFAULT_FILTERS);
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPagination((prev) => ({ ...prev, page: 1 }));
+  };
+
+  const handleExport = async () => {
+    if (!selectedForm) return;
+    setExporting(true);
+    try {
+      const blob = await exportFormSubmissionsCsv(selectedForm.id, filters);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${selectedForm.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-submissions-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to export submissions'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const loadTimeline = useCallback(
+    async (submissionId) => {
+      if (!canManage) return;
+      setDrawer((prev) => ({ ...prev, loading: true }));
+      try {
+        const { entries, jobs } = await fetchSubmissionTimeline(formId, submissionId);
+        setDrawer((prev) => (prev.submission?.id === submissionId ? { ...prev, entries, jobs, loading: false } : prev));
+      } catch (err) {
+        toast.error(getErrorMessage(err, 'Unable to load timeline'));
+        setDrawer((prev) => ({ ...prev, loading: false }));
+      }
+    },
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [canManage, formId]
+  );
+
+  const handleOpenSubmission = (submission) => {
+    setDrawer({ ...EMPTY_DRAWER, open: true, submission });
+    loadTimeline(submission.id);
+  };
+
+  const handleShowProtected = async () => {
+    const submissionId = drawer.submission?.id;
+    if (!submissionId) return;
+    setDrawer((prev) => ({ ...prev, phiLoading: true }));
+    try {
+      const detail = await fetchFormSubmission(formId, submissionId);
+      if (detail.phi_error) toast.error(detail.phi_error);
+      setDrawer((prev) => ({ ...prev, phi: detail.phi || {}, phiLoading: false }));
+      loadTimeline(submissionId);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to load protected fields'));
+      setDrawer((prev) => ({ ...prev, phiLoading: false }));
+    }
+  };
+
+  const handleResend = async (jobType) => {
+    const submissionId = drawer.submission?.id;
+    if (!submissionId) return;
+    setActionBusy(jobType);
+    try {
+      await resendSubmissionJob(formId, submissionId, jobType);
+      toast.success(jobType === 'ctm_conversion' ? 'CTM lead queued for sending' : 'Notification email queued for sending');
+      loadTimeline(submissionId);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to resend'));
+    } finally {
+      setActionBusy('');
+    }
+  };
+
+  const handleRetryJob = async (job) => {
+    const submissionId = drawer.submission?.id;
+    if (!submissionId) return;
+    setActionBusy(job.id);
+    try {
+      await retrySubmissionJob(formId, submissionId, job.id);
+      toast.success(`${JOB_TYPE_LABELS[job.job_type] || job.job_type} queued for retry`);
+      loadTimeline(submissionId);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Unable to retry job'));
+    } finally {
+      setActionBusy('');
+    }
+  };
+
+  const summarize = (submission) =>
+    data.fields
+      .map((field) => submission.non_phi_payload?.[field.name])
+      .filter((value) => value !== undefined && value !== null && value !== '')
+      .slice(0, 2)
+      .map(formatValue)
+      .join(' · ');
+
+  const current = drawer.submission;
+
+  if (!formsLoading && !forms.length) {
+    return <Alert severity="info">No forms yet. Forms appear here once they are created in the forms platform.</Alert>;
+  }
+
+  return (
+    <Stack spacing={2}>
+      {/* Form + Filters */}
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }} flexWrap="wrap" useFlexGap>
+        <FormControl size="small" sx={{ minWidth: 240 }}>
+          <InputLabel>Form</InputLabel>
+          <Select value={formId} label="Form" onChange={(e) => handleFormChange(e.target.value)}>
+            {forms.map((form) => (
+              <MenuItem key={form.id} value={form.id}>
+                {form.name}
+                {canManage && form.org_name ? ` — ${form.org_name}` : ''}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        {canManage && (
+          <Tooltip title="Edit this form in the builder">
+            <span>
+              <IconButton size="small" disabled={!formId} onClick={() => navigate(`/forms/${formId}/builder`)}>
+                <EditOutlinedIcon fontSize="small" />
+              </IconButton>
+            </span>
+          </Tooltip>
+        )}
+        <FormControl size="small" sx={{ minWidth: 130 }}>
+          <InputLabel>Kind</InputLabel>
+          <Select value={filters.kind} label="Kind" onChange={(e) => handleFilterChange('kind', e.target.value)}>
+            <MenuItem value="all">All Kinds</MenuItem>
+            {Object.entries(SUBMISSION_KIND_LABELS).map(([key, label]) => (
+              <MenuItem key={key} value={key}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          type="date"
+          label="From"
+          value={filters.dateFrom}
+          onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="To"
+          value={filters.dateTo}
+          onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+          InputLabelProps={{ shrink: true }}
+        />
+        <FormControl size="small" sx={{ minWidth: 130 }}>
+          <InputLabel>Email</InputLabel>
+          <Select value={filters.emailStatus} label="Email" onChange={(e) => handleFilterChange('emailStatus', e.target.value)}>
+            <MenuItem value="all">Any Email Status</MenuItem>
+            <MenuItem value="sent">Sent</MenuItem>
+            <MenuItem value="failed">Failed</MenuItem>
+            <MenuItem value="pending">Pending</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 130 }}>
+          <InputLabel>CTM</InputLabel>
+          <Select value={filters.ctmStatus} label="CTM" onChange={(e) => handleFilterChange('ctmStatus', e.target.value)}>
+            <MenuItem value="all">Any CTM Status</MenuItem>
+            <MenuItem value="sent">Sent</MenuItem>
+            <MenuItem value="failed">Failed</MenuItem>
+            <MenuItem value="pending">Pending</MenuItem>
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel>Embed Domain</InputLabel>
+          <Select value={filters.embedDomain} label="Embed Domain" onChange={(e) => handleFilterChange('embedDomain', e.target.value)}>
+            <MenuItem value="all">All Domains</MenuItem>
+            {data.embedDomains.map((domain) => (
+              <MenuItem key={domain} value={domain}>
+                {domain}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button variant="outlined" size="small" startIcon={<RefreshIcon />} onClick={loadSubmissions} disabled={loading}>
+          {loading ? 'Loading...' : 'Refresh'}
+        </Button>
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={<DownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting || !pagination.total}
+        >
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </Button>
+      </Stack>
+
+      {/* Submissions Table */}
+      <Box sx={{ border: '1px solid', borderColor: 'divider', borderRadius: 2 }}>
+        {(loading || formsLoading) && <LinearProgress />}
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Submitted</TableCell>
+                <TableCell>Kind</TableCell>
+                <TableCell>Summary</TableCell>
+                <TableCell>Embed Domain</TableCell>
+                <TableCell>Delivery</TableCell>
+                <TableCell align="right">Action</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data.submissions.map((submission) => (
+                <TableRow key={submission.id} hover>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                    <Typography variant="body2">{formatDateTime(submission.created_at)}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Stack direction="row" spacing={0.5} alignItems="center">
+                      <Chip
+                        label={SUBMISSION_KIND_LABELS[submission.submission_kind] || submission.submission_kind}
+                        size="small"
+                        variant="outlined"
+                      />
+                      {submission.has_phi && (
+                        <Tooltip title="Includes encrypted protected fields">
+                          <LockOutlinedIcon fontSize="small" color="action" />
+                        </Tooltip>
+                      )}
+                    </Stack>
+                  </TableCell>
+                  <TableCell sx={{ maxWidth: 320 }}>
+                    <Typography variant="body2" noWrap>
+                      {summarize(submission) || '—'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{submission.embed_domain || '—'}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Stack direction="row" spacing={0.5}>
+                      {deliveryOptions.email && <DeliveryChip label="Email" sent={submission.email_sent} error={submission.email_error} />}
+                      {deliveryOptions.ctm && <DeliveryChip label="CTM" sent={submission.ctm_sent} error={submission.ctm_error} />}
+                    </Stack>
+                  </TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="View Details">
+                      <IconButton size="small" onClick={() => handleOpenSubmission(submission)}>
+                        <VisibilityIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+              {!data.submissions.length && !loading && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    <Typography color="text.secondary" sx={{ py: 3 }}>
+                      No submissions found
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={pagination.total}
+          page={pagination.page - 1}
+          onPageChange={(_e, page) => setPagination((prev) => ({ ...prev, page: page + 1 }))}
+          rowsPerPage={pagination.limit}
+          onRowsPerPageChange={(e) => setPagination((prev) => ({ ...prev, limit: parseInt(e.target.value, 10), page: 1 }))}
+          rowsPerPageOptions={[10, 25, 50, 100]}
+        />
+      </Box>
+
+      {/* Submission Drawer */}
+      <Drawer anchor="right" open={drawer.open} onClose={() => setDrawer(EMPTY_DRAWER)}>
+        <Box sx={{ width: { xs: '100vw', sm: 480 }, p: 3 }}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+            <Box>
+              <Typography variant="h4">{selectedForm?.name || 'Submission'}</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {formatDateTime(current?.created_at)} · v{current?.version_number}
+              </Typography>
+            </Box>
+            <IconButton onClick={() => setDrawer(EMPTY_DRAWER)}>
+              <CloseIcon />
+            </IconButton>
+          </Stack>
+
+          {current && (
+            <Stack spacing={2.5}>
+              {/* Answers */}
+              <Box>
+                <Typography variant="h5" sx={{ mb: 1 }}>
+                  Answers
+                </Typography>
+                <Stack spacing={1}>
+                  {data.fields
+                    .filter((field) => current.non_phi_payload?.[field.name] !== undefined)
+                    .map((field) => (
+                      <Box key={field.name}>
+                        <Typography variant="caption" color="text.secondary">
+                          {field.label}
+                        </Typography>
+                        <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+                          {formatValue(current.non_phi_payload[field.name])}
+                        </Typography>
+                      </Box>
+                    ))}
+                </Stack>
+                {current.has_phi && (
+                  <Alert severity="info" icon={<LockOutlinedIcon />} sx={{ mt: 1.5 }}>
+                    {drawer.phi ? (
+                      <Stack spacing={1}>
+                        {Object.entries(drawer.phi).map(([name, value]) => (
+                          <Box key={name}>
+                            <Typography variant="caption" color="text.secondary">
+                              {data.fields.find((field) => field.name === name)?.label || name}
+                            </Typography>
+                            <Typography variant="body2">{formatValue(value)}</Typography>
+                          </Box>
+                        ))}
+                      </Stack>
+                    ) : (
+                      <Stack spacing={1} alignItems="flex-start">
+                        <Typography variant="body2">Protected fields are encrypted and not shown here.</Typography>
+                        {canManage && (
+                          <Button size="small" variant="outlined" onClick={handleShowProtected} disabled={drawer.phiLoading}>
+                            {drawer.phiLoading ? 'Decrypting...' : 'Show protected fields (logged)'}
+                          </Button>
+                        )}
+                      </Stack>
+                    )}
+                  </Alert>
+                )}
+              </Box>
+
+              {/* Attribution */}
+              {Object.keys(current.attribution_json || {}).length > 0 && (
+                <Box>
+                  <Typography variant="h5" sx={{ mb: 1 }}>
+                    Attribution
+                  </Typography>
+                  <Stack spacing={0.5}>
+                    {Object.entries(current.attribution_json).map(([key, value]) => (
+                      <Typography key={key} variant="body2" sx={{ wordBreak: 'break-all' }}>
+                        <strong>{key}:</strong> {value}
+                      </Typography>
+                    ))}
+                  </Stack>
+                </Box>
+              )}
+
+              {/* Delivery */}
+              {(deliveryOptions.email || deliveryOptions.ctm) && (
+                <Box>
+                  <Typography variant="h5" sx={{ mb: 1 }}>
+                    Delivery
+                  </Typography>
+                  <Stack spacing={1}>
+                    {deliveryOptions.email && (
+                      <Stack direction="row" spacing={1} alignItems="center">
+                        <DeliveryChip label="Email" sent={current.email_sent} error={current.email_error} />
+                        {canManage && (
+                          <Button size="small" onClick={() => handleResend('email_notification')} disabled={Boolean(actionBusy)}>
+                            {actionBusy === 'email_notification' ? 'Queueing...' : 'Resend email'}
+                          </Button>
+                        )}
+                      </Stack>
+                    )}
+                    {deliveryOptions.ctm && (
+                      <Stack direction="row" spacing={1} alignItems="center">
+                        <DeliveryChip label="CTM" sent={current.ctm_sent} error={current.ctm_error} />
+                        {canManage && (
+                          <Button size="small" onClick={() => handleResend('ctm_conversion')} disabled={Boolean(actionBusy)}>
+                            {actionBusy === 'ctm_conversion' ? 'Queueing...' : current.ctm_sent ? 'Send to CTM again' : 'Retry CTM'}
+                          </Button>
+                        )}
+                      </Stack>
+                    )}
+                  </Stack>
+                </Box>
+              )}
+
+              {canManage && (
+                <>
+                  <Divider />
+
+                  {/* Jobs */}
+                  <Box>
+                    <Typography variant="h5" sx={{ mb: 1 }}>
+                      Jobs
+                    </Typography>
+                    {drawer.loading && <CircularProgress size={20} />}
+                    {!drawer.loading && !drawer.jobs.length && (
+                      <Typography variant="body2" color="text.secondary">
+                        No jobs queued
+                      </Typography>
+                    )}
+                    <Stack spacing={1}>
+                      {drawer.jobs.map((job) => (
+                        <Stack key={job.id} direction="row" spacing={1} alignItems="center" justifyContent="space-between">
+                          <Box>
+                            <Typography variant="body2">{JOB_TYPE_LABELS[job.job_type] || job.job_type}</Typography>
+                            <Typography variant="caption" color="text.secondary">
+                              {job.status} · attempt {job.attempts}/{job.max_attempts}
+                              {job.last_error ? ` · ${job.last_error}` : ''}
+                            </Typography>
+                          </Box>
+                          {job.status === 'failed' && (
+                            <Button size="small" onClick={() => handleRetryJob(job)} disabled={Boolean(actionBusy)}>
+                              {actionBusy === job.id ? 'Queueing...' : 'Retry'}
+                            </Button>
+                          )}
+                        </Stack>
+                      ))}
+                    </Stack>
+                  </Box>
+
+                  {/* Timeline */}
+                  <Box>
+                    <Typography variant="h5" sx={{ mb: 1 }}>
+                      Timeline
+                    </Typography>
+                    {!drawer.loading && !drawer.entries.length && (
+                      <Typography variant="body2" color="text.secondary">
+                        No audit entries
+                      </Typography>
+                    )}
+                    <Stack spacing={1.5}>
+                      {drawer.entries.map((entry) => (
+                        <Box key={entry.id} sx={{ borderLeft: '2px solid', borderColor: 'divider', pl: 1.5 }}>
+                          <Typography variant="body2" fontWeight={500}>
+                            {FORM_AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                            {entry.metadata_json?.job_type
+                              ? ` — ${JOB_TYPE_LABELS[entry.metadata_json.job_type] || entry.metadata_json.job_type}`
+                              : ''}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            {formatDateTime(entry.created_at)} · {entry.actor_name || 'System'}
+                          </Typography>
+                          {entry.metadata_json?.error && (
+                            <Typography variant="caption" color="error" display="block">
+                              {entry.metadata_json.error}
+                            </Typography>
+                          )}
+                        </Box>
+                      ))}
+                    </Stack>
+                  </Box>
+                </>
+              )}
+            </Stack>
+          )}
+        </Box>
+      </Drawer>
+    </Stack>
+  );
+}
@@ -0,0 +1,270 @@
+/**
+ * FieldInspector - Properties panel for the selected builder field
+ *
+ * Label/name, required, placeholder, help text, options, file limits, PHI flag,
+ * section and the visibleWhen rule.
+ */
+
+import { useState } from 'react';
+
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Divider from '@mui/material/Divider';
+import FormControl from '@mui/material/FormControl';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import InputLabel from '@mui/material/InputLabel';
+import MenuItem from '@mui/material/MenuItem';
+import Select from '@mui/material/Select';
+import Stack from '@mui/material/Stack';
+import Switch from '@mui/material/Switch';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+import {
+  OPTION_INPUT_TYPES,
+  PLACEHOLDER_INPUT_TYPES,
+  VISIBILITY_OPERATORS,
+  getFieldTypeLabel,
+  isInputField,
+  optionsToText,
+  textToOptions,
+  toFieldName,
+  uniqueFieldName
+} from './schema';
+
+function VisibilityEditor({ field, fields, onChange }) {
+  const rule = field.visibleWhen || null;
+  const candidates = fields.filter((item) => isInputField(item) && item.id !== field.id && item.name);
+  const controller = candidates.find((item) => item.name === rule?.field);
+  const operator = VISIBILITY_OPERATORS.find((item) => item.value === rule?.operator) || VISIBILITY_OPERATORS[0];
+  const controllerOptions = controller
+    ? controller.inputType === 'checkbox'
+      ? ['true', 'false']
+      : OPTION_INPUT_TYPES.includes(controller.inputType)
+        ? textToOptions(optionsToText(controller.options))
+        : null
+    : null;
+
+  const update = (patch) => onChange({ visibleWhen: { ...rule, ...patch } });
+
+  return (
+    <Stack spacing={1.5}>
+      <FormControlLabel
+        control={
+          <Switch
+            checked={Boolean(rule)}
+            disabled={!candidates.length}
+            onChange={(e) =>
+              onChange({ visibleWhen: e.target.checked ? { field: candidates[0]?.name, operator: 'equals', value: '' } : undefined })
+            }
+          />
+        }
+        label="Only show when…"
+      />
+      {!candidates.length && (
+        <Typography variant="caption" color="text.secondary">
+          Add another field first to base this rule on.
+        </Typography>
+      )}
+      {rule && (
+        <>
+          <FormControl size="small" fullWidth>
+            <InputLabel>Field</InputLabel>
+            <Select value={controller ? rule.field : ''} label="Field" onChange={(e) => update({ field: e.target.value, value: '' })}>
+              {candidates.map((item) => (
+                <MenuItem key={item.id} value={item.name}>
+                  {item.label || item.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" fullWidth>
+            <InputLabel>Condition</InputLabel>
+            <Select value={operator.value} label="Condition" onChange={(e) => update({ operator: e.target.value })}>
+              {VISIBILITY_OPERATORS.map((item) => (
+                <MenuItem key={item.value} value={item.value}>
+                  {item.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {operator.needsValue &&
+            (controllerOptions ? (
+              <FormControl size="small" fullWidth>
+                <InputLabel>Value</InputLabel>
+                <Select value={rule.value ?? ''} label="Value" onChange={(e) => update({ value: e.target.value })}>
+                  {controllerOptions.map((opt) => (
+                    <MenuItem key={opt} value={opt}>
+                      {controller.inputType === 'checkbox' ? (opt === 'true' ? 'Checked' : 'Not checked') : opt}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            ) : (
+              <TextField size="small" label="Value" value={rule.value ?? ''} onChange={(e) => update({ value: e.target.value })} />
+            ))}
+        </>
+      )}
+    </Stack>
+  );
+}
+
+export default function FieldInspector({ field, fields, sections, isIntake, onChange, onDelete, onDuplicate }) {
+  // Keep the name in sync with the label until someone edits it by hand
+  const [nameTouched, setNameTouched] = useState(false);
+  const [optionsText, setOptionsText] = useState(() => optionsToText(field.options));
+
+  if (!isInputField(field)) {
+    return (
+      <Stack spacing={2}>
+        <Typography variant="h5">{getFieldTypeLabel(field)}</Typography>
+        <TextField
+          label="Text"
+          value={field.label || ''}
+          onChange={(e) => onChange({ label: e.target.value })}
+          multiline={field.type === 'paragraph'}
+          minRows={3}
+          size="small"
+        />
+        <FormControl size="small" fullWidth>
+          <InputLabel>Section</InputLabel>
+          <Select value={field.section_id || ''} label="Section" onChange={(e) => onChange({ section_id: e.target.value || null })}>
+            <MenuItem value="">No section</MenuItem>
+            {sections.map((section) => (
+              <MenuItem key={section.id} value={section.id}>
+                {section.title || 'Untitled section'}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button color="error" startIcon={<DeleteOutlineIcon />} onClick={onDelete} sx={{ alignSelf: 'flex-start' }}>
+          Remove
+        </Button>
+      </Stack>
+    );
+  }
+
+  const inputType = field.inputType || 'text';
+
+  const handleLabelChange = (label) => {
+    const patch = { label };
+    if (!nameTouched) patch.name = uniqueFieldName(toFieldName(label), fields, field.id);
+    onChange(patch);
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Typography variant="h5">{getFieldTypeLabel(field)}</Typography>
+      <TextField label="Label" size="small" value={field.label || ''} onChange={(e) => handleLabelChange(e.target.value)} />
+      <TextField
+        label="Field name"
+        size="small"
+        value={field.name || ''}
+        onChange={(e) => {
+          setNameTouched(true);
+          onChange({ name: e.target.value.toLowerCase().replace(/[^a-z0-9_]/g, '_') });
+        }}
+        helperText="Used in exports, emails and CTM. Changing it on a live form starts a new column."
+      />
+      <FormControlLabel
+        control={<Switch checked={Boolean(field.required)} onChange={(e) => onChange({ required: e.target.checked })} />}
+        label="Required"
+      />
+      {PLACEHOLDER_INPUT_TYPES.includes(inputType) && (
+        <TextField
+          label="Placeholder"
+          size="small"
+          value={field.placeholder || ''}
+          onChange={(e) => onChange({ placeholder: e.target.value || undefined })}
+        />
+      )}
+      <TextField
+        label="Help text"
+        size="small"
+        value={field.helpText || ''}
+        onChange={(e) => onChange({ helpText: e.target.value || undefined })}
+      />
+      {OPTION_INPUT_TYPES.includes(inputType) && (
+        <TextField
+          label="Options"
+          size="small"
+          multiline
+          minRows={3}
+          value={optionsText}
+          onChange={(e) => {
+            setOptionsText(e.target.value);
+            onChange({ options: textToOptions(e.target.value) });
+          }}
+          helperText="One option per line"
+        />
+      )}
+      {inputType === 'file' && (
+        <Stack direction="row" spacing={1}>
+          <TextField
+            label="Allowed types"
+            size="small"
+            value={field.accept || ''}
+            onChange={(e) => onChange({ accept: e.target.value || undefined })}
+            placeholder=".pdf,image/*"
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            label="Max MB"
+            size="small"
+            type="number"
+            value={field.maxSizeMb ?? 2}
+            onChange={(e) => onChange({ maxSizeMb: Math.min(Math.max(Number(e.target.value) || 1, 1), 5) })}
+            inputProps={{ min: 1, max: 5 }}
+            sx={{ width: 96 }}
+          />
+        </Stack>
+      )}
+      <FormControl size="small" fullWidth>
+        <InputLabel>Section</InputLabel>
+        <Select value={field.section_id || ''} label="Section" onChange={(e) => onChange({ section_id: e.target.value || null })}>
+          <MenuItem value="">No section</MenuItem>
+          {sections.map((section) => (
+            <MenuItem key={section.id} value={section.id}>
+              {section.title || 'Untitled section'}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      <Divider />
+      <Box>
+        <FormControlLabel
+          control={<Switch checked={field.phi === true} onChange={(e) => onChange({ phi: e.target.checked || undefined })} />}
+          label="Protected health information (PHI)"
+        />
+        <Typography variant="caption" color="text.secondary" display="block">
+          {isIntake
+            ? 'Encrypted at rest and left out of emails, exports and CTM.'
+            : 'PHI is only encrypted on intake forms. Use an intake form to collect it.'}
+        </Typography>
+        {field.phi === true && !isIntake && (
+          <Alert severity="warning" sx={{ mt: 1 }}>
+            This is a conversion form, so this answer would be stored unencrypted.
+          </Alert>
+        )}
+      </Box>
+
+      <Divider />
+      <VisibilityEditor field={field} fields={fields} onChange={onChange} />
+
+      <Divider />
+      <Stack direction="row" spacing={1}>
+        <Button startIcon={<ContentCopyIcon />} onClick={onDuplicate}>
+          Duplicate
+        </Button>
+        <Button color="error" startIcon={<DeleteOutlineIcon />} onClick={onDelete}>
+          Remove
+        </Button>
+      </Stack>
+    </Stack>
+  );
+}
@@ -0,0 +1,103 @@
+/**
+ * FormPreview - Live preview of the builder schema
+ *
+ * Loads GET /embed/preview (the public embed renderer, nothing is submitted) in an iframe
+ * and posts the current payload to it whenever the schema or CSS changes.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+import Box from '@mui/material/Box';
+import IconButton from '@mui/material/IconButton';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Stack from '@mui/material/Stack';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+
+import DesktopWindowsOutlinedIcon from '@mui/icons-material/DesktopWindowsOutlined';
+import PhoneIphoneIcon from '@mui/icons-material/PhoneIphone';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+const PREVIEW_URL = '/embed/preview';
+const DEVICE_WIDTHS = { desktop: '100%', mobile: 390 };
+
+export default function FormPreview({ payload }) {
+  const frameRef = useRef(null);
+  const [ready, setReady] = useState(false);
+  const [device, setDevice] = useState('desktop');
+  const [frameKey, setFrameKey] = useState(0);
+
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.origin !== window.location.origin || event.source !== frameRef.current?.contentWindow) return;
+      if (event.data?.type === 'anchor-form-preview-ready') setReady(true);
+    };
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  // Debounced so typing in the inspector doesn't re-render the frame on every keystroke
+  useEffect(() => {
+    if (!ready) return undefined;
+    const timer = setTimeout(() => {
+      frameRef.current?.contentWindow?.postMessage({ type: 'anchor-form-preview', payload }, window.location.origin);
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [ready, payload]);
+
+  const handleDeviceChange = (value) => {
+    if (value) setDevice(value);
+  };
+
+  return (
+    <Stack spacing={1.5}>
+      <Stack direction="row" spacing={1} alignItems="center" justifyContent="space-between">
+        <Typography variant="caption" color="text.secondary">
+          Rendered by the same script as the live embed. Submissions in the preview are not saved.
+        </Typography>
+        <Stack direction="row" spacing={1}>
+          <ToggleButtonGroup size="small" exclusive value={device} onChange={(_e, value) => handleDeviceChange(value)}>
+            <ToggleButton value="desktop" aria-label="Desktop">
+              <DesktopWindowsOutlinedIcon fontSize="small" />
+            </ToggleButton>
+            <ToggleButton value="mobile" aria-label="Mobile">
+              <PhoneIphoneIcon fontSize="small" />
+            </ToggleButton>
+          </ToggleButtonGroup>
+          <Tooltip title="Restart preview">
+            <IconButton
+              size="small"
+              onClick={() => {
+                setReady(false);
+                setFrameKey((key) => key + 1);
+              }}
+            >
+              <RefreshIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        </Stack>
+      </Stack>
+      <Box
+        sx={{
+          border: '1px solid',
+          borderColor: 'divider',
+          borderRadius: 2,
+          bgcolor: 'grey.50',
+          p: 2,
+          display: 'flex',
+          justifyContent: 'center'
+        }}
+      >
+        <Box
+          key={frameKey}
+          component="iframe"
+          ref={frameRef}
+          src={PREVIEW_URL}
+          title="Form preview"
+          sx={{ width: DEVICE_WIDTHS[device], maxWidth: '100%', height: '70vh', border: 0, borderRadius: 1, bgcolor: 'common.white' }}
+        />
+      </Box>
+    </Stack>
+  );
+}
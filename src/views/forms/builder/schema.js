@@ -0,0 +1,191 @@
+/**
+ * Form builder schema helpers
+ *
+ * The builder edits form_versions.schema_json:
+ *   { sections: [{ id, title }], fields: [{ id, type, name, label, inputType, section_id, ... }] }
+ *
+ * Field keys understood by the embed renderer and server validation:
+ *   required, placeholder, helpText, options (select / radio / checkbox_group),
+ *   accept + maxSizeMb (file), phi (encrypted on intake forms),
+ *   visibleWhen { field, operator, value }
+ * Layout items use type 'heading' or 'paragraph' with the text in label.
+ */
+
+export const FIELD_TYPES = [
+  { key: 'text', label: 'Short text', inputType: 'text' },
+  { key: 'textarea', label: 'Long text', inputType: 'textarea' },
+  { key: 'email', label: 'Email', inputType: 'email' },
+  { key: 'tel', label: 'Phone', inputType: 'tel' },
+  { key: 'number', label: 'Number', inputType: 'number' },
+  { key: 'date', label: 'Date', inputType: 'date' },
+  { key: 'select', label: 'Dropdown', inputType: 'select' },
+  { key: 'radio', label: 'Multiple choice', inputType: 'radio' },
+  { key: 'checkbox', label: 'Checkbox', inputType: 'checkbox' },
+  { key: 'checkbox_group', label: 'Checkbox group', inputType: 'checkbox_group' },
+  { key: 'signature', label: 'Signature', inputType: 'signature' },
+  { key: 'file', label: 'File upload', inputType: 'file' },
+  { key: 'heading', label: 'Section header', layout: 'heading' },
+  { key: 'paragraph', label: 'Text block', layout: 'paragraph' }
+];
+
+export const OPTION_INPUT_TYPES = ['select', 'radio', 'checkbox_group'];
+export const PLACEHOLDER_INPUT_TYPES = ['text', 'textarea', 'email', 'tel', 'number', 'select'];
+
+export const VISIBILITY_OPERATORS = [
+  { value: 'equals', label: 'is', needsValue: true },
+  { value: 'not_equals', label: 'is not', needsValue: true },
+  { value: 'contains', label: 'contains', needsValue: true },
+  { value: 'is_filled', label: 'is answered', needsValue: false },
+  { value: 'is_empty', label: 'is not answered', needsValue: false }
+];
+
+// Settings the public embed receives (mirrors PUBLIC_SETTING_KEYS on the server)
+const PREVIEW_SETTING_KEYS = [
+  'custom_thank_you_message',
+  'save_and_resume_enabled',
+  'new_patient_button_label',
+  'new_patient_button_helper',
+  'resume_button_label',
+  'resume_button_helper'
+];
+
+export const DRAG_TYPE_NEW = 'application/x-anchor-field-type';
+export const DRAG_TYPE_MOVE = 'application/x-anchor-field-id';
+
+function randomId(prefix) {
+  return `${prefix}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function isInputField(field) {
+  return Boolean(field) && (!field.type || field.type === 'field');
+}
+
+export function getFieldTypeLabel(field) {
+  if (!isInputField(field)) return FIELD_TYPES.find((type) => type.layout === field.type)?.label || field.type;
+  return FIELD_TYPES.find((type) => type.inputType === (field.inputType || 'text'))?.label || field.inputType;
+}
+
+/**
+ * "Date of Birth" -> "date_of_birth" (valid for the server's field name rule)
+ */
+export function toFieldName(label) {
+  const base = String(label || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+  if (!base) return 'field';
+  return /^[a-z]/.test(base) ? base : `field_${base}`;
+}
+
+export function uniqueFieldName(base, fields, ignoreId = null) {
+  const taken = new Set(fields.filter((field) => field.id !== ignoreId && field.name).map((field) => field.name));
+  let name = base;
+  let n = 2;
+  while (taken.has(name)) name = `${base}_${n++}`;
+  return name;
+}
+
+/**
+ * Give every field and section an id so the builder can track them; everything else is kept as-is.
+ */
+export function normalizeBuilderSchema(schema) {
+  const source = schema && typeof schema === 'object' ? schema : {};
+  return {
+    ...source,
+    sections: (Array.isArray(source.sections) ? source.sections : []).map((section) => ({
+      ...section,
+      id: section.id || randomId('section')
+    })),
+    fields: (Array.isArray(source.fields) ? source.fields : []).map((field) => ({ ...field, id: field.id || randomId('field') }))
+  };
+}
+
+export function createField(typeKey, fields, sectionId = null) {
+  const type = FIELD_TYPES.find((item) => item.key === typeKey) || FIELD_TYPES[0];
+  if (type.layout) {
+    return {
+      id: randomId('field'),
+      type: type.layout,
+      label: type.layout === 'heading' ? 'Section header' : 'Add some text',
+      section_id: sectionId
+    };
+  }
+  const field = {
+    id: randomId('field'),
+    type: 'field',
+    name: uniqueFieldName(toFieldName(type.label), fields),
+    label: type.label,
+    inputType: type.inputType,
+    required: false,
+    section_id: sectionId
+  };
+  if (OPTION_INPUT_TYPES.includes(type.inputType)) field.options = ['Option 1', 'Option 2'];
+  if (type.inputType === 'file') field.maxSizeMb = 2;
+  return field;
+}
+
+/**
+ * Copy of a field with a new id (and a free name for inputs), placed by the caller.
+ */
+export function copyField(field, fields) {
+  const copy = { ...field, id: randomId('field'), label: `${field.label || ''} (copy)` };
+  if (isInputField(field)) copy.name = uniqueFieldName(`${field.name}_copy`, fields);
+  return copy;
+}
+
+export function createSection(title = 'New section') {
+  return { id: randomId('section'), title };
+}
+
+/**
+ * Move (or insert) a field into a section, before another field or at the end of that section.
+ */
+export function placeField(fields, field, sectionId, beforeId = null) {
+  const rest = fields.filter((item) => item.id !== field.id);
+  const placed = { ...field, section_id: sectionId || null };
+  let index = beforeId ? rest.findIndex((item) => item.id === beforeId) : -1;
+  if (index === -1) {
+    const lastInSection = rest.reduce((last, item, i) => ((item.section_id || null) === (sectionId || null) ? i : last), -1);
+    index = lastInSection === -1 ? rest.length : lastInSection + 1;
+  }
+  return [...rest.slice(0, index), placed, ...rest.slice(index)];
+}
+
+/**
+ * Fields grouped the way the embed renders them: unsectioned first, then each section.
+ */
+export function groupFieldsBySection(schema) {
+  const sectionIds = new Set(schema.sections.map((section) => section.id));
+  return [
+    { section: null, fields: schema.fields.filter((field) => !field.section_id || !sectionIds.has(field.section_id)) },
+    ...schema.sections.map((section) => ({ section, fields: schema.fields.filter((field) => field.section_id === section.id) }))
+  ];
+}
+
+export function optionsToText(options) {
+  return (Array.isArray(options) ? options : []).map((opt) => (opt && typeof opt === 'object' ? (opt.label ?? opt.value) : opt)).join('\n');
+}
+
+export function textToOptions(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Payload in the shape GET /embed/:formId/json returns, for the preview frame.
+ */
+export function toPreviewPayload(form, schema, cssCode) {
+  const settings = form?.settings_json || {};
+  const publicSettings = {};
+  PREVIEW_SETTING_KEYS.forEach((key) => {
+    if (settings[key] !== undefined) publicSettings[key] = settings[key];
+  });
+  return {
+    form: { id: 'preview', name: form?.name || 'Preview', form_type: form?.form_type, settings: publicSettings },
+    schema: { sections: schema.sections, fields: schema.fields },
+    css: cssCode || ''
+  };
+}